@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+import { BlueprintClient } from "../../../browser/client/blueprint.client";
+import { Blueprint } from "../../../browser/client/blueprint.view";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+class TestComponent extends Blueprint<{ count: number }> {
+  public updates = jest.fn();
+  public unmounts = jest.fn();
+
+  protected override onMount(): void {}
+
+  protected override onUpdate(): void {
+    this.updates(this.context.data);
+  }
+
+  protected override onUnmount(): void {
+    this.unmounts();
+  }
+}
+
+const flushMutations = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const renderComponent = (id: string, count: number) => {
+  const section = document.createElement("section");
+  section.id = id;
+  section.innerHTML = `<script id="${
+    CONSTANTS.dataIdPrefix
+  }${id}" type="application/json">${JSON.stringify({
+    id,
+    serverUrl: "http://localhost/a/b/c",
+    data: { count },
+  })}</script>`;
+  return section;
+};
+
+describe("BlueprintClient page observer", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "info").mockImplementation(() => {});
+    document.body.innerHTML = "";
+    document.body.appendChild(renderComponent("cart", 1));
+
+    const script = document.createElement("script");
+    script.setAttribute(CONSTANTS.componentDataIdentifier, "cart");
+    jest.spyOn(document, "currentScript", "get").mockReturnValue(script);
+
+    BlueprintClient.registerComponentCodeBehind(TestComponent);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const registered = () =>
+    BlueprintClient.getBlueprintClientRegistry().components[
+      "cart"
+    ] as TestComponent;
+
+  it("should re-hydrate a component when new data is added for it", async () => {
+    // Arrange
+    const component = registered();
+    const next = renderComponent("next", 2).firstElementChild as Element;
+    next.id = `${CONSTANTS.dataIdPrefix}cart`;
+    next.textContent = JSON.stringify({ id: "cart", data: { count: 2 } });
+
+    // Act
+    document.getElementById("cart")?.appendChild(next);
+    await flushMutations();
+
+    // Assert
+    expect(component.updates).toHaveBeenCalledWith({ count: 2 });
+    expect(document.getElementById(next.id)).toBeNull();
+  });
+
+  it("should dispose a component when its element is removed", async () => {
+    // Arrange
+    const component = registered();
+
+    // Act
+    document.getElementById("cart")?.remove();
+    await flushMutations();
+
+    // Assert
+    expect(component.unmounts).toHaveBeenCalledTimes(1);
+    expect(registered()).toBeUndefined();
+  });
+});
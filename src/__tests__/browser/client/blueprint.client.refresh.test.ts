@@ -0,0 +1,162 @@
+/**
+ * @jest-environment jsdom
+ */
+import axios from "axios";
+import { BlueprintClient } from "../../../browser/client/blueprint.client";
+import { Blueprint } from "../../../browser/client/blueprint.view";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+class CartComponent extends Blueprint<{ count: number }> {
+  public unmounts = jest.fn();
+
+  protected override onMount(): void {}
+
+  protected override onUnmount(): void {
+    this.unmounts();
+  }
+}
+
+const renderSection = (count: number, body = "") =>
+  `<section id="cart" ${
+    CONSTANTS.componentUrlIdentifier
+  }="http://localhost/cart/main/?sort=asc" ${
+    CONSTANTS.componentNameIdentifier
+  }="cart" ${CONSTANTS.componentViewIdentifier}="main" ${
+    CONSTANTS.componentNestIdentifier
+  }="1"><p>${count} items</p>${body}<script id="${
+    CONSTANTS.dataIdPrefix
+  }cart" type="application/json">${JSON.stringify({
+    id: "cart",
+    serverUrl: "http://localhost/cart/main/",
+    data: { count },
+  })}</script></section>`;
+
+describe("BlueprintClient.refreshComponent", () => {
+  let getSpy: jest.SpyInstance;
+
+  const registered = () =>
+    BlueprintClient.getBlueprintClientRegistry().components["cart"] as
+      | CartComponent
+      | undefined;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "info").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    document.head.innerHTML = "";
+    document.body.id = "blueprint-id";
+    document.body.innerHTML = renderSection(1);
+
+    const script = document.createElement("script");
+    script.setAttribute(CONSTANTS.componentDataIdentifier, "cart");
+    jest.spyOn(document, "currentScript", "get").mockReturnValue(script);
+    BlueprintClient.registerComponentCodeBehind(CartComponent);
+
+    getSpy = jest.spyOn(axios, "get").mockImplementation((url: string) =>
+      Promise.resolve({
+        data: url.endsWith("/manifest/")
+          ? { viewName: "main", assets: { js: [], css: [] } }
+          : renderSection(2, "<script src='cart.js'></script>"),
+      })
+    );
+  });
+
+  afterEach(() => {
+    BlueprintClient.disposeComponent("cart");
+    jest.restoreAllMocks();
+  });
+
+  it("should request the content route of the component, with its id and nest level", async () => {
+    // Act
+    await BlueprintClient.refreshComponent("cart", { page: 2 });
+
+    // Assert
+    expect(getSpy).toHaveBeenCalledWith("http://localhost/cart/main/", {
+      params: { sort: "asc", page: 2 },
+      headers: {
+        [CONSTANTS.componentIdHeader]: "cart",
+        [CONSTANTS.blueprintIdHeader]: "blueprint-id",
+        [CONSTANTS.nestLevelHeader]: "1",
+        accept: "text/html",
+      },
+      responseType: "text",
+      withCredentials: true,
+    });
+    expect(getSpy).toHaveBeenCalledWith(
+      "http://localhost/cart/main/manifest/",
+      { withCredentials: true }
+    );
+  });
+
+  it("should swap the component, and hydrate a new instance", async () => {
+    // Arrange
+    const previous = registered();
+
+    // Act
+    const refreshed = await BlueprintClient.refreshComponent("cart");
+
+    // Assert
+    expect(previous?.unmounts).toHaveBeenCalledTimes(1);
+    expect(refreshed).toBeInstanceOf(CartComponent);
+    expect(refreshed).not.toBe(previous);
+    expect(registered()).toBe(refreshed);
+    expect(refreshed?.context.data).toEqual({ count: 2 });
+    expect(document.getElementById("cart")?.textContent).toBe("2 items");
+    expect(document.querySelectorAll("section")).toHaveLength(1);
+  });
+
+  it("should load the new scripts and styles of its manifest", async () => {
+    // Arrange
+    document.head.innerHTML = `<script src="http://localhost/cart/main/?sort=ascvendor.js"></script>`;
+    getSpy.mockImplementation((url: string) =>
+      Promise.resolve({
+        data: url.endsWith("/manifest/")
+          ? {
+              assets: {
+                js: [{ src: "vendor.js" }, { src: "cart.js", defer: true }],
+                css: [{ href: "cart.css", rel: "stylesheet" }],
+              },
+            }
+          : renderSection(2),
+      })
+    );
+    const appendChild = document.head.appendChild.bind(document.head);
+    jest.spyOn(document.head, "appendChild").mockImplementation((node) => {
+      const appended = appendChild(node);
+      if (node instanceof HTMLScriptElement) {
+        node.dispatchEvent(new Event("load"));
+      }
+      return appended;
+    });
+
+    // Act
+    await BlueprintClient.refreshComponent("cart");
+
+    // Assert
+    const scripts = document.head.querySelectorAll("script");
+    expect(scripts).toHaveLength(2);
+    expect(scripts[1].src).toBe("http://localhost/cart/main/cart.js");
+    expect(scripts[1].hasAttribute("defer")).toBe(true);
+    expect(scripts[1].getAttribute(CONSTANTS.componentDataIdentifier)).toBe(
+      "cart"
+    );
+    expect(document.head.querySelector("link")?.href).toBe(
+      "http://localhost/cart/main/cart.css"
+    );
+  });
+
+  it("should refresh from the view", async () => {
+    // Act
+    const refreshed = await registered()?.refresh({ page: 3 });
+
+    // Assert
+    expect(refreshed?.context.data).toEqual({ count: 2 });
+    expect(getSpy.mock.calls[0][1].params).toEqual({ sort: "asc", page: 3 });
+  });
+
+  it("should reject for elements which are not child components", async () => {
+    await expect(BlueprintClient.refreshComponent("missing")).rejects.toThrow(
+      "Unable to refresh 'missing', it is not a child component on this page"
+    );
+  });
+});
@@ -35,6 +35,7 @@ jest.mock("../../../browser/client/blueprint.view", () => {
       title: "Test",
     },
     onMount: jest.fn(),
+    dispose: jest.fn(),
   }));
 
   return {
@@ -48,6 +49,7 @@ Object.defineProperty(global, "document", {
     currentScript: {
       getAttribute: jest.fn(),
     },
+    getElementById: jest.fn(),
     createElement: () => ({
       style: {},
       appendChild: jest.fn(),
@@ -172,6 +174,45 @@ describe("BlueprintClient", () => {
     });
   });
 
+  describe("disposeComponent", () => {
+    it("should dispose a registered component, and remove it from the registry", () => {
+      // Arrange
+      const component = { dispose: jest.fn() } as unknown as Blueprint;
+      mockRegistry.components!["component-123"] = component;
+
+      // Act
+      const result = BlueprintClient.disposeComponent("component-123");
+
+      // Assert
+      expect(result).toBe(true);
+      expect(component.dispose).toHaveBeenCalled();
+      expect(mockRegistry.components).toEqual({});
+    });
+
+    it("should return false for components which are not registered", () => {
+      expect(BlueprintClient.disposeComponent("missing")).toBe(false);
+    });
+
+    it("should dispose the previous instance when a component registers again", () => {
+      // Arrange
+      class TestComponent extends Blueprint<AnyObject, EMPTY_NODE_PARAMS> {}
+      const previous = { dispose: jest.fn() } as unknown as Blueprint;
+      mockRegistry.components!["component-123"] = previous;
+      document.currentScript!.getAttribute = jest
+        .fn()
+        .mockReturnValue("component-123");
+
+      // Act
+      BlueprintClient.registerComponentCodeBehind(
+        TestComponent as BlueprintConstructor
+      );
+
+      // Assert
+      expect(previous.dispose).toHaveBeenCalled();
+      expect(mockRegistry.components!["component-123"]).not.toBe(previous);
+    });
+  });
+
   describe("printWelcomeBanner", () => {
     it("should log welcome messages to console", () => {
       // Directly invoke private method for testing
@@ -0,0 +1,335 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  replayInteractions,
+  scheduleHydration,
+} from "../../../browser/client/blueprint.hydration";
+import { BlueprintClient } from "../../../browser/client/blueprint.client";
+import { Blueprint } from "../../../browser/client/blueprint.view";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+const createRoot = (strategy?: string) => {
+  const root = document.createElement("section");
+  root.id = "island";
+  if (strategy) {
+    root.setAttribute(CONSTANTS.componentHydrateIdentifier, strategy);
+  }
+  document.body.appendChild(root);
+  return root;
+};
+
+describe("scheduleHydration", () => {
+  let hydrate: jest.Mock;
+
+  beforeEach(() => {
+    hydrate = jest.fn();
+    document.body.innerHTML = "";
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete (window as any).requestIdleCallback;
+    delete (window as any).cancelIdleCallback;
+    delete (window as any).IntersectionObserver;
+    delete (window as any).matchMedia;
+  });
+
+  it("should hydrate right away without a strategy", () => {
+    // Act
+    scheduleHydration(createRoot(), hydrate);
+
+    // Assert
+    expect(hydrate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should hydrate right away when there is no root element", () => {
+    // Act
+    scheduleHydration(null, hydrate);
+
+    // Assert
+    expect(hydrate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should hydrate on load, and warn for unknown strategies", () => {
+    // Arrange
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    // Act
+    scheduleHydration(createRoot("later"), hydrate);
+
+    // Assert
+    expect(hydrate).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(
+      "AssembleJS: Unknown hydration strategy 'later' of 'island', hydrating on load"
+    );
+  });
+
+  it("should never hydrate", () => {
+    // Act
+    scheduleHydration(createRoot("never"), hydrate);
+
+    // Assert
+    expect(hydrate).not.toHaveBeenCalled();
+  });
+
+  describe("idle", () => {
+    it("should hydrate once the browser is idle", () => {
+      // Arrange
+      const callbacks: Array<() => void> = [];
+      (window as any).requestIdleCallback = jest.fn((callback) =>
+        callbacks.push(callback)
+      );
+
+      // Act
+      scheduleHydration(createRoot("idle"), hydrate);
+
+      // Assert
+      expect(hydrate).not.toHaveBeenCalled();
+      expect((window as any).requestIdleCallback).toHaveBeenCalledWith(
+        hydrate,
+        { timeout: CONSTANTS.hydrationIdleTimeout }
+      );
+      callbacks[0]();
+      expect(hydrate).toHaveBeenCalledTimes(1);
+    });
+
+    it("should hydrate in the next task without requestIdleCallback", () => {
+      // Arrange
+      jest.useFakeTimers();
+
+      // Act
+      const cancel = scheduleHydration(createRoot("idle"), hydrate);
+      cancel();
+      scheduleHydration(createRoot("idle"), hydrate);
+      jest.runAllTimers();
+
+      // Assert
+      expect(hydrate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("visible", () => {
+    let observers: Array<{
+      callback: (entries: Array<{ isIntersecting: boolean }>) => void;
+      observe: jest.Mock;
+      disconnect: jest.Mock;
+    }>;
+
+    beforeEach(() => {
+      observers = [];
+      (window as any).IntersectionObserver = jest.fn((callback) => {
+        const observer = {
+          callback,
+          observe: jest.fn(),
+          disconnect: jest.fn(),
+        };
+        observers.push(observer);
+        return observer;
+      });
+    });
+
+    it("should hydrate once the root element scrolls into view", () => {
+      // Arrange
+      const root = createRoot("visible");
+
+      // Act
+      scheduleHydration(root, hydrate);
+      observers[0].callback([{ isIntersecting: false }]);
+
+      // Assert
+      expect(observers[0].observe).toHaveBeenCalledWith(root);
+      expect(hydrate).not.toHaveBeenCalled();
+      observers[0].callback([{ isIntersecting: true }]);
+      expect(hydrate).toHaveBeenCalledTimes(1);
+      expect(observers[0].disconnect).toHaveBeenCalled();
+    });
+
+    it("should hydrate right away without IntersectionObserver", () => {
+      // Arrange
+      delete (window as any).IntersectionObserver;
+
+      // Act
+      scheduleHydration(createRoot("visible"), hydrate);
+
+      // Assert
+      expect(hydrate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("interaction", () => {
+    it("should hydrate once, when the root element is interacted with", () => {
+      // Arrange
+      const root = createRoot("interaction");
+
+      // Act
+      scheduleHydration(root, hydrate);
+      root.dispatchEvent(new Event("focusin"));
+      root.dispatchEvent(new Event("pointerover"));
+
+      // Assert
+      expect(hydrate).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not hydrate once cancelled", () => {
+      // Arrange
+      const root = createRoot("interaction");
+
+      // Act
+      scheduleHydration(root, hydrate)();
+      root.dispatchEvent(new Event("touchstart"));
+
+      // Assert
+      expect(hydrate).not.toHaveBeenCalled();
+    });
+
+    it("should replay clicks and focus received before the island is mounted", () => {
+      // Arrange
+      const root = createRoot("interaction");
+      root.innerHTML = "<button>Buy</button>";
+      const button = root.querySelector("button") as HTMLButtonElement;
+      const received: Array<{ type: string; prevented: boolean }> = [];
+      scheduleHydration(root, hydrate);
+      button.dispatchEvent(new Event("touchstart", { bubbles: true }));
+      button.dispatchEvent(new FocusEvent("focusin", { bubbles: true }));
+      button.dispatchEvent(
+        new MouseEvent("click", { bubbles: true, cancelable: true })
+      );
+
+      // Act
+      button.addEventListener("focusin", (event) =>
+        received.push({ type: event.type, prevented: event.defaultPrevented })
+      );
+      button.addEventListener("click", (event) =>
+        received.push({ type: event.type, prevented: event.defaultPrevented })
+      );
+      replayInteractions(root);
+      replayInteractions(root);
+      button.dispatchEvent(
+        new MouseEvent("click", { bubbles: true, cancelable: true })
+      );
+
+      // Assert
+      expect(hydrate).toHaveBeenCalledTimes(1);
+      expect(received).toEqual([
+        { type: "focusin", prevented: false },
+        { type: "click", prevented: false },
+        { type: "click", prevented: false },
+      ]);
+    });
+  });
+
+  describe("media", () => {
+    const mockMedia = (matches: boolean) => {
+      const media = {
+        matches,
+        addEventListener: jest.fn(),
+        removeEventListener: jest.fn(),
+      };
+      (window as any).matchMedia = jest.fn().mockReturnValue(media);
+      return media;
+    };
+
+    it("should hydrate right away when the query matches", () => {
+      // Arrange
+      mockMedia(true);
+
+      // Act
+      scheduleHydration(createRoot("media((min-width: 768px))"), hydrate);
+
+      // Assert
+      expect(window.matchMedia).toHaveBeenCalledWith("(min-width: 768px)");
+      expect(hydrate).toHaveBeenCalledTimes(1);
+    });
+
+    it("should hydrate once the query matches", () => {
+      // Arrange
+      const media = mockMedia(false);
+
+      // Act
+      scheduleHydration(createRoot("media(print)"), hydrate);
+      const change = media.addEventListener.mock.calls[0][1];
+      change({ matches: false });
+
+      // Assert
+      expect(hydrate).not.toHaveBeenCalled();
+      change({ matches: true });
+      expect(hydrate).toHaveBeenCalledTimes(1);
+      expect(media.removeEventListener).toHaveBeenCalledWith("change", change);
+    });
+  });
+});
+
+describe("BlueprintClient hydration", () => {
+  class Island extends Blueprint {
+    protected override onMount(): void {}
+  }
+
+  const registered = () =>
+    BlueprintClient.getBlueprintClientRegistry().components["island"];
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "info").mockImplementation(() => {});
+    document.body.innerHTML = "";
+    const root = createRoot("interaction");
+    root.innerHTML = `<script id="${CONSTANTS.dataIdPrefix}island" type="application/json">{"id":"island","serverUrl":"http://localhost/a/b/c"}</script>`;
+
+    const script = document.createElement("script");
+    script.setAttribute(CONSTANTS.componentDataIdentifier, "island");
+    jest.spyOn(document, "currentScript", "get").mockReturnValue(script);
+  });
+
+  afterEach(() => {
+    BlueprintClient.disposeComponent("island");
+    jest.restoreAllMocks();
+  });
+
+  it("should mount a component once its hydration strategy is met", () => {
+    // Act
+    BlueprintClient.registerComponentCodeBehind(Island);
+
+    // Assert
+    expect(registered()).toBeUndefined();
+    document.getElementById("island")?.dispatchEvent(new Event("focusin"));
+    expect(registered()).toBeInstanceOf(Island);
+  });
+
+  it("should load the scripts of islands once their hydration strategy is met, and mount them right away", () => {
+    // Arrange
+    const root = document.getElementById("island") as HTMLElement;
+    root.insertAdjacentHTML(
+      "beforeend",
+      `<script type="${CONSTANTS.componentLazyScriptType}" ${CONSTANTS.componentDataIdentifier}="island" ${CONSTANTS.componentLazyTypeIdentifier}="module" ${CONSTANTS.componentLazySrcIdentifier}="/island/main/main.js"></script>`
+    );
+
+    // Act
+    BlueprintClient.hydrateIslands();
+
+    // Assert
+    expect(root.querySelector("script[src]")).toBeNull();
+    root.dispatchEvent(new Event("pointerover"));
+    const script = root.querySelector("script[src]") as HTMLScriptElement;
+    expect(script.getAttribute("src")).toBe("/island/main/main.js");
+    expect(script.getAttribute("type")).toBe("module");
+    expect(script.getAttribute(CONSTANTS.componentDataIdentifier)).toBe(
+      "island"
+    );
+    BlueprintClient.registerComponentCodeBehind(Island);
+    expect(registered()).toBeInstanceOf(Island);
+  });
+
+  it("should cancel the hydration of a disposed component", () => {
+    // Arrange
+    BlueprintClient.registerComponentCodeBehind(Island);
+
+    // Act
+    const disposed = BlueprintClient.disposeComponent("island");
+    document.getElementById("island")?.dispatchEvent(new Event("focusin"));
+
+    // Assert
+    expect(disposed).toBe(true);
+    expect(registered()).toBeUndefined();
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * @jest-environment jsdom
+ */
+import axios from "axios";
+import {
+  getRouterRoutes,
+  navigate,
+  startRouter,
+  stopRouter,
+} from "../../../browser/client/blueprint.router";
+import { BlueprintClient } from "../../../browser/client/blueprint.client";
+import {
+  Blueprint,
+  BlueprintConstructor,
+} from "../../../browser/client/blueprint.view";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+const bundleScript = `<script src="/bundles/asmbl.client.bundle.js" defer="" ${CONSTANTS.routerAttribute}="/home/main/ /shop/main"></script>`;
+
+const renderSection = (id: string, name: string, content: string) =>
+  `<section id="${id}" ${CONSTANTS.componentNameIdentifier}="${name}" ${
+    CONSTANTS.componentViewIdentifier
+  }="main">${content}<script id="${
+    CONSTANTS.dataIdPrefix
+  }${id}" type="application/json">${JSON.stringify({
+    id,
+    serverUrl: `http://localhost/${name}/main/`,
+  })}</script></section>`;
+
+const shopPage = `<html><head><title>Shop</title>${bundleScript}<link rel="stylesheet" href="/shop.css"><script src="/header.js" ${
+  CONSTANTS.componentDataIdentifier
+}="header-2"></script><script src="/shop.js" ${
+  CONSTANTS.componentDataIdentifier
+}="shop-2"></script></head><body id="shop-2">${renderSection(
+  "header-2",
+  "header",
+  "<p>New header</p>"
+)}${renderSection(
+  "products-2",
+  "products",
+  "<p>Products</p>"
+)}<script>window.shopRan = true;</script><script ${
+  CONSTANTS.componentDataIdentifier
+}="header-2">window.headerRan = true;</script></body></html>`;
+
+class Header extends Blueprint {
+  protected override onMount(): void {}
+}
+
+class Teaser extends Blueprint {
+  public unmounts = jest.fn();
+
+  protected override onMount(): void {}
+
+  protected override onUnmount(): void {
+    this.unmounts();
+  }
+}
+
+const register = (id: string, constructor: BlueprintConstructor) => {
+  const script = document.createElement("script");
+  script.setAttribute(CONSTANTS.componentDataIdentifier, id);
+  jest.spyOn(document, "currentScript", "get").mockReturnValue(script);
+  BlueprintClient.registerComponentCodeBehind(constructor);
+};
+
+const flushMutations = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const clickLink = (href: string, init: MouseEventInit = {}) => {
+  const link = document.createElement("a");
+  link.href = href;
+  document.body.appendChild(link);
+
+  let prevented = false;
+  const stopNavigation = (event: Event) => {
+    prevented = event.defaultPrevented;
+    event.preventDefault();
+  };
+  window.addEventListener("click", stopNavigation);
+  link.dispatchEvent(
+    new MouseEvent("click", { bubbles: true, cancelable: true, ...init })
+  );
+  window.removeEventListener("click", stopNavigation);
+  return prevented;
+};
+
+describe("Blueprint Router", () => {
+  let getSpy: jest.SpyInstance;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "info").mockImplementation(() => {});
+    jest.spyOn(window, "scrollTo").mockImplementation(() => {});
+    window.history.replaceState(null, "", "/home/main/");
+    document.head.innerHTML = `${bundleScript}<link rel="stylesheet" href="/home.css"><script src="/header.js" ${CONSTANTS.componentDataIdentifier}="header-1"></script>`;
+    document.title = "Home";
+    document.body.id = "home-1";
+    document.body.innerHTML = `${renderSection(
+      "header-1",
+      "header",
+      "<p>Old header</p>"
+    )}${renderSection("teaser-1", "teaser", "<p>Teaser</p>")}`;
+
+    getSpy = jest
+      .spyOn(axios, "get")
+      .mockResolvedValue({ data: shopPage } as any);
+  });
+
+  afterEach(() => {
+    stopRouter();
+    BlueprintClient.disposeComponent("header-1");
+    BlueprintClient.disposeComponent("teaser-1");
+    delete (document as any).startViewTransition;
+    delete (window as any).shopRan;
+    delete (window as any).headerRan;
+    jest.restoreAllMocks();
+  });
+
+  it("should read the routes announced by the server", () => {
+    expect(getRouterRoutes()).toEqual(["/home/main/", "/shop/main"]);
+  });
+
+  it("should follow links to known Blueprints, and swap the page", async () => {
+    // Arrange
+    startRouter();
+
+    // Act
+    const prevented = clickLink("/shop/main/?sort=asc");
+    await flushMutations();
+
+    // Assert
+    expect(prevented).toBe(true);
+    expect(getSpy).toHaveBeenCalledWith(
+      "http://localhost/shop/main/?sort=asc",
+      {
+        headers: { accept: "text/html" },
+        responseType: "text",
+        withCredentials: true,
+      }
+    );
+    expect(window.location.pathname + window.location.search).toBe(
+      "/shop/main/?sort=asc"
+    );
+    expect(document.title).toBe("Shop");
+    expect(document.body.id).toBe("shop-2");
+    expect(document.querySelector("#products-2 p")?.textContent).toBe(
+      "Products"
+    );
+    expect((window as any).shopRan).toBe(true);
+  });
+
+  it("should leave other links to the browser", () => {
+    // Arrange
+    startRouter();
+
+    // Act & Assert
+    expect(clickLink("/other/main/")).toBe(false);
+    expect(clickLink("https://example.com/shop/main/")).toBe(false);
+    expect(clickLink("/shop/main/", { ctrlKey: true })).toBe(false);
+    expect(getSpy).not.toHaveBeenCalled();
+  });
+
+  it("should keep the components shared by both pages mounted", async () => {
+    // Arrange
+    register("header-1", Header);
+    register("teaser-1", Teaser);
+    const header = document.getElementById("header-1");
+    const { components } = BlueprintClient.getBlueprintClientRegistry();
+    const headerInstance = components["header-1"];
+    const teaser = components["teaser-1"] as Teaser;
+    startRouter();
+
+    // Act
+    await navigate("/shop/main/");
+    await flushMutations();
+
+    // Assert
+    expect(document.getElementById("header-1")).toBe(header);
+    expect(document.getElementById("header-2")).toBeNull();
+    expect(header?.textContent).toBe("Old header");
+    expect(components["header-1"]).toBe(headerInstance);
+    expect((window as any).shopRan).toBe(true);
+    expect((window as any).headerRan).toBeUndefined();
+    expect(teaser.unmounts).toHaveBeenCalledTimes(1);
+    expect(components["teaser-1"]).toBeUndefined();
+  });
+
+  it("should diff the assets of the head", async () => {
+    // Arrange
+    startRouter();
+
+    // Act
+    await navigate("/shop/main/");
+
+    // Assert
+    const scripts = Array.from(document.head.querySelectorAll("script")).map(
+      (script) => script.getAttribute("src")
+    );
+    expect(scripts).toEqual([
+      "/bundles/asmbl.client.bundle.js",
+      "/header.js",
+      "/shop.js",
+    ]);
+    expect(
+      document.head
+        .querySelector("script[src='/header.js']")
+        ?.getAttribute(CONSTANTS.componentDataIdentifier)
+    ).toBe("header-1");
+    expect(
+      Array.from(document.head.querySelectorAll("link")).map((link) =>
+        link.getAttribute("href")
+      )
+    ).toEqual(["/shop.css"]);
+  });
+
+  it("should prefetch Blueprints when their links are hovered", async () => {
+    // Arrange
+    startRouter();
+    const link = document.createElement("a");
+    link.href = "/shop/main/";
+    document.body.appendChild(link);
+
+    // Act
+    link.dispatchEvent(new Event("pointerover", { bubbles: true }));
+    link.dispatchEvent(new Event("pointerover", { bubbles: true }));
+    await navigate("/shop/main/");
+
+    // Assert
+    expect(getSpy).toHaveBeenCalledTimes(1);
+    expect(document.title).toBe("Shop");
+  });
+
+  it("should not prefetch when disabled", () => {
+    // Arrange
+    startRouter({ prefetch: false });
+    const link = document.createElement("a");
+    link.href = "/shop/main/";
+    document.body.appendChild(link);
+
+    // Act
+    link.dispatchEvent(new Event("pointerover", { bubbles: true }));
+
+    // Assert
+    expect(getSpy).not.toHaveBeenCalled();
+  });
+
+  it("should swap the page in a view transition, when supported", async () => {
+    // Arrange
+    const startViewTransition = jest.fn((update: () => void) => {
+      update();
+      return { finished: Promise.resolve() };
+    });
+    (document as any).startViewTransition = startViewTransition;
+    startRouter();
+
+    // Act
+    await navigate("/shop/main/");
+
+    // Assert
+    expect(startViewTransition).toHaveBeenCalledTimes(1);
+    expect(document.title).toBe("Shop");
+  });
+
+  it("should show the Blueprint of a history entry", async () => {
+    // Arrange
+    startRouter({ routes: ["/shop/main/", "/home/main/"] });
+    await navigate("/shop/main/");
+    window.history.replaceState(null, "", "/home/main/");
+
+    // Act
+    window.dispatchEvent(new PopStateEvent("popstate"));
+    await flushMutations();
+
+    // Assert
+    expect(getSpy).toHaveBeenLastCalledWith(
+      "http://localhost/home/main/",
+      expect.anything()
+    );
+  });
+
+  it("should log a failed navigation, and fall back to a full page load", async () => {
+    // Arrange
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    getSpy.mockRejectedValue(new Error("Offline"));
+    startRouter();
+
+    // Act
+    await navigate("/shop/main/");
+
+    // Assert
+    expect(error).toHaveBeenCalledWith(
+      "AssembleJS: Failed to navigate to http://localhost/shop/main/",
+      expect.any(Error)
+    );
+    expect(document.title).toBe("Home");
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment jsdom
+ */
+import { svelte } from "../../../browser/client/blueprint.svelte";
+import type { ViewContext } from "../../../types/component.context";
+import { TextDecoder } from "util";
+
+// jsdom does not provide TextDecoder, which browsers do
+Object.assign(global, { TextDecoder });
+
+describe("svelte", () => {
+  // The context as hydrated from the JSON rendered by the server
+  const context = JSON.parse(
+    JSON.stringify({
+      id: "svelte-view",
+      componentName: "component",
+      viewName: "view",
+      data: { count: 1 },
+      components: { header: Buffer.from("<header>Page Header</header>") },
+    })
+  ) as ViewContext;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="svelte-view"></div>';
+  });
+
+  it("should hydrate with the props the server rendered with", () => {
+    // Arrange
+    const ComponentClass = jest.fn();
+
+    // Act
+    svelte.bootstrap(ComponentClass, context);
+
+    // Assert
+    expect(ComponentClass).toHaveBeenCalledWith({
+      target: document.getElementById("svelte-view"),
+      hydrate: true,
+      props: expect.objectContaining({
+        data: { count: 1 },
+        helpers: {},
+        header: "<header>Page Header</header>",
+        components: { header: "<header>Page Header</header>" },
+        slots: { header: "<header>Page Header</header>" },
+      }),
+    });
+  });
+
+  it("should render the HTML of a child component", () => {
+    // Arrange
+    const target = document.getElementById("svelte-view") as HTMLElement;
+
+    // Act
+    svelte.component("header", target, context);
+
+    // Assert
+    expect(target.innerHTML).toBe("<header>Page Header</header>");
+  });
+});
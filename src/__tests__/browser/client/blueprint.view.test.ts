@@ -3,6 +3,8 @@
  */
 
 import { Blueprint } from "../../../browser/client/blueprint.view";
+import { events } from "../../../browser/eventing/event.bus";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
 import axios from "axios";
 
 // Create a simplified test suite focusing only on essential functionality
@@ -102,4 +104,122 @@ describe("Blueprint basic functionality", () => {
     expect(typeof proto.toAll).toBe("function");
     expect(typeof proto.subscribe).toBe("function");
   });
+
+  describe("lifecycle", () => {
+    class LifecycleComponent extends Blueprint<{ count: number }> {
+      public messages = jest.fn();
+      public updates = jest.fn();
+      public unmounts = jest.fn();
+
+      protected override onMount(): void {}
+
+      protected override onMessage(message: unknown): void {
+        this.messages(message);
+      }
+
+      protected override onUpdate(previous: any): void {
+        this.updates(previous.data, this.context.data);
+      }
+
+      protected override onUnmount(): void {
+        this.unmounts();
+      }
+    }
+
+    const addDataPayload = (data: object) => {
+      const script = document.createElement("script");
+      script.id = `${CONSTANTS.dataIdPrefix}test-id`;
+      script.type = "application/json";
+      script.textContent = JSON.stringify({
+        id: "test-id",
+        serverUrl: "http://localhost/a/b/c",
+        data,
+      });
+      document.body.appendChild(script);
+    };
+
+    let component: LifecycleComponent;
+
+    beforeEach(() => {
+      addDataPayload({ count: 1 });
+      component = new LifecycleComponent("test-id");
+    });
+
+    afterEach(() => {
+      component.dispose();
+    });
+
+    it("should remove every subscription when disposed", () => {
+      // Arrange
+      const listener = jest.fn();
+      component.subscribe("cart", "updated", listener);
+
+      // Act
+      component.dispose();
+      events.toAll("hello");
+      events.publish({ channel: "cart", topic: "updated" }, 1);
+
+      // Assert
+      expect(component.messages).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("should receive global messages until disposed", () => {
+      // Act
+      events.toAll("hello");
+
+      // Assert
+      expect(component.messages).toHaveBeenCalledTimes(1);
+    });
+
+    it("should call onUnmount once", () => {
+      // Act
+      component.dispose();
+      component.dispose();
+
+      // Assert
+      expect(component.unmounts).toHaveBeenCalledTimes(1);
+    });
+
+    it("should unsubscribe a single listener", () => {
+      // Arrange
+      const listener = jest.fn();
+      component.subscribe("cart", "updated", listener);
+
+      // Act
+      component.unsubscribe("cart", "updated", listener);
+      events.publish({ channel: "cart", topic: "updated" }, 1);
+
+      // Assert
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("should merge updated data, and call onUpdate", () => {
+      // Act
+      component.update({ count: 2 });
+
+      // Assert
+      expect(component.context.data).toEqual({ count: 2 });
+      expect(component.updates).toHaveBeenCalledWith(
+        { count: 1 },
+        { count: 2 }
+      );
+    });
+
+    it("should re-hydrate from a new data payload", () => {
+      // Arrange
+      addDataPayload({ count: 5 });
+
+      // Act
+      const result = component.rehydrate();
+
+      // Assert
+      expect(result).toBe(true);
+      expect(component.updates).toHaveBeenCalledWith(
+        { count: 1 },
+        { count: 5 }
+      );
+      expect(component.rehydrate()).toBe(false);
+    });
+  });
 });
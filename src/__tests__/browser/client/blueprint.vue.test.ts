@@ -0,0 +1,69 @@
+/**
+ * @jest-environment jsdom
+ */
+import { vue } from "../../../browser/client/blueprint.vue";
+import type { ViewContext } from "../../../types/component.context";
+import { TextDecoder } from "util";
+import * as Vue from "../../../stubs/vue-client";
+
+jest.mock("../../../stubs/vue-client", () => ({
+  createApp: jest.fn(() => ({ mount: jest.fn() })),
+  h: jest.fn((type, props, children) => ({ type, props, children })),
+}));
+
+// jsdom does not provide TextDecoder, which browsers do
+Object.assign(global, { TextDecoder });
+
+describe("vue", () => {
+  // The context as hydrated from the JSON rendered by the server
+  const context = JSON.parse(
+    JSON.stringify({
+      id: "vue-view",
+      componentName: "component",
+      viewName: "view",
+      data: { count: 1 },
+      components: { header: Buffer.from("<header>Page Header</header>") },
+    })
+  ) as ViewContext;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    document.body.innerHTML = '<div id="vue-view"></div>';
+  });
+
+  it("should hydrate with the props the server rendered with", () => {
+    // Arrange
+    const Component = { name: "VueView" };
+
+    // Act
+    vue.bootstrap(Component, context);
+
+    // Assert
+    expect(Vue.createApp).toHaveBeenCalledWith(
+      Component,
+      expect.objectContaining({
+        data: { count: 1 },
+        helpers: {},
+        header: "<header>Page Header</header>",
+        components: { header: "<header>Page Header</header>" },
+        slots: { header: "<header>Page Header</header>" },
+      })
+    );
+    const app = (Vue.createApp as jest.Mock).mock.results[0].value;
+    expect(app.mount).toHaveBeenCalledWith(document.getElementById("vue-view"));
+  });
+
+  it("should render the HTML of a child component", () => {
+    // Act
+    const node = vue.component("header", context);
+
+    // Assert
+    expect(Vue.h).toHaveBeenCalledWith("div", {
+      innerHTML: "<header>Page Header</header>",
+    });
+    expect(node).toEqual({
+      type: "div",
+      props: { innerHTML: "<header>Page Header</header>" },
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  disconnectCrossWindowEvents,
+  getEventOrigin,
+  propagateChannel,
+  propagateEvent,
+} from "../../../browser/eventing/cross.window";
+import { receiveServerEvent } from "../../../browser/eventing/server.events";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+// Setup mocks
+jest.mock("../../../browser/eventing/server.events");
+
+class MockBroadcastChannel {
+  static instances: MockBroadcastChannel[] = [];
+  public posted: any[] = [];
+  public onmessage?: (message: { data: unknown }) => void;
+  public close = jest.fn();
+
+  constructor(public name: string) {
+    MockBroadcastChannel.instances.push(this);
+  }
+
+  postMessage(message: unknown): void {
+    this.posted.push(message);
+  }
+
+  receive(data: unknown): void {
+    this.onmessage?.({ data });
+  }
+}
+
+describe("cross.window", () => {
+  const latestChannel = () =>
+    MockBroadcastChannel.instances[MockBroadcastChannel.instances.length - 1];
+
+  const messageFrom = (origin: string, id = "other:0") => ({
+    type: CONSTANTS.eventingCrossWindowMessageType,
+    id,
+    event: { channel: "cart", topic: "added", payload: 1, origin },
+  });
+
+  const postFrom = (data: unknown, origin: string) =>
+    window.dispatchEvent(new MessageEvent("message", { data, origin }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MockBroadcastChannel.instances = [];
+    (global as any).BroadcastChannel = MockBroadcastChannel;
+  });
+
+  afterEach(() => {
+    disconnectCrossWindowEvents();
+    delete (global as any).BroadcastChannel;
+  });
+
+  describe("propagateEvent", () => {
+    it("should send events on propagated channels over the BroadcastChannel", () => {
+      // Arrange
+      propagateChannel("cart");
+
+      // Act
+      propagateEvent({
+        channel: "cart",
+        topic: "added",
+        payload: 1,
+        broadcast: true,
+        origin: getEventOrigin(),
+      });
+
+      // Assert
+      expect(latestChannel().name).toBe(CONSTANTS.eventingBroadcastChannelName);
+      expect(latestChannel().posted).toEqual([
+        {
+          type: CONSTANTS.eventingCrossWindowMessageType,
+          id: expect.any(String),
+          event: {
+            channel: "cart",
+            topic: "added",
+            payload: 1,
+            origin: getEventOrigin(),
+          },
+        },
+      ]);
+    });
+
+    it("should not send events on other channels", () => {
+      // Arrange
+      propagateChannel("cart");
+
+      // Act
+      propagateEvent({
+        channel: "news",
+        topic: "posted",
+        payload: 1,
+        origin: getEventOrigin(),
+      });
+
+      // Assert
+      expect(latestChannel().posted).toEqual([]);
+    });
+
+    it("should not send events received from another window", () => {
+      // Arrange
+      propagateChannel("cart");
+
+      // Act
+      propagateEvent(messageFrom("other-window").event);
+
+      // Assert
+      expect(latestChannel().posted).toEqual([]);
+    });
+
+    it("should post events to related windows of each allowed origin", () => {
+      // Arrange
+      const parent = { postMessage: jest.fn() };
+      const parentSpy = jest
+        .spyOn(window, "parent", "get")
+        .mockReturnValue(parent as unknown as Window);
+      propagateChannel("cart", {
+        allowedOrigins: ["https://checkout.example.com"],
+      });
+
+      // Act
+      propagateEvent({
+        channel: "cart",
+        topic: "added",
+        payload: 1,
+        origin: getEventOrigin(),
+      });
+
+      // Assert
+      expect(parent.postMessage).toHaveBeenCalledTimes(1);
+      expect(parent.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ event: expect.any(Object) }),
+        "https://checkout.example.com"
+      );
+      parentSpy.mockRestore();
+    });
+
+    it("should post to same-origin windows when BroadcastChannel is unsupported", () => {
+      // Arrange
+      delete (global as any).BroadcastChannel;
+      const parent = { postMessage: jest.fn() };
+      const parentSpy = jest
+        .spyOn(window, "parent", "get")
+        .mockReturnValue(parent as unknown as Window);
+      propagateChannel("cart");
+
+      // Act
+      propagateEvent({
+        channel: "cart",
+        topic: "added",
+        payload: 1,
+        origin: getEventOrigin(),
+      });
+
+      // Assert
+      expect(parent.postMessage).toHaveBeenCalledWith(
+        expect.any(Object),
+        window.location.origin
+      );
+      parentSpy.mockRestore();
+    });
+  });
+
+  describe("receiving", () => {
+    it("should deliver events on propagated channels to in-page listeners", () => {
+      // Arrange
+      propagateChannel("cart");
+      const message = messageFrom("other-window");
+
+      // Act
+      latestChannel().receive(message);
+
+      // Assert
+      expect(receiveServerEvent).toHaveBeenCalledWith(message.event);
+    });
+
+    it("should ignore channels the window does not propagate", () => {
+      // Arrange
+      const stop = propagateChannel("cart");
+      stop();
+
+      // Act
+      latestChannel().receive(messageFrom("other-window"));
+
+      // Assert
+      expect(receiveServerEvent).not.toHaveBeenCalled();
+    });
+
+    it("should ignore events published in this window", () => {
+      // Arrange
+      propagateChannel("cart");
+
+      // Act
+      latestChannel().receive(messageFrom(getEventOrigin()));
+
+      // Assert
+      expect(receiveServerEvent).not.toHaveBeenCalled();
+    });
+
+    it("should deliver a message received over both transports once", () => {
+      // Arrange
+      propagateChannel("cart");
+      const message = messageFrom("other-window");
+
+      // Act
+      latestChannel().receive(message);
+      postFrom(message, window.location.origin);
+
+      // Assert
+      expect(receiveServerEvent).toHaveBeenCalledTimes(1);
+    });
+
+    it("should only accept posted messages from allowed origins", () => {
+      // Arrange
+      propagateChannel("cart", {
+        allowedOrigins: ["https://checkout.example.com"],
+      });
+
+      // Act
+      postFrom(messageFrom("evil", "evil:0"), "https://evil.example.com");
+      postFrom(
+        messageFrom("checkout", "checkout:0"),
+        "https://checkout.example.com"
+      );
+
+      // Assert
+      expect(receiveServerEvent).toHaveBeenCalledTimes(1);
+      expect(receiveServerEvent).toHaveBeenCalledWith(
+        messageFrom("checkout").event
+      );
+    });
+
+    it("should ignore unrelated messages", () => {
+      // Arrange
+      propagateChannel("cart");
+
+      // Act
+      postFrom({ hello: "world" }, window.location.origin);
+
+      // Assert
+      expect(receiveServerEvent).not.toHaveBeenCalled();
+    });
+  });
+});
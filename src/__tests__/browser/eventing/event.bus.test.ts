@@ -7,10 +7,22 @@ import {
 import type { BlueprintEvent } from "../../../browser/eventing/blueprint.event";
 import type { EventAddress } from "../../../browser/eventing/event.address";
 import { CONSTANTS } from "../../../constants/blueprint.constants";
+import { watchServerChannel } from "../../../browser/eventing/server.events";
+import {
+  broadcastEvent,
+  joinSocketChannel,
+} from "../../../browser/eventing/events.socket";
+import {
+  getEventOrigin,
+  propagateEvent,
+} from "../../../browser/eventing/cross.window";
 
 // Setup mocks
 jest.mock("../../../browser/eventing/event.manager");
 jest.mock("../../../browser/eventing/seralize.address");
+jest.mock("../../../browser/eventing/server.events");
+jest.mock("../../../browser/eventing/events.socket");
+jest.mock("../../../browser/eventing/cross.window");
 
 describe("EventBus", () => {
   // Test fixtures and mocks
@@ -24,6 +36,7 @@ describe("EventBus", () => {
 
     // Setup mock event emitter and sink
     mockEventEmitter = {
+      watchPattern: jest.fn(),
       on: jest.fn(),
       off: jest.fn(),
       emit: jest.fn(),
@@ -32,6 +45,8 @@ describe("EventBus", () => {
     mockEventSink = {
       push: jest.fn(),
       peek: jest.fn(),
+      retain: jest.fn(),
+      replay: jest.fn().mockReturnValue([]),
     };
 
     // Setup mock event manager
@@ -40,6 +55,8 @@ describe("EventBus", () => {
       eventSink: mockEventSink,
     });
 
+    (getEventOrigin as jest.Mock).mockReturnValue("this-window");
+
     // Setup mock serialization
     (serializeAddress as jest.Mock).mockImplementation(
       (address) => `${address.channel}:${address.topic}`
@@ -81,6 +98,63 @@ describe("EventBus", () => {
       expect(result).toBe(event);
     });
 
+    it("should relay broadcast events to other browsers", () => {
+      // Arrange
+      const event: BlueprintEvent<string> = {
+        channel: "test-channel",
+        topic: "test-topic",
+        payload: "test-payload",
+        broadcast: true,
+      };
+
+      // Act
+      eventBus.publish(event);
+
+      // Assert
+      expect(mockEventEmitter.emit).toHaveBeenCalled();
+      expect(broadcastEvent).toHaveBeenCalledWith(event);
+    });
+
+    it("should not relay events without broadcast", () => {
+      // Act
+      eventBus.publish({ channel: "c", topic: "t", payload: null });
+
+      // Assert
+      expect(broadcastEvent).not.toHaveBeenCalled();
+    });
+
+    it("should tag the event with its origin, and propagate it to other windows", () => {
+      // Arrange
+      const event: BlueprintEvent<string> = {
+        channel: "test-channel",
+        topic: "test-topic",
+        payload: "test-payload",
+      };
+
+      // Act
+      eventBus.publish(event);
+
+      // Assert
+      expect(event.origin).toBe("this-window");
+      expect(propagateEvent).toHaveBeenCalledWith(event);
+    });
+
+    it("should keep the origin of events published in another window", () => {
+      // Arrange
+      const event: BlueprintEvent<string> = {
+        channel: "test-channel",
+        topic: "test-topic",
+        payload: "test-payload",
+        origin: "other-window",
+      };
+
+      // Act
+      eventBus.publish(event);
+
+      // Assert
+      expect(event.origin).toBe("other-window");
+    });
+
     it("should throw error if event missing channel or topic", () => {
       // Arrange
       const invalidEvent = {
@@ -94,6 +168,68 @@ describe("EventBus", () => {
     });
   });
 
+  describe("request", () => {
+    const address: EventAddress = { channel: "pricing", topic: "quote" };
+
+    it("should emit the request with a correlation ID and a responder", async () => {
+      // Arrange
+      mockEventEmitter.emit.mockImplementation(
+        (_: string, event: BlueprintEvent<number>, respond: Function) =>
+          respond(event.payload * 2)
+      );
+
+      // Act
+      const response = await eventBus.request<number, number>(address, 21);
+
+      // Assert
+      expect(response).toBe(42);
+      expect(mockEventEmitter.emit).toHaveBeenCalledWith(
+        "pricing:quote",
+        expect.objectContaining({
+          ...address,
+          payload: 21,
+          correlationId: expect.any(String),
+        }),
+        expect.any(Function)
+      );
+      expect(mockEventSink.push).not.toHaveBeenCalled();
+    });
+
+    it("should resolve with the first response only", async () => {
+      // Arrange
+      mockEventEmitter.emit.mockImplementation(
+        (_: string, __: unknown, respond: Function) => {
+          respond("first");
+          respond("second");
+        }
+      );
+
+      // Act & Assert
+      await expect(eventBus.request(address, null)).resolves.toBe("first");
+    });
+
+    it("should give each request a different correlation ID", () => {
+      // Act
+      eventBus.request(address, null, { timeout: 1 }).catch(() => {});
+      eventBus.request(address, null, { timeout: 1 }).catch(() => {});
+
+      // Assert
+      const [first, second] = mockEventEmitter.emit.mock.calls.map(
+        (call: any[]) => call[1].correlationId
+      );
+      expect(first).not.toBe(second);
+    });
+
+    it("should reject when no listener responds within the timeout", async () => {
+      // Act & Assert
+      await expect(
+        eventBus.request(address, null, { timeout: 10 })
+      ).rejects.toThrow(
+        "No response to the request on pricing:quote within 10ms"
+      );
+    });
+  });
+
   describe("toAll", () => {
     it("should publish to global channel with default topic", () => {
       // Mock publish method
@@ -107,6 +243,7 @@ describe("EventBus", () => {
         channel: CONSTANTS.eventingGlobalChannel,
         topic: CONSTANTS.eventingGlobalTopic,
         payload: "test-payload",
+        origin: "this-window",
       });
     });
 
@@ -122,6 +259,7 @@ describe("EventBus", () => {
         channel: CONSTANTS.eventingGlobalChannel,
         topic: "custom-topic",
         payload: "test-payload",
+        origin: "this-window",
       });
     });
   });
@@ -139,6 +277,7 @@ describe("EventBus", () => {
         channel: CONSTANTS.eventingGlobalComponentChannel,
         topic: CONSTANTS.eventingGlobalTopic,
         payload: "test-payload",
+        origin: "this-window",
       });
     });
   });
@@ -156,6 +295,23 @@ describe("EventBus", () => {
         channel: CONSTANTS.eventingGlobalBlueprintChannel,
         topic: CONSTANTS.eventingGlobalTopic,
         payload: "test-payload",
+        origin: "this-window",
+      });
+    });
+  });
+
+  describe("retain", () => {
+    it("should configure retention on the event sink", () => {
+      // Arrange
+      const address: EventAddress = { channel: "cart", topic: "*" };
+
+      // Act
+      eventBus.retain(address, { limit: 50, persist: true });
+
+      // Assert
+      expect(mockEventSink.retain).toHaveBeenCalledWith(address, {
+        limit: 50,
+        persist: true,
       });
     });
   });
@@ -179,6 +335,77 @@ describe("EventBus", () => {
         listener
       );
     });
+
+    it("should receive server events on the channel", () => {
+      // Arrange
+      const address: EventAddress = {
+        channel: "test-channel",
+        topic: "test-topic",
+      };
+
+      // Act
+      eventBus.subscribe(address, jest.fn());
+
+      // Assert
+      expect(watchServerChannel).toHaveBeenCalledWith("test-channel");
+    });
+
+    it("should replay retained events to the new listener", () => {
+      // Arrange
+      const address: EventAddress = { channel: "cart", topic: "updated" };
+      const listener = jest.fn();
+      const retained = [{ ...address, payload: 1 }];
+      mockEventSink.replay.mockReturnValue(retained);
+
+      // Act
+      eventBus.subscribe(address, listener, { replay: "last" });
+
+      // Assert
+      expect(mockEventSink.replay).toHaveBeenCalledWith(address, "last");
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(retained[0]);
+    });
+
+    it("should not replay without the replay option", () => {
+      // Act
+      eventBus.subscribe({ channel: "cart", topic: "updated" }, jest.fn());
+
+      // Assert
+      expect(mockEventSink.replay).not.toHaveBeenCalled();
+    });
+
+    it("should watch wildcard addresses", () => {
+      // Arrange
+      const address: EventAddress = { channel: "cart", topic: "*" };
+
+      // Act
+      eventBus.subscribe(address, jest.fn());
+
+      // Assert
+      expect(mockEventEmitter.watchPattern).toHaveBeenCalledWith(address);
+      expect(watchServerChannel).toHaveBeenCalledWith("cart");
+    });
+
+    it("should not request wildcard channels from the server", () => {
+      // Act
+      eventBus.subscribe({ channel: "cart.*", topic: "added" }, jest.fn());
+
+      // Assert
+      expect(joinSocketChannel).not.toHaveBeenCalled();
+      expect(watchServerChannel).not.toHaveBeenCalled();
+    });
+
+    it("should use the events socket instead of server events when enabled", () => {
+      // Arrange
+      (joinSocketChannel as jest.Mock).mockReturnValueOnce(true);
+
+      // Act
+      eventBus.subscribe({ channel: "test-channel", topic: "t" }, jest.fn());
+
+      // Assert
+      expect(joinSocketChannel).toHaveBeenCalledWith("test-channel");
+      expect(watchServerChannel).not.toHaveBeenCalled();
+    });
   });
 
   describe("unsubscribe", () => {
@@ -222,6 +449,18 @@ describe("EventBus", () => {
   });
 
   describe("events object", () => {
+    it("should provide a request method", async () => {
+      // Arrange
+      mockEventEmitter.emit.mockImplementation(
+        (_: string, __: unknown, respond: Function) => respond("quote")
+      );
+
+      // Act & Assert
+      await expect(
+        events.request({ channel: "pricing", topic: "quote" }, {})
+      ).resolves.toBe("quote");
+    });
+
     it("should provide a publish method that emits and pushes events", () => {
       // Arrange
       const address = {
@@ -239,6 +478,8 @@ describe("EventBus", () => {
       expect(result).toHaveProperty("channel", address.channel);
       expect(result).toHaveProperty("topic", address.topic);
       expect(result).toHaveProperty("payload", payload);
+      expect(result).toHaveProperty("origin", "this-window");
+      expect(propagateEvent).toHaveBeenCalledWith(result);
     });
 
     it("should provide a subscribe method that registers listeners", () => {
@@ -338,56 +579,34 @@ describe("EventBus", () => {
     it("should provide useOnMessageListener that subscribes to global channels", () => {
       // Arrange
       const listener = jest.fn();
+      const key = `${CONSTANTS.eventingGlobalChannelPattern}:${CONSTANTS.eventingGlobalTopic}`;
 
-      // Act - the useOnMessageListener returns a cleanup function, but we'll mock it manually
-      events.useOnMessageListener(listener);
+      // Act
+      const cleanup = events.useOnMessageListener(listener);
 
       // Assert
-      // Should register listener for all three global channels
-      expect(mockEventEmitter.on).toHaveBeenCalledTimes(3);
-      expect(mockEventEmitter.on).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
+      // A single wildcard subscription covers the global, components and blueprints channels
+      expect(mockEventEmitter.watchPattern).toHaveBeenCalledWith({
+        channel: CONSTANTS.eventingGlobalChannelPattern,
+        topic: CONSTANTS.eventingGlobalTopic,
+      });
+      expect(mockEventEmitter.on).toHaveBeenCalledTimes(1);
+      expect(mockEventEmitter.on).toHaveBeenCalledWith(key, listener);
+      expect(watchServerChannel).toHaveBeenCalledWith(
+        CONSTANTS.eventingGlobalChannel
       );
-      expect(mockEventEmitter.on).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalComponentChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
+      expect(watchServerChannel).toHaveBeenCalledWith(
+        CONSTANTS.eventingGlobalComponentChannel
       );
-      expect(mockEventEmitter.on).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalBlueprintChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
+      expect(watchServerChannel).toHaveBeenCalledWith(
+        CONSTANTS.eventingGlobalBlueprintChannel
       );
 
-      // Mock the cleanup function's behavior directly rather than calling it
-      // This avoids the TypeScript error with void return type
-      mockEventEmitter.off.mockClear();
-      mockEventEmitter.off(
-        `${CONSTANTS.eventingGlobalChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
-      mockEventEmitter.off(
-        `${CONSTANTS.eventingGlobalComponentChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
-      mockEventEmitter.off(
-        `${CONSTANTS.eventingGlobalBlueprintChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
+      // Act
+      cleanup();
 
-      // Should deregister listeners from all three channels
-      expect(mockEventEmitter.off).toHaveBeenCalledTimes(3);
-      expect(mockEventEmitter.off).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
-      expect(mockEventEmitter.off).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalComponentChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
-      expect(mockEventEmitter.off).toHaveBeenCalledWith(
-        `${CONSTANTS.eventingGlobalBlueprintChannel}:${CONSTANTS.eventingGlobalTopic}`,
-        listener
-      );
+      // Assert
+      expect(mockEventEmitter.off).toHaveBeenCalledWith(key, listener);
     });
   });
 });
@@ -0,0 +1,222 @@
+import { defineEvents } from "../../../browser/eventing/event.catalog";
+import { events } from "../../../browser/eventing/event.bus";
+import { Validation } from "../../../utils/validation.utils";
+
+// Setup mocks
+jest.mock("../../../browser/eventing/event.bus");
+
+describe("defineEvents", () => {
+  const contracts = {
+    "cart:add": {
+      sku: Validation.string({ required: true }),
+      quantity: Validation.number({ min: 1 }),
+    },
+    "cart:clear": Validation.boolean({ required: true }),
+    "checkout:step": [
+      Validation.number({ required: true }),
+      Validation.number({ max: 3 }),
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should reject event names without a channel and topic", () => {
+    expect(() => defineEvents({ cart: Validation.boolean() })).toThrow(
+      "must be named in the form '<channel>:<topic>'"
+    );
+    expect(() => defineEvents({ ":add": Validation.boolean() })).toThrow();
+  });
+
+  it("should address events by the channel before the first ':'", () => {
+    // Arrange
+    const catalog = defineEvents({ "cart:item:added": Validation.boolean() });
+
+    // Act & Assert
+    expect(catalog.address("cart:item:added")).toEqual({
+      channel: "cart",
+      topic: "item:added",
+    });
+  });
+
+  describe("publish", () => {
+    it("should publish valid payloads to the event's address", () => {
+      // Arrange
+      const catalog = defineEvents(contracts, { validate: true });
+      const payload = { sku: "A-100", quantity: 2 };
+
+      // Act
+      catalog.publish("cart:add", payload, { broadcast: true });
+
+      // Assert
+      expect(events.publish).toHaveBeenCalledWith(
+        { channel: "cart", topic: "add" },
+        payload,
+        { broadcast: true }
+      );
+    });
+
+    it("should throw when the payload breaks the contract", () => {
+      // Arrange
+      const catalog = defineEvents(contracts, { validate: true });
+
+      // Act & Assert
+      expect(() =>
+        catalog.publish("cart:add", { sku: "", quantity: 0 })
+      ).toThrow(
+        "Payload of event 'cart:add' breaks its contract: payload.sku is required, payload.quantity must be at least 1"
+      );
+      expect(() => catalog.publish("checkout:step", 4)).toThrow(
+        "payload must not exceed 3"
+      );
+      expect(events.publish).not.toHaveBeenCalled();
+    });
+
+    it("should type payloads by their contract", () => {
+      // Arrange
+      const catalog = defineEvents(contracts, { validate: false });
+
+      // Act
+      // @ts-expect-error - quantity must be a number
+      catalog.publish("cart:add", { sku: "A-100", quantity: "2" });
+      // @ts-expect-error - the step must be a number
+      catalog.publish("checkout:step", "2");
+
+      // Assert
+      expect(events.publish).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not validate when validation is disabled", () => {
+      // Arrange
+      const catalog = defineEvents(contracts, { validate: false });
+
+      // Act
+      catalog.publish("cart:clear", "yes" as unknown as boolean);
+
+      // Assert
+      expect(events.publish).toHaveBeenCalled();
+    });
+
+    it("should not validate when built for production", () => {
+      // Arrange
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = "production";
+
+      try {
+        const catalog = defineEvents(contracts);
+
+        // Act
+        catalog.publish("cart:clear", "yes" as unknown as boolean);
+
+        // Assert
+        expect(events.publish).toHaveBeenCalled();
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+
+  describe("subscribe", () => {
+    const subscribedListener = () =>
+      (events.subscribe as jest.Mock).mock.calls[0][1];
+
+    it("should deliver valid events, and unsubscribe", () => {
+      // Arrange
+      const catalog = defineEvents(contracts, { validate: true });
+      const listener = jest.fn();
+      const event = { channel: "cart", topic: "clear", payload: true };
+
+      // Act
+      const unsubscribe = catalog.subscribe("cart:clear", listener, {
+        replay: "last",
+      });
+      subscribedListener()(event);
+      unsubscribe();
+
+      // Assert
+      expect(events.subscribe).toHaveBeenCalledWith(
+        { channel: "cart", topic: "clear" },
+        expect.any(Function),
+        { replay: "last" }
+      );
+      expect(listener).toHaveBeenCalledWith(event, undefined);
+      expect(events.unsubscribe).toHaveBeenCalledWith(
+        { channel: "cart", topic: "clear" },
+        subscribedListener()
+      );
+    });
+
+    it("should log, and not deliver, events breaking the contract", () => {
+      // Arrange
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+      const catalog = defineEvents(contracts, { validate: true });
+      const listener = jest.fn();
+      catalog.subscribe("cart:clear", listener);
+
+      // Act
+      subscribedListener()({ channel: "cart", topic: "clear", payload: 1 });
+
+      // Assert
+      expect(listener).not.toHaveBeenCalled();
+      expect(error).toHaveBeenCalledWith(
+        expect.stringContaining("breaks its contract")
+      );
+      error.mockRestore();
+    });
+  });
+
+  it("should validate payloads on request", () => {
+    // Arrange
+    const catalog = defineEvents(contracts);
+
+    // Act & Assert
+    expect(catalog.validate("cart:clear", true).valid).toBe(true);
+    expect(catalog.validate("cart:clear", undefined).errors).toEqual([
+      { path: "payload", message: "payload is required", value: undefined },
+    ]);
+  });
+
+  it("should throw for events not in the catalog", () => {
+    // Arrange
+    const catalog = defineEvents(contracts);
+
+    // Act & Assert
+    expect(() => catalog.peek("cart:remove" as "cart:add")).toThrow(
+      "Event 'cart:remove' is not in the catalog"
+    );
+  });
+
+  it("should export the catalog to JSON", () => {
+    // Arrange
+    const catalog = defineEvents({
+      "cart:add": {
+        sku: Validation.string({ required: true, pattern: /^[A-Z]-\d+$/ }),
+        tags: Validation.array({ maxLength: 5 }),
+      },
+      "cart:clear": Validation.custom(() => null),
+    });
+
+    // Act
+    const json = JSON.parse(JSON.stringify(catalog));
+
+    // Assert
+    expect(json).toEqual({
+      events: {
+        "cart:add": {
+          channel: "cart",
+          topic: "add",
+          payload: {
+            sku: { type: "string", required: true, pattern: "^[A-Z]-\\d+$" },
+            tags: { type: "array", maxLength: 5 },
+          },
+        },
+        "cart:clear": {
+          channel: "cart",
+          topic: "clear",
+          payload: { type: "custom" },
+        },
+      },
+    });
+  });
+});
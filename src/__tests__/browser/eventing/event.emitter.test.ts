@@ -0,0 +1,82 @@
+import { BlueprintEventEmitter } from "../../../browser/eventing/event.emitter";
+
+describe("BlueprintEventEmitter", () => {
+  let emitter: BlueprintEventEmitter;
+  const event = { channel: "cart", topic: "item.added", payload: 1 };
+
+  beforeEach(() => {
+    emitter = new BlueprintEventEmitter();
+  });
+
+  it("should deliver events to exact listeners", () => {
+    // Arrange
+    const listener = jest.fn();
+    emitter.on("cart:item.added", listener);
+
+    // Act
+    const delivered = emitter.emit("cart:item.added", event);
+
+    // Assert
+    expect(delivered).toBe(true);
+    expect(listener).toHaveBeenCalledWith(event);
+  });
+
+  it("should deliver events to listeners of matching patterns", () => {
+    // Arrange
+    const listener = jest.fn();
+    const respond = jest.fn();
+    emitter.watchPattern({ channel: "cart", topic: "*.*" });
+    emitter.on("cart:*.*", listener);
+
+    // Act
+    const delivered = emitter.emit("cart:item.added", event, respond);
+
+    // Assert
+    expect(delivered).toBe(true);
+    expect(listener).toHaveBeenCalledWith(event, respond);
+  });
+
+  it("should not deliver events to listeners of other patterns", () => {
+    // Arrange
+    const listener = jest.fn();
+    emitter.watchPattern({ channel: "wishlist", topic: "**" });
+    emitter.on("wishlist:**", listener);
+
+    // Act
+    const delivered = emitter.emit("cart:item.added", event);
+
+    // Assert
+    expect(delivered).toBe(false);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("should deliver events published to a pattern address only once", () => {
+    // Arrange
+    const listener = jest.fn();
+    const literal = { channel: "cart", topic: "*", payload: null };
+    emitter.watchPattern({ channel: "cart", topic: "*" });
+    emitter.on("cart:*", listener);
+
+    // Act
+    emitter.emit("cart:*", literal);
+
+    // Assert
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("should stop matching a pattern once its listeners are removed", () => {
+    // Arrange
+    const listener = jest.fn();
+    emitter.watchPattern({ channel: "cart", topic: "**" });
+    emitter.on("cart:**", listener);
+    emitter.off("cart:**", listener);
+
+    // Act
+    emitter.emit("cart:item.added", event);
+    emitter.on("cart:**", listener);
+    emitter.emit("cart:item.added", event);
+
+    // Assert
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  isAddressMatch,
+  isAddressPattern,
+  isPatternMatch,
+} from "../../../browser/eventing/event.pattern";
+
+describe("event.pattern", () => {
+  describe("isAddressPattern", () => {
+    it("should detect wildcards in the channel or topic", () => {
+      expect(isAddressPattern({ channel: "cart", topic: "*" })).toBe(true);
+      expect(isAddressPattern({ channel: "cart.*", topic: "added" })).toBe(
+        true
+      );
+      expect(isAddressPattern({ channel: "cart", topic: "added" })).toBe(false);
+    });
+  });
+
+  describe("isPatternMatch", () => {
+    it("should match exact values without wildcards", () => {
+      expect(isPatternMatch("item.added", "item.added")).toBe(true);
+      expect(isPatternMatch("item.added", "item.removed")).toBe(false);
+    });
+
+    it("should match a single segment with '*'", () => {
+      expect(isPatternMatch("item.added", "item.*")).toBe(true);
+      expect(isPatternMatch("item.added.twice", "item.*")).toBe(false);
+      expect(isPatternMatch("anything", "*")).toBe(true);
+    });
+
+    it("should match across segments with '**'", () => {
+      expect(isPatternMatch("item.added", "item.**")).toBe(true);
+      expect(isPatternMatch("item.added.twice", "item.**")).toBe(true);
+      expect(isPatternMatch("other.added", "item.**")).toBe(false);
+    });
+
+    it("should match wildcards within a segment", () => {
+      expect(isPatternMatch("cart-updated", "cart-*")).toBe(true);
+      expect(isPatternMatch("assemblejs:global:events", "assemblejs:*")).toBe(
+        true
+      );
+    });
+
+    it("should treat other regular expression characters literally", () => {
+      expect(isPatternMatch("a+b.c", "a+b.*")).toBe(true);
+      expect(isPatternMatch("aab.c", "a+b.*")).toBe(false);
+    });
+  });
+
+  describe("isAddressMatch", () => {
+    it("should require both the channel and topic to match", () => {
+      // Arrange
+      const pattern = { channel: "cart", topic: "item.*" };
+
+      // Act & Assert
+      expect(
+        isAddressMatch({ channel: "cart", topic: "item.added" }, pattern)
+      ).toBe(true);
+      expect(
+        isAddressMatch({ channel: "wishlist", topic: "item.added" }, pattern)
+      ).toBe(false);
+    });
+  });
+});
@@ -1,6 +1,10 @@
+/**
+ * @jest-environment jsdom
+ */
 import { EventQueue } from "../../../browser/eventing/event.queue";
 import { EventSink } from "../../../browser/eventing/event.sink";
 import { serializeAddress } from "../../../browser/eventing/seralize.address";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
 
 // Mock the EventQueue class
 jest.mock("../../../browser/eventing/event.queue");
@@ -111,6 +115,59 @@ describe("EventSink", () => {
       expect(mockEventQueue.peek).toHaveBeenCalled();
       expect(result).toBeUndefined();
     });
+
+    it("should peek the matching queue most recently published to", () => {
+      // Arrange
+      eventSink.push({ channel: "cart", topic: "added", payload: 1 });
+      eventSink.push({ channel: "cart", topic: "removed", payload: 2 });
+      jest
+        .spyOn(eventSink, "getKeyMappedQueue")
+        .mockReturnValue(mockEventQueue);
+
+      // Act
+      eventSink.peek({ channel: "cart", topic: "*" });
+
+      // Assert
+      expect(eventSink.getKeyMappedQueue).toHaveBeenCalledWith({
+        channel: "cart",
+        topic: "removed",
+      });
+    });
+  });
+
+  describe("getMatchingAddresses", () => {
+    it("should return matching addresses, most recently published first", () => {
+      // Arrange
+      eventSink.push({ channel: "cart", topic: "added", payload: 1 });
+      eventSink.push({ channel: "wishlist", topic: "added", payload: 2 });
+      eventSink.push({ channel: "cart", topic: "removed", payload: 3 });
+      eventSink.push({ channel: "cart", topic: "added", payload: 4 });
+
+      // Act
+      const result = eventSink.getMatchingAddresses({
+        channel: "cart",
+        topic: "*",
+      });
+
+      // Assert
+      expect(result).toEqual([
+        { channel: "cart", topic: "added" },
+        { channel: "cart", topic: "removed" },
+      ]);
+    });
+
+    it("should return an exact address only when it has queued events", () => {
+      // Arrange
+      eventSink.push({ channel: "cart", topic: "added", payload: 1 });
+
+      // Act & Assert
+      expect(
+        eventSink.getMatchingAddresses({ channel: "cart", topic: "added" })
+      ).toEqual([{ channel: "cart", topic: "added" }]);
+      expect(
+        eventSink.getMatchingAddresses({ channel: "cart", topic: "removed" })
+      ).toEqual([]);
+    });
   });
 
   describe("push", () => {
@@ -165,4 +222,132 @@ describe("EventSink", () => {
       expect(mockEventQueue.enqueue).toHaveBeenCalledWith(event.payload);
     });
   });
+
+  describe("retention and replay", () => {
+    const { EventQueue: ActualEventQueue } = jest.requireActual(
+      "../../../browser/eventing/event.queue"
+    );
+
+    beforeEach(() => {
+      sessionStorage.clear();
+      (EventQueue as jest.Mock).mockImplementation(
+        (limit?: number) => new ActualEventQueue(limit)
+      );
+      eventSink = new EventSink();
+    });
+
+    const publishCart = (...topics: string[]) =>
+      topics.forEach((topic, payload) =>
+        eventSink.push({ channel: "cart", topic, payload })
+      );
+
+    it("should retain the configured number of events for matching addresses", () => {
+      // Arrange
+      eventSink.retain({ channel: "cart", topic: "*" }, { limit: 2 });
+
+      // Act
+      publishCart("added", "added", "added");
+
+      // Assert
+      expect(
+        eventSink.getKeyMappedQueue({ channel: "cart", topic: "added" })
+          .queueStore
+      ).toEqual([1, 2]);
+    });
+
+    it("should trim queues already holding events to a new limit", () => {
+      // Arrange
+      publishCart("added", "added", "added");
+
+      // Act
+      eventSink.retain({ channel: "cart", topic: "added" }, { limit: 1 });
+
+      // Assert
+      expect(
+        eventSink.getKeyMappedQueue({ channel: "cart", topic: "added" })
+          .queueStore
+      ).toEqual([2]);
+    });
+
+    it("should replay the newest events of each matching address, oldest first", () => {
+      // Arrange
+      publishCart("added", "removed", "added", "cleared");
+      const address = { channel: "cart", topic: "*" };
+
+      // Act & Assert
+      expect(
+        eventSink.replay({ channel: "cart", topic: "added" }, "last")
+      ).toEqual([{ channel: "cart", topic: "added", payload: 2 }]);
+      expect(eventSink.replay(address, "all")).toEqual([
+        { channel: "cart", topic: "removed", payload: 1 },
+        { channel: "cart", topic: "added", payload: 0 },
+        { channel: "cart", topic: "added", payload: 2 },
+        { channel: "cart", topic: "cleared", payload: 3 },
+      ]);
+      expect(eventSink.replay(address, 1)).toEqual([
+        { channel: "cart", topic: "removed", payload: 1 },
+        { channel: "cart", topic: "added", payload: 2 },
+        { channel: "cart", topic: "cleared", payload: 3 },
+      ]);
+      expect(eventSink.replay(address, 0)).toEqual([]);
+    });
+
+    it("should restore persisted events in a new page", () => {
+      // Arrange
+      eventSink.retain({ channel: "cart", topic: "*" }, { persist: true });
+      publishCart("added", "removed");
+      eventSink.push({ channel: "news", topic: "posted", payload: "not kept" });
+
+      // Act
+      const nextPage = new EventSink();
+
+      // Assert
+      expect(nextPage.replay({ channel: "cart", topic: "*" }, "all")).toEqual([
+        { channel: "cart", topic: "added", payload: 0 },
+        { channel: "cart", topic: "removed", payload: 1 },
+      ]);
+      expect(
+        nextPage.peek({ channel: "news", topic: "posted" })
+      ).toBeUndefined();
+    });
+
+    it("should persist events already retained when persistence is enabled", () => {
+      // Arrange
+      publishCart("added");
+
+      // Act
+      eventSink.retain({ channel: "cart", topic: "added" }, { persist: true });
+
+      // Assert
+      expect(
+        JSON.parse(
+          sessionStorage.getItem(CONSTANTS.eventingSessionStorageKey) as string
+        )
+      ).toEqual([
+        {
+          address: { channel: "cart", topic: "added" },
+          limit: CONSTANTS.eventingQueueLength,
+          payloads: [0],
+        },
+      ]);
+    });
+
+    it("should warn, and keep events in memory, when they can not be persisted", () => {
+      // Arrange
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      eventSink.retain({ channel: "cart", topic: "*" }, { persist: true });
+      const circular: any = {};
+      circular.self = circular;
+
+      // Act
+      eventSink.push({ channel: "cart", topic: "added", payload: circular });
+
+      // Assert
+      expect(warn).toHaveBeenCalled();
+      expect(eventSink.peek({ channel: "cart", topic: "added" })).toBe(
+        circular
+      );
+      warn.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,205 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  broadcastEvent,
+  disconnectEventsSocket,
+  getChannelPresence,
+  getEventsSocketUrl,
+  joinSocketChannel,
+} from "../../../browser/eventing/events.socket";
+import { receiveServerEvent } from "../../../browser/eventing/server.events";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+// Setup mocks
+jest.mock("../../../browser/eventing/server.events");
+
+class MockWebSocket {
+  static readonly OPEN = 1;
+  static instances: MockWebSocket[] = [];
+  public readyState = 0;
+  public sent: any[] = [];
+  public onopen?: () => void;
+  public onmessage?: (message: { data: string }) => void;
+  public onclose?: () => void;
+  public close = jest.fn();
+
+  constructor(public url: string) {
+    MockWebSocket.instances.push(this);
+  }
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+  }
+
+  open(): void {
+    this.readyState = MockWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(message: object): void {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+}
+
+describe("events.socket", () => {
+  const latestSocket = () =>
+    MockWebSocket.instances[MockWebSocket.instances.length - 1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    disconnectEventsSocket();
+    MockWebSocket.instances = [];
+    (global as any).WebSocket = MockWebSocket;
+    document.body.innerHTML = `<script ${CONSTANTS.eventsSocketAttribute}="${CONSTANTS.eventsSocketPath}"></script>`;
+  });
+
+  afterEach(() => {
+    disconnectEventsSocket();
+    delete (global as any).WebSocket;
+  });
+
+  describe("getEventsSocketUrl", () => {
+    it("should resolve the path against the page, with a WebSocket protocol", () => {
+      expect(getEventsSocketUrl()).toBe(
+        `ws://localhost${CONSTANTS.eventsSocketPath}`
+      );
+    });
+
+    it("should return undefined when the events socket is not enabled", () => {
+      // Arrange
+      document.body.innerHTML = "";
+
+      // Act & Assert
+      expect(getEventsSocketUrl()).toBeUndefined();
+    });
+  });
+
+  describe("joinSocketChannel", () => {
+    it("should return false when the events socket is not enabled", () => {
+      // Arrange
+      document.body.innerHTML = "";
+
+      // Act & Assert
+      expect(joinSocketChannel("news")).toBe(false);
+      expect(MockWebSocket.instances).toHaveLength(0);
+    });
+
+    it("should join every channel once connected", () => {
+      // Act
+      expect(joinSocketChannel("news")).toBe(true);
+      joinSocketChannel("prices");
+      latestSocket().open();
+
+      // Assert
+      expect(MockWebSocket.instances).toHaveLength(1);
+      expect(latestSocket().sent).toEqual([
+        { type: "join", channel: "news" },
+        { type: "join", channel: "prices" },
+      ]);
+    });
+
+    it("should join immediately when already connected", () => {
+      // Arrange
+      joinSocketChannel("news");
+      latestSocket().open();
+
+      // Act
+      joinSocketChannel("prices");
+      joinSocketChannel("prices");
+
+      // Assert
+      expect(latestSocket().sent).toEqual([
+        { type: "join", channel: "news" },
+        { type: "join", channel: "prices" },
+      ]);
+    });
+  });
+
+  describe("broadcastEvent", () => {
+    it("should join the channel before relaying the event", () => {
+      // Act
+      broadcastEvent({
+        channel: "news",
+        topic: "posted",
+        payload: 1,
+        broadcast: true,
+      });
+      latestSocket().open();
+
+      // Assert
+      expect(latestSocket().sent).toEqual([
+        { type: "join", channel: "news" },
+        {
+          type: "event",
+          event: { channel: "news", topic: "posted", payload: 1 },
+        },
+      ]);
+    });
+
+    it("should warn when the events socket is not enabled", () => {
+      // Arrange
+      document.body.innerHTML = "";
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      // Act
+      broadcastEvent({ channel: "news", topic: "posted", payload: 1 });
+
+      // Assert
+      expect(warn).toHaveBeenCalled();
+      expect(MockWebSocket.instances).toHaveLength(0);
+      warn.mockRestore();
+    });
+  });
+
+  describe("receiving", () => {
+    beforeEach(() => {
+      joinSocketChannel("news");
+      latestSocket().open();
+    });
+
+    it("should deliver events to in-page listeners", () => {
+      // Arrange
+      const event = { channel: "news", topic: "posted", payload: "hi" };
+
+      // Act
+      latestSocket().receive({ type: "event", event });
+
+      // Assert
+      expect(receiveServerEvent).toHaveBeenCalledWith(event);
+    });
+
+    it("should track presence, and publish it on the presence topic", () => {
+      // Act
+      latestSocket().receive({ type: "presence", channel: "news", count: 3 });
+
+      // Assert
+      expect(getChannelPresence("news")).toBe(3);
+      expect(receiveServerEvent).toHaveBeenCalledWith({
+        channel: "news",
+        topic: CONSTANTS.eventingPresenceTopic,
+        payload: 3,
+      });
+    });
+
+    it("should reconnect after the connection closes, and re-join channels", () => {
+      // Arrange
+      const setTimeoutSpy = jest
+        .spyOn(global, "setTimeout")
+        .mockImplementation((callback: any) => {
+          callback();
+          return 0 as any;
+        });
+
+      // Act
+      latestSocket().onclose?.();
+      latestSocket().open();
+
+      // Assert
+      expect(MockWebSocket.instances).toHaveLength(2);
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 1000);
+      expect(latestSocket().sent).toEqual([{ type: "join", channel: "news" }]);
+      setTimeoutSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  disconnectServerEvents,
+  getServerEventsUrl,
+  receiveServerEvent,
+  watchServerChannel,
+} from "../../../browser/eventing/server.events";
+import { getEventManager } from "../../../browser/eventing/event.manager";
+import { serializeEventAddress } from "../../../browser/eventing/seralize.address";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+
+// Setup mocks
+jest.mock("../../../browser/eventing/event.manager");
+jest.mock("../../../browser/eventing/seralize.address");
+
+class MockEventSource {
+  static instances: MockEventSource[] = [];
+  public onmessage?: (message: { data: string }) => void;
+  public listeners: Record<string, (message: { data: string }) => void> = {};
+  public close = jest.fn();
+
+  constructor(public url: string, public init: EventSourceInit) {
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(
+    event: string,
+    listener: (message: { data: string }) => void
+  ): void {
+    this.listeners[event] = listener;
+  }
+}
+
+describe("server.events", () => {
+  let mockEventEmitter: any;
+  let mockEventSink: any;
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    disconnectServerEvents();
+    MockEventSource.instances = [];
+    (global as any).EventSource = MockEventSource;
+    document.body.innerHTML = `<script ${CONSTANTS.serverEventsAttribute}="${CONSTANTS.serverEventsPath}"></script>`;
+
+    mockEventEmitter = { emit: jest.fn() };
+    mockEventSink = { push: jest.fn() };
+    (getEventManager as jest.Mock).mockReturnValue({
+      eventEmitter: mockEventEmitter,
+      eventSink: mockEventSink,
+    });
+    (serializeEventAddress as jest.Mock).mockImplementation(
+      (event) => `${event.channel}:${event.topic}`
+    );
+  });
+
+  afterEach(() => {
+    delete (global as any).EventSource;
+  });
+
+  describe("getServerEventsUrl", () => {
+    it("should read the endpoint from the client bundle script", () => {
+      expect(getServerEventsUrl()).toBe(CONSTANTS.serverEventsPath);
+    });
+
+    it("should return undefined when server events are not enabled", () => {
+      // Arrange
+      document.body.innerHTML = `<script src="/bundle.js"></script>`;
+
+      // Act & Assert
+      expect(getServerEventsUrl()).toBeUndefined();
+    });
+  });
+
+  describe("receiveServerEvent", () => {
+    it("should emit the event and push it to the sink", () => {
+      // Arrange
+      const event = { channel: "news", topic: "posted", payload: { id: 1 } };
+
+      // Act
+      receiveServerEvent(event);
+
+      // Assert
+      expect(mockEventEmitter.emit).toHaveBeenCalledWith("news:posted", event);
+      expect(mockEventSink.push).toHaveBeenCalledWith(event);
+    });
+  });
+
+  describe("watchServerChannel", () => {
+    it("should connect once for every channel watched in the same tick", async () => {
+      // Act
+      watchServerChannel("news");
+      watchServerChannel("prices");
+      watchServerChannel("news");
+      await flush();
+
+      // Assert
+      expect(MockEventSource.instances).toHaveLength(1);
+      expect(MockEventSource.instances[0].url).toBe(
+        `${CONSTANTS.serverEventsPath}?channel=news&channel=prices`
+      );
+      expect(MockEventSource.instances[0].init).toEqual({
+        withCredentials: true,
+      });
+    });
+
+    it("should replace the connection when a new channel is watched", async () => {
+      // Arrange
+      watchServerChannel("news");
+      await flush();
+
+      // Act
+      watchServerChannel("prices");
+      await flush();
+
+      // Assert
+      expect(MockEventSource.instances).toHaveLength(2);
+      expect(MockEventSource.instances[0].close).toHaveBeenCalled();
+      expect(MockEventSource.instances[1].url).toContain("channel=prices");
+    });
+
+    it("should deliver messages to in-page listeners", async () => {
+      // Arrange
+      const event = { channel: "news", topic: "posted", payload: "hello" };
+      watchServerChannel("news");
+      await flush();
+
+      // Act
+      MockEventSource.instances[0].onmessage?.({ data: JSON.stringify(event) });
+
+      // Assert
+      expect(mockEventEmitter.emit).toHaveBeenCalledWith("news:posted", event);
+    });
+
+    it("should warn about denied channels", async () => {
+      // Arrange
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      watchServerChannel("private");
+      await flush();
+
+      // Act
+      MockEventSource.instances[0].listeners.denied({
+        data: JSON.stringify(["private"]),
+      });
+
+      // Assert
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it("should do nothing when server events are not enabled", async () => {
+      // Arrange
+      document.body.innerHTML = "";
+
+      // Act
+      watchServerChannel("news");
+      await flush();
+
+      // Assert
+      expect(MockEventSource.instances).toHaveLength(0);
+    });
+  });
+});
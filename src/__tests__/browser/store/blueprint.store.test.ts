@@ -0,0 +1,271 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  createStore,
+  getStore,
+  getStoreManager,
+} from "../../../browser/store/blueprint.store";
+import { svelte } from "../../../browser/client/blueprint.svelte";
+import { react } from "../../../browser/client/blueprint.react";
+import { vue } from "../../../browser/client/blueprint.vue";
+import { webcomponent } from "../../../browser/client/blueprint.webcomponent";
+
+describe("blueprint.store", () => {
+  beforeEach(() => {
+    getStoreManager().stores.clear();
+  });
+
+  describe("createStore", () => {
+    it("should register the store on the window", () => {
+      // Act
+      const store = createStore("cart", { items: [] });
+
+      // Assert
+      expect(window.ASSEMBLE_STORE_MANAGER.stores.get("cart")).toBe(store);
+      expect(getStore("cart")).toBe(store);
+    });
+
+    it("should share an existing store, ignoring the initial state", () => {
+      // Arrange
+      const first = createStore("cart", { count: 1 });
+
+      // Act
+      const second = createStore("cart", { count: 2 });
+
+      // Assert
+      expect(second).toBe(first);
+      expect(second.get()).toEqual({ count: 1 });
+    });
+
+    it("should return undefined for stores that have not been created", () => {
+      expect(getStore("missing")).toBeUndefined();
+    });
+  });
+
+  describe("update", () => {
+    it("should merge properties into object state", () => {
+      // Arrange
+      const store = createStore("user", { name: "Ada", admin: false });
+
+      // Act
+      const result = store.update({ admin: true });
+
+      // Assert
+      expect(result).toEqual({ name: "Ada", admin: true });
+      expect(store.select((state) => state.admin)).toBe(true);
+    });
+
+    it("should replace the state with the result of an update function", () => {
+      // Arrange
+      const store = createStore("count", 1);
+
+      // Act
+      store.update((count) => count + 1);
+
+      // Assert
+      expect(store.get()).toBe(2);
+    });
+
+    it("should replace state which is not a plain object", () => {
+      // Arrange
+      const store = createStore<string[]>("tags", ["a"]);
+
+      // Act
+      store.update(["b"]);
+
+      // Assert
+      expect(store.get()).toEqual(["b"]);
+    });
+  });
+
+  describe("subscribe", () => {
+    it("should notify listeners of changes, until they unsubscribe", () => {
+      // Arrange
+      const store = createStore("count", 1);
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      // Act
+      store.update(2);
+      store.update(2);
+      unsubscribe();
+      store.update(3);
+
+      // Assert
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(2, 1);
+    });
+
+    it("should only notify when the selected value changes", () => {
+      // Arrange
+      const store = createStore("cart", { items: ["a"], open: false });
+      const listener = jest.fn();
+      store.subscribe(listener, (state) => state.items.length);
+
+      // Act
+      store.update({ open: true });
+      store.update((state) => ({ ...state, items: [...state.items, "b"] }));
+
+      // Assert
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(2, 1);
+    });
+
+    it("should notify every listener when one fails", () => {
+      // Arrange
+      const error = jest.spyOn(console, "error").mockImplementation(() => {});
+      const store = createStore("count", 1);
+      const listener = jest.fn();
+      store.subscribe(() => {
+        throw new Error("failed");
+      });
+      store.subscribe(listener);
+
+      // Act
+      store.update(2);
+
+      // Assert
+      expect(listener).toHaveBeenCalled();
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+
+  describe("seed", () => {
+    it("should set the server rendered state", () => {
+      // Arrange
+      const store = createStore("cart", { count: 0 });
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      // Act
+      store.seed({ count: 3 });
+
+      // Assert
+      expect(store.get()).toEqual({ count: 3 });
+      expect(listener).toHaveBeenCalledWith({ count: 3 }, { count: 0 });
+    });
+
+    it("should not undo changes made in the browser", () => {
+      // Arrange
+      const store = createStore("cart", { count: 0 });
+      store.update({ count: 5 });
+
+      // Act
+      store.seed({ count: 3 });
+
+      // Assert
+      expect(store.get()).toEqual({ count: 5 });
+    });
+  });
+
+  describe("bindings", () => {
+    it("should provide Svelte stores, which call subscribers with the current value", () => {
+      // Arrange
+      const store = createStore("cart", { items: ["a"] });
+      const run = jest.fn();
+
+      // Act
+      const unsubscribe = svelte
+        .readable(store, (state) => state.items.length)
+        .subscribe(run);
+      store.update({ items: ["a", "b"] });
+      unsubscribe();
+      store.update({ items: [] });
+
+      // Assert
+      expect(run.mock.calls).toEqual([[1], [2, 1]]);
+    });
+
+    it("should subscribe through React's useSyncExternalStore", () => {
+      // Arrange
+      const store = createStore("cart", { count: 1 });
+      let subscribe: (onChange: () => void) => () => void = () => () => {};
+      let getSnapshot: () => unknown = () => undefined;
+      const hooks = {
+        useState: jest.fn(),
+        useEffect: jest.fn(),
+        useSyncExternalStore: jest.fn((sub, snapshot) => {
+          subscribe = sub;
+          getSnapshot = snapshot;
+          return snapshot();
+        }),
+      };
+      const onChange = jest.fn();
+
+      // Act
+      const value = react.useStore(hooks, store, (state) => state.count);
+      const unsubscribe = subscribe(onChange);
+      store.update({ count: 2 });
+      unsubscribe();
+      store.update({ count: 3 });
+
+      // Assert
+      expect(value).toBe(1);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(getSnapshot()).toBe(3);
+      expect(hooks.useState).not.toHaveBeenCalled();
+    });
+
+    it("should subscribe in an effect with React versions before useSyncExternalStore", () => {
+      // Arrange
+      const store = createStore("cart", { count: 1 });
+      const values: number[] = [];
+      const setValue = (update: () => number) => values.push(update());
+      let effect: () => void | (() => void) = () => undefined;
+      const hooks = {
+        useState: jest.fn((initial) => [initial(), setValue]),
+        useEffect: jest.fn((run) => (effect = run)),
+      } as any;
+
+      // Act
+      const value = react.useStore(hooks, store, (state) => state.count);
+      const cleanup = effect();
+      store.update({ count: 2 });
+      (cleanup as () => void)();
+      store.update({ count: 3 });
+
+      // Assert
+      expect(value).toBe(1);
+      expect(values).toEqual([1, 2]);
+    });
+
+    it("should keep a Vue ref in step with the store, until unmounted", () => {
+      // Arrange
+      const store = createStore("cart", { count: 1 });
+      let unmount: () => void = () => undefined;
+      const api = {
+        ref: <T>(value: T) => ({ value }),
+        onUnmounted: (hook: () => void) => (unmount = hook),
+      };
+
+      // Act
+      const count = vue.useStore(api, store, (state) => state.count);
+      store.update({ count: 2 });
+      unmount();
+      store.update({ count: 3 });
+
+      // Assert
+      expect(count.value).toBe(2);
+    });
+
+    it("should keep a Web Component's state in step with the store", () => {
+      // Arrange
+      const store = createStore("cart", { count: 1 });
+      const element = { setState: jest.fn() } as unknown as HTMLElement;
+
+      // Act
+      const disconnect = webcomponent.connectStore(element, store);
+      store.update({ count: 2 });
+      disconnect();
+      store.update({ count: 3 });
+
+      // Assert
+      expect((element as any).setState.mock.calls).toEqual([
+        [{ cart: { count: 1 } }],
+        [{ cart: { count: 2 } }],
+      ]);
+    });
+  });
+});
@@ -3,6 +3,7 @@
  */
 import { ComponentController } from "../../../server/abstract/component.controller";
 import { ASSEMBLEJS } from "../../../server/config/blueprint.config";
+import { getRequestScopeId } from "../../../server/app/request-scope";
 
 jest.mock("../../../server/config/blueprint.config", () => ({
   ASSEMBLEJS: {
@@ -10,9 +11,22 @@ jest.mock("../../../server/config/blueprint.config", () => ({
     blueprintIdHeader: "x-assemblejs-blueprint-id",
     componentIdHeader: "x-assemblejs-component-id",
     nestLevelHeader: "x-assemblejs-nest-level",
+    requestScopeHeader: "x-assemblejs-request-scope",
+    cacheTagsHeader: "x-assemblejs-cache-tags",
+    errorBoundaryHeader: "x-assemblejs-error-boundary",
+    fallbackHeader: "x-assemblejs-fallback",
+    lastKnownGoodVaryHeaders: ["authorization", "cookie"],
   },
 }));
 
+jest.mock("../../../server/app/request-scope", () => ({
+  getRequestScopeId: jest.fn(),
+}));
+
+jest.mock("../../../server/app/graph/component.graph", () => ({
+  getMaxNestLevel: jest.fn().mockReturnValue(3),
+}));
+
 // Create a testable implementation of the abstract class
 class TestComponentController extends ComponentController {
   register(
@@ -39,6 +53,44 @@ class TestComponentController extends ComponentController {
     // Use any to bypass the type error
     return this.injectDevelopmentItems(context, component, view);
   }
+
+  public testBuildComponentContext(view: any, component: any, request: any) {
+    return this.buildComponentContext(
+      view,
+      {} as any,
+      {} as any,
+      component,
+      request,
+      {} as any
+    );
+  }
+
+  public testBuildChildRequestParams(request: any) {
+    return this.buildChildRequestParams(request);
+  }
+
+  public testFetchChildComponent(
+    app: any,
+    userOpts: any,
+    component: any,
+    view: any,
+    child: any,
+    deadline?: number,
+    fallbacks?: Set<string>,
+    params = { headers: {}, query: {} }
+  ): Promise<Buffer> {
+    return this.fetchChildComponent(
+      app,
+      userOpts,
+      component,
+      view,
+      child,
+      params,
+      undefined,
+      deadline,
+      fallbacks
+    );
+  }
 }
 
 describe("ComponentController", () => {
@@ -231,4 +283,321 @@ describe("ComponentController", () => {
       expect((mockContext as any).__injectDevPanel).toBe(true);
     });
   });
+
+  describe("buildComponentContext", () => {
+    it("should refuse requests nested deeper than the max nest level", async () => {
+      // Arrange
+      const request = {
+        headers: {
+          [ASSEMBLEJS.blueprintIdHeader]: "blueprint-id",
+          [ASSEMBLEJS.nestLevelHeader]: "4",
+        },
+      };
+
+      // Act & Assert
+      await expect(
+        componentController.testBuildComponentContext(
+          { viewName: "main" },
+          { path: "layout" },
+          request
+        )
+      ).rejects.toMatchObject({
+        statusCode: 508,
+        message: expect.stringContaining(
+          "layout|main: nested 4 levels deep, deeper than the max nest level of 3"
+        ),
+      });
+    });
+  });
+
+  describe("buildChildRequestParams", () => {
+    const request = {
+      headers: { "user-agent": "jest", host: "localhost" },
+      query: { page: "1" },
+    };
+
+    it("should share the request scope with child components", () => {
+      // Arrange
+      (getRequestScopeId as jest.Mock).mockReturnValue("scope-id");
+
+      // Act
+      const params = componentController.testBuildChildRequestParams(request);
+
+      // Assert
+      expect(params.headers[ASSEMBLEJS.requestScopeHeader]).toBe("scope-id");
+      expect(params.headers[ASSEMBLEJS.nestLevelHeader]).toBe(1);
+      expect(params.query).toEqual({ page: "1" });
+    });
+
+    it("should omit the request scope when there is none", () => {
+      // Arrange
+      (getRequestScopeId as jest.Mock).mockReturnValue(undefined);
+
+      // Act
+      const params = componentController.testBuildChildRequestParams(request);
+
+      // Assert
+      expect(params.headers).not.toHaveProperty(ASSEMBLEJS.requestScopeHeader);
+    });
+  });
+
+  describe("fetchChildComponent", () => {
+    const component = { path: "parent" };
+    const child = { name: "cart", contentUrl: "/cart/summary/" };
+    let response: any;
+    let chain: any;
+    let app: any;
+
+    beforeEach(() => {
+      response = {
+        statusCode: 200,
+        headers: {},
+        body: "<p>Cart</p>",
+        rawPayload: Buffer.from("<p>Cart</p>"),
+      };
+      chain = {
+        headers: jest.fn().mockReturnThis(),
+        query: jest.fn().mockReturnThis(),
+        get: jest.fn(() => Promise.resolve(response)),
+      };
+      app = { inject: jest.fn(() => chain) };
+    });
+
+    it("should render the fallback of a child which fails to load", async () => {
+      // Arrange
+      response.statusCode = 500;
+      const onViewError = jest.fn();
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        { onViewError },
+        component,
+        { viewName: "page", errorTemplate: "<p>View error</p>" },
+        { ...child, fallback: () => "<p>Cart unavailable</p>" }
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart unavailable</p>");
+      expect(onViewError).toHaveBeenCalledWith(
+        expect.any(Error),
+        expect.objectContaining({
+          phase: "component",
+          componentName: "parent",
+          viewName: "page",
+          child: "cart",
+          statusCode: 500,
+        })
+      );
+    });
+
+    it("should fall back to the errorTemplate of the view", async () => {
+      // Arrange
+      response.statusCode = 404;
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        {},
+        component,
+        { viewName: "page", errorTemplate: "<p>View error</p>" },
+        child
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>View error</p>");
+    });
+
+    it("should keep the error template a child rendered behind its own boundary", async () => {
+      // Arrange
+      response.statusCode = 503;
+      response.headers = { "x-assemblejs-error-boundary": "true" };
+      response.rawPayload = Buffer.from("<p>Cart is resting</p>");
+      const onViewError = jest.fn();
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        { onViewError },
+        component,
+        { viewName: "page", errorTemplate: "<p>View error</p>" },
+        child
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart is resting</p>");
+      expect(onViewError).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ["loads", 200, {}, false],
+      ["fails to load", 500, {}, true],
+      [
+        "renders its own error template",
+        503,
+        { "x-assemblejs-error-boundary": "true" },
+        true,
+      ],
+      [
+        "was rendered with fallback content of its own",
+        200,
+        { "x-assemblejs-fallback": "true" },
+        true,
+      ],
+    ])(
+      "should collect a child which %s as resolved with fallback content",
+      async (_, statusCode, headers, expected) => {
+        // Arrange
+        response.statusCode = statusCode;
+        response.headers = headers;
+        const fallbacks = new Set<string>();
+
+        // Act
+        await componentController.testFetchChildComponent(
+          app,
+          {},
+          component,
+          { viewName: "page", errorTemplate: "<p>View error</p>" },
+          child,
+          undefined,
+          fallbacks
+        );
+
+        // Assert
+        expect(fallbacks.has("cart")).toBe(expected);
+      }
+    );
+
+    it("should retry a child which fails to load", async () => {
+      // Arrange
+      chain.get
+        .mockResolvedValueOnce({ ...response, statusCode: 503 })
+        .mockResolvedValueOnce(response);
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        {},
+        component,
+        { viewName: "page" },
+        { ...child, retry: { retries: 1, backoff: 1 } }
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart</p>");
+      expect(chain.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should serve the last known good content of a child which fails to load", async () => {
+      // Arrange
+      const store = new Map<string, string>();
+      app.caches = {
+        childComponent: {
+          get: jest.fn(async (key: string) => store.get(key)),
+          set: jest.fn(async (key: string, value: string) => {
+            store.set(key, value);
+          }),
+        },
+      };
+      const lastKnownGoodChild = { ...child, lastKnownGood: 60000 };
+      const view = { viewName: "page", errorTemplate: "<p>View error</p>" };
+      const onViewError = jest.fn();
+      await componentController.testFetchChildComponent(
+        app,
+        { onViewError },
+        component,
+        view,
+        lastKnownGoodChild
+      );
+      response.statusCode = 500;
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        { onViewError },
+        component,
+        view,
+        lastKnownGoodChild
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart</p>");
+      expect(app.caches.childComponent.set).toHaveBeenCalledTimes(1);
+      expect(app.caches.childComponent.set).toHaveBeenCalledWith(
+        expect.any(String),
+        "<p>Cart</p>",
+        { maxAge: 60000 }
+      );
+      expect(onViewError).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep the last known good content of a child per forwarded credentials", async () => {
+      // Arrange
+      app.caches = {
+        childComponent: { get: jest.fn(), set: jest.fn(async () => {}) },
+      };
+      const lastKnownGoodChild = { ...child, lastKnownGood: true };
+      const fetchAs = (authorization: string) =>
+        componentController.testFetchChildComponent(
+          app,
+          {},
+          component,
+          { viewName: "page" },
+          lastKnownGoodChild,
+          undefined,
+          undefined,
+          { headers: { authorization }, query: {} }
+        );
+
+      // Act
+      await fetchAs("Bearer ada");
+      await fetchAs("Bearer grace");
+
+      // Assert
+      const [first, second] = app.caches.childComponent.set.mock.calls;
+      expect(first[0]).not.toBe(second[0]);
+      expect(first[0]).not.toContain("ada");
+    });
+
+    it("should not wait on keeping the last known good content of a child", async () => {
+      // Arrange
+      app.caches = {
+        childComponent: {
+          get: jest.fn(),
+          set: jest.fn(() => new Promise(() => {})),
+        },
+      };
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        {},
+        component,
+        { viewName: "page" },
+        { ...child, lastKnownGood: true }
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart</p>");
+      expect(app.caches.childComponent.set).toHaveBeenCalled();
+    });
+
+    it("should render the fallback of a child which misses the render deadline", async () => {
+      // Arrange
+      chain.get.mockReturnValue(new Promise(() => {}));
+
+      // Act
+      const result = await componentController.testFetchChildComponent(
+        app,
+        {},
+        component,
+        { viewName: "page" },
+        { ...child, fallback: "<p>Cart is slow</p>" },
+        Date.now() + 10
+      );
+
+      // Assert
+      expect(result.toString()).toBe("<p>Cart is slow</p>");
+    });
+  });
 });
@@ -5,6 +5,7 @@ import { buildComponentViews } from "../../../server/app/build-component.views";
 import { checkFileExists } from "../../../utils/file.utils";
 import { convertExtsToDistPointer } from "../../../utils/html.utils";
 import { preRenderTemplate } from "../../../server/renderers/rendering/pre.render.template";
+import { getRenderer } from "../../../server/renderers/rendering/get.renderer";
 import fs from "fs";
 import { parse } from "node-html-parser";
 
@@ -42,6 +43,12 @@ jest.mock("../../../server/renderers/rendering/pre.render.template", () => ({
     ),
 }));
 
+jest.mock("../../../server/renderers/rendering/get.renderer", () => ({
+  getRenderer: jest
+    .fn()
+    .mockReturnValue(Promise.resolve({ render: jest.fn(), vendorAssets: [] })),
+}));
+
 jest.mock("node-html-parser", () => ({
   parse: jest.fn().mockReturnValue({
     querySelectorAll: jest.fn().mockImplementation((selector) => {
@@ -93,7 +100,7 @@ describe("buildComponentViews", () => {
   });
 
   it("should process components with file-based templates", async () => {
-    const result = await buildComponentViews(mockUserOpts);
+    const { components: result } = await buildComponentViews(mockUserOpts);
 
     // Check that component was processed
     expect(result).toHaveLength(1);
@@ -116,7 +123,7 @@ describe("buildComponentViews", () => {
   });
 
   it("should process components with inline templates", async () => {
-    const result = await buildComponentViews(mockUserOpts);
+    const { components: result } = await buildComponentViews(mockUserOpts);
 
     // Check that inline template was processed
     const view = result![0].views[1];
@@ -146,7 +153,7 @@ describe("buildComponentViews", () => {
     `)
     );
 
-    const result = await buildComponentViews(mockUserOpts);
+    const { components: result } = await buildComponentViews(mockUserOpts);
 
     // Check that assets were correctly extracted
     const view = result![0].views[0];
@@ -176,6 +183,32 @@ describe("buildComponentViews", () => {
     });
   });
 
+  it("should load renderer vendor assets ahead of the view assets", async () => {
+    (getRenderer as jest.Mock).mockReturnValueOnce(
+      Promise.resolve({
+        render: jest.fn(),
+        vendorAssets: [
+          { src: "https://cdn.example.com/engine.js" },
+          { href: "https://cdn.example.com/engine.css", rel: "stylesheet" },
+        ],
+      })
+    );
+
+    const { components: result } = await buildComponentViews(mockUserOpts);
+    const view = result![0].views[0];
+
+    expect(getRenderer).toHaveBeenCalled();
+    expect(view.assets?.js).toHaveLength(3);
+    expect(view.assets?.js?.[0]).toEqual({
+      src: "https://cdn.example.com/engine.js",
+    });
+    expect(view.assets?.css).toHaveLength(3);
+    expect(view.assets?.css?.[0]).toEqual({
+      href: "https://cdn.example.com/engine.css",
+      rel: "stylesheet",
+    });
+  });
+
   it("should handle preRenderTemplate errors gracefully", async () => {
     // Mock preRenderTemplate to throw an error
     (preRenderTemplate as jest.Mock).mockReturnValueOnce(
@@ -190,6 +223,41 @@ describe("buildComponentViews", () => {
     );
   });
 
+  it("should fail before pre-rendering when views embed each other in a cycle", async () => {
+    // Arrange
+    mockUserOpts.manifest.components[0].views[0].components = [
+      { name: "mobile", contentUrl: "/test-component/mobile/" },
+    ];
+    mockUserOpts.manifest.components[0].views[1].components = [
+      { name: "desktop", contentUrl: "/test-component/desktop/" },
+    ];
+
+    // Act & Assert
+    await expect(buildComponentViews(mockUserOpts)).rejects.toThrow(
+      "Component cycle detected in component manifest: [ test-component/desktop -> test-component/mobile -> test-component/desktop ]"
+    );
+    expect(preRenderTemplate).not.toHaveBeenCalled();
+  });
+
+  it("should return the component graph it checked for cycles", async () => {
+    // Arrange
+    mockUserOpts.manifest.components[0].views[0].components = [
+      { name: "mobile", contentUrl: "/test-component/mobile/" },
+    ];
+
+    // Act
+    const { graph } = await buildComponentViews(mockUserOpts);
+
+    // Assert
+    expect(graph.edges).toEqual([
+      {
+        from: "test-component/desktop",
+        to: "test-component/mobile",
+        name: "mobile",
+      },
+    ]);
+  });
+
   it("should handle empty templates gracefully", async () => {
     // Mock preRenderTemplate to return empty string
     (preRenderTemplate as jest.Mock).mockReturnValueOnce(Promise.resolve(""));
@@ -199,7 +267,7 @@ describe("buildComponentViews", () => {
     console.error = jest.fn().mockImplementation((...args) => {});
 
     try {
-      const result = await buildComponentViews(mockUserOpts);
+      const { components: result } = await buildComponentViews(mockUserOpts);
 
       // Check that empty assets array was created
       expect(result?.[0]?.views[0]?.assets).toEqual({ js: [], css: [] });
@@ -265,7 +333,7 @@ describe("buildComponentViews", () => {
       }),
     });
 
-    const result = await buildComponentViews(mockUserOpts);
+    const { components: result } = await buildComponentViews(mockUserOpts);
 
     // Check complex attributes for JS
     const jsAsset = result![0].views[0].assets?.js?.[0];
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+import {
+  getCacheTagIndexKey,
+  invalidateCacheTags,
+  isRevalidationRequest,
+  resolveCacheStore,
+  revalidateView,
+} from "../../../../server/app/cache/cache.integration";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+import {
+  FileSystemCache,
+  MemoryCache,
+  getGlobalCache,
+} from "../../../../utils/cache.utils";
+
+// Mock logger to avoid chalk import issues
+jest.mock("../../../../utils/logger.utils", () => ({
+  logger: jest.fn().mockReturnValue({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+describe("cache.integration", () => {
+  describe("revalidateView", () => {
+    it("should re-render the view as a revalidation request", async () => {
+      // Arrange
+      const server = {
+        inject: jest.fn().mockResolvedValue({ statusCode: 200 }),
+      } as any;
+
+      // Act
+      const result = await revalidateView(server, "/home/desktop/", {
+        accept: "text/html",
+      });
+
+      // Assert
+      expect(result).toBe(true);
+      const { headers } = server.inject.mock.calls[0][0];
+      expect(headers.accept).toBe("text/html");
+      expect(isRevalidationRequest(headers)).toBe(true);
+    });
+
+    it("should share a single render between concurrent revalidations", async () => {
+      // Arrange
+      const server = {
+        inject: jest.fn().mockResolvedValue({ statusCode: 200 }),
+      } as any;
+
+      // Act
+      await Promise.all([
+        revalidateView(server, "/home/desktop/"),
+        revalidateView(server, "/home/desktop/"),
+      ]);
+
+      // Assert
+      expect(server.inject).toHaveBeenCalledTimes(1);
+    });
+
+    it("should resolve false when the render fails", async () => {
+      // Arrange
+      const server = {
+        inject: jest
+          .fn()
+          .mockResolvedValueOnce({ statusCode: 500 })
+          .mockRejectedValueOnce(new Error("boom")),
+      } as any;
+
+      // Act & Assert
+      await expect(revalidateView(server, "/home/desktop/")).resolves.toBe(
+        false
+      );
+      await expect(revalidateView(server, "/home/desktop/")).resolves.toBe(
+        false
+      );
+    });
+  });
+
+  describe("isRevalidationRequest", () => {
+    it("should reject revalidation headers not issued by the server", () => {
+      expect(isRevalidationRequest({})).toBe(false);
+      expect(
+        isRevalidationRequest({ [CONSTANTS.revalidateHeader]: "forged" })
+      ).toBe(false);
+    });
+  });
+
+  describe("resolveCacheStore", () => {
+    it("should use the global memory cache by default", () => {
+      expect(resolveCacheStore({})).toBe(getGlobalCache());
+      expect(resolveCacheStore({ store: "memory" })).toBe(getGlobalCache());
+    });
+
+    it("should create a filesystem cache in the configured directory", () => {
+      expect(
+        resolveCacheStore({ store: "filesystem", cacheDirectory: "tmp" })
+      ).toBeInstanceOf(FileSystemCache);
+    });
+
+    it("should use a custom cache store as given", () => {
+      const store = new MemoryCache<unknown>();
+
+      expect(resolveCacheStore({ store })).toBe(store);
+      store.dispose();
+    });
+  });
+
+  describe("invalidateCacheTags", () => {
+    it("should purge every view indexed under the tags", async () => {
+      // Arrange
+      const renderedView = new MemoryCache<any>();
+      const cacheTags = new MemoryCache<string>();
+      renderedView.set("component:product", { content: "product" });
+      renderedView.set("component:page", { content: "page" });
+      renderedView.set("component:other", { content: "other" });
+      ["component:product", "component:page"].forEach((key) =>
+        cacheTags.set(getCacheTagIndexKey("product:42", key), key)
+      );
+      cacheTags.set(
+        getCacheTagIndexKey("product:7", "component:page"),
+        "component:page"
+      );
+      cacheTags.set(
+        getCacheTagIndexKey("product:420", "component:other"),
+        "component:other"
+      );
+
+      // Act
+      const purged = await invalidateCacheTags({ renderedView, cacheTags }, [
+        "product:42",
+        "product:7",
+      ]);
+
+      // Assert
+      expect(purged).toBe(2);
+      expect(renderedView.keys()).toEqual(["component:other"]);
+      expect(cacheTags.keys()).toEqual([
+        getCacheTagIndexKey("product:420", "component:other"),
+      ]);
+      renderedView.dispose();
+      cacheTags.dispose();
+    });
+  });
+});
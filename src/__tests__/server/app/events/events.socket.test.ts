@@ -0,0 +1,381 @@
+/**
+ * @jest-environment node
+ */
+import fastify from "fastify";
+import http from "http";
+import type { AddressInfo } from "net";
+import type { Duplex } from "stream";
+import {
+  isAllowedSocketOrigin,
+  parseEventsSocketMessage,
+} from "../../../../server/app/events/events.socket";
+import {
+  ServerEventsConfig,
+  getEventsSocketPath,
+  setupServerEvents,
+} from "../../../../server/app/events/server.events";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+import type { Assembly } from "../../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../../types/blueprint.server.options";
+
+// Mock logger to avoid chalk import issues
+jest.mock("../../../../utils/logger.utils", () => {
+  const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+
+  return {
+    logger: jest.fn().mockReturnValue(mockLogger),
+    ConsoleLogger: jest.fn().mockImplementation(() => mockLogger),
+  };
+});
+
+interface TestSocket {
+  socket: Duplex;
+  messages: any[];
+  closed: () => boolean;
+  closeCode: () => number | undefined;
+  send: (message: object) => void;
+}
+
+/**
+ * Encode a masked frame, as sent by a browser
+ * @param {string | Buffer} data - The message
+ * @param {number} opcode - The opcode of the frame, a final text frame by default
+ * @param {boolean} fin - Whether the frame is the last of its message
+ * @return {Buffer} The encoded frame
+ */
+function encodeClientFrame(
+  data: string | Buffer,
+  opcode = 0x1,
+  fin = true
+): Buffer {
+  const payload = Buffer.from(data);
+  const mask = Buffer.from([9, 8, 7, 6]);
+  return Buffer.concat([
+    Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]),
+    mask,
+    Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4])),
+  ]);
+}
+
+/**
+ * Connect to the events socket
+ * @param {Assembly} app - The listening application
+ * @param {Record<string, string>} headers - Further headers of the upgrade request
+ * @return {Promise<TestSocket>} The connected socket, and every message received on it
+ */
+function connectSocket(
+  app: Assembly,
+  headers: Record<string, string> = {}
+): Promise<TestSocket> {
+  const { port } = app.server.address() as AddressInfo;
+
+  return new Promise((resolve, reject) => {
+    http
+      .request({
+        host: "127.0.0.1",
+        port,
+        path: CONSTANTS.eventsSocketPath,
+        headers: {
+          connection: "Upgrade",
+          upgrade: "websocket",
+          "sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ==",
+          "sec-websocket-version": "13",
+          ...headers,
+        },
+      })
+      .on("response", (response) =>
+        reject(new Error(`Upgrade refused with ${response.statusCode}`))
+      )
+      .on("upgrade", (_, socket, head) => {
+        const messages: any[] = [];
+        let closed = false;
+        let closeCode: number | undefined;
+        let buffer = Buffer.alloc(0);
+
+        // Server frames are unmasked, and the messages used here are short
+        const receive = (data: Buffer) => {
+          buffer = Buffer.concat([buffer, data]);
+          while (buffer.length >= 2) {
+            const opcode = buffer[0] & 0x0f;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+              length = buffer.readUInt16BE(2);
+              offset = 4;
+            }
+            if (buffer.length < offset + length) {
+              return;
+            }
+            const payload = buffer.subarray(offset, offset + length);
+            buffer = buffer.subarray(offset + length);
+            if (opcode === 0x1) {
+              messages.push(JSON.parse(payload.toString()));
+            } else if (opcode === 0x8) {
+              // Complete the closing handshake, as a browser would
+              closed = true;
+              closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+              socket.end(encodeClientFrame(payload, 0x8));
+            }
+          }
+        };
+
+        socket.on("data", receive);
+        socket.on("close", () => (closed = true));
+        receive(head);
+        resolve({
+          socket,
+          messages,
+          closed: () => closed,
+          closeCode: () => closeCode,
+          send: (message) =>
+            socket.write(encodeClientFrame(JSON.stringify(message))),
+        });
+      })
+      .on("error", reject)
+      .end();
+  });
+}
+
+const withEvents = (events?: ServerEventsConfig) =>
+  ({ manifest: {}, events } as unknown as BlueprintServerOptions);
+
+const waitFor = async (predicate: () => boolean) => {
+  for (let i = 0; i < 50 && !predicate(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const presenceOf = (client: TestSocket, channel: string) =>
+  client.messages
+    .filter((message) => message.type === "presence")
+    .filter((message) => message.channel === channel)
+    .pop()?.count;
+
+describe("events.socket", () => {
+  describe("parseEventsSocketMessage", () => {
+    it("should parse join and leave messages", () => {
+      expect(
+        parseEventsSocketMessage(JSON.stringify({ type: "join", channel: "a" }))
+      ).toEqual({ type: "join", channel: "a" });
+      expect(
+        parseEventsSocketMessage(
+          JSON.stringify({ type: "leave", channel: "a" })
+        )
+      ).toEqual({ type: "leave", channel: "a" });
+    });
+
+    it("should relay only the address and payload of events", () => {
+      // Arrange
+      const data = JSON.stringify({
+        type: "event",
+        event: { channel: "a", topic: "b", payload: 1, broadcast: true },
+      });
+
+      // Act & Assert
+      expect(parseEventsSocketMessage(data)).toEqual({
+        type: "event",
+        event: { channel: "a", topic: "b", payload: 1 },
+      });
+    });
+
+    it("should return undefined for invalid messages", () => {
+      expect(parseEventsSocketMessage("not json")).toBeUndefined();
+      expect(parseEventsSocketMessage("null")).toBeUndefined();
+      expect(
+        parseEventsSocketMessage(JSON.stringify({ type: "join", channel: 1 }))
+      ).toBeUndefined();
+      expect(
+        parseEventsSocketMessage(JSON.stringify({ type: "unknown" }))
+      ).toBeUndefined();
+    });
+  });
+
+  describe("isAllowedSocketOrigin", () => {
+    const upgrade = (origin?: string) =>
+      ({ headers: { host: "shop.com", origin } } as any);
+
+    it("should allow the server's own origin, and clients without an origin", () => {
+      expect(isAllowedSocketOrigin(upgrade("https://shop.com"))).toBe(true);
+      expect(isAllowedSocketOrigin(upgrade())).toBe(true);
+    });
+
+    it("should refuse other origins, unless they are allowed", () => {
+      expect(isAllowedSocketOrigin(upgrade("https://evil.com"))).toBe(false);
+      expect(isAllowedSocketOrigin(upgrade("null"))).toBe(false);
+      expect(
+        isAllowedSocketOrigin(upgrade("https://cdn.shop.io"), [
+          "https://*.shop.io",
+        ])
+      ).toBe(true);
+    });
+  });
+
+  describe("setupServerEvents with websocket", () => {
+    let app: Assembly;
+
+    beforeEach(async () => {
+      app = fastify() as unknown as Assembly;
+      setupServerEvents(
+        app,
+        withEvents({
+          websocket: true,
+          authorize: (channel) => channel !== "private",
+        })
+      );
+      await app.listen({ port: 0, host: "127.0.0.1" });
+    });
+
+    afterEach(async () => {
+      await app.close();
+    });
+
+    it("should announce the events socket path", () => {
+      expect(getEventsSocketPath()).toBe(CONSTANTS.eventsSocketPath);
+    });
+
+    it("should require an upgrade", async () => {
+      // Act
+      const response = await app.inject().get(CONSTANTS.eventsSocketPath);
+
+      // Assert
+      expect(response.statusCode).toBe(426);
+    });
+
+    it("should only accept upgrades from pages on the server's own origin", async () => {
+      // Arrange
+      const { port } = app.server.address() as AddressInfo;
+
+      // Act
+      const own = await connectSocket(app, {
+        origin: `http://127.0.0.1:${port}`,
+      });
+      const other = connectSocket(app, { origin: "https://evil.com" });
+
+      // Assert
+      expect(own.closed()).toBe(false);
+      await expect(other).rejects.toThrow("Upgrade refused with 403");
+    });
+
+    it("should tell each room how many browsers are present", async () => {
+      // Arrange
+      const first = await connectSocket(app);
+      const second = await connectSocket(app);
+
+      // Act
+      first.send({ type: "join", channel: "dashboard" });
+      await waitFor(() => presenceOf(first, "dashboard") === 1);
+      second.send({ type: "join", channel: "dashboard" });
+      await waitFor(() => presenceOf(first, "dashboard") === 2);
+
+      // Assert
+      expect(presenceOf(first, "dashboard")).toBe(2);
+      expect(presenceOf(second, "dashboard")).toBe(2);
+
+      // Act
+      second.socket.destroy();
+      await waitFor(() => presenceOf(first, "dashboard") === 1);
+
+      // Assert
+      expect(presenceOf(first, "dashboard")).toBe(1);
+    });
+
+    it("should relay broadcast events to other browsers in the room", async () => {
+      // Arrange
+      const sender = await connectSocket(app);
+      const receiver = await connectSocket(app);
+      const outsider = await connectSocket(app);
+      sender.send({ type: "join", channel: "dashboard" });
+      receiver.send({ type: "join", channel: "dashboard" });
+      outsider.send({ type: "join", channel: "other" });
+      await waitFor(() => presenceOf(receiver, "dashboard") === 2);
+      const event = { channel: "dashboard", topic: "updated", payload: 7 };
+
+      // Act
+      sender.send({ type: "event", event });
+      await waitFor(() =>
+        receiver.messages.some((message) => message.type === "event")
+      );
+
+      // Assert
+      expect(receiver.messages).toContainEqual({ type: "event", event });
+      expect(sender.messages).not.toContainEqual({ type: "event", event });
+      expect(outsider.messages).not.toContainEqual({ type: "event", event });
+    });
+
+    it("should deny channels the request is not authorized for", async () => {
+      // Arrange
+      const client = await connectSocket(app);
+
+      // Act
+      client.send({ type: "join", channel: "private" });
+      client.send({
+        type: "event",
+        event: { channel: "private", topic: "t", payload: null },
+      });
+      await waitFor(() => client.messages.length >= 2);
+
+      // Assert
+      expect(client.messages).toEqual([
+        { type: "denied", channel: "private" },
+        { type: "denied", channel: "private" },
+      ]);
+    });
+
+    it("should deliver server published events to the room", async () => {
+      // Arrange
+      const client = await connectSocket(app);
+      client.send({ type: "join", channel: "dashboard" });
+      await waitFor(() => presenceOf(client, "dashboard") === 1);
+
+      // Act
+      const delivered = app.publish("dashboard", "refreshed", { id: 1 });
+      await waitFor(() =>
+        client.messages.some((message) => message.type === "event")
+      );
+
+      // Assert
+      expect(delivered).toBe(1);
+      expect(client.messages).toContainEqual({
+        type: "event",
+        event: { channel: "dashboard", topic: "refreshed", payload: { id: 1 } },
+      });
+    });
+
+    it.each([
+      ["a reserved opcode", [encodeClientFrame("", 0x3)]],
+      ["a continuation without a first frame", [encodeClientFrame("", 0x0)]],
+      [
+        "a new message before the last one finished",
+        [encodeClientFrame("{", 0x1, false), encodeClientFrame("{}")],
+      ],
+    ])("should fail the connection on %s", async (_, frames) => {
+      // Arrange
+      const client = await connectSocket(app);
+
+      // Act
+      frames.forEach((frame) => client.socket.write(frame));
+      await waitFor(() => client.closed());
+
+      // Assert
+      // 1002 is 'protocol error'
+      expect(client.closeCode()).toBe(1002);
+    });
+
+    it("should close every socket when the application closes", async () => {
+      // Arrange
+      const client = await connectSocket(app);
+
+      // Act
+      await app.close();
+
+      // Assert
+      await waitFor(() => client.closed());
+      expect(client.closed()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+import fastify from "fastify";
+import http from "http";
+import type { AddressInfo } from "net";
+import {
+  ServerEventsConfig,
+  formatServerEvent,
+  getServerEventsPath,
+  isChannelAuthorized,
+  setupServerEvents,
+} from "../../../../server/app/events/server.events";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+import type { Assembly } from "../../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../../types/blueprint.server.options";
+
+// Mock logger to avoid chalk import issues
+jest.mock("../../../../utils/logger.utils", () => {
+  const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+
+  return {
+    logger: jest.fn().mockReturnValue(mockLogger),
+    ConsoleLogger: jest.fn().mockImplementation(() => mockLogger),
+  };
+});
+
+/**
+ * Open a server events connection, resolving once the response has started
+ * @param {Assembly} app - The listening application.
+ * @param {string} query - The query string of the request.
+ * @return {Promise<object>} - The response, and every chunk received so far.
+ */
+function connect(
+  app: Assembly,
+  query: string
+): Promise<{ response: http.IncomingMessage; received: () => string }> {
+  const { port } = app.server.address() as AddressInfo;
+  return new Promise((resolve, reject) => {
+    http
+      .get(
+        `http://127.0.0.1:${port}${CONSTANTS.serverEventsPath}?${query}`,
+        (response) => {
+          let body = "";
+          response.setEncoding("utf8");
+          response.on("data", (chunk) => (body += chunk));
+          response.once("data", () =>
+            resolve({ response, received: () => body })
+          );
+        }
+      )
+      .on("error", reject);
+  });
+}
+
+const withEvents = (events?: ServerEventsConfig) =>
+  ({ manifest: {}, events } as unknown as BlueprintServerOptions);
+
+const waitFor = async (predicate: () => boolean) => {
+  for (let i = 0; i < 50 && !predicate(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe("server.events", () => {
+  describe("formatServerEvent", () => {
+    it("should format the event as a Server-Sent Events message", () => {
+      expect(formatServerEvent("message", { a: "line\nbreak" })).toBe(
+        `event: message\ndata: {"a":"line\\nbreak"}\n\n`
+      );
+    });
+  });
+
+  describe("isChannelAuthorized", () => {
+    const request = {} as any;
+
+    it("should allow public channels without authenticating", async () => {
+      // Arrange
+      const isAuthenticated = jest.fn().mockResolvedValue(false);
+
+      // Act
+      const result = await isChannelAuthorized(
+        "prices:usd",
+        request,
+        isAuthenticated,
+        withEvents({ publicChannels: ["prices:*"] })
+      );
+
+      // Assert
+      expect(result).toBe(true);
+      expect(isAuthenticated).not.toHaveBeenCalled();
+    });
+
+    it("should deny private channels when authentication fails", async () => {
+      // Act
+      const result = await isChannelAuthorized(
+        "orders",
+        request,
+        jest.fn().mockResolvedValue(false),
+        withEvents({})
+      );
+
+      // Assert
+      expect(result).toBe(false);
+    });
+
+    it("should apply the authorize callback after authentication", async () => {
+      // Arrange
+      const authorize = jest.fn().mockResolvedValue(false);
+
+      // Act
+      const result = await isChannelAuthorized(
+        "orders",
+        request,
+        jest.fn().mockResolvedValue(true),
+        withEvents({ authorize })
+      );
+
+      // Assert
+      expect(result).toBe(false);
+      expect(authorize).toHaveBeenCalledWith("orders", request);
+    });
+  });
+
+  describe("setupServerEvents", () => {
+    let app: Assembly;
+
+    afterEach(async () => {
+      await app.close();
+    });
+
+    it("should not register the endpoint unless enabled", async () => {
+      // Arrange
+      app = fastify({ forceCloseConnections: true }) as unknown as Assembly;
+      setupServerEvents(app, withEvents());
+
+      // Act
+      const response = await app.inject().get(CONSTANTS.serverEventsPath);
+
+      // Assert
+      expect(response.statusCode).toBe(404);
+      expect(getServerEventsPath()).toBeUndefined();
+      expect(app.publish("news", "posted", {})).toBe(0);
+    });
+
+    it("should publish events to clients subscribed to the channel", async () => {
+      // Arrange
+      app = fastify({ forceCloseConnections: true }) as unknown as Assembly;
+      setupServerEvents(app, withEvents({}));
+      await app.listen({ port: 0, host: "127.0.0.1" });
+      const news = await connect(app, "channel=news");
+      const prices = await connect(app, "channel=prices");
+
+      // Act
+      const delivered = app.publish("news", "posted", { id: 1 });
+      await waitFor(() => news.received().includes("posted"));
+
+      // Assert
+      expect(getServerEventsPath()).toBe(CONSTANTS.serverEventsPath);
+      expect(delivered).toBe(1);
+      expect(news.response.headers["content-type"]).toBe("text/event-stream");
+      expect(news.received()).toContain(
+        formatServerEvent("message", {
+          channel: "news",
+          topic: "posted",
+          payload: { id: 1 },
+        })
+      );
+      expect(prices.received()).not.toContain("posted");
+    });
+
+    it("should tell clients which channels were denied", async () => {
+      // Arrange
+      app = fastify({ forceCloseConnections: true }) as unknown as Assembly;
+      setupServerEvents(
+        app,
+        withEvents({ authorize: (channel) => channel !== "orders" })
+      );
+      await app.listen({ port: 0, host: "127.0.0.1" });
+
+      // Act
+      const client = await connect(app, "channel=news&channel=orders");
+      await waitFor(() => client.received().includes("denied"));
+
+      // Assert
+      expect(client.received()).toContain(
+        formatServerEvent("denied", ["orders"])
+      );
+      expect(app.publish("orders", "created", {})).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * @jest-environment node
+ */
+import type { BlueprintServerOptions } from "../../../../types/blueprint.server.options";
+import {
+  assertNoComponentCycles,
+  buildComponentGraph,
+  findComponentCycle,
+  getComponentGraph,
+  getMaxNestLevel,
+  setupComponentGraph,
+} from "../../../../server/app/graph/component.graph";
+import { ASSEMBLEJS } from "../../../../server/config/blueprint.config";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+
+jest.mock("../../../../server/config/blueprint.config", () => ({
+  ASSEMBLEJS: {
+    isLocal: jest.fn().mockReturnValue(false),
+  },
+}));
+
+describe("component.graph", () => {
+  const withComponents = (
+    components: Array<{ path: string; views: Array<Record<string, unknown>> }>,
+    options: Record<string, unknown> = {}
+  ): BlueprintServerOptions =>
+    ({
+      ...options,
+      manifest: { components },
+    } as unknown as BlueprintServerOptions);
+
+  const layout = (children: Array<{ name: string; contentUrl: string }>) => ({
+    path: "layout",
+    views: [
+      { viewName: "main", exposeAsBlueprint: true, components: children },
+    ],
+  });
+
+  describe("buildComponentGraph", () => {
+    it("should resolve local children to their views, and keep remote children as they are", () => {
+      // Arrange
+      const userOpts = withComponents([
+        layout([
+          { name: "header", contentUrl: "/header/default?theme=dark" },
+          { name: "cart", contentUrl: "https://shop.com/cart/summary/" },
+        ]),
+        { path: "header", views: [{ viewName: "default" }] },
+      ]);
+
+      // Act
+      const graph = buildComponentGraph(userOpts);
+
+      // Assert
+      expect(graph.nodes).toEqual([
+        {
+          id: "layout/main",
+          contentUrl: "/layout/main/",
+          local: true,
+          component: "layout",
+          view: "main",
+          blueprint: true,
+        },
+        {
+          id: "header/default",
+          contentUrl: "/header/default/",
+          local: true,
+          component: "header",
+          view: "default",
+          blueprint: false,
+        },
+        {
+          id: "https://shop.com/cart/summary/",
+          contentUrl: "https://shop.com/cart/summary/",
+          local: false,
+        },
+      ]);
+      expect(graph.edges).toEqual([
+        { from: "layout/main", to: "header/default", name: "header" },
+        {
+          from: "layout/main",
+          to: "https://shop.com/cart/summary/",
+          name: "cart",
+        },
+      ]);
+    });
+
+    it("should include the shared children of the manifest and the component", () => {
+      // Arrange
+      const userOpts = {
+        manifest: {
+          shared: { components: [{ name: "nav", contentUrl: "/nav/main/" }] },
+          components: [
+            {
+              path: "page",
+              shared: {
+                components: [{ name: "footer", contentUrl: "/footer/main/" }],
+              },
+              views: [{ viewName: "home" }],
+            },
+          ],
+        },
+      } as unknown as BlueprintServerOptions;
+
+      // Act
+      const graph = buildComponentGraph(userOpts);
+
+      // Assert
+      expect(graph.edges.map((edge) => edge.to)).toEqual([
+        "/nav/main/",
+        "/footer/main/",
+      ]);
+    });
+
+    it("should skip shared children which are the view itself, as rendering does", () => {
+      // Arrange
+      const userOpts = {
+        manifest: {
+          shared: { components: [{ name: "nav", contentUrl: "/nav/main/" }] },
+          components: [
+            { path: "nav", views: [{ viewName: "main" }] },
+            { path: "page", views: [{ viewName: "home" }] },
+          ],
+        },
+      } as unknown as BlueprintServerOptions;
+
+      // Act
+      const graph = assertNoComponentCycles(userOpts);
+
+      // Assert
+      expect(graph.nodes.map((node) => node.id)).toEqual([
+        "nav/main",
+        "page/home",
+      ]);
+      expect(graph.edges).toEqual([
+        { from: "page/home", to: "nav/main", name: "nav" },
+      ]);
+    });
+  });
+
+  describe("findComponentCycle", () => {
+    it("should find indirect cycles", () => {
+      // Arrange
+      const userOpts = withComponents([
+        layout([{ name: "a", contentUrl: "/a/main/" }]),
+        {
+          path: "a",
+          views: [
+            {
+              viewName: "main",
+              components: [{ name: "b", contentUrl: "/b/main/" }],
+            },
+          ],
+        },
+        {
+          path: "b",
+          views: [
+            {
+              viewName: "main",
+              components: [{ name: "a", contentUrl: "/a/main" }],
+            },
+          ],
+        },
+      ]);
+
+      // Act
+      const cycle = findComponentCycle(buildComponentGraph(userOpts));
+
+      // Assert
+      expect(cycle).toEqual(["a/main", "b/main", "a/main"]);
+    });
+
+    it("should not report views embedding themselves, as rendering skips them", () => {
+      // Arrange
+      const userOpts = withComponents([
+        layout([{ name: "self", contentUrl: "/layout/main/" }]),
+      ]);
+
+      // Act & Assert
+      expect(findComponentCycle(buildComponentGraph(userOpts))).toBeUndefined();
+    });
+
+    it("should not report views shared by several parents", () => {
+      // Arrange
+      const userOpts = withComponents([
+        layout([
+          { name: "a", contentUrl: "/a/main/" },
+          { name: "b", contentUrl: "/b/main/" },
+        ]),
+        {
+          path: "a",
+          views: [
+            {
+              viewName: "main",
+              components: [{ name: "b", contentUrl: "/b/main/" }],
+            },
+          ],
+        },
+        { path: "b", views: [{ viewName: "main" }] },
+      ]);
+
+      // Act & Assert
+      expect(findComponentCycle(buildComponentGraph(userOpts))).toBeUndefined();
+    });
+  });
+
+  describe("assertNoComponentCycles", () => {
+    it("should fail with the path of the cycle", () => {
+      // Arrange
+      const userOpts = withComponents([
+        layout([{ name: "a", contentUrl: "/a/main/" }]),
+        {
+          path: "a",
+          views: [
+            {
+              viewName: "main",
+              components: [{ name: "layout", contentUrl: "/layout/main/" }],
+            },
+          ],
+        },
+      ]);
+
+      // Act & Assert
+      expect(() => assertNoComponentCycles(userOpts)).toThrow(
+        "Component cycle detected in component manifest: [ layout/main -> a/main -> layout/main ]"
+      );
+    });
+  });
+
+  describe("setupComponentGraph", () => {
+    const app = { get: jest.fn() };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it("should keep the graph and max nest level of the server", () => {
+      // Arrange
+      const userOpts = withComponents([layout([])], {
+        graph: { maxNestLevel: 3 },
+      });
+
+      // Act
+      setupComponentGraph(app as any, userOpts, buildComponentGraph(userOpts));
+
+      // Assert
+      expect(getComponentGraph().nodes[0].id).toBe("layout/main");
+      expect(getMaxNestLevel()).toBe(3);
+      expect(app.get).not.toHaveBeenCalled();
+    });
+
+    it("should serve the graph as JSON when exposed", () => {
+      // Arrange
+      const reply = {
+        type: jest.fn().mockReturnThis(),
+        send: jest.fn().mockReturnThis(),
+      };
+      const userOpts = withComponents([layout([])], {
+        graph: { expose: true },
+      });
+      setupComponentGraph(app as any, userOpts, buildComponentGraph(userOpts));
+
+      // Act
+      app.get.mock.calls[0][1]({}, reply);
+
+      // Assert
+      expect(app.get.mock.calls[0][0]).toBe(CONSTANTS.componentGraphPath);
+      expect(reply.type).toHaveBeenCalledWith("application/json");
+      expect(reply.send).toHaveBeenCalledWith(getComponentGraph());
+      expect(getMaxNestLevel()).toBe(10);
+    });
+
+    it("should expose the graph by default when running locally", () => {
+      // Arrange
+      (ASSEMBLEJS.isLocal as jest.Mock).mockReturnValueOnce(true);
+
+      // Act
+      setupComponentGraph(app as any, withComponents([layout([])]), {
+        nodes: [],
+        edges: [],
+      });
+
+      // Assert
+      expect(app.get).toHaveBeenCalledWith(
+        CONSTANTS.componentGraphPath,
+        expect.any(Function)
+      );
+    });
+  });
+});
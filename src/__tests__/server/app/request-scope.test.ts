@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import fastify from "fastify";
+import {
+  getRequestScopeId,
+  setupRequestScopes,
+} from "../../../server/app/request-scope";
+import { ServiceContainer } from "../../../server/app/service-container";
+import { Service } from "../../../server/abstract/service";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import type { Assembly } from "../../../types/blueprint.simple.types";
+
+// Mock logger to avoid chalk import issues
+jest.mock("../../../utils/logger.utils", () => {
+  const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+
+  return {
+    logger: jest.fn().mockReturnValue(mockLogger),
+    ConsoleLogger: jest.fn().mockImplementation(() => mockLogger),
+  };
+});
+
+class TenantService extends Service {
+  static override lifetime = "request" as const;
+  public disposed = false;
+
+  public override async dispose(): Promise<void> {
+    this.disposed = true;
+  }
+}
+
+describe("request-scope", () => {
+  let app: Assembly;
+  const tenants: TenantService[] = [];
+
+  beforeEach(async () => {
+    tenants.length = 0;
+    app = fastify() as unknown as Assembly;
+    app.serviceContainer = ServiceContainer.getInstance();
+    app.serviceContainer.clear();
+    app.serviceContainer.register("tenant", TenantService);
+    setupRequestScopes(app);
+
+    app.get("/child", async (request) => {
+      tenants.push(request.services.get<TenantService>("tenant"));
+      return "child";
+    });
+
+    app.get("/parent", async (request) => {
+      tenants.push(request.services.get<TenantService>("tenant"));
+      await app
+        .inject()
+        .headers({
+          [CONSTANTS.requestScopeHeader]: getRequestScopeId(request),
+        })
+        .get("/child");
+      return "parent";
+    });
+
+    app.get("/forged-parent", async (request) => {
+      tenants.push(request.services.get<TenantService>("tenant"));
+      const [id] = (getRequestScopeId(request) as string).split(".");
+      for (const forged of [id, `${id}.forged`]) {
+        await app
+          .inject()
+          .headers({ [CONSTANTS.requestScopeHeader]: forged })
+          .get("/child");
+      }
+      return "parent";
+    });
+
+    await app.ready();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it("should share the request scope with child renders", async () => {
+    // Act
+    await app.inject().get("/parent");
+
+    // Assert
+    expect(tenants).toHaveLength(2);
+    expect(tenants[0]).toBe(tenants[1]);
+  });
+
+  it("should give each request its own scope", async () => {
+    // Act
+    await app.inject().get("/child");
+    await app.inject().get("/child");
+
+    // Assert
+    expect(tenants[0]).not.toBe(tenants[1]);
+  });
+
+  it("should dispose the request services once the reply is sent", async () => {
+    // Act
+    await app.inject().get("/parent");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(tenants[0].disposed).toBe(true);
+  });
+
+  it("should ignore unknown request scope IDs", async () => {
+    // Act
+    await app
+      .inject()
+      .headers({ [CONSTANTS.requestScopeHeader]: "forged" })
+      .get("/child");
+
+    // Assert
+    expect(tenants[0]).toBeInstanceOf(TenantService);
+  });
+
+  it("should not share the scope of an in-flight request without its signed ID", async () => {
+    // Act
+    await app.inject().get("/forged-parent");
+
+    // Assert
+    expect(tenants).toHaveLength(3);
+    expect(new Set(tenants).size).toBe(3);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  isRetryableError,
+  resetCircuitBreakers,
+  withDeadline,
+  withRetry,
+} from "../../../../server/app/resilience/resilience.utils";
+import { HttpError } from "../../../../utils/http.utils";
+
+describe("resilience.utils", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("isRetryableError", () => {
+    it("should retry timeouts, network errors and server errors", () => {
+      expect(isRetryableError(new Error("socket hang up"))).toBe(true);
+      expect(isRetryableError(new HttpError("Timeout", 408))).toBe(true);
+      expect(isRetryableError(new HttpError("Slow down", 429))).toBe(true);
+      expect(isRetryableError({ response: { status: 502 } })).toBe(true);
+    });
+
+    it("should not retry other responses or an open circuit", () => {
+      expect(isRetryableError(new HttpError("Not found", 404))).toBe(false);
+      expect(isRetryableError({ response: { status: 400 } })).toBe(false);
+      expect(isRetryableError(new HttpError("Too deep", 508))).toBe(false);
+      expect(isRetryableError(new CircuitOpenError("https://a.com"))).toBe(
+        false
+      );
+    });
+  });
+
+  describe("withRetry", () => {
+    it("should retry failed requests with exponential backoff", async () => {
+      // Arrange
+      const delays: number[] = [];
+      jest.spyOn(global, "setTimeout").mockImplementation(((
+        callback: () => void,
+        delay: number
+      ) => {
+        delays.push(delay);
+        callback();
+      }) as any);
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(new HttpError("Down", 503))
+        .mockRejectedValueOnce(new HttpError("Down", 503))
+        .mockRejectedValueOnce(new HttpError("Down", 503))
+        .mockResolvedValue("content");
+
+      // Act
+      const result = await withRetry(request, {
+        retries: 3,
+        backoff: 100,
+        maxBackoff: 300,
+      });
+
+      // Assert
+      expect(result).toBe("content");
+      expect(request).toHaveBeenCalledTimes(4);
+      expect(request).toHaveBeenLastCalledWith(3);
+      expect(delays).toEqual([100, 200, 300]);
+    });
+
+    it("should fail once the retries are used up", async () => {
+      // Arrange
+      const request = jest.fn().mockRejectedValue(new HttpError("Down", 503));
+
+      // Act & Assert
+      await expect(
+        withRetry(request, { retries: 1, backoff: 1 })
+      ).rejects.toThrow("Down");
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not retry without a policy, or for errors which are not retryable", async () => {
+      // Arrange
+      const request = jest.fn().mockRejectedValue(new HttpError("Gone", 404));
+
+      // Act & Assert
+      await expect(withRetry(request)).rejects.toThrow("Gone");
+      await expect(withRetry(request, 3)).rejects.toThrow("Gone");
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not retry past the deadline", async () => {
+      // Arrange
+      const request = jest.fn().mockRejectedValue(new HttpError("Down", 503));
+
+      // Act & Assert
+      await expect(
+        withRetry(request, { retries: 3, backoff: 1000 }, Date.now() + 500)
+      ).rejects.toThrow("Down");
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("withDeadline", () => {
+    it("should fail a request which has not settled by the deadline", async () => {
+      // Act & Assert
+      await expect(
+        withDeadline(new Promise(() => {}), Date.now() + 10)
+      ).rejects.toMatchObject({
+        message: "Render deadline reached",
+        statusCode: 504,
+      });
+    });
+
+    it("should resolve requests which settle in time", async () => {
+      await expect(
+        withDeadline(Promise.resolve("content"), Date.now() + 1000)
+      ).resolves.toBe("content");
+      await expect(withDeadline(Promise.resolve("content"))).resolves.toBe(
+        "content"
+      );
+    });
+  });
+
+  describe("CircuitBreaker", () => {
+    const fail = () => Promise.reject(new HttpError("Down", 503));
+
+    it("should open after the failure threshold, without sending requests", async () => {
+      // Arrange
+      const breaker = new CircuitBreaker("https://a.com", {
+        failureThreshold: 2,
+      });
+      const request = jest.fn(() => Promise.resolve("content"));
+
+      // Act
+      await expect(breaker.execute(fail)).rejects.toThrow("Down");
+      await expect(breaker.execute(fail)).rejects.toThrow("Down");
+
+      // Assert
+      expect(breaker.state).toBe("open");
+      await expect(breaker.execute(request)).rejects.toBeInstanceOf(
+        CircuitOpenError
+      );
+      expect(request).not.toHaveBeenCalled();
+    });
+
+    it("should not count responses which are not retryable", async () => {
+      // Arrange
+      const breaker = new CircuitBreaker("https://a.com", {
+        failureThreshold: 1,
+      });
+
+      // Act
+      await expect(
+        breaker.execute(() => Promise.reject(new HttpError("Gone", 404)))
+      ).rejects.toThrow("Gone");
+
+      // Assert
+      expect(breaker.state).toBe("closed");
+    });
+
+    it("should let a single trial request through once the reset timeout passes", async () => {
+      // Arrange
+      const now = jest.spyOn(Date, "now").mockReturnValue(0);
+      const breaker = new CircuitBreaker("https://a.com", {
+        failureThreshold: 1,
+        resetTimeout: 1000,
+      });
+      await expect(breaker.execute(fail)).rejects.toThrow("Down");
+      now.mockReturnValue(1000);
+      let finishTrial: (value: string) => void = () => {};
+      const trial = breaker.execute(
+        () => new Promise<string>((resolve) => (finishTrial = resolve))
+      );
+
+      // Act & Assert
+      expect(breaker.state).toBe("half-open");
+      await expect(
+        breaker.execute(() => Promise.resolve("other"))
+      ).rejects.toBeInstanceOf(CircuitOpenError);
+      finishTrial("content");
+      await expect(trial).resolves.toBe("content");
+      expect(breaker.state).toBe("closed");
+    });
+
+    it("should open again when the trial request fails", async () => {
+      // Arrange
+      const now = jest.spyOn(Date, "now").mockReturnValue(0);
+      const breaker = new CircuitBreaker("https://a.com", {
+        failureThreshold: 3,
+        resetTimeout: 1000,
+      });
+      for (let i = 0; i < 3; i++) {
+        await expect(breaker.execute(fail)).rejects.toThrow("Down");
+      }
+      now.mockReturnValue(1000);
+
+      // Act
+      await expect(breaker.execute(fail)).rejects.toThrow("Down");
+
+      // Assert
+      expect(breaker.state).toBe("open");
+    });
+  });
+
+  describe("getCircuitBreaker", () => {
+    afterEach(() => {
+      resetCircuitBreakers();
+    });
+
+    it("should share one circuit breaker per origin", () => {
+      // Act
+      const breaker = getCircuitBreaker("https://a.com", {
+        failureThreshold: 1,
+      });
+
+      // Assert
+      expect(getCircuitBreaker("https://a.com")).toBe(breaker);
+      expect(getCircuitBreaker("https://b.com")).not.toBe(breaker);
+    });
+
+    it("should forget the circuit breakers once reset", () => {
+      // Arrange
+      const breaker = getCircuitBreaker("https://a.com");
+
+      // Act
+      resetCircuitBreakers();
+
+      // Assert
+      expect(getCircuitBreaker("https://a.com")).not.toBe(breaker);
+    });
+  });
+});
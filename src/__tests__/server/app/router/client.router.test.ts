@@ -0,0 +1,46 @@
+import type { BlueprintServerOptions } from "../../../../types/blueprint.server.options";
+import {
+  getClientRouterRoutes,
+  setupClientRouter,
+} from "../../../../server/app/router/client.router";
+
+describe("client.router", () => {
+  const withRouter = (router?: boolean): BlueprintServerOptions =>
+    ({
+      router,
+      manifest: {
+        components: [
+          {
+            path: "home",
+            views: [
+              { viewName: "main", exposeAsBlueprint: true },
+              { viewName: "teaser" },
+            ],
+          },
+          {
+            path: "shop",
+            views: [{ viewName: "list", exposeAsBlueprint: true }],
+          },
+        ],
+      },
+    } as unknown as BlueprintServerOptions);
+
+  it("should collect the route of every exposed Blueprint", () => {
+    // Act
+    setupClientRouter(withRouter(true));
+
+    // Assert
+    expect(getClientRouterRoutes()).toEqual(["/home/main/", "/shop/list/"]);
+  });
+
+  it("should not announce routes unless the router is enabled", () => {
+    // Arrange
+    setupClientRouter(withRouter(true));
+
+    // Act
+    setupClientRouter(withRouter());
+
+    // Assert
+    expect(getClientRouterRoutes()).toBeUndefined();
+  });
+});
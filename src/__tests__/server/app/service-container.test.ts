@@ -29,11 +29,84 @@ class AnotherMockService extends Service {
   }
 }
 
+// Records the lifecycle of the services below, in order
+const events: string[] = [];
+
+class DatabaseService extends Service {
+  public override async initialize(): Promise<void> {
+    events.push("initialize:database");
+  }
+
+  public override async dispose(): Promise<void> {
+    events.push("dispose:database");
+  }
+}
+
+class UserService extends Service {
+  static override inject = ["database"];
+
+  constructor(public readonly database: DatabaseService) {
+    super();
+  }
+
+  public override async initialize(): Promise<void> {
+    events.push("initialize:user");
+  }
+
+  public override async dispose(): Promise<void> {
+    events.push("dispose:user");
+  }
+}
+
+class CartService extends Service {
+  static override inject = ["user"];
+  static override lifetime = "request" as const;
+
+  constructor(public readonly user: UserService) {
+    super();
+  }
+
+  public override async dispose(): Promise<void> {
+    events.push("dispose:cart");
+  }
+}
+
+class SessionService extends Service {
+  static override lifetime = "request" as const;
+
+  public override async initialize(): Promise<void> {
+    events.push("initialize:session");
+  }
+
+  public override async dispose(): Promise<void> {
+    events.push("dispose:session");
+  }
+}
+
+class AuditService extends Service {
+  static override inject = ["session"];
+  static override lifetime = "transient" as const;
+
+  constructor(public readonly session: SessionService) {
+    super();
+  }
+
+  public override async initialize(): Promise<void> {
+    events.push("initialize:audit");
+  }
+
+  public override async dispose(): Promise<void> {
+    events.push("dispose:audit");
+  }
+}
+
 describe("ServiceContainer", () => {
   beforeEach(() => {
     // Reset the container between tests to ensure isolation
     // This is necessary because ServiceContainer is a singleton
     (ServiceContainer as any)._instance = null;
+    ServiceContainer.getInstance().clear();
+    events.length = 0;
   });
 
   describe("getInstance", () => {
@@ -143,4 +216,210 @@ describe("ServiceContainer", () => {
       expect(container.has("service2")).toBe(false);
     });
   });
+
+  describe("constructor injection", () => {
+    it("should construct services with the services they depend on", () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("user", UserService);
+      container.register("database", DatabaseService);
+
+      // Act
+      const user = container.get<UserService>("user");
+
+      // Assert
+      expect(user.database).toBe(container.get("database"));
+      expect(container.get("user")).toBe(user);
+    });
+
+    it("should allow registration options to override the class", () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("database", DatabaseService, {
+        lifetime: "transient",
+      });
+
+      // Act & Assert
+      expect(container.get("database")).not.toBe(container.get("database"));
+    });
+
+    it("should throw on circular dependencies", () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("a", MockService, { inject: ["b"] });
+      container.register("b", MockService, { inject: ["a"] });
+
+      // Act & Assert
+      expect(() => container.get("a")).toThrow(
+        "Circular service dependency: a -> b -> a"
+      );
+    });
+  });
+
+  describe("request scopes", () => {
+    it("should share request services within a scope", () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("database", DatabaseService);
+      container.register("user", UserService);
+      container.register("cart", CartService);
+      const scope = container.createScope();
+
+      // Act
+      const cart = scope.get<CartService>("cart");
+
+      // Assert
+      expect(scope.get("cart")).toBe(cart);
+      expect(container.createScope().get("cart")).not.toBe(cart);
+      expect(cart.user).toBe(container.get("user"));
+    });
+
+    it("should not resolve request services outside a scope", () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("database", DatabaseService);
+      container.register("user", UserService);
+      container.register("cart", CartService);
+      container.register("checkout", MockService, { inject: ["cart"] });
+
+      // Act & Assert
+      expect(() => container.get("cart")).toThrow(
+        "Service 'cart' is request-scoped"
+      );
+      expect(() => container.createScope().get("checkout")).toThrow(
+        "(required by checkout)"
+      );
+    });
+
+    it("should only dispose the request services of the scope", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("database", DatabaseService);
+      container.register("user", UserService);
+      container.register("cart", CartService);
+      const scope = container.createScope();
+      scope.get("cart");
+
+      // Act
+      await scope.dispose();
+
+      // Assert
+      expect(events).toEqual(["dispose:cart"]);
+    });
+  });
+
+  describe("initialize", () => {
+    it("should initialize singletons after their dependencies", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("user", UserService);
+      container.register("cart", CartService);
+      container.register("database", DatabaseService);
+
+      // Act
+      await container.initialize();
+
+      // Assert
+      expect(events).toEqual(["initialize:database", "initialize:user"]);
+    });
+
+    it("should throw when a dependency is missing", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("user", UserService);
+
+      // Act & Assert
+      await expect(container.initialize()).rejects.toThrow(
+        "Service 'user' depends on 'database', which is not registered"
+      );
+    });
+
+    it("should throw when a service fails to initialize", async () => {
+      // Arrange
+      class FailingService extends Service {
+        public override async initialize(): Promise<void> {
+          throw new Error("connection refused");
+        }
+      }
+      const container = ServiceContainer.getInstance();
+      container.register("failing", FailingService);
+
+      // Act & Assert
+      await expect(container.initialize()).rejects.toThrow(
+        "Failed to initialize service 'failing': connection refused"
+      );
+    });
+  });
+
+  describe("dispose", () => {
+    it("should dispose services before their dependencies", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("user", UserService);
+      container.register("database", DatabaseService);
+      await container.initialize();
+      events.length = 0;
+
+      // Act
+      await container.dispose();
+
+      // Assert
+      expect(events).toEqual(["dispose:user", "dispose:database"]);
+    });
+  });
+
+  describe("request and transient lifecycles", () => {
+    it("should initialize services as they are resolved, after their dependencies", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("session", SessionService);
+      container.register("audit", AuditService);
+      const scope = container.createScope();
+
+      // Act
+      const audit = await scope.getAsync<AuditService>("audit");
+
+      // Assert
+      expect(audit.session).toBe(scope.get("session"));
+      expect(events).toEqual(["initialize:session", "initialize:audit"]);
+    });
+
+    it("should dispose transient services with their scope", async () => {
+      // Arrange
+      const container = ServiceContainer.getInstance();
+      container.register("session", SessionService);
+      container.register("audit", AuditService);
+      const scope = container.createScope();
+      scope.get("audit");
+      scope.get("audit");
+
+      // Act
+      await scope.dispose();
+
+      // Assert
+      expect(events.filter((event) => event.startsWith("dispose"))).toEqual([
+        "dispose:audit",
+        "dispose:audit",
+        "dispose:session",
+      ]);
+    });
+
+    it("should throw initialization failures to those waiting on the service", async () => {
+      // Arrange
+      class FailingSession extends Service {
+        static override lifetime = "request" as const;
+
+        public override async initialize(): Promise<void> {
+          throw new Error("session expired");
+        }
+      }
+      const container = ServiceContainer.getInstance();
+      container.register("session", FailingSession);
+
+      // Act & Assert
+      await expect(container.createScope().getAsync("session")).rejects.toThrow(
+        "Failed to initialize service 'session': session expired"
+      );
+    });
+  });
 });
@@ -0,0 +1,260 @@
+/**
+ * @jest-environment node
+ */
+import {
+  exportStaticSite,
+  getLocalAssetUrls,
+  getStaticExportRoutes,
+  getStaticOutputDir,
+  isStaticExport,
+  toRootRelativeAssets,
+} from "../../../../server/app/static/static.export";
+import type { Assembly } from "../../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../../types/blueprint.server.options";
+import type { ComponentContext } from "../../../../types/component.context";
+import type { ComponentParams } from "../../../../types/component.params";
+import { mutateBlueprint } from "../../../../utils/component.utils";
+import { ASSEMBLEJS } from "../../../../server/config/blueprint.config";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+import fastify from "fastify";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Mock logger to avoid chalk import issues
+jest.mock("../../../../utils/logger.utils", () => ({
+  logger: jest.fn().mockReturnValue({
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+describe("static.export", () => {
+  const userOpts = {
+    manifest: {
+      components: [
+        {
+          path: "home",
+          views: [{ viewName: "desktop", exposeAsBlueprint: true }],
+        },
+        {
+          path: "blog",
+          views: [
+            {
+              viewName: "post",
+              exposeAsBlueprint: true,
+              static: { permutations: [{ slug: "hello" }, { slug: "world" }] },
+            },
+            { viewName: "live", exposeAsBlueprint: true, static: false },
+          ],
+        },
+        {
+          path: "header",
+          views: [{ viewName: "desktop" }],
+        },
+      ],
+    },
+    static: { routes: ["/about/"] },
+  } as unknown as BlueprintServerOptions;
+
+  describe("isStaticExport", () => {
+    afterEach(() => {
+      delete process.env.ASSEMBLEJS_STATIC_EXPORT;
+    });
+
+    it("should be enabled by the static export environment variable", () => {
+      expect(isStaticExport()).toBe(false);
+      process.env.ASSEMBLEJS_STATIC_EXPORT = "true";
+      expect(isStaticExport()).toBe(true);
+    });
+  });
+
+  describe("getStaticOutputDir", () => {
+    it("should use the URL path as the output directory", () => {
+      expect(getStaticOutputDir("/home/desktop/")).toBe(
+        path.join("home", "desktop")
+      );
+    });
+
+    it("should append a segment for each query parameter", () => {
+      expect(getStaticOutputDir("/blog/post/?slug=hello world")).toBe(
+        path.join("blog", "post", "slug-hello_world")
+      );
+    });
+  });
+
+  describe("getStaticExportRoutes", () => {
+    it("should include exposed views, their permutations and user routes", () => {
+      expect(getStaticExportRoutes(userOpts)).toEqual([
+        {
+          url: "/home/desktop/",
+          dataUrl: "/home/desktop/?DATA_ONLY=true",
+        },
+        {
+          url: "/blog/post/?slug=hello",
+          dataUrl: "/blog/post/?slug=hello&DATA_ONLY=true",
+        },
+        {
+          url: "/blog/post/?slug=world",
+          dataUrl: "/blog/post/?slug=world&DATA_ONLY=true",
+        },
+        { url: "/about/" },
+      ]);
+    });
+  });
+
+  describe("getLocalAssetUrls", () => {
+    it("should only collect assets served by the application", () => {
+      const html = `
+        <link rel="stylesheet" href="/home/desktop/styles.css">
+        <link rel="stylesheet" href="https://cdn.example.com/lib.css">
+        <script src="/bundles/asmbl.client.bundle.js"></script>
+        <script src="//cdn.example.com/lib.js"></script>
+        <script type="${CONSTANTS.componentLazyScriptType}" ${CONSTANTS.componentLazySrcIdentifier}="/nav/main/main.js"></script>
+        <img src="/images/logo.png">
+      `;
+
+      expect(getLocalAssetUrls(html)).toEqual([
+        "/bundles/asmbl.client.bundle.js",
+        "/nav/main/main.js",
+        "/home/desktop/styles.css",
+        "/images/logo.png",
+      ]);
+    });
+  });
+
+  describe("toRootRelativeAssets", () => {
+    it("should make the assets of the origin root-relative, and leave other origins alone", () => {
+      // Arrange
+      const html = `<head><script src="http://localhost:80/bundles/asmbl.client.bundle.js?v=1"></script><link rel="stylesheet" href="https://cdn.example.com/lib.css"></head><body><script ${CONSTANTS.componentLazySrcIdentifier}="http://localhost/nav/main/main.js"></script></body>`;
+
+      // Act
+      const result = toRootRelativeAssets(html, "http://localhost");
+
+      // Assert
+      expect(result).toContain(`src="/bundles/asmbl.client.bundle.js?v=1"`);
+      expect(result).toContain(
+        `${CONSTANTS.componentLazySrcIdentifier}="/nav/main/main.js"`
+      );
+      expect(result).toContain(`href="https://cdn.example.com/lib.css"`);
+    });
+  });
+
+  describe("exportStaticSite", () => {
+    let outDir: string;
+
+    beforeEach(() => {
+      outDir = fs.mkdtempSync(path.join(os.tmpdir(), "asmbl-static-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("should write pages, data and assets into the output directory", async () => {
+      const responses: Record<string, string> = {
+        "/home/desktop/": `<html><head><script src="/home/desktop/client.js"></script></head></html>`,
+        "/home/desktop/?DATA_ONLY=true": `{"title":"Home"}`,
+        "/home/desktop/client.js": "console.log('client');",
+      };
+      const get = jest.fn(async (url: string) => ({
+        statusCode: responses[url] !== undefined ? 200 : 404,
+        payload: responses[url] ?? "",
+        rawPayload: Buffer.from(responses[url] ?? ""),
+      }));
+      const app = {
+        inject: () => ({ headers: () => ({ get }) }),
+      } as unknown as Assembly;
+
+      const result = await exportStaticSite(
+        app,
+        {
+          manifest: {
+            components: [
+              {
+                path: "home",
+                views: [{ viewName: "desktop", exposeAsBlueprint: true }],
+              },
+            ],
+          },
+          static: { routes: ["/missing/"] },
+        } as unknown as BlueprintServerOptions,
+        outDir
+      );
+
+      expect(
+        fs.readFileSync(path.join(outDir, "home/desktop/index.html"), "utf8")
+      ).toBe(responses["/home/desktop/"]);
+      expect(
+        fs.readFileSync(
+          path.join(outDir, "home/desktop/data/index.json"),
+          "utf8"
+        )
+      ).toBe(`{"title":"Home"}`);
+      expect(
+        fs.readFileSync(path.join(outDir, "home/desktop/client.js"), "utf8")
+      ).toBe("console.log('client');");
+      expect(result.failures).toEqual(["/missing/"]);
+    });
+
+    it("should copy the bundles and styles of a rendered blueprint, and point the page at them", async () => {
+      // Arrange
+      const app = fastify() as unknown as Assembly;
+      const template = `<html><head></head><body><div id="header-id" class="${ASSEMBLEJS.componentClassIdentifier} header desktop" ${ASSEMBLEJS.componentIdIdentifier}="header-id" ${ASSEMBLEJS.componentNameIdentifier}="header" ${ASSEMBLEJS.componentViewIdentifier}="desktop"><link rel="stylesheet" href="styles.css"><script src="client.js"></script><p>Home</p></div></body></html>`;
+      app.get("/home/desktop/", async (request, reply) => {
+        const context = {
+          id: "home-id",
+          serverUrl: `${request.protocol}://${request.hostname}${request.url}`,
+          componentName: "home",
+          viewName: "desktop",
+          title: "Home",
+        } as unknown as ComponentContext<any, ComponentParams>;
+        reply.type("text/html").send(mutateBlueprint(template, context));
+      });
+      app.get("/bundles/asmbl.client.bundle.js", async () => "bundle();");
+      app.get("/header/desktop/styles.css", async () => "p { color: red; }");
+      app.get("/header/desktop/client.js", async () => "header();");
+
+      // Act
+      const result = await exportStaticSite(
+        app,
+        {
+          manifest: {
+            components: [
+              {
+                path: "home",
+                views: [{ viewName: "desktop", exposeAsBlueprint: true }],
+              },
+            ],
+          },
+        } as unknown as BlueprintServerOptions,
+        outDir
+      );
+      await app.close();
+
+      // Assert
+      const page = fs.readFileSync(
+        path.join(outDir, "home/desktop/index.html"),
+        "utf8"
+      );
+      expect(page).toContain(`src="/bundles/asmbl.client.bundle.js"`);
+      expect(page).toContain(`href="/header/desktop/styles.css"`);
+      expect(page).not.toContain("http://localhost");
+      expect(
+        fs.readFileSync(
+          path.join(outDir, "bundles/asmbl.client.bundle.js"),
+          "utf8"
+        )
+      ).toBe("bundle();");
+      expect(
+        fs.readFileSync(path.join(outDir, "header/desktop/styles.css"), "utf8")
+      ).toBe("p { color: red; }");
+      expect(
+        fs.readFileSync(path.join(outDir, "header/desktop/client.js"), "utf8")
+      ).toBe("header();");
+      expect(result.failures).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import {
+  buildStreamChunk,
+  createBlueprintStream,
+  createStreamPlaceholder,
+  splitBlueprintShell,
+} from "../../../../server/app/streaming/streaming.utils";
+import { CONSTANTS } from "../../../../constants/blueprint.constants";
+import type { Readable } from "stream";
+
+/**
+ * Collect a stream into a string.
+ * @param {Readable} stream - The stream to collect.
+ * @return {Promise<string>} - The stream contents.
+ */
+function collect(stream: Readable): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const chunks: string[] = [];
+    stream.on("data", (chunk) => chunks.push(chunk.toString()));
+    stream.on("end", () => resolve(chunks.join("")));
+    stream.on("error", reject);
+  });
+}
+
+describe("streaming.utils", () => {
+  describe("createStreamPlaceholder", () => {
+    it("should create a placeholder element for the component", () => {
+      const placeholder = createStreamPlaceholder("header");
+
+      expect(placeholder.id).toBeTruthy();
+      expect(placeholder.html).toBe(
+        `<div id="${CONSTANTS.streamPlaceholderPrefix}${placeholder.id}" ${CONSTANTS.streamPlaceholderIdentifier}="header"></div>`
+      );
+    });
+
+    it("should create unique placeholder IDs", () => {
+      expect(createStreamPlaceholder("a").id).not.toBe(
+        createStreamPlaceholder("a").id
+      );
+    });
+  });
+
+  describe("buildStreamChunk", () => {
+    it("should wrap the content in a template and swap it into the placeholder", () => {
+      const chunk = buildStreamChunk("abc", "<p>Hello</p>");
+
+      expect(chunk).toContain(
+        `<template id="${CONSTANTS.streamPlaceholderPrefix}abc:content"><p>Hello</p></template>`
+      );
+      expect(chunk).toContain(`window.${CONSTANTS.streamRuntimeGlobal}("abc")`);
+    });
+  });
+
+  describe("splitBlueprintShell", () => {
+    it("should split the shell at the closing body tag", () => {
+      expect(
+        splitBlueprintShell("<html><body><main></main></body></html>")
+      ).toEqual(["<html><body><main></main>", "</body></html>"]);
+    });
+
+    it("should return the whole shell when there is no closing body tag", () => {
+      expect(splitBlueprintShell("<main></main>")).toEqual([
+        "<main></main>",
+        "",
+      ]);
+    });
+  });
+
+  describe("createBlueprintStream", () => {
+    it("should write components in the order they resolve", async () => {
+      let resolveSlow: (value: Buffer) => void = () => undefined;
+      const slow = new Promise<Buffer>((resolve) => (resolveSlow = resolve));
+
+      const stream = createBlueprintStream("<body>shell</body>", [
+        { name: "slow", placeholderId: "slow", content: slow },
+        {
+          name: "fast",
+          placeholderId: "fast",
+          content: Promise.resolve(Buffer.from("FAST")),
+        },
+      ]);
+
+      const output = collect(stream);
+      await new Promise((resolve) => setImmediate(resolve));
+      resolveSlow(Buffer.from("SLOW"));
+      const html = await output;
+
+      expect(html.startsWith("<body>shell")).toBe(true);
+      expect(html.indexOf("FAST")).toBeLessThan(html.indexOf("SLOW"));
+      expect(html.endsWith("</body>")).toBe(true);
+    });
+
+    it("should transform each component and report the full document", async () => {
+      const onComplete = jest.fn();
+
+      const stream = createBlueprintStream(
+        "<body></body>",
+        [
+          {
+            name: "child",
+            placeholderId: "child",
+            content: Promise.resolve(Buffer.from("child")),
+          },
+        ],
+        (html) => html.toUpperCase(),
+        onComplete
+      );
+
+      const html = await collect(stream);
+
+      expect(html).toContain(
+        `<template id="${CONSTANTS.streamPlaceholderPrefix}child:content">CHILD</template>`
+      );
+      expect(onComplete).toHaveBeenCalledWith(html);
+    });
+  });
+});
@@ -23,6 +23,10 @@ class TestableContentController extends ContentController {
   public lastComponent: any = null;
   public lastView: any = null;
   public lastFactories: any = null;
+  public factoryCacheTags: string[] = [];
+  public childFallbacks: string[] = [];
+  public factoryError: Error | null = null;
+  public renderError: Error | null = null;
 
   // Mock versions of the original methods
   protected override async buildComponentContext(
@@ -32,9 +36,13 @@ class TestableContentController extends ContentController {
     component: any,
     request: any,
     reply: any,
-    dataOnly?: boolean
+    dataOnly?: boolean,
+    components?: any,
+    cacheTags: Set<string> = new Set(),
+    fallbacks: Set<string> = new Set()
   ): Promise<any> {
     this.buildComponentContextCalled = true;
+    this.childFallbacks.forEach((child) => fallbacks.add(child));
 
     // Return a simple context
     const context = {
@@ -47,6 +55,7 @@ class TestableContentController extends ContentController {
       nestLevel: 0,
       renderAsBlueprint: view.exposeAsBlueprint || false,
       template: view.template || "<div>Test template</div>",
+      cacheTags,
       overrideTemplate: (template: string) => {
         this.overrideTemplateCalled = true;
         context.template = template;
@@ -63,7 +72,10 @@ class TestableContentController extends ContentController {
   ): Promise<void> {
     this.runFactoriesCalled = true;
     this.lastFactories = factories;
-    // No need to do anything here
+    this.factoryCacheTags.forEach((tag) => context.cacheTags.add(tag));
+    if (this.factoryError) {
+      throw this.factoryError;
+    }
   }
 
   protected override async injectDevelopmentItems(
@@ -79,7 +91,9 @@ class TestableContentController extends ContentController {
 
   protected override render(context: any): Promise<string> {
     this.renderCalled = true;
-    return Promise.resolve("<div>Rendered content</div>");
+    return this.renderError
+      ? Promise.reject(this.renderError)
+      : Promise.resolve("<div>Rendered content</div>");
   }
 }
 
@@ -106,6 +120,8 @@ jest.mock("../../../server/config/blueprint.config", () => {
       blueprintIdHeader: "x-assemblejs-blueprint-id",
       componentIdHeader: "x-assemblejs-component-id",
       nestLevelHeader: "x-assemblejs-nest-level",
+      revalidateHeader: "x-assemblejs-revalidate",
+      cacheTagsHeader: "x-assemblejs-cache-tags",
     },
   };
 });
@@ -209,6 +225,7 @@ describe("ContentController", () => {
     };
 
     mockReply = {
+      code: jest.fn().mockReturnThis(),
       type: jest.fn().mockReturnThis(),
       send: jest.fn().mockReturnThis(),
       header: jest.fn().mockReturnThis(),
@@ -222,6 +239,10 @@ describe("ContentController", () => {
     (componentUtils.cacheRenderedComponent as jest.Mock).mockImplementation(
       () => {}
     );
+    (componentUtils.renderErrorTemplate as jest.Mock).mockImplementation(
+      async (error, info, template) =>
+        typeof template === "function" ? template(error, info) : template
+    );
 
     // Mock context utils
     (contextUtils.getSafeContext as jest.Mock).mockImplementation(
@@ -359,9 +380,10 @@ describe("ContentController", () => {
 
       // Setup
       const cachedHtml = "<div>Cached content</div>";
-      (componentUtils.getCachedRenderedComponent as jest.Mock).mockReturnValue(
-        cachedHtml
-      );
+      (componentUtils.getCachedRenderedComponent as jest.Mock).mockReturnValue({
+        content: cachedHtml,
+        stale: false,
+      });
       controller.register(
         mockApp,
         mockUserOpts,
@@ -381,6 +403,44 @@ describe("ContentController", () => {
       expect(controller.buildComponentContextCalled).toBe(false);
     });
 
+    it("should serve stale content and revalidate it in the background", async () => {
+      // Create controller
+      const controller = new TestableContentController();
+
+      // Setup
+      const cachedHtml = "<div>Stale content</div>";
+      (componentUtils.getCachedRenderedComponent as jest.Mock).mockReturnValue({
+        content: cachedHtml,
+        stale: true,
+      });
+      mockApp.inject = jest.fn().mockResolvedValue({ statusCode: 200 });
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      expect(mockReply.header).toHaveBeenCalledWith("X-Cache", "STALE");
+      expect(mockReply.send).toHaveBeenCalledWith(Buffer.from(cachedHtml));
+      expect(mockApp.inject).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: "GET",
+          url: "/test-component/test-view/",
+          headers: expect.objectContaining({
+            [ASSEMBLEJS.revalidateHeader]: expect.any(String),
+          }),
+        })
+      );
+      expect(controller.buildComponentContextCalled).toBe(false);
+    });
+
     it("should build component context and run factories", async () => {
       // Create controller
       const controller = new TestableContentController();
@@ -551,8 +611,103 @@ describe("ContentController", () => {
         mockApp,
         "test-component:test-view:/test-component/test-view/",
         expect.any(String),
-        300000
+        300000,
+        0,
+        []
+      );
+    });
+
+    it("should cache the tags added by factories and report them to the parent", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      controller.factoryCacheTags = ["product:42"];
+      (componentUtils.encodeCacheTags as jest.Mock).mockImplementation(
+        (tags: Iterable<string>) => [...tags].join(",")
+      );
+      mockRequest.headers = { [ASSEMBLEJS.blueprintIdHeader]: "parent-id" };
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      expect(componentUtils.cacheRenderedComponent).toHaveBeenCalledWith(
+        mockApp,
+        "test-component:test-view:/test-component/test-view/",
+        expect.any(String),
+        300000,
+        0,
+        ["product:42"]
+      );
+      expect(mockReply.header).toHaveBeenCalledWith(
+        ASSEMBLEJS.cacheTagsHeader,
+        "product:42"
+      );
+    });
+
+    it("should not cache content rendered with fallback content, and tell the parent", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      controller.childFallbacks = ["header"];
+      mockRequest.headers = { [ASSEMBLEJS.blueprintIdHeader]: "parent-id" };
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      expect(controller.renderCalled).toBe(true);
+      expect(componentUtils.cacheRenderedComponent).not.toHaveBeenCalled();
+      expect(mockReply.header).toHaveBeenCalledWith(
+        ASSEMBLEJS.fallbackHeader,
+        "true"
+      );
+    });
+
+    it("should report the tags of cached content to the parent", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      (componentUtils.getCachedRenderedComponent as jest.Mock).mockReturnValue({
+        content: "<div>Cached</div>",
+        stale: false,
+        tags: ["product:42"],
+      });
+      (componentUtils.encodeCacheTags as jest.Mock).mockImplementation(
+        (tags: Iterable<string>) => [...tags].join(",")
       );
+      mockRequest.headers = { [ASSEMBLEJS.blueprintIdHeader]: "parent-id" };
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      expect(mockReply.header).toHaveBeenCalledWith(
+        ASSEMBLEJS.cacheTagsHeader,
+        "product:42"
+      );
+      expect(controller.buildComponentContextCalled).toBe(false);
     });
 
     it("should respect view cacheTtl setting", async () => {
@@ -580,7 +735,36 @@ describe("ContentController", () => {
         mockApp,
         "test-component:test-view:/test-component/test-view/",
         expect.any(String),
-        60000
+        60000,
+        0,
+        []
+      );
+    });
+
+    it("should keep serving stale content only when the view opts in", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      mockView.staleWhileRevalidate = 3600000;
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      expect(componentUtils.cacheRenderedComponent).toHaveBeenCalledWith(
+        mockApp,
+        "test-component:test-view:/test-component/test-view/",
+        expect.any(String),
+        300000,
+        3600000,
+        []
       );
     });
 
@@ -607,5 +791,163 @@ describe("ContentController", () => {
       // Assert
       expect(componentUtils.cacheRenderedComponent).not.toHaveBeenCalled();
     });
+
+    it("should mark the hydration strategy of the view on its container", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        { ...mockView, hydrate: "visible" },
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      const html = mockReply.send.mock.calls[0][0].toString();
+      expect(html).toContain(
+        `${ASSEMBLEJS.componentHydrateIdentifier}="visible"`
+      );
+    });
+
+    it("should not mark views hydrated on load", async () => {
+      // Arrange
+      const controller = new TestableContentController();
+      controller.register(
+        mockApp,
+        mockUserOpts,
+        mockComponent,
+        mockView,
+        mockDevServer
+      );
+      const routeHandler = mockApp.get.mock.calls[0][2];
+
+      // Act
+      await routeHandler(mockRequest, mockReply);
+
+      // Assert
+      const html = mockReply.send.mock.calls[0][0].toString();
+      expect(html).not.toContain(ASSEMBLEJS.componentHydrateIdentifier);
+    });
+
+    describe("error boundary", () => {
+      it("should render the errorTemplate in place of a failed render", async () => {
+        // Arrange
+        const controller = new TestableContentController();
+        controller.renderError = new Error("Render error");
+        mockView.errorTemplate = "<p>Unavailable</p>";
+        controller.register(
+          mockApp,
+          mockUserOpts,
+          mockComponent,
+          mockView,
+          mockDevServer
+        );
+        const routeHandler = mockApp.get.mock.calls[0][2];
+
+        // Act
+        await routeHandler(mockRequest, mockReply);
+
+        // Assert
+        expect(mockReply.code).toHaveBeenCalledWith(500);
+        expect(mockReply.header).toHaveBeenCalledWith(
+          ASSEMBLEJS.errorBoundaryHeader,
+          "true"
+        );
+        expect(mockReply.send).toHaveBeenCalledWith("<p>Unavailable</p>");
+        expect(componentUtils.renderErrorTemplate).toHaveBeenCalledWith(
+          controller.renderError,
+          expect.objectContaining({
+            phase: "render",
+            componentName: "test-component",
+            viewName: "test-view",
+          }),
+          "<p>Unavailable</p>"
+        );
+        expect(componentUtils.cacheRenderedComponent).not.toHaveBeenCalled();
+      });
+
+      it("should use the status code of the view, and pass the failure to the template", async () => {
+        // Arrange
+        const controller = new TestableContentController();
+        controller.factoryError = new Error("Factory error");
+        mockView.errorStatusCode = 503;
+        mockView.errorTemplate = (error: Error, info: any) =>
+          `<p>${info.phase}: ${error.message}</p>`;
+        controller.register(
+          mockApp,
+          mockUserOpts,
+          mockComponent,
+          mockView,
+          mockDevServer
+        );
+        const routeHandler = mockApp.get.mock.calls[0][2];
+
+        // Act
+        await routeHandler(mockRequest, mockReply);
+
+        // Assert
+        expect(mockReply.code).toHaveBeenCalledWith(503);
+        expect(mockReply.send).toHaveBeenCalledWith(
+          "<p>factory: Factory error</p>"
+        );
+        expect(controller.renderCalled).toBe(false);
+      });
+
+      it("should report failures to the onViewError hook", async () => {
+        // Arrange
+        const controller = new TestableContentController();
+        controller.renderError = new Error("Render error");
+        mockView.errorTemplate = "<p>Unavailable</p>";
+        mockUserOpts.onViewError = jest.fn();
+        controller.register(
+          mockApp,
+          mockUserOpts,
+          mockComponent,
+          mockView,
+          mockDevServer
+        );
+        const routeHandler = mockApp.get.mock.calls[0][2];
+
+        // Act
+        await routeHandler(mockRequest, mockReply);
+
+        // Assert
+        expect(mockUserOpts.onViewError).toHaveBeenCalledWith(
+          controller.renderError,
+          expect.objectContaining({
+            phase: "render",
+            statusCode: 500,
+            context: controller.lastContext,
+          })
+        );
+      });
+
+      it("should rethrow failures of views without an errorTemplate", async () => {
+        // Arrange
+        const controller = new TestableContentController();
+        controller.renderError = new Error("Render error");
+        mockUserOpts.onViewError = jest.fn().mockRejectedValue(new Error());
+        controller.register(
+          mockApp,
+          mockUserOpts,
+          mockComponent,
+          mockView,
+          mockDevServer
+        );
+        const routeHandler = mockApp.get.mock.calls[0][2];
+
+        // Act & Assert
+        await expect(routeHandler(mockRequest, mockReply)).rejects.toThrow(
+          "Render error"
+        );
+        expect(mockUserOpts.onViewError).toHaveBeenCalled();
+        expect(componentUtils.renderErrorTemplate).not.toHaveBeenCalled();
+      });
+    });
   });
 });
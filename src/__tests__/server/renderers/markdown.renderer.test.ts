@@ -3,22 +3,8 @@ import type { ComponentContext } from "../../../types/component.context";
 import type { ComponentPublicData } from "../../../types/component.simple.types";
 import type { ComponentParams } from "../../../types/component.params";
 import type { ComponentDevice } from "../../../types/component.device";
-import MarkdownIt from "markdown-it";
 import hljs from "highlight.js";
 
-// Mock dependencies
-jest.mock("markdown-it", () => {
-  return jest.fn().mockImplementation(() => ({
-    render: jest.fn((template) => `<div>${template}</div>`),
-    utils: {
-      escapeHtml: jest.fn((str) => str),
-    },
-    linkify: {
-      set: jest.fn(),
-    },
-  }));
-});
-
 jest.mock("highlight.js", () => ({
   getLanguage: jest.fn(),
   highlight: jest.fn(),
@@ -79,25 +65,213 @@ describe("MarkdownRenderer", () => {
   });
 
   it("should render markdown template with context", () => {
+    // Act
+    const html = renderer.render(
+      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+    );
+
+    // Assert
+    expect(html).toBe(
+      '<h1 id="hello-world">Hello World</h1>\n<p>This is a <strong>markdown</strong> test.</p>\n'
+    );
+  });
+
+  it("should reuse the parser between renders", () => {
+    // Arrange
+    const parser = (renderer as any).getParser();
+
     // Act
     renderer.render(
       mockContext as ComponentContext<ComponentPublicData, ComponentParams>
     );
 
     // Assert
-    expect(MarkdownIt).toHaveBeenCalled();
-    expect(MarkdownIt).toHaveBeenCalledWith({
-      html: true,
-      linkify: true,
-      typographer: true,
-      highlight: expect.any(Function),
+    expect((renderer as any).getParser()).toBe(parser);
+  });
+
+  describe("frontmatter", () => {
+    it("should set the title and public data of the view", () => {
+      // Arrange
+      mockContext.template =
+        "---\ntitle: Release Notes\nversion: 2\ncontent: From frontmatter\n---\nVersion {{ data.version }}";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe("<p>Version 2</p>\n");
+      expect(mockContext.title).toBe("Release Notes");
+      expect(mockContext.data).toEqual({
+        version: 2,
+        content: "Sample content",
+      });
     });
 
-    // Check that markdown-it render was called with the template
-    const mockMarkdownIt = (MarkdownIt as jest.Mock).mock.results[0].value;
-    expect(mockMarkdownIt.render).toHaveBeenCalledWith(mockContext.template);
-    expect(mockMarkdownIt.linkify.set).toHaveBeenCalledWith({
-      fuzzyEmail: false,
+    it("should add meta tags to the head of a Blueprint", () => {
+      // Arrange
+      mockContext.renderAsBlueprint = true;
+      mockContext.template =
+        '---\ntitle: Docs\nmeta:\n  description: All about "docs"\n  og:title: Docs\n---\nHello';
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe(
+        '<html lang="en"><head><title>Docs</title>' +
+          '<meta name="description" content="All about &quot;docs&quot;">' +
+          '<meta property="og:title" content="Docs">' +
+          '</head><body id="markdown-component-123"><p>Hello</p>\n</body></html>'
+      );
+    });
+  });
+
+  describe("interpolation", () => {
+    it("should escape interpolated values", () => {
+      // Arrange
+      mockContext.data = { name: "<b>Ada</b>" };
+      mockContext.template = "Hello **{{ data.name }}**";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe(
+        "<p>Hello <strong>&lt;b&gt;Ada&lt;/b&gt;</strong></p>\n"
+      );
+    });
+
+    it("should call helpers with their arguments", () => {
+      // Arrange
+      mockContext.helpers = {
+        join: (...parts: Array<unknown>) => parts.join("-"),
+      };
+      mockContext.template = "{{ join data.content 'a b' 3 }}";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe("<p>Sample content-a b-3</p>\n");
+    });
+
+    it("should not interpolate code", () => {
+      // Arrange
+      mockContext.template =
+        "`{{ data.content }}`\n\n```\n{{ data.content }}\n```";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toContain("<code>{{ data.content }}</code>");
+      expect(html).toContain("{{ data.content }}\n</code></pre>");
+    });
+
+    it("should fail for unknown helpers", () => {
+      // Arrange
+      mockContext.template = "{{ missing data.content }}";
+
+      // Act & Assert
+      expect(() =>
+        renderer.render(
+          mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+        )
+      ).toThrow("Markdown helper 'missing' is not defined");
+    });
+  });
+
+  describe("components", () => {
+    it("should place child components with a directive", () => {
+      // Arrange
+      Object.assign(mockContext, {
+        components: {
+          cart: Buffer.from('<section id="cart">Cart</section>'),
+        },
+      });
+      mockContext.template = "Intro\n:::component cart\nOutro";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe(
+        '<p>Intro</p>\n<section id="cart">Cart</section>\n<p>Outro</p>\n'
+      );
+    });
+
+    it("should render nothing for missing child components", () => {
+      // Arrange
+      mockContext.template = ":::component cart";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toBe("");
+    });
+  });
+
+  describe("headings", () => {
+    it("should give headings unique anchors, and list them in a table of contents", () => {
+      // Arrange
+      mockContext.template =
+        "[[toc]]\n\n# Guide\n\n## Setup\n\n### Install `asmbl`\n\n## Setup";
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(html).toContain(
+        '<nav class="table-of-contents"><ul><li><a href="#setup">Setup</a>' +
+          '<ul><li><a href="#install-asmbl">Install asmbl</a></li></ul></li>' +
+          '<li><a href="#setup-2">Setup</a></li></ul></nav>'
+      );
+      expect(html).toContain('<h1 id="guide">Guide</h1>');
+      expect(html).toContain('<h2 id="setup-2">Setup</h2>');
+    });
+  });
+
+  describe("configure", () => {
+    it("should use the configured options and plugins", () => {
+      // Arrange
+      const plugin = jest.fn((md, suffix: string) => {
+        md.core.ruler.push("suffix", (state: any) => {
+          state.tokens.push(new state.Token("html_block", "", 0));
+          state.tokens[state.tokens.length - 1].content = suffix;
+        });
+      });
+      renderer.configure({
+        options: { typographer: false },
+        plugins: [[plugin, "<hr>"]],
+        anchors: false,
+      });
+      mockContext.template = '# "Quoted"';
+
+      // Act
+      const html = renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      );
+
+      // Assert
+      expect(plugin).toHaveBeenCalledWith(expect.anything(), "<hr>");
+      expect(html).toBe("<h1>&quot;Quoted&quot;</h1>\n<hr>");
     });
   });
 
@@ -168,42 +168,30 @@ describe("PreactRenderer", () => {
     });
   });
 
-  it("should handle non-function templates", async () => {
+  it("should throw for non-function templates", () => {
     // Arrange - simulate a non-function template
     mockContext.template = "<div>Static HTML</div>";
-    console.error = jest.fn();
 
-    // Act
-    const result = await renderer.render(
-      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
-    );
-
-    // Assert
-    expect(result).toBe("<div>Error: Invalid template type</div>");
-    expect(console.error).toHaveBeenCalledWith(
-      "Template is not a function:",
-      "string"
-    );
+    // Act & Assert
+    expect(() =>
+      renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      )
+    ).toThrow("Preact template is not a function: string");
   });
 
-  it("should handle errors during rendering", async () => {
+  it("should let errors during rendering reach the error boundary", () => {
     // Arrange
     (preactRender.default as jest.Mock).mockImplementation(() => {
       throw new Error("Render error");
     });
-    console.error = jest.fn();
 
-    // Act
-    const result = await renderer.render(
-      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
-    );
-
-    // Assert
-    expect(result).toBe("<div>Error rendering component: Render error</div>");
-    expect(console.error).toHaveBeenCalledWith(
-      "Error rendering Preact component:",
-      expect.any(Error)
-    );
+    // Act & Assert
+    expect(() =>
+      renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      )
+    ).toThrow("Render error");
   });
 
   it("should handle empty render results", async () => {
@@ -1,4 +1,10 @@
-import { getRenderer } from "../../../../server/renderers/rendering/get.renderer";
+import {
+  getRenderer,
+  getRendererName,
+  getRegisteredRenderer,
+  getRegisteredRendererName,
+  registerRenderer,
+} from "../../../../server/renderers/rendering/get.renderer";
 import { EJS } from "../../../../server/renderers/ejs.renderer";
 import { STRING } from "../../../../server/renderers/string.renderer";
 import { PREACT } from "../../../../server/renderers/preact.renderer";
@@ -66,7 +72,7 @@ describe("getRenderer", () => {
 
       // Assert
       expect(renderer).toBe(EJS);
-      expect(context.renderer).toBe("EJS");
+      expect(getRendererName(context)).toBe("EJS");
     });
 
     it("should return STRING renderer for .html files", async () => {
@@ -85,7 +91,7 @@ describe("getRenderer", () => {
 
       // Assert
       expect(renderer).toBe(STRING);
-      expect(context.renderer).toBe("HTML");
+      expect(getRendererName(context)).toBe("HTML");
     });
 
     it("should return MARKDOWN renderer for .md files", async () => {
@@ -104,7 +110,7 @@ describe("getRenderer", () => {
 
       // Assert
       expect(renderer).toBe(MARKDOWN);
-      expect(context.renderer).toBe("MARKDOWN");
+      expect(getRendererName(context)).toBe("MARKDOWN");
     });
 
     it("should throw error for unsupported file extensions", async () => {
@@ -142,7 +148,7 @@ describe("getRenderer", () => {
 
       // Assert
       expect(renderer).toBe(STRING);
-      expect(context.renderer).toBe("STRING");
+      expect(getRendererName(context)).toBe("STRING");
     });
 
     it("should return PREACT renderer for function templates", async () => {
@@ -164,7 +170,7 @@ describe("getRenderer", () => {
 
       // Assert
       expect(renderer).toBe(PREACT);
-      expect(context.renderer).toBe("PREACT");
+      expect(getRendererName(context)).toBe("PREACT");
     });
 
     it("should throw error for unsupported template types", async () => {
@@ -185,6 +191,18 @@ describe("getRenderer", () => {
     });
   });
 
+  it("should not write the resolved renderer to the context", async () => {
+    // Arrange
+    const view = Object.freeze({ templateFile: "/path/to/template.md" });
+
+    // Act
+    const renderer = await getRenderer(view);
+
+    // Assert
+    expect(renderer).toBe(MARKDOWN);
+    expect(view).toEqual({ templateFile: "/path/to/template.md" });
+  });
+
   it("should throw error when no template or templateFile is provided", async () => {
     // Arrange
     const context: Partial<
@@ -225,6 +243,65 @@ describe("getRenderer", () => {
     await getRenderer(context);
 
     // Assert
-    expect(context.renderer).toBe("HANDLEBARS");
+    expect(getRendererName(context)).toBe("HANDLEBARS");
+  });
+
+  describe("registerRenderer", () => {
+    it("should resolve registered renderers by file extension", async () => {
+      // Arrange
+      const liquid = registerRenderer({
+        name: "LIQUID",
+        extensions: ["liquid", ".LQD"],
+        render: jest.fn(() => ""),
+      });
+      const context: Partial<
+        Pick<
+          ComponentContext<AnyObject, ComponentParams>,
+          "template" | "templateFile" | "renderer"
+        >
+      > = {
+        templateFile: "/path/to/template.liquid",
+      };
+
+      // Act
+      const renderer = await getRenderer(context);
+
+      // Assert
+      expect(renderer).toBe(liquid);
+      expect(getRendererName(context)).toBe("LIQUID");
+      expect(getRegisteredRendererName(".lqd")).toBe("LIQUID");
+    });
+
+    it("should resolve registered renderers by name for any template type", async () => {
+      // Arrange
+      const lit = registerRenderer({
+        name: "LIT",
+        render: jest.fn(() => ""),
+      });
+
+      // Act
+      const fromString = await getRenderer({
+        template: "<div></div>",
+        renderer: "LIT",
+      });
+      const fromFunction = await getRenderer({
+        template: (() => null) as any,
+        renderer: "LIT",
+      });
+
+      // Assert
+      expect(fromString).toBe(lit);
+      expect(fromFunction).toBe(lit);
+      expect(getRegisteredRenderer("LIT")).toBe(lit);
+    });
+
+    it("should throw when the registration is invalid", () => {
+      expect(() =>
+        registerRenderer({ name: "", render: jest.fn(() => "") })
+      ).toThrow("A renderer must be registered with a name.");
+      expect(() => registerRenderer({ name: "BROKEN" } as any)).toThrow(
+        "Renderer 'BROKEN' must provide a 'render' function."
+      );
+    });
   });
 });
@@ -47,6 +47,7 @@ describe("renderTemplate", () => {
     (getRendererModule.getRenderer as jest.Mock).mockResolvedValue(
       mockRenderer
     );
+    (getRendererModule.getRendererName as jest.Mock).mockReturnValue("STRING");
 
     // Mock mutateBlueprint to return a modified template
     (componentUtils.mutateBlueprint as jest.Mock).mockReturnValue(
@@ -89,6 +90,7 @@ describe("renderTemplate", () => {
     expect(getRendererModule.getRenderer).toHaveBeenCalledWith(mockContext);
     expect(mockRenderer.render).toHaveBeenCalledWith(mockContext);
     expect(result).toBe("<div>Test template</div>");
+    expect(mockContext.renderer).toBe("STRING");
 
     // Verify request and reply are reset to empty objects
     expect(mockContext.request).toEqual({});
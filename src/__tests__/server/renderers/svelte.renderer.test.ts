@@ -0,0 +1,105 @@
+import { SvelteRenderer } from "../../../server/renderers/svelte.renderer";
+import type { ComponentContext } from "../../../types/component.context";
+import type { ComponentPublicData } from "../../../types/component.simple.types";
+import type { ComponentParams } from "../../../types/component.params";
+import type { ComponentDevice } from "../../../types/component.device";
+
+jest.mock("../../../utils/html.utils", () => ({
+  convertExtsToDistPointer: jest.fn((html) => html),
+}));
+
+jest.mock("../../../utils/logger.utils", () => {
+  const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+
+  return {
+    logger: jest.fn().mockReturnValue(mockLogger),
+    ConsoleLogger: jest.fn().mockImplementation(() => mockLogger),
+  };
+});
+
+describe("SvelteRenderer", () => {
+  let renderer: SvelteRenderer;
+  let mockContext: Record<string, any>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    renderer = new SvelteRenderer();
+
+    mockContext = {
+      template: {
+        render: jest.fn(() => ({ html: "<div>Hello User</div>" })),
+      },
+      title: "Svelte Test",
+      components: {
+        header: Buffer.from("<header>Page Header</header>"),
+      },
+      helpers: { upper: (text: string) => text.toUpperCase() },
+      id: "svelte-component-123",
+      viewName: "svelte-view",
+      componentName: "svelte-component",
+      params: { headers: {}, body: {}, query: {}, path: {} },
+      data: { name: "User" },
+      renderAsBlueprint: false,
+      deviceType: "DESKTOP" as ComponentDevice,
+      nestLevel: 0,
+      serverUrl: "http://localhost:3000",
+      request: { url: "/" },
+    };
+  });
+
+  it("should render the template with the view context as props", async () => {
+    // Act
+    const result = await renderer.render(
+      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+    );
+
+    // Assert
+    expect(result).toBe("<div>Hello User</div>");
+    const props = mockContext.template.render.mock.calls[0][0];
+    expect(props).toMatchObject({
+      id: "svelte-component-123",
+      data: { name: "User" },
+      helpers: mockContext.helpers,
+      components: { header: "<header>Page Header</header>" },
+      slots: { header: "<header>Page Header</header>" },
+      header: "<header>Page Header</header>",
+    });
+    expect(props.request).toBeUndefined();
+  });
+
+  it("should include the head and styles of the component", async () => {
+    // Arrange
+    mockContext.template.render.mockReturnValue({
+      html: "<div>Hello</div>",
+      css: { code: "div{color:red}" },
+      head: "<meta name='x'>",
+    });
+
+    // Act
+    const result = await renderer.render(
+      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+    );
+
+    // Assert
+    expect(result).toBe(
+      "<meta name='x'><style>div{color:red}</style><div>Hello</div>"
+    );
+  });
+
+  it("should throw for invalid templates", () => {
+    // Arrange
+    mockContext.template = {};
+
+    // Act & Assert
+    expect(() =>
+      renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      )
+    ).toThrow("Template is not a valid Svelte component: object");
+  });
+});
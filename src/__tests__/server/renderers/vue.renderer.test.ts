@@ -0,0 +1,123 @@
+import { VueRenderer } from "../../../server/renderers/vue.renderer";
+import type { ComponentContext } from "../../../types/component.context";
+import type { ComponentPublicData } from "../../../types/component.simple.types";
+import type { ComponentParams } from "../../../types/component.params";
+import type { ComponentDevice } from "../../../types/component.device";
+import { createSSRApp } from "../../../stubs/vue";
+import { renderToString } from "../../../stubs/vue-server-renderer";
+
+jest.mock("../../../stubs/vue", () => ({
+  createSSRApp: jest.fn((component, rootProps) => ({ component, rootProps })),
+}));
+
+jest.mock("../../../stubs/vue-server-renderer", () => ({
+  renderToString: jest.fn(),
+}));
+
+jest.mock("../../../utils/html.utils", () => ({
+  convertExtsToDistPointer: jest.fn((html) => html),
+}));
+
+jest.mock("../../../utils/logger.utils", () => {
+  const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+
+  return {
+    logger: jest.fn().mockReturnValue(mockLogger),
+    ConsoleLogger: jest.fn().mockImplementation(() => mockLogger),
+  };
+});
+
+describe("VueRenderer", () => {
+  let renderer: VueRenderer;
+  let mockContext: Record<string, any>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    renderer = new VueRenderer();
+
+    mockContext = {
+      template: { name: "VueView" },
+      title: "Vue Test",
+      components: {
+        header: Buffer.from("<header>Page Header</header>"),
+      },
+      helpers: { upper: (text: string) => text.toUpperCase() },
+      id: "vue-component-123",
+      viewName: "vue-view",
+      componentName: "vue-component",
+      params: { headers: {}, body: {}, query: {}, path: {} },
+      data: { name: "User" },
+      renderAsBlueprint: false,
+      deviceType: "DESKTOP" as ComponentDevice,
+      nestLevel: 0,
+      serverUrl: "http://localhost:3000",
+      request: { url: "/" },
+    };
+
+    (renderToString as jest.Mock).mockResolvedValue("<div>Hello User</div>");
+  });
+
+  it("should render the template with the view context as props", async () => {
+    // Act
+    const result = await renderer.render(
+      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+    );
+
+    // Assert
+    expect(result).toBe("<div>Hello User</div>");
+    expect(createSSRApp).toHaveBeenCalledWith(
+      mockContext.template,
+      expect.objectContaining({
+        id: "vue-component-123",
+        data: { name: "User" },
+        params: mockContext.params,
+        helpers: mockContext.helpers,
+        components: { header: "<header>Page Header</header>" },
+        slots: { header: "<header>Page Header</header>" },
+        header: "<header>Page Header</header>",
+      })
+    );
+  });
+
+  it("should not pass server-only context to the template", async () => {
+    // Act
+    await renderer.render(
+      mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+    );
+
+    // Assert
+    const props = (createSSRApp as jest.Mock).mock.calls[0][1];
+    expect(props.request).toBeUndefined();
+    expect(props.template).toBeUndefined();
+  });
+
+  it("should throw for invalid templates", () => {
+    // Arrange
+    mockContext.template = "<div>Static HTML</div>";
+
+    // Act & Assert
+    expect(() =>
+      renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      )
+    ).toThrow("Template is not a valid Vue component: string");
+    expect(createSSRApp).not.toHaveBeenCalled();
+  });
+
+  it("should let errors during rendering reach the error boundary", async () => {
+    // Arrange
+    (renderToString as jest.Mock).mockRejectedValue(new Error("Render error"));
+
+    // Act & Assert
+    await expect(
+      renderer.render(
+        mockContext as ComponentContext<ComponentPublicData, ComponentParams>
+      )
+    ).rejects.toThrow("Render error");
+  });
+});
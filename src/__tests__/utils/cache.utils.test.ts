@@ -5,7 +5,13 @@ import {
   createNamespacedCache,
   createTypedCache,
   Cached,
+  FileSystemCache,
+  RedisCache,
 } from "../../utils/cache.utils";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
 
 // Mock the logger function to avoid actual logging during tests
 jest.mock("../../utils/logger.utils", () => ({
@@ -17,6 +23,82 @@ jest.mock("../../utils/logger.utils", () => ({
   }),
 }));
 
+/**
+ * Start a minimal in-memory server speaking the Redis protocol.
+ * @return {Promise<object>} - The server and the port it listens on.
+ */
+async function startRedisStandIn(): Promise<{
+  server: net.Server;
+  port: number;
+  store: Map<string, string>;
+}> {
+  const store = new Map<string, string>();
+  const bulk = (value: string) =>
+    `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+
+      // Each command is an array of bulk strings: *N, then $len/value pairs
+      let match: RegExpMatchArray | null;
+      while ((match = buffer.match(/^\*(\d+)\r\n/))) {
+        const lines = buffer.split("\r\n");
+        const count = Number(match[1]);
+        if (lines.length < 2 + count * 2) {
+          return;
+        }
+        const args = Array.from({ length: count }, (_, i) => lines[2 + i * 2]);
+        buffer = lines.slice(1 + count * 2).join("\r\n");
+
+        const [command, ...rest] = args;
+        switch (command) {
+          case "GET":
+            socket.write(
+              store.has(rest[0])
+                ? bulk(store.get(rest[0]) as string)
+                : "$-1\r\n"
+            );
+            break;
+          case "SET":
+            store.set(rest[0], rest[1]);
+            socket.write("+OK\r\n");
+            break;
+          case "EXISTS":
+            socket.write(`:${store.has(rest[0]) ? 1 : 0}\r\n`);
+            break;
+          case "DEL":
+            socket.write(
+              `:${rest.filter((key) => store.delete(key)).length}\r\n`
+            );
+            break;
+          case "SCAN": {
+            // One key per page, so callers must follow the cursor
+            const [cursor, , pattern] = rest;
+            const prefix = pattern.replace(/\*$/, "");
+            const keys = [...store.keys()].filter((key) =>
+              key.startsWith(prefix)
+            );
+            const index = Number(cursor);
+            const page = keys.slice(index, index + 1);
+            const next = index + 1 < keys.length ? String(index + 1) : "0";
+            socket.write(
+              `*2\r\n${bulk(next)}*${page.length}\r\n${page.map(bulk).join("")}`
+            );
+            break;
+          }
+          default:
+            socket.write(`-ERR unknown command '${command}'\r\n`);
+        }
+      }
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, port: (server.address() as net.AddressInfo).port, store };
+}
+
 describe("Cache Utilities", () => {
   describe("MemoryCache", () => {
     let cache: MemoryCache<string>;
@@ -325,4 +407,169 @@ describe("Cache Utilities", () => {
       expect(instance.callCount).toBe(1);
     });
   });
+  describe("FileSystemCache", () => {
+    let directory: string;
+    let cache: FileSystemCache<{ html: string }>;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "asmbl-cache-"));
+      cache = new FileSystemCache({ directory, maxAge: 1000 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("should persist values across cache instances", async () => {
+      await cache.set("home", { html: "<div>Home</div>" });
+
+      const other = new FileSystemCache<{ html: string }>({ directory });
+      expect(await other.get("home")).toEqual({ html: "<div>Home</div>" });
+      expect(await other.has("home")).toBe(true);
+      expect(await other.keys()).toEqual(["home"]);
+    });
+
+    test("should expire values after their max age", async () => {
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now);
+      await cache.set("home", { html: "<div>Home</div>" });
+
+      jest.spyOn(Date, "now").mockReturnValue(now + 1001);
+      expect(await cache.get("home")).toBeUndefined();
+      expect(await cache.size()).toBe(0);
+    });
+
+    test("should delete and clear values", async () => {
+      await cache.set("a", { html: "a" });
+      await cache.set("b", { html: "b" });
+
+      expect(await cache.delete("a")).toBe(true);
+      expect(await cache.delete("a")).toBe(false);
+
+      await cache.clear();
+      expect(await cache.size()).toBe(0);
+    });
+
+    test("should not lose concurrent writes of the same key", async () => {
+      await Promise.all(
+        Array.from({ length: 10 }, (_, i) =>
+          cache.set("home", { html: `<div>${i}</div>` })
+        )
+      );
+
+      expect(await cache.get("home")).toEqual({
+        html: expect.stringMatching(/^<div>\d<\/div>$/),
+      });
+      expect(fs.readdirSync(directory)).toHaveLength(1);
+    });
+
+    test("should back a namespaced cache", async () => {
+      const namespaced = createNamespacedCache<string>("views", cache);
+
+      await namespaced.set("home", "<div>Home</div>");
+
+      expect(await namespaced.get("home")).toBe("<div>Home</div>");
+      expect(await namespaced.keys()).toEqual(["home"]);
+      expect(await cache.keys()).toEqual(["views:home"]);
+    });
+  });
+
+  describe("RedisCache", () => {
+    let standIn: Awaited<ReturnType<typeof startRedisStandIn>>;
+    let cache: RedisCache<{ html: string }>;
+
+    beforeEach(async () => {
+      standIn = await startRedisStandIn();
+      cache = new RedisCache({ port: standIn.port, keyPrefix: "test:" });
+    });
+
+    afterEach(async () => {
+      cache.dispose();
+      await new Promise((resolve) => standIn.server.close(resolve));
+    });
+
+    test("should store prefixed JSON values on the server", async () => {
+      await cache.set("home", { html: "<div>Home</div>" });
+
+      expect(standIn.store.get("test:home")).toBe(
+        JSON.stringify({ html: "<div>Home</div>" })
+      );
+      expect(await cache.get("home")).toEqual({ html: "<div>Home</div>" });
+      expect(await cache.has("home")).toBe(true);
+      expect(await cache.get("missing")).toBeUndefined();
+    });
+
+    test("should only list and clear keys with its prefix", async () => {
+      standIn.store.set("other:key", "1");
+      await cache.set("a", { html: "a" });
+      await cache.set("b", { html: "b" });
+
+      expect((await cache.keys()).sort()).toEqual(["a", "b"]);
+      expect(await cache.delete("a")).toBe(true);
+
+      await cache.clear();
+      expect(await cache.size()).toBe(0);
+      expect(standIn.store.has("other:key")).toBe(true);
+    });
+
+    test("should treat a corrupt value as a cache miss", async () => {
+      standIn.store.set("test:home", "{not json");
+
+      expect(await cache.get("home")).toBeUndefined();
+    });
+
+    test("should reject server errors", async () => {
+      await expect(cache.command("FLUSHALL")).rejects.toThrow(
+        "unknown command"
+      );
+    });
+
+    test("should drop the connection when a command is not answered in time", async () => {
+      const connections: net.Socket[] = [];
+      const silent = net.createServer((socket) => connections.push(socket));
+      await new Promise<void>((resolve) =>
+        silent.listen(0, "127.0.0.1", resolve)
+      );
+      const unresponsive = new RedisCache({
+        port: (silent.address() as net.AddressInfo).port,
+        commandTimeout: 50,
+      });
+
+      await expect(unresponsive.get("home")).rejects.toThrow(
+        "Redis command timed out after 50ms: GET"
+      );
+      connections.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => silent.close(resolve));
+    });
+
+    test("should fail the connection on a reply it can not read", async () => {
+      // RESP3 servers may answer with types RESP2 does not have, such as maps
+      const resp3 = net.createServer((socket) =>
+        socket.on("data", () => socket.write("%0\r\n"))
+      );
+      await new Promise<void>((resolve) =>
+        resp3.listen(0, "127.0.0.1", resolve)
+      );
+      const unreadable = new RedisCache({
+        port: (resp3.address() as net.AddressInfo).port,
+      });
+
+      await expect(unreadable.command("HELLO", 3)).rejects.toThrow(
+        "Unexpected Redis reply type: %"
+      );
+      unreadable.dispose();
+      await new Promise((resolve) => resp3.close(resolve));
+    });
+
+    test("should not fail the commands of a new connection when the previous one closes", async () => {
+      await cache.set("home", { html: "<div>Home</div>" });
+
+      // The previous connection closes while the command waits on the new one
+      cache.dispose();
+      const result = cache.get("home");
+
+      expect(await result).toEqual({ html: "<div>Home</div>" });
+    });
+  });
 });
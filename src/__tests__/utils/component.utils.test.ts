@@ -3,7 +3,16 @@ import {
   safeFetch,
   isStaticAsset,
   getComponentCache,
+  cacheRenderedComponent,
+  getCachedRenderedComponent,
+  encodeCacheTags,
+  decodeCacheTags,
+  mutateBlueprint,
+  renderErrorTemplate,
+  safeRender,
 } from "../../utils/component.utils";
+import { getClientRouterRoutes } from "../../server/app/router/client.router";
+import { CONSTANTS } from "../../constants/blueprint.constants";
 import { HttpError } from "../../utils/http.utils";
 import type { ComponentContext } from "../../types/component.context";
 import type { ComponentParams } from "../../types/component.params";
@@ -29,6 +38,10 @@ jest.mock("../../utils/logger.utils", () => ({
   }),
 }));
 
+jest.mock("../../server/app/router/client.router", () => ({
+  getClientRouterRoutes: jest.fn(),
+}));
+
 describe("component.utils", () => {
   describe("addToHydration", () => {
     it("should add data to the context.data object", () => {
@@ -217,6 +230,108 @@ describe("component.utils", () => {
     });
   });
 
+  describe("renderErrorTemplate", () => {
+    const error = new Error("<boom>");
+    const info = {
+      phase: "component" as const,
+      componentName: "page",
+      viewName: "home",
+      child: "cart",
+      statusCode: 500,
+    };
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    it("should return string templates as they are", async () => {
+      // Act & Assert
+      expect(await renderErrorTemplate(error, info, "<p>Oops</p>")).toBe(
+        "<p>Oops</p>"
+      );
+    });
+
+    it("should call function templates with the error and the failure", async () => {
+      // Arrange
+      const template = jest.fn(async () => "<p>Oops</p>");
+
+      // Act
+      const html = await renderErrorTemplate(error, info, template);
+
+      // Assert
+      expect(html).toBe("<p>Oops</p>");
+      expect(template).toHaveBeenCalledWith(error, info);
+    });
+
+    it("should render the default template when the template fails", async () => {
+      // Arrange
+      process.env.NODE_ENV = "production";
+      const template = () => {
+        throw new Error("Template error");
+      };
+
+      // Act
+      const html = await renderErrorTemplate(error, info, template);
+
+      // Assert
+      expect(html).toContain('data-assemblejs-error="component"');
+      expect(html).toContain("Failed to load component &#34;cart&#34;");
+      expect(html).not.toContain("boom");
+    });
+
+    it("should show the encoded error message in development", async () => {
+      // Arrange
+      process.env.NODE_ENV = "development";
+
+      // Act
+      const html = await renderErrorTemplate(error, {
+        ...info,
+        phase: "render",
+      });
+
+      // Assert
+      expect(html).toContain("Failed to render page/home");
+      expect(html).toContain("&lt;boom&gt;");
+    });
+  });
+
+  describe("safeRender", () => {
+    const context = {
+      componentName: "page",
+      viewName: "home",
+    } as ComponentContext<any, ComponentParams>;
+
+    it("should return the result of a successful render", async () => {
+      // Act & Assert
+      expect(await safeRender(async () => "<p>Home</p>", context)).toBe(
+        "<p>Home</p>"
+      );
+    });
+
+    it("should render the fallback template in place of a failed render", async () => {
+      // Arrange
+      const fallback = jest.fn(() => "<p>Fallback</p>");
+      const error = new HttpError("Not found", 404);
+
+      // Act
+      const html = await safeRender(
+        async () => {
+          throw error;
+        },
+        context,
+        fallback
+      );
+
+      // Assert
+      expect(html).toBe("<p>Fallback</p>");
+      expect(fallback).toHaveBeenCalledWith(
+        error,
+        expect.objectContaining({ phase: "render", statusCode: 404, context })
+      );
+    });
+  });
+
   describe("isStaticAsset", () => {
     it("should identify JavaScript files as static assets", () => {
       expect(isStaticAsset("/assets/script.js")).toBe(true);
@@ -295,4 +410,209 @@ describe("component.utils", () => {
       );
     });
   });
+
+  describe("rendered component cache", () => {
+    const createServer = () => {
+      const store = new Map<string, unknown>();
+      return {
+        store,
+        caches: {
+          renderedView: {
+            get: jest.fn((key: string) => store.get(key)),
+            set: jest.fn((key: string, value: unknown) =>
+              store.set(key, value)
+            ),
+          },
+          cacheTags: {
+            set: jest.fn((key: string, value: string) =>
+              store.set(`tag:${key}`, value)
+            ),
+          },
+        },
+      } as any;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should keep stale content for the stale-while-revalidate window", async () => {
+      jest.spyOn(Date, "now").mockReturnValue(1000);
+      const server = createServer();
+
+      await cacheRenderedComponent(server, "home", "<div>Home</div>", 100, 500);
+
+      expect(server.caches.renderedView.set).toHaveBeenCalledWith(
+        "component:home",
+        { content: "<div>Home</div>", staleAt: 1100 },
+        { maxAge: 600 }
+      );
+    });
+
+    it("should report whether the cached content is stale", async () => {
+      const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+      const server = createServer();
+      await cacheRenderedComponent(server, "home", "<div>Home</div>", 100, 500);
+
+      await expect(getCachedRenderedComponent(server, "home")).resolves.toEqual(
+        {
+          content: "<div>Home</div>",
+          stale: false,
+          tags: [],
+        }
+      );
+
+      now.mockReturnValue(1200);
+
+      await expect(getCachedRenderedComponent(server, "home")).resolves.toEqual(
+        {
+          content: "<div>Home</div>",
+          stale: true,
+          tags: [],
+        }
+      );
+    });
+
+    it("should index the content under each of its cache tags", async () => {
+      jest.spyOn(Date, "now").mockReturnValue(1000);
+      const server = createServer();
+
+      await cacheRenderedComponent(server, "home", "<div>Home</div>", 100, 0, [
+        "product:42",
+      ]);
+      await cacheRenderedComponent(server, "list", "<ul></ul>", 100, 0, [
+        "product:42",
+      ]);
+
+      expect(server.store.get("tag:product%3A42:component:home")).toBe(
+        "component:home"
+      );
+      expect(server.store.get("tag:product%3A42:component:list")).toBe(
+        "component:list"
+      );
+      await expect(getCachedRenderedComponent(server, "home")).resolves.toEqual(
+        { content: "<div>Home</div>", stale: false, tags: ["product:42"] }
+      );
+    });
+
+    it("should refresh the max age of the tag index whenever the content is cached again", async () => {
+      const server = createServer();
+
+      await cacheRenderedComponent(server, "home", "<div>Home</div>", 100, 0, [
+        "product:42",
+      ]);
+      await cacheRenderedComponent(server, "home", "<div>Home</div>", 200, 0, [
+        "product:42",
+      ]);
+
+      expect(server.caches.cacheTags.set).toHaveBeenCalledTimes(2);
+      expect(server.caches.cacheTags.set).toHaveBeenLastCalledWith(
+        "product%3A42:component:home",
+        "component:home",
+        { maxAge: 200 }
+      );
+    });
+
+    it("should return undefined when caching is not enabled", async () => {
+      await expect(
+        getCachedRenderedComponent({} as any, "home")
+      ).resolves.toBeUndefined();
+    });
+
+    it("should treat a failing cache store as a cache miss", async () => {
+      const server = {
+        caches: {
+          renderedView: {
+            get: jest.fn().mockRejectedValue(new Error("offline")),
+          },
+        },
+      } as any;
+
+      await expect(
+        getCachedRenderedComponent(server, "home")
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe("cache tag headers", () => {
+    it("should round trip tags containing separators", () => {
+      const header = encodeCacheTags(new Set(["product:42", "a,b"]));
+
+      expect(header).toBe("product%3A42,a%2Cb");
+      expect(decodeCacheTags(header)).toEqual(["product:42", "a,b"]);
+    });
+
+    it("should decode missing and repeated headers", () => {
+      expect(decodeCacheTags(undefined)).toEqual([]);
+      expect(decodeCacheTags(["a", "b"])).toEqual(["a", "b"]);
+    });
+  });
+
+  describe("mutateBlueprint", () => {
+    const context = {
+      id: "blueprint-id",
+      serverUrl: "http://localhost:3000/home/main/",
+      viewName: "main",
+      componentName: "home",
+      title: "Home",
+    } as unknown as ComponentContext<any, ComponentParams>;
+
+    it("should announce the client router routes on the client bundle script", () => {
+      // Arrange
+      (getClientRouterRoutes as jest.Mock).mockReturnValue([
+        "/home/main/",
+        "/shop/list/",
+      ]);
+
+      // Act
+      const html = mutateBlueprint(
+        "<html><head></head><body><p>Home</p></body></html>",
+        context
+      );
+
+      // Assert
+      expect(html).toContain(
+        `${CONSTANTS.routerAttribute}="/home/main/ /shop/list/"`
+      );
+    });
+
+    it("should not announce routes when the client router is not enabled", () => {
+      // Arrange
+      (getClientRouterRoutes as jest.Mock).mockReturnValue(undefined);
+
+      // Act
+      const html = mutateBlueprint(
+        "<html><head></head><body><p>Home</p></body></html>",
+        context
+      );
+
+      // Assert
+      expect(html).toContain("asmbl.client.bundle.js");
+      expect(html).not.toContain(CONSTANTS.routerAttribute);
+    });
+
+    it("should render the scripts of islands as placeholders, loaded once their hydration strategy is met", () => {
+      // Arrange
+      const section = (id: string, name: string, hydrate = "") =>
+        `<section id="${id}" data-component-name="${name}" data-component-view="main" ${hydrate}class="${CONSTANTS.componentClassIdentifier} ${name} main"><script type="module" src="main.js"></script></section>`;
+
+      // Act
+      const html = mutateBlueprint(
+        `<html><head></head><body>${section(
+          "nav-1",
+          "nav",
+          `${CONSTANTS.componentHydrateIdentifier}="visible" `
+        )}${section("cart-1", "cart")}</body></html>`,
+        context
+      );
+
+      // Assert
+      expect(html).toContain(
+        `<script type="${CONSTANTS.componentLazyScriptType}" ${CONSTANTS.componentDataIdentifier}="nav-1" ${CONSTANTS.componentLazyTypeIdentifier}="module" ${CONSTANTS.componentLazySrcIdentifier}="/nav/main/main.js"></script>`
+      );
+      expect(html).toContain(
+        `<script type="module" src="/cart/main/main.js" defer ${CONSTANTS.componentDataIdentifier}="cart-1"></script>`
+      );
+    });
+  });
 });
@@ -1,5 +1,8 @@
-import { getSafeContext } from "../../utils/context.utils";
-import type { ComponentContext } from "../../types/component.context";
+import { getSafeContext, getViewProps } from "../../utils/context.utils";
+import type {
+  ComponentContext,
+  ViewContext,
+} from "../../types/component.context";
 import type { ComponentPublicData } from "../../types/component.simple.types";
 import type { ComponentParams } from "../../types/component.params";
 import type { ComponentDevice } from "../../types/component.device";
@@ -145,4 +148,67 @@ describe("context.utils", () => {
       });
     });
   });
+
+  describe("getViewProps", () => {
+    const viewContext = (components: Record<string, unknown>): ViewContext =>
+      ({
+        viewName: "view",
+        componentName: "component",
+        id: "view-id",
+        params: { headers: {}, body: {}, query: {}, path: {} },
+        data: { count: 5 },
+        renderAsBlueprint: false,
+        deviceType: "DESKTOP" as ComponentDevice,
+        components,
+        nestLevel: 1,
+        title: "",
+        serverUrl: "http://localhost:3000",
+      } as unknown as ViewContext);
+
+    it("should pass child components as HTML, slots and props", () => {
+      // Arrange
+      const helpers = { upper: (text: string) => text.toUpperCase() };
+
+      // Act
+      const props = getViewProps(
+        viewContext({ header: Buffer.from("<header>Hé</header>") }),
+        helpers
+      );
+
+      // Assert
+      expect(props).toMatchObject({
+        id: "view-id",
+        data: { count: 5 },
+        header: "<header>Hé</header>",
+        components: { header: "<header>Hé</header>" },
+        slots: { header: "<header>Hé</header>" },
+        helpers,
+      });
+    });
+
+    it("should read child components serialized into the hydration data", () => {
+      // Arrange
+      const hydrated = JSON.parse(
+        JSON.stringify(
+          viewContext({ header: Buffer.from("<header>Hé</header>") })
+        )
+      );
+
+      // Act
+      const props = getViewProps(hydrated);
+
+      // Assert
+      expect(props.components).toEqual({ header: "<header>Hé</header>" });
+      expect(props.helpers).toEqual({});
+    });
+
+    it("should keep the context when a child component shares its name", () => {
+      // Act
+      const props = getViewProps(viewContext({ data: "<p>Child</p>" }));
+
+      // Assert
+      expect(props.data).toEqual({ count: 5 });
+      expect(props.components.data).toBe("<p>Child</p>");
+    });
+  });
 });
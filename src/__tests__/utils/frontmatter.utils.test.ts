@@ -0,0 +1,133 @@
+import { parseFrontmatter } from "../../utils/frontmatter.utils";
+
+describe("frontmatter.utils", () => {
+  describe("parseFrontmatter", () => {
+    it("should return the document unchanged without frontmatter", () => {
+      // Act
+      const result = parseFrontmatter("# Title\n---\nkey: value");
+
+      // Assert
+      expect(result).toEqual({
+        attributes: {},
+        body: "# Title\n---\nkey: value",
+      });
+    });
+
+    it("should read scalar values", () => {
+      // Arrange
+      const source = [
+        "---",
+        "title: Release Notes # the page title",
+        'quoted: "a: b"',
+        "single: 'it''s'",
+        "count: 3",
+        "ratio: 0.5",
+        "draft: false",
+        "empty:",
+        "nothing: null",
+        "url: https://example.com/page",
+        "---",
+        "# Body",
+      ].join("\n");
+
+      // Act
+      const result = parseFrontmatter(source);
+
+      // Assert
+      expect(result).toEqual({
+        attributes: {
+          title: "Release Notes",
+          quoted: "a: b",
+          single: "it's",
+          count: 3,
+          ratio: 0.5,
+          draft: false,
+          empty: null,
+          nothing: null,
+          url: "https://example.com/page",
+        },
+        body: "# Body",
+      });
+    });
+
+    it("should read nested maps and lists", () => {
+      // Arrange
+      const source = [
+        "---",
+        "meta:",
+        "  description: Docs",
+        "  og:title: Docs",
+        "tags: [shop, cart, 2]",
+        "authors:",
+        "- Ada",
+        "- Grace",
+        "nested:",
+        "  list:",
+        "    - 1",
+        "    - 2",
+        "---",
+        "",
+      ].join("\r\n");
+
+      // Act
+      const result = parseFrontmatter(source);
+
+      // Assert
+      expect(result.attributes).toEqual({
+        meta: { description: "Docs", "og:title": "Docs" },
+        tags: ["shop", "cart", 2],
+        authors: ["Ada", "Grace"],
+        nested: { list: [1, 2] },
+      });
+      expect(result.body).toBe("");
+    });
+
+    it("should read multi-line strings and anchors, and keep dates as written", () => {
+      // Arrange
+      const source = [
+        "---",
+        "summary: |",
+        "  First line",
+        "  Second line",
+        "defaults: &defaults",
+        "  layout: docs",
+        "page: *defaults",
+        "published: 2024-01-31",
+        "---",
+        "",
+      ].join("\n");
+
+      // Act
+      const result = parseFrontmatter(source);
+
+      // Assert
+      expect(result.attributes).toEqual({
+        summary: "First line\nSecond line\n",
+        defaults: { layout: "docs" },
+        page: { layout: "docs" },
+        published: "2024-01-31",
+      });
+    });
+
+    it("should allow empty frontmatter", () => {
+      // Act
+      const result = parseFrontmatter("---\n---\nBody");
+
+      // Assert
+      expect(result).toEqual({ attributes: {}, body: "Body" });
+    });
+
+    it("should fail for invalid YAML, or frontmatter which is not a map", () => {
+      // Act & Assert
+      expect(() => parseFrontmatter("---\ntitle: [a\n---\n")).toThrow(
+        "Invalid frontmatter on line 3: unexpected end of the stream within a flow collection"
+      );
+      expect(() => parseFrontmatter("---\n- a\n- b\n---\n")).toThrow(
+        "Frontmatter must be a map of attributes"
+      );
+      expect(() => parseFrontmatter("---\njust text\n---\n")).toThrow(
+        "Frontmatter must be a map of attributes"
+      );
+    });
+  });
+});
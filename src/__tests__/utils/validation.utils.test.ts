@@ -646,6 +646,41 @@ describe("Validation Utilities", () => {
     });
   });
 
+  // Test JSON descriptions of rules
+  describe("Rule JSON", () => {
+    test("rules should describe themselves as JSON", () => {
+      const schema = {
+        name: Validation.string({ required: true, pattern: /^[a-z]+$/ }),
+        age: [Validation.number({ min: 18 }), Validation.custom(() => null)],
+        choice: Validation.oneOf<any>([
+          Validation.boolean(),
+          Validation.date(),
+        ]),
+        when: new ConditionalRule(
+          () => true,
+          Validation.object({ schema: { id: Validation.number() } })
+        ),
+      };
+
+      expect(JSON.parse(JSON.stringify(schema))).toEqual({
+        name: { type: "string", required: true, pattern: "^[a-z]+$" },
+        age: [{ type: "number", min: 18 }, { type: "custom" }],
+        choice: {
+          type: "oneOf",
+          rules: [{ type: "boolean" }, { type: "date" }],
+        },
+        when: {
+          type: "conditional",
+          thenRule: {
+            type: "object",
+            allowUnknown: true,
+            schema: { id: { type: "number" } },
+          },
+        },
+      });
+    });
+  });
+
   // Test Validator Creation and Usage
   describe("Validator Creation", () => {
     test("createValidator should create a validator function", () => {
@@ -1,5 +1,10 @@
-import type { BlueprintConstructor } from "./blueprint.view";
+import type { Blueprint, BlueprintConstructor } from "./blueprint.view";
+import type { ComponentView } from "../../types/component.view";
+import type { JsAsset } from "../../types/js.asset";
+import type { CssAsset } from "../../types/css.asset";
 import { CONSTANTS } from "../../constants/blueprint.constants";
+import axios from "axios";
+import { replayInteractions, scheduleHydration } from "./blueprint.hydration";
 import {
   getAssembleJSClientRegistry,
   BlueprintClientRegistry,
@@ -38,6 +43,37 @@ export class BlueprintClient {
    */
   private static _loaded = false;
 
+  /**
+   * Watches the page for removed components, and new data for registered components.
+   * @type {MutationObserver | undefined}
+   * @private
+   */
+  private static _observer?: MutationObserver;
+
+  /**
+   * Components waiting for their hydration strategy, by id.
+   * @type {Map<string, object>}
+   * @private
+   */
+  private static _pending = new Map<
+    string,
+    { constructor: BlueprintConstructor; cancel: () => void }
+  >();
+
+  /**
+   * Islands waiting for their hydration strategy to load their code-behind, by id.
+   * @type {Map<string, Function>}
+   * @private
+   */
+  private static _islands = new Map<string, () => void>();
+
+  /**
+   * Islands whose hydration strategy has been met while their code-behind loads, by id.
+   * @type {Set<string>}
+   * @private
+   */
+  private static _loading = new Set<string>();
+
   /**
    * Get the BlueprintClientRegistry singleton from the global window.
    * If a registry doesn't already exist in the global scope, this method will
@@ -111,11 +147,383 @@ export class BlueprintClient {
       return;
     }
 
-    this.getBlueprintClientRegistry().components[pointerId] = new constructor(
-      pointerId
+    // A component rendered again replaces the previous instance
+    BlueprintClient.disposeComponent(pointerId);
+    BlueprintClient.hydrate(pointerId, constructor);
+
+    BlueprintClient.observe();
+  }
+
+  /**
+   * Load the code-behind of the islands on the page, once the hydration strategy of each is met.
+   * @description The server renders the scripts of islands which are not hydrated on load as placeholders, which are replaced with
+   * the scripts they stand for once the strategy is met. Islands added to the page later, by streaming or navigation, are found as they are added.
+   * @param {ParentNode} root - Where to look for islands.
+   * @category Client
+   * @internal
+   */
+  public static hydrateIslands(root: ParentNode = document) {
+    const islands = new Map<string, HTMLScriptElement[]>();
+    root
+      .querySelectorAll<HTMLScriptElement>(
+        `script[type="${CONSTANTS.componentLazyScriptType}"]`
+      )
+      .forEach((script) => {
+        const id = script.getAttribute(CONSTANTS.componentDataIdentifier);
+        if (id && !BlueprintClient._islands.has(id)) {
+          islands.set(id, [...(islands.get(id) ?? []), script]);
+        }
+      });
+
+    islands.forEach((scripts, id) => {
+      const element = document.getElementById(id);
+      const cancel = scheduleHydration(element, () => {
+        BlueprintClient._islands.delete(id);
+        BlueprintClient._loading.add(id);
+        // Interactions are replayed once mounted, or once loaded should the scripts not register any code-behind
+        Promise.all(scripts.map(BlueprintClient.loadIslandScript)).then(() => {
+          BlueprintClient._loading.delete(id);
+          replayInteractions(element);
+        });
+      });
+
+      // Strategies which are already met hydrate right away
+      if (!BlueprintClient._loading.has(id)) {
+        BlueprintClient._islands.set(id, cancel);
+      }
+    });
+
+    BlueprintClient.observe();
+  }
+
+  /**
+   * Replace the placeholder of an island script with the script it stands for.
+   * @param {HTMLScriptElement} placeholder - The placeholder rendered by the server.
+   * @return {Promise<void>} Resolves once the script has loaded, or failed to.
+   * @private
+   */
+  private static loadIslandScript(
+    placeholder: HTMLScriptElement
+  ): Promise<void> {
+    return new Promise<void>((resolve) => {
+      const script = document.createElement("script");
+      const type = placeholder.getAttribute(
+        CONSTANTS.componentLazyTypeIdentifier
+      );
+
+      Array.from(placeholder.attributes)
+        .filter(
+          ({ name }) =>
+            name !== "type" &&
+            name !== CONSTANTS.componentLazySrcIdentifier &&
+            name !== CONSTANTS.componentLazyTypeIdentifier
+        )
+        .forEach(({ name, value }) => script.setAttribute(name, value));
+      if (type) {
+        script.setAttribute("type", type);
+      }
+      // Keep the order of the scripts of the island
+      script.async = false;
+      script.addEventListener("load", () => resolve());
+      script.addEventListener("error", () => {
+        console.error(`Error: Unable to load island script ${script.src}`);
+        resolve();
+      });
+      script.src =
+        placeholder.getAttribute(CONSTANTS.componentLazySrcIdentifier) ?? "";
+      placeholder.replaceWith(script);
+    });
+  }
+
+  /**
+   * Mount a component once the hydration strategy of its element is met.
+   * @description Code-behind loaded by 'hydrateIslands' is mounted right away, as the strategy has already been met.
+   * @param {string} id - The id of the component.
+   * @param {BlueprintConstructor} constructor - The code-behind class of the component.
+   * @private
+   */
+  private static hydrate(id: string, constructor: BlueprintConstructor) {
+    const { components } = this.getBlueprintClientRegistry();
+    const element = document.getElementById(id);
+    const mount = () => {
+      BlueprintClient._pending.delete(id);
+      components[id] = new constructor(id);
+      replayInteractions(element);
+    };
+
+    if (BlueprintClient._loading.delete(id)) {
+      mount();
+      return;
+    }
+
+    const cancel = scheduleHydration(element, mount);
+
+    if (!components[id]) {
+      BlueprintClient._pending.set(id, { constructor, cancel });
+    }
+  }
+
+  /**
+   * Dispose a registered component, and remove it from the registry.
+   * @param {string} id - The id of the component.
+   * @return {boolean} True when the component was registered.
+   * @example
+   * ```typescript
+   * // Tear down a component before replacing its markup
+   * BlueprintClient.disposeComponent('header-nav');
+   * ```
+   */
+  public static disposeComponent(id: string): boolean {
+    const { components } = this.getBlueprintClientRegistry();
+    const component = components[id];
+    const pending = BlueprintClient._pending.get(id);
+
+    BlueprintClient._islands.get(id)?.();
+    BlueprintClient._islands.delete(id);
+    BlueprintClient._pending.delete(id);
+    pending?.cancel();
+    if (!component) {
+      return pending !== undefined;
+    }
+
+    delete components[id];
+    component.dispose();
+    return true;
+  }
+
+  /**
+   * Render a child component again on its server, and replace it on the page without a full page reload.
+   * @description The component's content route is fetched with its current id and nest level, and its section is swapped for the new HTML.
+   * Scripts and styles listed in its manifest, which are not already on the page, are loaded. The previous instance is disposed,
+   * and the new content is hydrated by a newly loaded script, or right away by a new instance of the previous code-behind class.
+   * @param {string} id - The id of the component.
+   * @param {object} query - Query parameters for the content request, merged into the ones it was rendered with.
+   * @return {Promise<Blueprint | undefined>} The new instance, undefined when the component has no code-behind or is waiting to be hydrated.
+   * @throws {Error} - If the component is not a child component on this page, or the server does not return one.
+   * @example
+   * ```typescript
+   * // Show the second page of results
+   * const results = await BlueprintClient.refreshComponent('search-results', { page: 2 });
+   * ```
+   */
+  public static async refreshComponent(
+    id: string,
+    query: Record<string, unknown> = {}
+  ): Promise<Blueprint | undefined> {
+    const element = document.getElementById(id);
+    const componentName = element?.getAttribute(
+      CONSTANTS.componentNameIdentifier
+    );
+    const viewName = element?.getAttribute(CONSTANTS.componentViewIdentifier);
+
+    if (!element || !componentName || !viewName) {
+      throw new Error(
+        `Unable to refresh '${id}', it is not a child component on this page`
+      );
+    }
+
+    // The component may be served by another server, keep requesting it there
+    const componentUrl = new URL(
+      element.getAttribute(CONSTANTS.componentUrlIdentifier) ??
+        window.location.href,
+      window.location.href
+    );
+    const contentUrl = new URL(`/${componentName}/${viewName}/`, componentUrl);
+
+    const [content, manifest] = await Promise.all([
+      axios.get<string>(contentUrl.href, {
+        params: { ...Object.fromEntries(componentUrl.searchParams), ...query },
+        headers: {
+          [CONSTANTS.componentIdHeader]: id,
+          [CONSTANTS.blueprintIdHeader]: document.body.id || id,
+          [CONSTANTS.nestLevelHeader]:
+            element.getAttribute(CONSTANTS.componentNestIdentifier) ?? 1,
+          accept: "text/html",
+        },
+        responseType: "text",
+        withCredentials: true,
+      }),
+      axios
+        .get<ComponentView>(`${contentUrl.href}manifest/`, {
+          withCredentials: true,
+        })
+        .then((response) => response.data)
+        .catch((error) => {
+          console.error(
+            `Error: Unable to load the manifest of component ${id}`,
+            error
+          );
+          return undefined;
+        }),
+    ]);
+
+    const template = document.createElement("template");
+    template.innerHTML = content.data;
+    const section = template.content.firstElementChild;
+
+    if (!section || section.id !== id) {
+      throw new Error(`Unable to refresh '${id}', no component was returned`);
+    }
+
+    // Assets are loaded from the manifest, once per page
+    section
+      .querySelectorAll(
+        `script[src], script[${CONSTANTS.componentLazySrcIdentifier}], link[href]`
+      )
+      .forEach((asset) => asset.remove());
+    // Inline scripts parsed from HTML never run, replace them with ones that do
+    section.querySelectorAll("script").forEach((script) => {
+      const type = script.getAttribute("type");
+      if (!type || type === "module" || type.includes("javascript")) {
+        const runnable = document.createElement("script");
+        Array.from(script.attributes).forEach(({ name, value }) =>
+          runnable.setAttribute(name, value)
+        );
+        runnable.text = script.text;
+        script.replaceWith(runnable);
+      }
+    });
+
+    const { components } = this.getBlueprintClientRegistry();
+    const constructor = (components[id]?.constructor ??
+      BlueprintClient._pending.get(id)?.constructor) as
+      | BlueprintConstructor
+      | undefined;
+
+    BlueprintClient.disposeComponent(id);
+    element.replaceWith(section);
+
+    await BlueprintClient.loadAssets(id, contentUrl, manifest?.assets);
+
+    // Newly loaded code-behind registers itself, otherwise hydrate with the previous one right away
+    if (!components[id] && !BlueprintClient._pending.has(id) && constructor) {
+      components[id] = new constructor(id);
+    }
+
+    return components[id];
+  }
+
+  /**
+   * Load the scripts and styles of a component, which are not already on the page.
+   * @param {string} id - The id of the component, which its scripts register with.
+   * @param {URL} baseUrl - The url the asset paths are relative to.
+   * @param {object} assets - The scripts and styles of the component.
+   * @return {Promise<void>} Resolves once every new script has loaded, or failed to.
+   * @private
+   */
+  private static async loadAssets(
+    id: string,
+    baseUrl: URL,
+    assets: { js?: Array<JsAsset>; css?: Array<CssAsset> } = {}
+  ): Promise<void> {
+    // Page assets may have been prefixed with the url of their component
+    const isLoaded = (selector: string, attribute: string, path: string) =>
+      Array.from(document.querySelectorAll(selector)).some((asset) =>
+        asset.getAttribute(attribute)?.endsWith(path)
+      );
+
+    assets.css
+      ?.filter(({ href }) => !isLoaded("link[href]", "href", href))
+      .forEach(({ priority, disabled, ...attributes }) => {
+        const link = document.createElement("link");
+        Object.entries(attributes).forEach(([name, value]) =>
+          link.setAttribute(name, String(value))
+        );
+        link.href = new URL(attributes.href, baseUrl).href;
+        link.disabled = disabled === true;
+        document.head.appendChild(link);
+      });
+
+    await Promise.all(
+      (assets.js ?? [])
+        .filter(({ src }) => !isLoaded("script[src]", "src", src))
+        .map(
+          ({ priority, placement, ...attributes }) =>
+            new Promise<void>((resolve) => {
+              const script = document.createElement("script");
+              Object.entries(attributes)
+                .filter(([, value]) => value !== false)
+                .forEach(([name, value]) =>
+                  script.setAttribute(name, value === true ? "" : String(value))
+                );
+              script.src = new URL(attributes.src, baseUrl).href;
+              // Keep the order of the manifest
+              script.async = false;
+              script.setAttribute(CONSTANTS.componentDataIdentifier, id);
+              script.addEventListener("load", () => resolve());
+              script.addEventListener("error", () => {
+                console.error(
+                  `Error: Unable to load script ${script.src} of component ${id}`
+                );
+                resolve();
+              });
+              document.head.appendChild(script);
+            })
+        )
     );
   }
 
+  /**
+   * Start watching the page, unless already watching.
+   * @description Components whose element is removed from the page are disposed, and islands added to the page are hydrated.
+   * Registered components are re-hydrated when a new data payload is added for them.
+   * @private
+   */
+  private static observe() {
+    if (
+      BlueprintClient._observer ||
+      typeof MutationObserver === "undefined" ||
+      !document.documentElement
+    ) {
+      return;
+    }
+
+    const lazyScriptSelector = `script[type="${CONSTANTS.componentLazyScriptType}"]`;
+    BlueprintClient._observer = new MutationObserver((mutations) => {
+      const { components } = this.getBlueprintClientRegistry();
+
+      if (mutations.some((mutation) => mutation.removedNodes.length > 0)) {
+        Object.entries(components)
+          .filter(([, component]) => !component.root?.isConnected)
+          .forEach(([id]) => BlueprintClient.disposeComponent(id));
+        [...BlueprintClient._islands.keys()]
+          .filter((id) => !document.getElementById(id))
+          .forEach((id) => BlueprintClient.disposeComponent(id));
+      }
+
+      const added = mutations
+        .flatMap((mutation) => Array.from(mutation.addedNodes))
+        .filter((node): node is Element => node instanceof Element);
+
+      if (
+        added.some(
+          (element) =>
+            element.matches(lazyScriptSelector) ||
+            element.querySelector(lazyScriptSelector)
+        )
+      ) {
+        BlueprintClient.hydrateIslands();
+      }
+
+      added
+        .flatMap((element) => [
+          element,
+          ...Array.from(element.querySelectorAll("script[id]")),
+        ])
+        .filter((element) => element.id.startsWith(CONSTANTS.dataIdPrefix))
+        .forEach((element) =>
+          components[
+            element.id.slice(CONSTANTS.dataIdPrefix.length)
+          ]?.rehydrate()
+        );
+    });
+    // The whole document is watched, as the client router swaps the body
+    BlueprintClient._observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+    });
+  }
+
   /**
    * Print the welcome banner to the console.
    * This method displays the AssembleJS branding and welcome message in the browser's
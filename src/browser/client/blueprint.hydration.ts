@@ -0,0 +1,188 @@
+import type { HydrationStrategy } from "../../types/component.view";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * @module Blueprint Hydration
+ * @description Delays loading and mounting the code-behind of an island until its hydration strategy is met.
+ * @author Zachariah Ayers
+ * @internal
+ */
+
+/**
+ * Wait for the browser to be idle, or for the next task without 'requestIdleCallback'.
+ * @param {Function} hydrate - Mounts the island.
+ * @return {Function} - Cancels the hydration.
+ */
+function onIdle(hydrate: () => void): () => void {
+  if (typeof window.requestIdleCallback === "function") {
+    const handle = window.requestIdleCallback(hydrate, {
+      timeout: CONSTANTS.hydrationIdleTimeout,
+    });
+    return () => window.cancelIdleCallback(handle);
+  }
+
+  const handle = setTimeout(hydrate, 1);
+  return () => clearTimeout(handle);
+}
+
+/**
+ * Wait for the root element of an island to scroll into view.
+ * @param {HTMLElement} root - The root element of the island.
+ * @param {Function} hydrate - Mounts the island.
+ * @return {Function} - Cancels the hydration.
+ */
+function onVisible(root: HTMLElement, hydrate: () => void): () => void {
+  if (typeof IntersectionObserver === "undefined") {
+    hydrate();
+    return () => undefined;
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) {
+      observer.disconnect();
+      hydrate();
+    }
+  });
+  observer.observe(root);
+  return () => observer.disconnect();
+}
+
+// Clicks and focus received by islands waiting to be mounted, by root element
+const interactions = new WeakMap<
+  HTMLElement,
+  { events: Event[]; stop: () => void }
+>();
+
+/**
+ * Wait for the user to hover, focus or touch the root element of an island.
+ * @description Clicks and focus received before the island is mounted are recorded, to be replayed with 'replayInteractions'.
+ * Recorded clicks are prevented, so their default action only happens once replayed.
+ * @param {HTMLElement} root - The root element of the island.
+ * @param {Function} hydrate - Mounts the island.
+ * @return {Function} - Cancels the hydration.
+ */
+function onInteraction(root: HTMLElement, hydrate: () => void): () => void {
+  const events: Event[] = [];
+  const record = (event: Event) => {
+    if (event.type === "click") {
+      event.preventDefault();
+    }
+    events.push(event);
+  };
+  const stop = () =>
+    CONSTANTS.hydrationReplayEvents.forEach((type) =>
+      root.removeEventListener(type, record, { capture: true })
+    );
+
+  // Focus does not bubble, so events are recorded as they are captured
+  CONSTANTS.hydrationReplayEvents.forEach((type) =>
+    root.addEventListener(type, record, { capture: true })
+  );
+  interactions.set(root, { events, stop });
+
+  const cancel = () =>
+    CONSTANTS.hydrationInteractionEvents.forEach((type) =>
+      root.removeEventListener(type, interact)
+    );
+  const interact = () => {
+    cancel();
+    hydrate();
+  };
+
+  CONSTANTS.hydrationInteractionEvents.forEach((type) =>
+    root.addEventListener(type, interact, { passive: true })
+  );
+  return () => {
+    cancel();
+    stop();
+    interactions.delete(root);
+  };
+}
+
+/**
+ * Replay the clicks and focus an island received before it was mounted, and stop recording them.
+ * @param {HTMLElement | null} root - The root element of the island.
+ * @return {void}
+ * @category Client
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function replayInteractions(root: HTMLElement | null): void {
+  const recorded = root ? interactions.get(root) : undefined;
+  if (!root || !recorded) {
+    return;
+  }
+
+  interactions.delete(root);
+  recorded.stop();
+  recorded.events.forEach((event) => {
+    const EventType = event.constructor as typeof Event;
+    event.target?.dispatchEvent(new EventType(event.type, event));
+  });
+}
+
+/**
+ * Wait for a media query to match.
+ * @param {string} query - The media query.
+ * @param {Function} hydrate - Mounts the island.
+ * @return {Function} - Cancels the hydration.
+ */
+function onMedia(query: string, hydrate: () => void): () => void {
+  if (typeof window.matchMedia !== "function") {
+    hydrate();
+    return () => undefined;
+  }
+
+  const media = window.matchMedia(query);
+  if (media.matches) {
+    hydrate();
+    return () => undefined;
+  }
+
+  const change = (event: MediaQueryListEvent) => {
+    if (event.matches) {
+      media.removeEventListener("change", change);
+      hydrate();
+    }
+  };
+  media.addEventListener("change", change);
+  return () => media.removeEventListener("change", change);
+}
+
+/**
+ * Mount an island once its hydration strategy is met.
+ * @description Unknown strategies log a warning, and hydrate on load.
+ * @param {HTMLElement | null} root - The root element of the island, marked with its strategy by the server.
+ * @param {Function} hydrate - Mounts the island.
+ * @return {Function} - Cancels the hydration, when it has not happened yet.
+ * @category Client
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function scheduleHydration(
+  root: HTMLElement | null,
+  hydrate: () => void
+): () => void {
+  const strategy = (root?.getAttribute(CONSTANTS.componentHydrateIdentifier) ??
+    "load") as HydrationStrategy;
+  const media = /^media\((.+)\)$/.exec(strategy);
+
+  if (strategy === "idle") {
+    return onIdle(hydrate);
+  } else if (root && strategy === "visible") {
+    return onVisible(root, hydrate);
+  } else if (root && strategy === "interaction") {
+    return onInteraction(root, hydrate);
+  } else if (media) {
+    return onMedia(media[1], hydrate);
+  } else if (strategy === "never") {
+    return () => undefined;
+  } else if (strategy !== "load") {
+    console.warn(
+      `AssembleJS: Unknown hydration strategy '${strategy}' of '${root?.id}', hydrating on load`
+    );
+  }
+
+  hydrate();
+  return () => undefined;
+}
@@ -1,4 +1,5 @@
 import type { ViewContext } from "../../types/component.context";
+import type { Store } from "../store/blueprint.store";
 // Preact
 import * as preactMain from "preact";
 import * as preactHooks from "preact/hooks";
@@ -44,6 +45,29 @@ export const preact = {
       preactMain.hydrate(preactMain.h(type, context), root);
     }
   },
+  /**
+   * Use a shared store in a Preact component, re-rendering when the selected value changes.
+   * @param {Store} store - The store, from 'createStore'.
+   * @param {Function} selector - Selects the value the component uses, the whole state by default.
+   * @return {any} The selected value.
+   * @author Zachariah Ayers
+   */
+  useStore: <T, S = T>(
+    store: Store<T>,
+    selector: (state: T) => S = (state) => state as unknown as S
+  ): S => {
+    const [value, setValue] = preactHooks.useState(() =>
+      store.select(selector)
+    );
+
+    preactHooks.useEffect(() => {
+      // The state may have changed between rendering and subscribing
+      setValue(() => store.select(selector));
+      return store.subscribe((selected) => setValue(() => selected), selector);
+    }, [store]);
+
+    return value;
+  },
   /**
    * Render an imported component's content.
    * @param {string} componentName - The name of the component to render.
@@ -1,4 +1,5 @@
 import type { ViewContext } from "../../types/component.context";
+import type { Store } from "../store/blueprint.store";
 // Define minimal React stub
 const React = {
   createElement: (type: any, props?: any, ...children: any[]) => ({
@@ -11,6 +12,20 @@ const React = {
 // Import from local stub for TypeScript compilation
 import * as ReactDOM from "../../stubs/react-dom-client";
 
+/**
+ * The hooks of the React instance a component renders with, which 'useStore' subscribes through.
+ * @description React 18 and up provide 'useSyncExternalStore', earlier versions subscribe in an effect.
+ * @author Zachariah Ayers
+ */
+export interface ReactStoreHooks {
+  useState: <S>(initial: () => S) => [S, (update: () => S) => void];
+  useEffect: (effect: () => void | (() => void), deps?: unknown[]) => void;
+  useSyncExternalStore?: <S>(
+    subscribe: (onChange: () => void) => () => void,
+    getSnapshot: () => S
+  ) => S;
+}
+
 /**
  * Base React adapter for AssembleJS Views.
  * @author Zach Ayers
@@ -33,6 +48,41 @@ export const react = {
       ReactDOM.hydrateRoot(root, React.createElement(Component, context));
     }
   },
+  /**
+   * Use a shared store in a React component, re-rendering when the selected value changes.
+   * @description The hooks come from the React the component renders with, as the bundle does not include React.
+   * Selectors should return values from the state, rather than create new objects, as React compares snapshots by identity.
+   * @param {ReactStoreHooks} hooks - The React the component renders with, such as 'import React from "react"'.
+   * @param {Store} store - The store, from 'createStore'.
+   * @param {Function} selector - Selects the value the component uses, the whole state by default.
+   * @return {any} The selected value.
+   * @author Zachariah Ayers
+   * @example
+   * ```typescript
+   * const count = react.useStore(React, cart, (state) => state.count);
+   * ```
+   */
+  useStore: <T, S = T>(
+    hooks: ReactStoreHooks,
+    store: Store<T>,
+    selector: (state: T) => S = (state) => state as unknown as S
+  ): S => {
+    if (hooks.useSyncExternalStore) {
+      return hooks.useSyncExternalStore(
+        (onChange) => store.subscribe(onChange, selector),
+        () => store.select(selector)
+      );
+    }
+
+    const [value, setValue] = hooks.useState(() => store.select(selector));
+    hooks.useEffect(() => {
+      // The state may have changed between rendering and subscribing
+      setValue(() => store.select(selector));
+      return store.subscribe((selected) => setValue(() => selected), selector);
+    }, [store]);
+
+    return value;
+  },
   /**
    * Render an imported component's content.
    * @param {string} componentName - The name of the component to render.
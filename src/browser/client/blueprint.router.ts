@@ -0,0 +1,488 @@
+import axios from "axios";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * @module Blueprint Router
+ * @description Navigates between Blueprints without full page reloads. The target Blueprint is fetched, its head assets are diffed
+ * against the current ones, and the body is swapped - keeping the components both pages share, and the EventBus, alive.
+ * @author Zachariah Ayers
+ * @internal
+ */
+
+/**
+ * Options for the client router, started with 'startRouter'
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface RouterOptions {
+  /**
+   * Paths of the Blueprints to navigate to without a full page reload.
+   * @default The routes announced by the server, when the 'router' server option is enabled
+   * @example ['/home/main/', '/products/list/']
+   */
+  routes?: Array<string>;
+
+  /**
+   * Animate the swap with the View Transitions API, when the browser supports it.
+   * @default true
+   */
+  viewTransitions?: boolean;
+
+  /**
+   * Fetch a Blueprint when a link to it is hovered or focused, ahead of the click.
+   * @default true
+   */
+  prefetch?: boolean;
+}
+
+/**
+ * Options for a single navigation with 'navigate'
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface NavigateOptions {
+  /**
+   * Replace the current history entry, rather than adding one.
+   * @default false
+   */
+  replace?: boolean;
+}
+
+type ViewTransitionDocument = Document & {
+  startViewTransition?: (update: () => void) => { finished: Promise<void> };
+};
+
+// Head elements which are diffed between Blueprints
+const headAssetSelector = "link, style, meta, script[src]";
+
+let routerOptions: RouterOptions | undefined;
+let routes = new Set<string>();
+let prefetched = new Map<string, Promise<string>>();
+let navigation = 0;
+// The path and query of the Blueprint shown, hash changes do not swap it
+let currentPage = "";
+
+/**
+ * Get the Blueprint routes announced by the server on the client bundle script.
+ * @return {Array<string> | undefined} - The routes, undefined when the server has not enabled the router.
+ * @category Client
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function getRouterRoutes(): Array<string> | undefined {
+  if (typeof document === "undefined") {
+    return undefined;
+  }
+
+  return document
+    .querySelector(`script[${CONSTANTS.routerAttribute}]`)
+    ?.getAttribute(CONSTANTS.routerAttribute)
+    ?.split(" ")
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a path, so routes match with and without their trailing slash.
+ * @param {string} path - The path.
+ * @return {string} - The path, ending with a slash.
+ */
+function normalizePath(path: string): string {
+  return path.endsWith("/") ? path : `${path}/`;
+}
+
+/**
+ * Resolve the url of a link the router may follow.
+ * @param {string} href - The link.
+ * @return {URL | undefined} - The url, undefined when it is not a same-origin link to a known Blueprint.
+ */
+function getRouteUrl(href: string): URL | undefined {
+  const url = new URL(href, window.location.href);
+
+  if (
+    url.origin !== window.location.origin ||
+    !routes.has(normalizePath(url.pathname))
+  ) {
+    return undefined;
+  }
+
+  return url;
+}
+
+/**
+ * Find the link an event happened on, when the router may follow it.
+ * @param {Event} event - The event.
+ * @return {HTMLAnchorElement | undefined} - The link.
+ */
+function getEventLink(event: Event): HTMLAnchorElement | undefined {
+  const link = (event.target as Element | null)?.closest?.("a[href]");
+
+  if (
+    !(link instanceof HTMLAnchorElement) ||
+    link.hasAttribute("download") ||
+    (link.target && link.target !== "_self") ||
+    !getRouteUrl(link.href)
+  ) {
+    return undefined;
+  }
+
+  return link;
+}
+
+/**
+ * Fetch the HTML of a Blueprint, sharing any prefetch of it.
+ * @param {string} url - The url of the Blueprint.
+ * @return {Promise<string>} - The HTML.
+ */
+function fetchBlueprint(url: string): Promise<string> {
+  const pending = prefetched.get(url);
+  if (pending) {
+    prefetched.delete(url);
+    return pending;
+  }
+
+  return axios
+    .get<string>(url, {
+      headers: { accept: "text/html" },
+      responseType: "text",
+      withCredentials: true,
+    })
+    .then((response) => response.data);
+}
+
+/**
+ * Create a copy of a script which runs when added to the page, as scripts parsed from HTML never run.
+ * @param {HTMLScriptElement} script - The parsed script.
+ * @return {HTMLScriptElement} - The runnable script.
+ */
+function toRunnableScript(script: HTMLScriptElement): HTMLScriptElement {
+  const runnable = document.createElement("script");
+  Array.from(script.attributes).forEach(({ name, value }) =>
+    runnable.setAttribute(name, value)
+  );
+  runnable.text = script.text;
+  // Keep the document order of scripts, as the server rendered them
+  runnable.async = false;
+  return runnable;
+}
+
+/**
+ * Check whether a script holds JavaScript, rather than data.
+ * @param {HTMLScriptElement} script - The script.
+ * @return {boolean} - True for JavaScript.
+ */
+function isExecutable(script: HTMLScriptElement): boolean {
+  const type = script.getAttribute("type");
+  return !type || type === "module" || type.includes("javascript");
+}
+
+/**
+ * Keep the live component sections which are also on the next page, in place of their newly rendered copies.
+ * @description Components are matched by their component name and view, in document order.
+ * @param {HTMLElement} nextBody - The body of the next page.
+ * @return {Set<string>} - The ids the kept components were rendered with on the next page.
+ */
+function keepSharedComponents(nextBody: HTMLElement): Set<string> {
+  const selector = `[${CONSTANTS.componentNameIdentifier}][${CONSTANTS.componentViewIdentifier}]`;
+  const getKey = (section: Element) =>
+    `${section.getAttribute(
+      CONSTANTS.componentNameIdentifier
+    )}|${section.getAttribute(CONSTANTS.componentViewIdentifier)}`;
+
+  const current = new Map<string, Element[]>();
+  document.body.querySelectorAll(selector).forEach((section) => {
+    const key = getKey(section);
+    current.set(key, [...(current.get(key) ?? []), section]);
+  });
+
+  const keptIds = new Set<string>();
+  nextBody.querySelectorAll(selector).forEach((section) => {
+    // Components nested in a kept component are kept with it
+    const candidates = current.get(getKey(section)) ?? [];
+    const live = nextBody.contains(section)
+      ? candidates.find((candidate) => !nextBody.contains(candidate))
+      : undefined;
+    if (live) {
+      candidates.splice(candidates.indexOf(live), 1);
+      keptIds.add(section.id);
+      section.replaceWith(live);
+    }
+  });
+
+  return keptIds;
+}
+
+/**
+ * Update the head with the assets of the next page.
+ * @description Styles and meta tags the next page does not have are removed. New styles, meta tags and scripts are added, and
+ * scripts are never run twice - except the code-behind of new components, which the server renders for each of their ids.
+ * @param {Document} next - The next page.
+ * @param {Set<string>} keptIds - The ids of components kept from the current page, whose scripts must not run again.
+ * @return {void}
+ */
+function swapHead(next: Document, keptIds: Set<string>): void {
+  document.title = next.title;
+
+  const current = new Map<string, Element>();
+  document.head
+    .querySelectorAll(headAssetSelector)
+    .forEach((asset) => current.set(asset.outerHTML, asset));
+
+  next.head.querySelectorAll(headAssetSelector).forEach((asset) => {
+    const target = asset.getAttribute(CONSTANTS.componentDataIdentifier);
+    if (current.delete(asset.outerHTML) || (target && keptIds.has(target))) {
+      return;
+    }
+
+    document.head.appendChild(
+      asset instanceof HTMLScriptElement
+        ? toRunnableScript(asset)
+        : document.importNode(asset, true)
+    );
+  });
+
+  // Scripts which already ran can not be unloaded, only the elements of component scripts are cleaned up
+  current.forEach((asset) => {
+    const target = asset.getAttribute(CONSTANTS.componentDataIdentifier);
+    if (
+      !(asset instanceof HTMLScriptElement) ||
+      (target && !document.getElementById(target))
+    ) {
+      asset.remove();
+    }
+  });
+}
+
+/**
+ * Swap the current page for the next one.
+ * @param {Document} next - The next page.
+ * @return {void}
+ */
+function swapPage(next: Document): void {
+  const nextBody = next.body;
+  const scripts = Array.from(nextBody.querySelectorAll("script")).filter(
+    isExecutable
+  );
+  const keptIds = keepSharedComponents(nextBody);
+
+  document.documentElement.replaceChild(
+    document.adoptNode(nextBody),
+    document.body
+  );
+
+  // Scripts of the kept components have already run, whether they were in the kept section or elsewhere in the body
+  scripts
+    .filter((script) => nextBody.contains(script))
+    .filter((script) => {
+      const target = script.getAttribute(CONSTANTS.componentDataIdentifier);
+      return !target || !keptIds.has(target);
+    })
+    .forEach((script) => script.replaceWith(toRunnableScript(script)));
+  swapHead(next, keptIds);
+}
+
+/**
+ * Navigate to a Blueprint without a full page reload.
+ * @description The Blueprint is fetched and swapped in, and added to the browser history. Falls back to a full page load
+ * when the url is not a known Blueprint route, or it fails to load.
+ * @param {string} href - The url of the Blueprint.
+ * @param {NavigateOptions} options - Navigation options.
+ * @return {Promise<void>} - Resolves once the Blueprint is shown.
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * await navigate('/products/list/?page=2');
+ * ```
+ */
+export async function navigate(
+  href: string,
+  options: NavigateOptions = {}
+): Promise<void> {
+  const url = getRouteUrl(href);
+  if (!routerOptions || !url) {
+    window.location.assign(href);
+    return;
+  }
+
+  const current = ++navigation;
+  let html: string;
+  try {
+    html = await fetchBlueprint(url.href);
+  } catch (error) {
+    console.error(`AssembleJS: Failed to navigate to ${url.href}`, error);
+    window.location.assign(url.href);
+    return;
+  }
+
+  // A later navigation wins
+  if (current !== navigation) {
+    return;
+  }
+
+  const next = new DOMParser().parseFromString(html, "text/html");
+  if (url.href !== window.location.href) {
+    window.history[options.replace ? "replaceState" : "pushState"](
+      { assemblejs: true },
+      "",
+      url.href
+    );
+  }
+
+  const update = () => {
+    swapPage(next);
+    currentPage = url.pathname + url.search;
+    if (url.hash) {
+      document
+        .getElementById(decodeURIComponent(url.hash.slice(1)))
+        ?.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+  };
+
+  const transitionDocument = document as ViewTransitionDocument;
+  if (
+    routerOptions.viewTransitions !== false &&
+    typeof transitionDocument.startViewTransition === "function"
+  ) {
+    await transitionDocument.startViewTransition(update).finished;
+  } else {
+    update();
+  }
+}
+
+/**
+ * Fetch a Blueprint ahead of navigating to it.
+ * @param {string} href - The url of the Blueprint.
+ * @return {void}
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ */
+export function prefetchRoute(href: string): void {
+  const url = getRouteUrl(href);
+  if (!routerOptions || !url || prefetched.has(url.href)) {
+    return;
+  }
+
+  const pending = fetchBlueprint(url.href);
+  // A failed prefetch is retried when navigating
+  pending.catch(() => prefetched.delete(url.href));
+  prefetched.set(url.href, pending);
+}
+
+/**
+ * Follow clicks on links to known Blueprints.
+ * @param {MouseEvent} event - The click.
+ * @return {void}
+ */
+function onClick(event: MouseEvent): void {
+  if (
+    event.defaultPrevented ||
+    event.button !== 0 ||
+    event.metaKey ||
+    event.ctrlKey ||
+    event.shiftKey ||
+    event.altKey
+  ) {
+    return;
+  }
+
+  const link = getEventLink(event);
+  if (!link) {
+    return;
+  }
+
+  const url = new URL(link.href);
+  // Jumps within the current page are left to the browser
+  if (
+    url.hash &&
+    url.pathname === window.location.pathname &&
+    url.search === window.location.search
+  ) {
+    return;
+  }
+
+  event.preventDefault();
+  void navigate(link.href);
+}
+
+/**
+ * Prefetch links to known Blueprints as they are hovered or focused.
+ * @param {Event} event - The hover or focus.
+ * @return {void}
+ */
+function onIntent(event: Event): void {
+  const link = getEventLink(event);
+  if (link) {
+    prefetchRoute(link.href);
+  }
+}
+
+/**
+ * Show the Blueprint of a history entry.
+ * @return {void}
+ */
+function onPopState(): void {
+  if (window.location.pathname + window.location.search !== currentPage) {
+    void navigate(window.location.href, { replace: true });
+  }
+}
+
+/**
+ * Start navigating between Blueprints without full page reloads.
+ * @description Same-origin links to known Blueprint routes are fetched and swapped in. Components shared by both pages, matched by
+ * component name and view, stay mounted with their state, and EventBus subscriptions and retained events are kept.
+ * The client bundle starts the router when the 'router' server option is enabled.
+ * @param {RouterOptions} options - Router options.
+ * @return {Function} - Stops the router.
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * // Follow links to the Blueprints of another micro-frontend too
+ * startRouter({ routes: [...(getRouterRoutes() ?? []), '/account/profile/'] });
+ * ```
+ */
+export function startRouter(options: RouterOptions = {}): () => void {
+  if (typeof window === "undefined") {
+    return () => undefined;
+  }
+
+  stopRouter();
+  routerOptions = options;
+  currentPage = window.location.pathname + window.location.search;
+  routes = new Set(
+    (options.routes ?? getRouterRoutes() ?? []).map(normalizePath)
+  );
+
+  document.addEventListener("click", onClick);
+  window.addEventListener("popstate", onPopState);
+  if (options.prefetch !== false) {
+    document.addEventListener("pointerover", onIntent, { passive: true });
+    document.addEventListener("focusin", onIntent);
+  }
+
+  return stopRouter;
+}
+
+/**
+ * Stop navigating between Blueprints, links load full pages again.
+ * @return {void}
+ * @category Client
+ * @author Zachariah Ayers
+ * @public
+ */
+export function stopRouter(): void {
+  document.removeEventListener("click", onClick);
+  document.removeEventListener("pointerover", onIntent);
+  document.removeEventListener("focusin", onIntent);
+  window.removeEventListener("popstate", onPopState);
+  routerOptions = undefined;
+  routes = new Set();
+  prefetched = new Map();
+}
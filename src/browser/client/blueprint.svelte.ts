@@ -1,4 +1,6 @@
 import type { ViewContext } from "../../types/component.context";
+import type { Store } from "../store/blueprint.store";
+import { getViewProps } from "../../utils/context.utils";
 
 /**
  * Base Svelte adapter for AssembleJS Views.
@@ -17,7 +19,7 @@ export const svelte = {
       new ComponentClass({
         target: root,
         hydrate: true,
-        props: context,
+        props: getViewProps(context), // The props the server rendered with
       });
     }
   },
@@ -37,9 +39,26 @@ export const svelte = {
 
     return new ComponentClass({
       target,
-      props: context,
+      props: getViewProps(context),
     });
   },
+  /**
+   * Use a shared store in a Svelte component, as a readable Svelte store of the selected value.
+   * @param {Store} store - The store, from 'createStore'.
+   * @param {Function} selector - Selects the value the component uses, the whole state by default.
+   * @return {object} A Svelte store, for use with the '$' prefix.
+   * @author Zachariah Ayers
+   */
+  readable: <T, S = T>(
+    store: Store<T>,
+    selector: (state: T) => S = (state) => state as unknown as S
+  ): { subscribe: (run: (value: S) => void) => () => void } => ({
+    subscribe: (run) => {
+      // Svelte stores call new subscribers with the current value
+      run(store.select(selector));
+      return store.subscribe(run, selector);
+    },
+  }),
   /**
    * Render an imported component's content.
    * @param {string} componentName - The name of the component to render.
@@ -51,10 +70,12 @@ export const svelte = {
     target: HTMLElement,
     context: ViewContext
   ): void => {
-    const componentContent = context?.components?.[componentName];
+    const htmlContent = context?.components?.[componentName]
+      ? getViewProps(context).components[componentName]
+      : undefined;
 
-    // Handle case where component is undefined or not a buffer
-    if (!componentContent) {
+    // Handle case where component is undefined
+    if (htmlContent === undefined) {
       console.warn(`Component '${componentName}' not found in context`);
       target.innerHTML = `<div class="__assemblejs_missing_component" 
         style="border: 1px dashed #f44336; padding: 10px; margin: 5px 0; color: #f44336;">
@@ -63,21 +84,6 @@ export const svelte = {
       return;
     }
 
-    // Convert buffer to string safely
-    let htmlContent = "";
-    try {
-      htmlContent =
-        typeof componentContent.toString === "function"
-          ? componentContent.toString("utf8")
-          : String(componentContent);
-    } catch (error) {
-      console.error(
-        `Error converting component '${componentName}' to string:`,
-        error
-      );
-      htmlContent = `<div>Error rendering component '${componentName}'</div>`;
-    }
-
     target.innerHTML = htmlContent;
   },
 };
@@ -1,4 +1,5 @@
 import type { BlueprintEvent } from "../eventing/blueprint.event";
+import type { EventAddress } from "../eventing/event.address";
 import type { ComponentPublicData } from "../../types/component.simple.types";
 import type { ComponentParams } from "../../types/component.params";
 import type {
@@ -7,10 +8,14 @@ import type {
   ViewContext,
 } from "../../types/component.context";
 import { CONSTANTS } from "../../constants/blueprint.constants";
+import { BlueprintClient } from "./blueprint.client";
 import axios, { AxiosInstance } from "axios";
 import {
   EventBus,
   EventListener,
+  EventRequestOptions,
+  EventResponder,
+  SubscribeOptions,
   ViewEventAdapter,
 } from "../eventing/event.bus";
 
@@ -65,6 +70,27 @@ export abstract class Blueprint<
    * @private
    */
   private _context: ViewContext<Public, Params>;
+  /**
+   * The listener for messages on the global channels, bound once so it can be unsubscribed.
+   * @type {EventListener} - Calls 'onMessage'.
+   * @private
+   */
+  private readonly _onMessage: EventListener = this.onMessage.bind(this);
+  /**
+   * Every subscription made by this view, which are removed when it is disposed.
+   * @type {Array<object>} - The address and listener of each subscription.
+   * @private
+   */
+  private readonly _subscriptions: Array<{
+    address: EventAddress;
+    listener: EventListener;
+  }> = [];
+  /**
+   * Has this view been disposed?
+   * @type {boolean}
+   * @private
+   */
+  private _disposed = false;
 
   /**
    * Base view constructor
@@ -156,33 +182,23 @@ export abstract class Blueprint<
       withCredentials: true,
     });
 
-    // TODO: use already listeners if possible, this will cut down on listener/event emitter warnings
     // Bind Listeners
-    this._events.subscribe(
+    this.track(
       {
         channel: CONSTANTS.eventingGlobalChannel,
         topic: CONSTANTS.eventingGlobalTopic,
       },
-      this.onMessage.bind(this)
+      this._onMessage
+    );
+    this.track(
+      {
+        channel: this.context.renderAsBlueprint
+          ? CONSTANTS.eventingGlobalBlueprintChannel
+          : CONSTANTS.eventingGlobalComponentChannel,
+        topic: CONSTANTS.eventingGlobalTopic,
+      },
+      this._onMessage
     );
-
-    if (this.context.renderAsBlueprint) {
-      this._events.subscribe(
-        {
-          channel: CONSTANTS.eventingGlobalBlueprintChannel,
-          topic: CONSTANTS.eventingGlobalTopic,
-        },
-        this.onMessage.bind(this)
-      );
-    } else {
-      this._events.subscribe(
-        {
-          channel: CONSTANTS.eventingGlobalComponentChannel,
-          topic: CONSTANTS.eventingGlobalTopic,
-        },
-        this.onMessage.bind(this)
-      );
-    }
 
     this.onMount();
   }
@@ -260,20 +276,73 @@ export abstract class Blueprint<
    * @param {string} channel - The channel to subscribe to.
    * @param {string} topic - The topic to subscribe to.
    * @param {EventListener} listener - The listener to subscribe to the topic.
+   * @param {SubscribeOptions} options - Which retained events to replay to the listener.
    * @return {void}
    * @author Zachariah Ayers
    */
   public subscribe<Payload, Response>(
     channel: string,
     topic: string,
-    listener: EventListener
+    listener: EventListener,
+    options?: SubscribeOptions
   ): void {
-    this._events.subscribe(
+    this.track(
       {
         channel,
         topic,
       },
-      listener
+      listener,
+      options
+    );
+  }
+
+  /**
+   * Unsubscribe a listener from a topic on a channel.
+   * @param {string} channel - The channel to unsubscribe from.
+   * @param {string} topic - The topic to unsubscribe from.
+   * @param {EventListener} listener - The listener passed to 'subscribe'.
+   * @return {void}
+   * @author Zachariah Ayers
+   */
+  public unsubscribe(
+    channel: string,
+    topic: string,
+    listener: EventListener
+  ): void {
+    const index = this._subscriptions.findIndex(
+      (subscription) =>
+        subscription.address.channel === channel &&
+        subscription.address.topic === topic &&
+        subscription.listener === listener
+    );
+
+    if (index !== -1) {
+      this._subscriptions.splice(index, 1);
+    }
+    this._events.unsubscribe({ channel, topic }, listener);
+  }
+
+  /**
+   * Make a request to a topic on a channel, and wait for the first response.
+   * @template Payload - The type of the payload
+   * @template Response - The type of the expected response
+   * @param {string} channel - The channel to make the request on.
+   * @param {string} topic - The topic to make the request on.
+   * @param {Payload} payload - The payload to send with the request.
+   * @param {EventRequestOptions} options - Request options.
+   * @return {Promise<Response>} Resolves with the first response, or rejects when no listener responds within the timeout.
+   * @author Zachariah Ayers
+   */
+  public request<Payload, Response>(
+    channel: string,
+    topic: string,
+    payload: Payload,
+    options?: EventRequestOptions
+  ): Promise<Response> {
+    return this._events.request<Payload, Response>(
+      { channel, topic },
+      payload,
+      options
     );
   }
 
@@ -282,50 +351,121 @@ export abstract class Blueprint<
    * @description If this view is not subscribed to the particular channel and topic, it will not receive the event. Components subscribe to the 'all', 'component', and 'blueprint' channels by default.
    * @template P - The type of the message payload
    * @param {BlueprintEvent<P>} message - The event message
+   * @param {EventResponder} respond - Answers the message, when it is a request
    * @return {void}
    * @protected
    * @author Zachariah Ayers
    */
-  protected onMessage<P = unknown>(message: BlueprintEvent<P>): void {}
+  protected onMessage<P = unknown>(
+    message: BlueprintEvent<P>,
+    respond?: EventResponder
+  ): void {}
+
+  /**
+   * Update the public data of this view, and let it react with 'onUpdate'.
+   * @param {Partial<Public>} data - The data to merge into the current public data.
+   * @return {void}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public update(data: Partial<Public>): void {
+    const previous = this._context;
+    this._context = { ...previous, data: { ...previous.data, ...data } };
+    this.onUpdate(previous);
+  }
+
+  /**
+   * Load new context rendered by the server for this view, and let it react with 'onUpdate'.
+   * @description Reads the data payload added to the page when the view was rendered again. Does nothing when there is no new payload.
+   * @return {boolean} - True when new context was loaded.
+   * @public
+   * @author Zachariah Ayers
+   */
+  public rehydrate(): boolean {
+    const dataPayload = document.getElementById(
+      CONSTANTS.dataIdPrefix + this._context.id
+    );
+    if (!dataPayload || this._disposed) {
+      return false;
+    }
+
+    const textContent = dataPayload.textContent ?? "{}";
+    dataPayload.remove();
+
+    try {
+      const previous = this._context;
+      this._context = JSON.parse(textContent) as ViewContext<Public, Params>;
+      this.onUpdate(previous);
+      return true;
+    } catch (error) {
+      console.error(
+        `Error parsing context data for ${this._context.id}:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Render this view again on its server, and replace it on the page.
+   * @description This instance is disposed, and the refreshed content is hydrated by a new instance.
+   * @param {object} params - Query parameters for the content request, merged into the ones this view was rendered with.
+   * @return {Promise<Blueprint | undefined>} - The new instance.
+   * @public
+   * @author Zachariah Ayers
+   * @example
+   * ```typescript
+   * this.root?.querySelector('.next')?.addEventListener('click', () => this.refresh({ page: this.context.data.page + 1 }));
+   * ```
+   */
+  public refresh(
+    params?: Record<string, unknown>
+  ): Promise<Blueprint | undefined> {
+    return BlueprintClient.refreshComponent(this._context.id, params);
+  }
 
   /**
    * Clean up this view's resources - especially event listeners
    * This method should be called when the view is no longer needed
    * to prevent memory leaks from event listener accumulation
+   * @description Removes every subscription this view made, then calls 'onUnmount'. Disposing more than once does nothing.
    * @return {void}
    * @public
    * @author Zachariah Ayers
    */
   public dispose(): void {
-    // Unsubscribe from all event listeners to prevent memory leaks
-    this._events.unsubscribe(
-      {
-        channel: CONSTANTS.eventingGlobalChannel,
-        topic: CONSTANTS.eventingGlobalTopic,
-      },
-      this.onMessage.bind(this)
-    );
+    if (this._disposed) {
+      return;
+    }
+    this._disposed = true;
 
-    if (this.context.renderAsBlueprint) {
-      this._events.unsubscribe(
-        {
-          channel: CONSTANTS.eventingGlobalBlueprintChannel,
-          topic: CONSTANTS.eventingGlobalTopic,
-        },
-        this.onMessage.bind(this)
-      );
-    } else {
-      this._events.unsubscribe(
-        {
-          channel: CONSTANTS.eventingGlobalComponentChannel,
-          topic: CONSTANTS.eventingGlobalTopic,
-        },
-        this.onMessage.bind(this)
+    // Unsubscribe from all event listeners to prevent memory leaks
+    this._subscriptions
+      .splice(0)
+      .forEach(({ address, listener }) =>
+        this._events.unsubscribe(address, listener)
       );
-    }
 
-    // Clear any other resources or references that could cause memory leaks
     // Note: We keep references to root and context for potential serialization
+    this.onUnmount();
+  }
+
+  /**
+   * Subscribe to an address, and remember the subscription so it is removed when this view is disposed.
+   * @param {EventAddress} address - The address to subscribe to.
+   * @param {EventListener} listener - The listener.
+   * @param {SubscribeOptions} options - Which retained events to replay to the listener.
+   * @return {void}
+   * @private
+   * @author Zachariah Ayers
+   */
+  private track(
+    address: EventAddress,
+    listener: EventListener,
+    options?: SubscribeOptions
+  ): void {
+    this._subscriptions.push({ address, listener });
+    this._events.subscribe(address, listener, options);
   }
 
   /**
@@ -431,6 +571,25 @@ export abstract class Blueprint<
     console.groupEnd();
   }
 
+  /**
+   * This method will fire when the view receives new data, from 'update' or 'rehydrate'.
+   * @description Re-render anything depending on 'this.context' here.
+   * @param {ViewContext<Public, Params>} previous - The context before the update.
+   * @return {void}
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected onUpdate(previous: ViewContext<Public, Params>): void {}
+
+  /**
+   * This method will fire when the view is disposed, such as when its element is removed from the page.
+   * @description Remove any listeners, timers or other resources added in 'onMount' here. Subscriptions made with 'subscribe' are removed automatically.
+   * @return {void}
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected onUnmount(): void {}
+
   /**
    * Components should not be nested too deeply, this can have poor performance implications.
    * @description If the nest level is too deep, a warning will be logged to the browser console.
@@ -1,7 +1,18 @@
 import type { ViewContext } from "../../types/component.context";
+import type { Store } from "../store/blueprint.store";
+import { getViewProps } from "../../utils/context.utils";
 // Import from local stub for TypeScript compilation
 import * as Vue from "../../stubs/vue-client";
 
+/**
+ * The reactivity API of the Vue a component renders with, which 'useStore' keeps its ref in step through.
+ * @author Zachariah Ayers
+ */
+export interface VueStoreApi {
+  ref: <T>(value: T) => Vue.Ref<T>;
+  onUnmounted: (hook: () => void) => void;
+}
+
 /**
  * Base Vue adapter for AssembleJS Views.
  * @author Zach Ayers
@@ -17,8 +28,8 @@ export const vue = {
   bootstrap: (Component: any, context: ViewContext): void => {
     const root = document.getElementById(context.id) as HTMLElement;
     if (root) {
-      // Vue 3 API: pass props via second param to mount
-      const app = Vue.createApp(Component);
+      // Hydrate with the props the server rendered with
+      const app = Vue.createApp(Component, getViewProps(context));
       app.mount(root);
     }
   },
@@ -30,8 +41,33 @@ export const vue = {
    * @return {Vue.App} The Vue app instance.
    */
   createApp: (Component: any, context: ViewContext): Vue.App => {
-    // Vue 3 API: return app instance
-    return Vue.createApp(Component);
+    return Vue.createApp(Component, getViewProps(context));
+  },
+  /**
+   * Use a shared store in a Vue component's setup, as a ref updated when the selected value changes.
+   * @description The ref comes from the Vue the component renders with, as the bundle does not include Vue.
+   * @param {VueStoreApi} api - The Vue the component renders with, such as 'import * as Vue from "vue"'.
+   * @param {Store} store - The store, from 'createStore'.
+   * @param {Function} selector - Selects the value the component uses, the whole state by default.
+   * @return {Vue.Ref} A ref of the selected value.
+   * @author Zachariah Ayers
+   * @example
+   * ```typescript
+   * const count = vue.useStore(Vue, cart, (state) => state.count);
+   * ```
+   */
+  useStore: <T, S = T>(
+    api: VueStoreApi,
+    store: Store<T>,
+    selector: (state: T) => S = (state) => state as unknown as S
+  ): Vue.Ref<S> => {
+    const value = api.ref(store.select(selector));
+    const unsubscribe = store.subscribe(
+      (selected) => (value.value = selected),
+      selector
+    );
+    api.onUnmounted(unsubscribe);
+    return value;
   },
   /**
    * Render an imported component's content.
@@ -40,10 +76,12 @@ export const vue = {
    * @return {Vue.VNode} The rendered component.
    */
   component: (componentName: string, context: ViewContext): Vue.VNode => {
-    const componentContent = context?.components?.[componentName];
+    const htmlContent = context?.components?.[componentName]
+      ? getViewProps(context).components[componentName]
+      : undefined;
 
-    // Handle case where component is undefined or not a buffer
-    if (!componentContent) {
+    // Handle case where component is undefined
+    if (htmlContent === undefined) {
       console.warn(`Component '${componentName}' not found in context`);
       return Vue.h(
         "div",
@@ -60,21 +98,6 @@ export const vue = {
       );
     }
 
-    // Convert buffer to string safely
-    let htmlContent = "";
-    try {
-      htmlContent =
-        typeof componentContent.toString === "function"
-          ? componentContent.toString("utf8")
-          : String(componentContent);
-    } catch (error) {
-      console.error(
-        `Error converting component '${componentName}' to string:`,
-        error
-      );
-      htmlContent = `<div>Error rendering component '${componentName}'</div>`;
-    }
-
     return Vue.h("div", {
       innerHTML: htmlContent,
     });
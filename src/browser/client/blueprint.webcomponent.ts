@@ -1,4 +1,5 @@
 import type { ViewContext } from "../../types/component.context";
+import type { Store } from "../store/blueprint.store";
 
 /**
  * Base WebComponent adapter for AssembleJS
@@ -227,6 +228,27 @@ export const webcomponent = {
     webcomponent.define(elementName, template, methods);
   },
 
+  /**
+   * Keep a key of a Web Component's state in step with a shared store
+   * @param {HTMLElement} element - The custom element, defined with 'define'
+   * @param {Store} store - The store, from 'createStore'
+   * @param {string} key - The state key to set, the name of the store by default
+   * @param {Function} selector - Selects the value to set, the whole state by default
+   * @return {Function} - Stops updating the element, for use in 'disconnectedCallback'
+   */
+  connectStore: <T, S = T>(
+    element: HTMLElement,
+    store: Store<T>,
+    key: string = store.name,
+    selector: (state: T) => S = (state) => state as unknown as S
+  ): (() => void) => {
+    const setState = (value: S) =>
+      (element as any).setState?.({ [key]: value });
+
+    setState(store.select(selector));
+    return store.subscribe(setState, selector);
+  },
+
   /**
    * Render an imported component's content into a slot
    * @param {string} componentName - The name of the component to render
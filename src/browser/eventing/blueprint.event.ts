@@ -25,4 +25,22 @@ export interface BlueprintEvent<P> {
    * The payload to publish on the corresponding channel & topic.
    */
   payload: P;
+
+  /**
+   * Also relay the event to other browsers listening on the channel.
+   * @description Requires the server to enable the events socket with 'events.websocket'. Otherwise, only in-page listeners receive the event.
+   */
+  broadcast?: boolean;
+
+  /**
+   * Identifies a request made with 'request', and the response to it.
+   * @description Set on requests only. Listeners answer a request with the 'respond' function they are passed alongside it.
+   */
+  correlationId?: string;
+
+  /**
+   * Identifies the window which published the event.
+   * @description Set when the event is published. Events received from another tab, iframe or popup keep the tag of the window which published them.
+   */
+  origin?: string;
 }
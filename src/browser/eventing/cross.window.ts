@@ -0,0 +1,242 @@
+import type { BlueprintEvent } from "./blueprint.event";
+import { receiveServerEvent } from "./server.events";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * @module Cross Window Events
+ * @description Propagates events published on opted-in channels to other tabs, iframes and popups,
+ * over a BroadcastChannel for same-origin windows, and 'postMessage' for the allowed origins of related windows.
+ * @author Zachariah Ayers
+ * @internal
+ */
+
+/**
+ * Options for propagating a channel to other windows with 'propagateChannel'
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface CrossWindowOptions {
+  /**
+   * Origins of related windows (the parent, iframes, the opener and popups) to exchange events with over 'postMessage'.
+   * @description Same-origin windows receive events over a BroadcastChannel, and need not be listed.
+   * @example ['https://checkout.example.com']
+   */
+  allowedOrigins?: Array<string>;
+}
+
+interface CrossWindowMessage {
+  type: string;
+  id: string;
+  event: BlueprintEvent<unknown>;
+}
+
+// Allowed origins of each propagated channel
+const propagatedChannels = new Map<string, Set<string>>();
+// Messages already delivered, as a window may receive the same message over both transports
+const receivedMessages = new Set<string>();
+const maxReceivedMessages = 200;
+
+// Tags each event published in this window
+const windowOrigin = `${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2)}`;
+let messageCounter = 0;
+let broadcastChannel: BroadcastChannel | undefined;
+let listening = false;
+
+/**
+ * Get the tag identifying events published in this window.
+ * @return {string} - The origin tag, unique to this window.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function getEventOrigin(): string {
+  return windowOrigin;
+}
+
+/**
+ * Get the windows related to this one, which are sent events over 'postMessage'.
+ * @return {Array<Window>} - The parent, opener and child frames.
+ */
+function getRelatedWindows(): Window[] {
+  const related = new Set<Window>();
+
+  if (window.parent && window.parent !== window) {
+    related.add(window.parent);
+  }
+  if (window.opener) {
+    related.add(window.opener);
+  }
+  for (let i = 0; i < window.frames.length; i++) {
+    related.add(window.frames[i]);
+  }
+
+  return Array.from(related);
+}
+
+/**
+ * Deliver a message received from another window to in-page listeners, once.
+ * @param {unknown} data - The message.
+ * @param {string} origin - The origin of the sending window, undefined for BroadcastChannel messages.
+ * @return {void}
+ */
+function receive(data: unknown, origin?: string): void {
+  const message = data as CrossWindowMessage;
+
+  if (
+    message?.type !== CONSTANTS.eventingCrossWindowMessageType ||
+    typeof message.event?.channel !== "string" ||
+    message.event.origin === windowOrigin ||
+    receivedMessages.has(message.id)
+  ) {
+    return;
+  }
+
+  const allowedOrigins = propagatedChannels.get(message.event.channel);
+  if (
+    !allowedOrigins ||
+    (origin !== undefined &&
+      origin !== window.location.origin &&
+      !allowedOrigins.has(origin))
+  ) {
+    return;
+  }
+
+  if (receivedMessages.size >= maxReceivedMessages) {
+    receivedMessages.delete(receivedMessages.values().next().value as string);
+  }
+  receivedMessages.add(message.id);
+
+  // Delivered in-page only, so the event is never propagated back
+  receiveServerEvent(message.event);
+}
+
+/**
+ * Handle messages posted by related windows.
+ * @param {MessageEvent} message - The posted message.
+ * @return {void}
+ */
+function onWindowMessage(message: MessageEvent): void {
+  receive(message.data, message.origin);
+}
+
+/**
+ * Start receiving events from other windows, unless already receiving them.
+ * @return {void}
+ */
+function listen(): void {
+  if (listening) {
+    return;
+  }
+  listening = true;
+
+  if (typeof BroadcastChannel !== "undefined") {
+    broadcastChannel = new BroadcastChannel(
+      CONSTANTS.eventingBroadcastChannelName
+    );
+    broadcastChannel.onmessage = (message: MessageEvent) =>
+      receive(message.data);
+  }
+  window.addEventListener("message", onWindowMessage);
+}
+
+/**
+ * Propagate events published on a channel to other tabs, iframes and popups.
+ * @description Both windows must propagate the channel. Events received from another window are delivered to in-page listeners only,
+ * and are never propagated again, so windows propagating to each other do not loop.
+ * @param {string} channel - The channel to propagate.
+ * @param {CrossWindowOptions} options - The origins of related windows to exchange events with.
+ * @return {Function} - Stops propagating the channel.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * // In the storefront, and in the checkout iframe
+ * propagateChannel('cart', { allowedOrigins: ['https://checkout.example.com', 'https://shop.example.com'] });
+ *
+ * // Cart listeners in the checkout iframe, and in every other storefront tab, receive the event
+ * events.publish({ channel: 'cart', topic: 'added' }, item);
+ * ```
+ */
+export function propagateChannel(
+  channel: string,
+  options: CrossWindowOptions = {}
+): () => void {
+  if (typeof window === "undefined") {
+    return () => undefined;
+  }
+
+  const allowedOrigins = propagatedChannels.get(channel) ?? new Set<string>();
+  options.allowedOrigins?.forEach((origin) => allowedOrigins.add(origin));
+  propagatedChannels.set(channel, allowedOrigins);
+  listen();
+
+  return () => {
+    propagatedChannels.delete(channel);
+  };
+}
+
+/**
+ * Propagate an event published in this window to other windows, when its channel is propagated.
+ * @description Without BroadcastChannel support, same-origin windows are also sent the event over 'postMessage'.
+ * @param {BlueprintEvent<unknown>} event - The published event.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function propagateEvent(event: BlueprintEvent<unknown>): void {
+  const allowedOrigins = propagatedChannels.get(event.channel);
+  if (!allowedOrigins || event.origin !== windowOrigin) {
+    return;
+  }
+
+  const message: CrossWindowMessage = {
+    type: CONSTANTS.eventingCrossWindowMessageType,
+    id: `${windowOrigin}:${(messageCounter++).toString(36)}`,
+    event: {
+      channel: event.channel,
+      topic: event.topic,
+      payload: event.payload,
+      origin: event.origin,
+    },
+  };
+  const targetOrigins = new Set(allowedOrigins);
+  if (!broadcastChannel) {
+    targetOrigins.add(window.location.origin);
+  }
+
+  try {
+    broadcastChannel?.postMessage(message);
+    getRelatedWindows().forEach((target) =>
+      // Windows of any other origin drop the message
+      targetOrigins.forEach((origin) => target.postMessage(message, origin))
+    );
+  } catch (error) {
+    console.error(
+      "AssembleJS: Failed to propagate event to other windows",
+      error
+    );
+  }
+}
+
+/**
+ * Stop propagating every channel, and stop receiving events from other windows.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function disconnectCrossWindowEvents(): void {
+  broadcastChannel?.close();
+  broadcastChannel = undefined;
+  if (listening) {
+    window.removeEventListener("message", onWindowMessage);
+    listening = false;
+  }
+  propagatedChannels.clear();
+  receivedMessages.clear();
+}
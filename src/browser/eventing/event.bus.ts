@@ -1,9 +1,13 @@
-import type { EventEmitter } from "events";
-import type { IEventSink } from "./event.sink";
+import type { BlueprintEventEmitter } from "./event.emitter";
+import type { EventReplay, EventRetention, IEventSink } from "./event.sink";
 import type { EventAddress } from "./event.address";
 import type { BlueprintEvent } from "./blueprint.event";
 import { serializeAddress, serializeEventAddress } from "./seralize.address";
-import { getEventManager } from "./event.manager";
+import { EventManager, getEventManager } from "./event.manager";
+import { isAddressPattern } from "./event.pattern";
+import { watchServerChannel } from "./server.events";
+import { broadcastEvent, joinSocketChannel } from "./events.socket";
+import { getEventOrigin, propagateEvent } from "./cross.window";
 import { CONSTANTS } from "../../constants/blueprint.constants";
 
 /**
@@ -51,7 +55,7 @@ export interface ViewEventAdapter {
    * @template Response - The type of the expected response
    * @param {Payload} payload - The payload to send.
    * @param {string} topic - The topic to send the payload to.
-   * @returns {BlueprintEvent<Response>} - The event that was sent. Responses should be handled through callbacks or additional events.
+   * @returns {BlueprintEvent<Response>} - The event that was sent. Use 'request' to wait for a response.
    * @author Zachariah Ayers
    */
   toAll<Payload, Response>(
@@ -86,9 +90,55 @@ export interface ViewEventAdapter {
  * ```
  */
 export type EventListener<P = unknown> = (
-  blueprintEvent: BlueprintEvent<P>
+  blueprintEvent: BlueprintEvent<P>,
+  respond?: EventResponder
 ) => void;
 
+/**
+ * Answers a request made with 'request'.
+ * @description Passed to listeners alongside requests only. The first response resolves the request, later responses are ignored.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * // Quote a price for every cart that asks
+ * events.subscribe<Cart>({ channel: 'pricing', topic: 'quote' }, (event, respond) => {
+ *   respond?.(calculateQuote(event.payload));
+ * });
+ * ```
+ */
+export type EventResponder<R = unknown> = (response: R) => void;
+
+/**
+ * Options for making a request with 'request'
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface EventRequestOptions {
+  /**
+   * How long to wait for a response, in milliseconds, before the request is rejected.
+   * @default 5000
+   */
+  timeout?: number;
+}
+
+/**
+ * Options for subscribing with 'subscribe'
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface SubscribeOptions {
+  /**
+   * Deliver retained events to the listener as soon as it subscribes, so a listener added late does not miss what already happened.
+   * @description 'last' delivers the newest event, 'all' every retained event, and a number up to that many of the newest events - for each matching address.
+   * Replayed events are delivered to the new listener only.
+   */
+  replay?: EventReplay;
+}
+
 /**
  * Event Bus
  * @description An Event bus makes use of an EventSink, EvenEmitter, and EventQueue to pass events using the global window object.
@@ -101,7 +151,7 @@ export interface IEventBus extends ViewEventAdapter {
   /**
    * Emits browser side events and exists as a singleton emitter on the Event Manager object.
    */
-  eventEmitter: EventEmitter;
+  eventEmitter: BlueprintEventEmitter;
 
   /**
    * Source of truth for creating and managing the EventQueue.
@@ -149,6 +199,25 @@ export interface IEventBus extends ViewEventAdapter {
    */
   publish<P>(event: BlueprintEvent<P>): BlueprintEvent<P>;
 
+  /**
+   * Make a request to an EventAddress, and wait for the first response from a listener.
+   * @description Listeners receive the request as an event with a 'correlationId', and answer it with the 'respond' function they are passed.
+   * Requests are not added to the event queue, as they are not state which can be peeked.
+   * @author Zachariah Ayers
+   * @returns {Promise<R>} Resolves with the first response, or rejects when no listener responds within the timeout.
+   * @example
+   *
+   * ```typescript
+   * // Ask the pricing component for a quote
+   * const quote = await eventBus.request<Cart, Quote>({ channel: 'pricing', topic: 'quote' }, cart, { timeout: 2000 });
+   * ```
+   */
+  request<P, R>(
+    address: EventAddress,
+    payload: P,
+    options?: EventRequestOptions
+  ): Promise<R>;
+
   /**
    * Subscribe to an EventAddress
    * and perform an action when a payload is received on that channel:topic.
@@ -169,11 +238,35 @@ export interface IEventBus extends ViewEventAdapter {
    * // Subscribe to the address and use the predefined listener.
    * eventBus.subscribe(address, eventListener);
    *
+   * // Also receive the newest event already published to the address
+   * eventBus.subscribe(address, eventListener, { replay: 'last' });
+   *
    * // Upon some removal logic, you may also unregister the listener
    * eventBus.unsubscribe(address, eventListener);
    * ```
    */
-  subscribe<P>(address: EventAddress, listener: EventListener<P>): void;
+  subscribe<P>(
+    address: EventAddress,
+    listener: EventListener<P>,
+    options?: SubscribeOptions
+  ): void;
+
+  /**
+   * Configure how many events are retained for an EventAddress, and whether they survive a full-page navigation.
+   * @description Retained events can be peeked, and replayed to listeners when they subscribe.
+   * @author Zachariah Ayers
+   * @returns {void}
+   * @example
+   *
+   * ```typescript
+   * // Keep the last 50 events on every cart topic, in sessionStorage
+   * eventBus.retain({ channel: 'cart', topic: '*' }, { limit: 50, persist: true });
+   *
+   * // After navigating to the checkout blueprint, receive every retained cart event
+   * eventBus.subscribe({ channel: 'cart', topic: '*' }, (event) => console.log(event.payload), { replay: 'all' });
+   * ```
+   */
+  retain(address: EventAddress, retention: EventRetention): void;
 
   /**
    * Unsubscribe from an EventAddress
@@ -203,13 +296,58 @@ export interface IEventBus extends ViewEventAdapter {
   unsubscribe(address: EventAddress, listener: EventListener): void;
 }
 
+/**
+ * Receive events from the server, and other browsers, on a channel the page listens on.
+ * @description The events socket is used when the server enables it, otherwise server events are received over Server-Sent Events.
+ * @param {string} channel - The channel the page listens on.
+ * @return {void}
+ * @author Zachariah Ayers
+ */
+function receiveFromServer(channel: string): void {
+  if (!joinSocketChannel(channel)) {
+    watchServerChannel(channel);
+  }
+}
+
+/**
+ * Add a listener to an address, which may use wildcards in its channel and topic.
+ * @param {EventManager} eventManager - The emitter to add the listener to, and the sink holding retained events.
+ * @param {EventAddress} address - The address to listen on.
+ * @param {EventListener} listener - The listener.
+ * @param {SubscribeOptions} options - Which retained events to replay to the listener.
+ * @return {void}
+ * @author Zachariah Ayers
+ */
+function addListener<P>(
+  { eventEmitter, eventSink }: EventManager,
+  address: EventAddress,
+  listener: EventListener<P>,
+  options: SubscribeOptions = {}
+): void {
+  if (isAddressPattern(address)) {
+    eventEmitter.watchPattern(address);
+  }
+  eventEmitter.on(serializeAddress(address), listener);
+
+  // The server publishes to exact channels, so wildcard channels only receive events from within the page
+  if (!address.channel.includes("*")) {
+    receiveFromServer(address.channel);
+  }
+
+  if (options.replay !== undefined) {
+    eventSink
+      .replay(address, options.replay)
+      .forEach((event) => listener(event as BlueprintEvent<P>));
+  }
+}
+
 /**
  * @see IEventBus
  * @public
  * @category Eventing
  */
 export class EventBus implements IEventBus {
-  public eventEmitter: EventEmitter;
+  public eventEmitter: BlueprintEventEmitter;
   public eventSink: IEventSink;
 
   /** @inheritDoc */
@@ -224,13 +362,28 @@ export class EventBus implements IEventBus {
       throw new Error("Event must have channel and topic properties");
     }
 
+    event.origin ??= getEventOrigin();
     this.eventEmitter.emit(serializeEventAddress(event), event);
     this.eventSink.push(event);
+    propagateEvent(event);
+
+    if (event.broadcast) {
+      broadcastEvent(event);
+    }
 
     // Return the same event with its original type rather than unsafe casting
     return event;
   }
 
+  /** @inheritDoc */
+  public request<P, R>(
+    address: EventAddress,
+    payload: P,
+    options?: EventRequestOptions
+  ): Promise<R> {
+    return request<P, R>(address, payload, options);
+  }
+
   /** @inheritDoc */
   public toAll<Payload, Response = Payload>(
     payload: Payload,
@@ -268,8 +421,17 @@ export class EventBus implements IEventBus {
   }
 
   /** @inheritDoc */
-  public subscribe<P>(address: EventAddress, listener: EventListener<P>): void {
-    this.eventEmitter.on(serializeAddress(address), listener);
+  public subscribe<P>(
+    address: EventAddress,
+    listener: EventListener<P>,
+    options?: SubscribeOptions
+  ): void {
+    addListener(this, address, listener, options);
+  }
+
+  /** @inheritDoc */
+  public retain(address: EventAddress, retention: EventRetention): void {
+    this.eventSink.retain(address, retention);
   }
 
   /** @inheritDoc */
@@ -296,27 +458,103 @@ export class EventBus implements IEventBus {
  * @template R - Response type
  * @param {EventAddress} address - The event address to publish to
  * @param {P} payload - The payload to send with the event
+ * @param {object} options - Publishing options
+ * @param {boolean} options.broadcast - Also relay the event to other browsers listening on the channel
  * @return {BlueprintEvent<R>} The published event
  * @author Zachariah Ayers
  */
-function publish<P, R>(address: EventAddress, payload: P): BlueprintEvent<R> {
+function publish<P, R>(
+  address: EventAddress,
+  payload: P,
+  options: { broadcast?: boolean } = {}
+): BlueprintEvent<R> {
   const eventManager = getEventManager();
-  const event = { ...address, payload };
+  const event: BlueprintEvent<P> = {
+    ...address,
+    payload,
+    origin: getEventOrigin(),
+  };
   eventManager.eventEmitter.emit(serializeEventAddress(event), event);
   eventManager.eventSink.push(event);
+  propagateEvent(event);
+  if (options.broadcast) {
+    broadcastEvent(event);
+  }
   return event as unknown as BlueprintEvent<R>;
 }
 
+// Distinguishes requests made within the same millisecond
+let requestCounter = 0;
+
+/**
+ * Make a request to the specified address, and wait for the first response
+ * @template P - Payload type
+ * @template R - Response type
+ * @param {EventAddress} address - The event address to make the request to
+ * @param {P} payload - The payload to send with the request
+ * @param {EventRequestOptions} options - Request options
+ * @return {Promise<R>} Resolves with the first response, or rejects when no listener responds within the timeout
+ * @author Zachariah Ayers
+ */
+function request<P, R>(
+  address: EventAddress,
+  payload: P,
+  options: EventRequestOptions = {}
+): Promise<R> {
+  const timeout = options.timeout ?? CONSTANTS.eventingRequestTimeout;
+  const event: BlueprintEvent<P> = {
+    ...address,
+    payload,
+    correlationId: `${Date.now().toString(36)}-${(requestCounter++).toString(
+      36
+    )}-${Math.random().toString(36).slice(2)}`,
+  };
+
+  return new Promise<R>((resolve, reject) => {
+    let settled = false;
+    const timer = setTimeout(() => {
+      settled = true;
+      reject(
+        new Error(
+          `No response to the request on ${serializeEventAddress(
+            event
+          )} within ${timeout}ms`
+        )
+      );
+    }, timeout);
+
+    const respond: EventResponder = (response) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      resolve(response as R);
+    };
+
+    getEventManager().eventEmitter.emit(
+      serializeEventAddress(event),
+      event,
+      respond
+    );
+  });
+}
+
 /**
  * Subscribe to events at the specified address
  * @template P - Payload type
  * @param {EventAddress} address - The event address to subscribe to
  * @param {EventListener<P>} listener - The listener function to call when events are received
+ * @param {SubscribeOptions} options - Which retained events to replay to the listener
  * @return {void}
  * @author Zachariah Ayers
  */
-function subscribe<P>(address: EventAddress, listener: EventListener<P>): void {
-  getEventManager().eventEmitter.on(serializeAddress(address), listener);
+function subscribe<P>(
+  address: EventAddress,
+  listener: EventListener<P>,
+  options?: SubscribeOptions
+): void {
+  addListener(getEventManager(), address, listener, options);
 }
 
 /**
@@ -331,15 +569,24 @@ export const events: Pick<
   IEventBus,
   | "subscribe"
   | "unsubscribe"
+  | "retain"
+  | "request"
   | "peek"
   | "toAll"
   | "toComponents"
   | "toBlueprint"
 > & {
-  publish: <P, R>(address: EventAddress, payload: P) => BlueprintEvent<R>;
-  useOnMessageListener<P>(listener: (message: BlueprintEvent<P>) => void): void;
+  publish: <P, R>(
+    address: EventAddress,
+    payload: P,
+    options?: { broadcast?: boolean }
+  ) => BlueprintEvent<R>;
+  useOnMessageListener<P>(
+    listener: (message: BlueprintEvent<P>) => void
+  ): () => void;
 } = {
   publish,
+  request,
   subscribe,
   unsubscribe: function (
     address: EventAddress,
@@ -350,6 +597,9 @@ export const events: Pick<
   peek: function <P>(address: EventAddress): P | undefined {
     return getEventManager().eventSink.peek(address);
   },
+  retain: function (address: EventAddress, retention: EventRetention): void {
+    getEventManager().eventSink.retain(address, retention);
+  },
   toAll: function <P, R>(payload: P): BlueprintEvent<R> {
     return publish(
       {
@@ -386,34 +636,23 @@ export const events: Pick<
    * @author Zachariah Ayers
    */
   useOnMessageListener<P>(listener: EventListener<P>): () => void {
-    const addresses = [
-      // Global
-      {
-        channel: CONSTANTS.eventingGlobalChannel,
-        topic: CONSTANTS.eventingGlobalTopic,
-      },
-      // Components
-      {
-        channel: CONSTANTS.eventingGlobalComponentChannel,
-        topic: CONSTANTS.eventingGlobalTopic,
-      },
-      // Blueprints
-      {
-        channel: CONSTANTS.eventingGlobalBlueprintChannel,
-        topic: CONSTANTS.eventingGlobalTopic,
-      },
-    ];
+    // Matches the global, components and blueprints channels
+    const address: EventAddress = {
+      channel: CONSTANTS.eventingGlobalChannelPattern,
+      topic: CONSTANTS.eventingGlobalTopic,
+    };
+    subscribe(address, listener);
 
-    // Subscribe to all channels
-    addresses.forEach((address) => {
-      subscribe(address, listener);
-    });
+    // Wildcard channels are not requested from the server, so request each global channel
+    [
+      CONSTANTS.eventingGlobalChannel,
+      CONSTANTS.eventingGlobalComponentChannel,
+      CONSTANTS.eventingGlobalBlueprintChannel,
+    ].forEach(receiveFromServer);
 
     // Return a cleanup function to unsubscribe from all channels
     return () => {
-      addresses.forEach((address) => {
-        getEventManager().eventEmitter.off(serializeAddress(address), listener);
-      });
+      getEventManager().eventEmitter.off(serializeAddress(address), listener);
     };
   },
 };
@@ -0,0 +1,297 @@
+import type { BlueprintEvent } from "./blueprint.event";
+import type { EventAddress } from "./event.address";
+import { EventListener, SubscribeOptions, events } from "./event.bus";
+import {
+  ValidationError,
+  ValidationResult,
+  ValidationRule,
+  ValidationSchema,
+  validateSchema,
+} from "../../utils/validation.utils";
+
+/**
+ * The payload contract of a cataloged event: a rule, several rules which must all pass, or a schema of the payload's properties.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export type EventContract =
+  | ValidationRule
+  | ValidationRule[]
+  | ValidationSchema;
+
+/**
+ * Event contracts keyed by '<channel>:<topic>'. The channel is everything before the first ':'.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export type EventContracts = Record<string, EventContract>;
+
+/**
+ * The payload type described by an event contract.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export type EventPayload<C> = C extends ValidationRule<infer P>
+  ? P
+  : C extends Array<ValidationRule<infer P>>
+  ? P
+  : C extends Record<string, unknown>
+  ? { [K in keyof C]: EventPayload<C[K]> }
+  : unknown;
+
+/**
+ * Options for defining an event catalog with 'defineEvents'
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface EventCatalogOptions {
+  /**
+   * Validate payloads against their contracts when publishing and receiving.
+   * @default true, unless the bundle is built for production
+   */
+  validate?: boolean;
+}
+
+/**
+ * The JSON export of an event catalog, which independently deployed components may share.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface EventCatalogJSON {
+  events: Record<
+    string,
+    EventAddress & { payload: Record<string, unknown> | unknown[] }
+  >;
+}
+
+/**
+ * Typed publish and subscribe helpers for the events of a catalog.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface EventCatalog<C extends EventContracts> {
+  /**
+   * The contracts the catalog was defined with.
+   */
+  readonly contracts: C;
+
+  /**
+   * Get the address of a cataloged event.
+   */
+  address<N extends keyof C & string>(name: N): EventAddress;
+
+  /**
+   * Validate a payload against the contract of a cataloged event.
+   */
+  validate<N extends keyof C & string>(
+    name: N,
+    payload: unknown
+  ): ValidationResult;
+
+  /**
+   * Publish a cataloged event.
+   * @description Throws when validation is enabled and the payload breaks the contract.
+   */
+  publish<N extends keyof C & string>(
+    name: N,
+    payload: EventPayload<C[N]>,
+    options?: { broadcast?: boolean }
+  ): BlueprintEvent<EventPayload<C[N]>>;
+
+  /**
+   * Subscribe to a cataloged event, and get a function which unsubscribes.
+   * @description When validation is enabled, events breaking the contract are logged and not delivered to the listener.
+   */
+  subscribe<N extends keyof C & string>(
+    name: N,
+    listener: EventListener<EventPayload<C[N]>>,
+    options?: SubscribeOptions
+  ): () => void;
+
+  /**
+   * View the next item in the queue of a cataloged event.
+   */
+  peek<N extends keyof C & string>(name: N): EventPayload<C[N]> | undefined;
+
+  /**
+   * Export the catalog, so independently deployed components can agree on its contracts.
+   * @description Functions, such as custom validators, can not be exported and are described by their type only.
+   */
+  toJSON(): EventCatalogJSON;
+}
+
+/**
+ * Check whether the bundle was built for development.
+ * @description The client bundle build replaces 'process.env.NODE_ENV' with its mode, it is otherwise undefined in browsers.
+ * @return {boolean} - False when built for production.
+ */
+function isDevelopment(): boolean {
+  try {
+    return process.env.NODE_ENV !== "production";
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Parse the address of a cataloged event from its name.
+ * @param {string} name - The name of the event, in the form '<channel>:<topic>'.
+ * @return {EventAddress} - The address of the event.
+ */
+function parseEventName(name: string): EventAddress {
+  const separator = name.indexOf(":");
+  if (separator < 1 || separator === name.length - 1) {
+    throw new Error(
+      `Event '${name}' must be named in the form '<channel>:<topic>'`
+    );
+  }
+
+  return {
+    channel: name.slice(0, separator),
+    topic: name.slice(separator + 1),
+  };
+}
+
+/**
+ * Validate a payload against an event contract.
+ * @param {EventContract} contract - The contract.
+ * @param {unknown} payload - The payload.
+ * @return {ValidationResult} - The result, with every broken rule.
+ */
+function validateContract(
+  contract: EventContract,
+  payload: unknown
+): ValidationResult {
+  const errors: ValidationError[] = [];
+
+  if (Array.isArray(contract)) {
+    const error = contract
+      .map((rule) => rule.validate(payload, "payload"))
+      .find(Boolean);
+    if (error) {
+      errors.push(error);
+    }
+  } else if (typeof contract.validate === "function") {
+    const error = (contract as ValidationRule).validate(payload, "payload");
+    if (error) {
+      errors.push(error);
+    }
+  } else {
+    errors.push(
+      ...validateSchema(
+        payload as Record<string, unknown>,
+        contract as ValidationSchema,
+        "payload"
+      ).errors
+    );
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Describe the errors of a failed validation.
+ * @param {string} name - The name of the event.
+ * @param {ValidationResult} result - The failed validation.
+ * @return {string} - The description.
+ */
+function describeErrors(name: string, result: ValidationResult): string {
+  return `Payload of event '${name}' breaks its contract: ${result.errors
+    .map((error) => error.message)
+    .join(", ")}`;
+}
+
+/**
+ * Define a catalog of events, and get typed helpers to publish and subscribe to them.
+ * @description Payloads are validated against their contracts in development, using the 'Validation' rules.
+ * The catalog may be exported to JSON, so independently deployed components can agree on the same contracts.
+ * @param {EventContracts} contracts - The contract of each event, keyed by '<channel>:<topic>'.
+ * @param {EventCatalogOptions} options - Catalog options.
+ * @return {EventCatalog} - Typed helpers for the events of the catalog.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * export const cartEvents = defineEvents({
+ *   'cart:add': { sku: Validation.string({ required: true }), quantity: Validation.number({ min: 1 }) },
+ *   'cart:clear': Validation.boolean(),
+ * });
+ *
+ * // The payload is typed as { sku: string; quantity: number }
+ * cartEvents.publish('cart:add', { sku: 'A-100', quantity: 2 });
+ *
+ * const unsubscribe = cartEvents.subscribe('cart:add', (event) => console.log(event.payload.sku));
+ *
+ * // Share the contracts with other teams
+ * const json = JSON.stringify(cartEvents);
+ * ```
+ */
+export function defineEvents<C extends EventContracts>(
+  contracts: C,
+  options: EventCatalogOptions = {}
+): EventCatalog<C> {
+  const shouldValidate = options.validate ?? isDevelopment();
+  const addresses = new Map<string, EventAddress>(
+    Object.keys(contracts).map((name) => [name, parseEventName(name)])
+  );
+
+  const getAddress = (name: string): EventAddress => {
+    const address = addresses.get(name);
+    if (!address) {
+      throw new Error(`Event '${name}' is not in the catalog`);
+    }
+    return address;
+  };
+
+  return {
+    contracts,
+    address: (name) => ({ ...getAddress(name) }),
+    validate: (name, payload) => {
+      getAddress(name);
+      return validateContract(contracts[name], payload);
+    },
+    publish: (name, payload, publishOptions) => {
+      const address = getAddress(name);
+      if (shouldValidate) {
+        const result = validateContract(contracts[name], payload);
+        if (!result.valid) {
+          throw new Error(describeErrors(name, result));
+        }
+      }
+      return events.publish(address, payload, publishOptions);
+    },
+    subscribe: (name, listener, subscribeOptions) => {
+      const address = getAddress(name);
+      const checkedListener: typeof listener = (event, respond) => {
+        if (shouldValidate) {
+          const result = validateContract(contracts[name], event.payload);
+          if (!result.valid) {
+            console.error(`AssembleJS: ${describeErrors(name, result)}`);
+            return;
+          }
+        }
+        listener(event, respond);
+      };
+
+      events.subscribe(address, checkedListener, subscribeOptions);
+      return () =>
+        events.unsubscribe(address, checkedListener as EventListener);
+    },
+    peek: (name) => events.peek(getAddress(name)),
+    toJSON: () => ({
+      events: Object.fromEntries(
+        [...addresses].map(([name, address]) => [
+          name,
+          { ...address, payload: JSON.parse(JSON.stringify(contracts[name])) },
+        ])
+      ),
+    }),
+  };
+}
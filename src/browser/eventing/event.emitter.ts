@@ -0,0 +1,69 @@
+import { EventEmitter } from "events";
+import type { EventAddress } from "./event.address";
+import { isAddressMatch } from "./event.pattern";
+import { serializeAddress } from "./seralize.address";
+
+/**
+ * Blueprint Event Emitter
+ * @description An EventEmitter which also delivers events to listeners subscribed to a matching wildcard address.
+ * Pattern addresses are registered with 'watchPattern', and their listeners are added with 'on' as for any other address.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ * @example
+ * ```typescript
+ * const emitter = new BlueprintEventEmitter();
+ * const pattern: EventAddress = { channel: 'cart', topic: '*' };
+ *
+ * emitter.watchPattern(pattern);
+ * emitter.on(serializeAddress(pattern), (event) => console.log(event.topic));
+ *
+ * // Logs 'added'
+ * emitter.emit('cart:added', { channel: 'cart', topic: 'added', payload: {} });
+ * ```
+ */
+export class BlueprintEventEmitter extends EventEmitter {
+  private patterns = new Map<string, EventAddress>();
+
+  /**
+   * Deliver events matching a wildcard address to its listeners.
+   * @param {EventAddress} pattern - The wildcard address.
+   * @return {void}
+   */
+  public watchPattern(pattern: EventAddress): void {
+    this.patterns.set(serializeAddress(pattern), pattern);
+  }
+
+  /**
+   * Emit an event to the listeners of its address, and of every matching wildcard address.
+   * @param {string | symbol} eventName - The serialized address of the event.
+   * @param {Array<unknown>} args - The event, followed by any further arguments for listeners.
+   * @return {boolean} - True when the event had listeners.
+   */
+  public override emit(eventName: string | symbol, ...args: any[]): boolean {
+    let delivered = super.emit(eventName, ...args);
+    const [event] = args;
+
+    if (
+      this.patterns.size === 0 ||
+      typeof event?.channel !== "string" ||
+      typeof event?.topic !== "string"
+    ) {
+      return delivered;
+    }
+
+    this.patterns.forEach((pattern, key) => {
+      // Patterns are forgotten once every listener has unsubscribed
+      if (this.listenerCount(key) === 0) {
+        this.patterns.delete(key);
+        return;
+      }
+
+      if (key !== eventName && isAddressMatch(event, pattern)) {
+        delivered = super.emit(key, ...args) || delivered;
+      }
+    });
+
+    return delivered;
+  }
+}
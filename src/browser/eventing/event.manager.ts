@@ -1,5 +1,5 @@
-import { EventEmitter } from "events";
 import { EventSink, IEventSink } from "./event.sink";
+import { BlueprintEventEmitter } from "./event.emitter";
 import { getWindow } from "../common/get.window";
 
 /**
@@ -26,7 +26,7 @@ declare global {
  * ```typescript
  * // Create a new Event Manager
  * const eventManager: EventManager = {
- *  eventEmitter: new EventEmitter(),
+ *  eventEmitter: new BlueprintEventEmitter(),
  *  eventSink: new EventSink(),
  * };
  * ```
@@ -37,7 +37,7 @@ export interface EventManager {
    * @description Emits browser side events and exists as a singleton emitter on the Event Manager object.
    * @internal
    */
-  eventEmitter: EventEmitter;
+  eventEmitter: BlueprintEventEmitter;
   /**
    * Event Manager - Event Sink
    * @description Source of truth for creating and managing the EventQueue.
@@ -69,7 +69,7 @@ export function getEventManager(): EventManager {
   if (!eventManager) {
     // Create a new EventManager, and initialize a new EventEmitter and EventSink
     eventManager = {
-      eventEmitter: new EventEmitter(),
+      eventEmitter: new BlueprintEventEmitter(),
       eventSink: new EventSink(),
     };
 
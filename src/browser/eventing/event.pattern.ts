@@ -0,0 +1,71 @@
+import type { EventAddress } from "./event.address";
+
+// Compiled patterns, as the same few patterns are matched against every event
+const compiledPatterns = new Map<string, RegExp>();
+
+/**
+ * Check whether an address uses wildcards in its channel or topic.
+ * @param {EventAddress} address - The address to check.
+ * @return {boolean} - True when the channel or topic contains a wildcard.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function isAddressPattern(address: EventAddress): boolean {
+  return address.channel.includes("*") || address.topic.includes("*");
+}
+
+/**
+ * Check whether a channel or topic matches a pattern.
+ * @description '*' matches anything within a single '.' separated segment, and '**' matches anything across segments.
+ * @param {string} value - The channel or topic.
+ * @param {string} pattern - The pattern to match against.
+ * @return {boolean} - True when the value matches the pattern.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ * @example
+ * ```typescript
+ * isPatternMatch('item.added', 'item.*'); // true
+ * isPatternMatch('item.added.twice', 'item.*'); // false
+ * isPatternMatch('item.added.twice', 'item.**'); // true
+ * ```
+ */
+export function isPatternMatch(value: string, pattern: string): boolean {
+  if (!pattern.includes("*")) {
+    return value === pattern;
+  }
+
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .split("**")
+      .map((part) =>
+        part.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^.]*")
+      )
+      .join(".*");
+    regex = new RegExp(`^${source}$`);
+    compiledPatterns.set(pattern, regex);
+  }
+
+  return regex.test(value);
+}
+
+/**
+ * Check whether an address matches a pattern address.
+ * @param {EventAddress} address - The address of an event.
+ * @param {EventAddress} pattern - The address to match against, which may use wildcards in its channel and topic.
+ * @return {boolean} - True when both the channel and topic match.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function isAddressMatch(
+  address: EventAddress,
+  pattern: EventAddress
+): boolean {
+  return (
+    isPatternMatch(address.channel, pattern.channel) &&
+    isPatternMatch(address.topic, pattern.topic)
+  );
+}
@@ -2,11 +2,54 @@ import type { BlueprintEvent } from "./blueprint.event";
 import type { EventAddress } from "./event.address";
 import { EventQueue, IEventQueue } from "./event.queue";
 import { serializeAddress } from "./seralize.address";
+import { isAddressMatch, isAddressPattern } from "./event.pattern";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * How many events the EventSink retains for an address, and whether they are persisted.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * // Keep the last 50 cart events, through navigations between blueprints
+ * events.retain({ channel: 'cart', topic: '*' }, { limit: 50, persist: true });
+ * ```
+ */
+export interface EventRetention {
+  /**
+   * The most events retained for each matching address. Older events are dropped first.
+   * @default 10
+   */
+  limit?: number;
+
+  /**
+   * Keep retained events in sessionStorage, so they survive a full-page navigation within the tab.
+   * @description Payloads must be serializable to JSON.
+   * @default false
+   */
+  persist?: boolean;
+}
+
+/**
+ * The retained events delivered to a listener when it subscribes.
+ * @description 'last' delivers the newest event, 'all' every retained event, and a number up to that many of the newest events - for each matching address.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export type EventReplay = "last" | "all" | number;
+
+interface PersistedQueue {
+  address: EventAddress;
+  limit: number;
+  payloads: Array<unknown>;
+}
 
 /**
  * Event Sink
  * @description An Event sink manages the channel / topic / queue mappings.
- * @description Each channel/topic combination maps to a EventQueue of a predetermined link (default 10)
+ * @description Each channel/topic combination maps to a EventQueue of a predetermined link (default 10), which may be configured per address with 'retain'.
  * @category Eventing
  * @author Zachariah Ayers
  * @internal
@@ -34,9 +77,49 @@ export interface IEventSink {
    */
   getKeyMappedQueue(address: EventAddress): IEventQueue;
 
+  /**
+   * Get the addresses with queued events which match an address, most recently published first.
+   * @param {EventAddress} address The address, which may use wildcards in its channel and topic.
+   * @returns {EventAddress[]} The matching addresses.
+   * @internal
+   * @example
+   * ```typescript
+   * // Find every cart topic with queued events
+   * const addresses = eventSink.getMatchingAddresses({ channel: 'cart', topic: '*' });
+   * ```
+   */
+  getMatchingAddresses(address: EventAddress): EventAddress[];
+
+  /**
+   * Configure how many events are retained for an address, and whether they are persisted to sessionStorage.
+   * @description The most recently configured retention of a matching address applies. Queues already holding events are trimmed to the new limit.
+   * @param {EventAddress} address The address, which may use wildcards in its channel and topic.
+   * @param {EventRetention} retention The retention limit, and persistence.
+   * @returns {void}
+   * @example
+   * ```typescript
+   * eventSink.retain({ channel: 'cart', topic: 'added' }, { limit: 50, persist: true });
+   * ```
+   */
+  retain(address: EventAddress, retention: EventRetention): void;
+
+  /**
+   * Get the events retained for an address, oldest first.
+   * @description With a wildcard address, events of the matching address least recently published to come first.
+   * @param {EventAddress} address The address, which may use wildcards in its channel and topic.
+   * @param {EventReplay} replay Which retained events to get for each matching address.
+   * @returns {BlueprintEvent<unknown>[]} The retained events.
+   * @example
+   * ```typescript
+   * // Deliver the newest cart event to a late listener
+   * eventSink.replay({ channel: 'cart', topic: 'updated' }, 'last').forEach(listener);
+   * ```
+   */
+  replay(address: EventAddress, replay: EventReplay): BlueprintEvent<unknown>[];
+
   /**
    * View the next (newest) item in a channel:topic associated queue
-   * @description Peeking will view the first item in the queue.
+   * @description Peeking will view the first item in the queue. With a wildcard address, the queue most recently published to is used.
    * @returns {P | undefined} - The generic member at the first position in the queue.
    * @example
    * ```typescript
@@ -81,15 +164,38 @@ export interface IEventSink {
  */
 export class EventSink implements IEventSink {
   public eventMap: Map<string, IEventQueue>;
+  // The address of each queue, as serialized addresses can not be split back into a channel and topic
+  private addresses: Map<string, EventAddress>;
+  // Retention of each configured address, most recently configured last
+  private retentions: Map<string, { address: EventAddress } & EventRetention>;
+  // Queues kept in sessionStorage
+  private persisted: Set<string>;
 
   /** @inheritDoc */
   public getKeyMappedQueue(address: EventAddress): IEventQueue {
-    return this.eventMap.get(serializeAddress(address)) ?? new EventQueue();
+    return (
+      this.eventMap.get(serializeAddress(address)) ??
+      new EventQueue(this.getRetention(address).limit)
+    );
+  }
+
+  /** @inheritDoc */
+  public getMatchingAddresses(address: EventAddress): EventAddress[] {
+    if (!isAddressPattern(address)) {
+      return this.eventMap.has(serializeAddress(address)) ? [address] : [];
+    }
+
+    return [...this.addresses.values()]
+      .filter((candidate) => isAddressMatch(candidate, address))
+      .reverse();
   }
 
   /** @inheritDoc */
   public peek<P>(address: EventAddress): P | undefined {
-    return this.getKeyMappedQueue(address).peek();
+    const [match = address] = isAddressPattern(address)
+      ? this.getMatchingAddresses(address)
+      : [address];
+    return this.getKeyMappedQueue(match).peek();
   }
 
   /** @inheritDoc */
@@ -102,14 +208,160 @@ export class EventSink implements IEventSink {
 
     eventQueue.enqueue(event.payload);
 
-    this.eventMap.set(serializeAddress(eventAddress), eventQueue);
+    // Re-inserting keeps the maps in the order addresses were last published to
+    const key = serializeAddress(eventAddress);
+    this.eventMap.delete(key);
+    this.eventMap.set(key, eventQueue);
+    this.addresses.delete(key);
+    this.addresses.set(key, eventAddress);
+
+    if (this.getRetention(eventAddress).persist) {
+      this.persisted.add(key);
+    }
+    if (this.persisted.has(key)) {
+      this.save();
+    }
+  }
+
+  /** @inheritDoc */
+  public retain(address: EventAddress, retention: EventRetention): void {
+    const key = serializeAddress(address);
+    this.retentions.delete(key);
+    this.retentions.set(key, { address, ...retention });
+
+    let changed = false;
+    this.getMatchingAddresses(address).forEach((match) => {
+      const matchKey = serializeAddress(match);
+      const eventQueue = this.getKeyMappedQueue(match);
+      const { limit, persist } = this.getRetention(match);
+
+      eventQueue.maxQueueLength = limit;
+      eventQueue.queueStore.splice(
+        0,
+        Math.max(eventQueue.queueStore.length - limit, 0)
+      );
+
+      if (persist) {
+        this.persisted.add(matchKey);
+      }
+      changed ||= this.persisted.has(matchKey);
+    });
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /** @inheritDoc */
+  public replay(
+    address: EventAddress,
+    replay: EventReplay
+  ): BlueprintEvent<unknown>[] {
+    const count = replay === "last" ? 1 : replay === "all" ? Infinity : replay;
+    if (!(count > 0)) {
+      return [];
+    }
+
+    return this.getMatchingAddresses(address)
+      .reverse()
+      .flatMap((match) =>
+        this.getKeyMappedQueue(match)
+          .queueStore.slice(-count)
+          .map((payload) => ({ ...match, payload }))
+      );
+  }
+
+  /**
+   * Get the retention of an address, from the most recently configured matching address.
+   * @param {EventAddress} address The address of a queue.
+   * @return {object} The retention limit, and persistence.
+   */
+  private getRetention(address: EventAddress): Required<EventRetention> {
+    const configured = [...this.retentions.values()]
+      .reverse()
+      .find((retention) => isAddressMatch(address, retention.address));
+
+    return {
+      limit: Math.max(configured?.limit ?? CONSTANTS.eventingQueueLength, 1),
+      persist: configured?.persist ?? false,
+    };
+  }
+
+  /**
+   * Get sessionStorage, when it is available.
+   * @return {Storage | undefined} sessionStorage, undefined when unavailable or blocked.
+   */
+  private getStorage(): Storage | undefined {
+    try {
+      return typeof sessionStorage === "undefined" ? undefined : sessionStorage;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Restore the queues persisted by a previous page in this tab.
+   * @return {void}
+   */
+  private restore(): void {
+    try {
+      const stored = this.getStorage()?.getItem(
+        CONSTANTS.eventingSessionStorageKey
+      );
+      const queues: PersistedQueue[] = stored ? JSON.parse(stored) : [];
+
+      queues.forEach(({ address, limit, payloads }) => {
+        const key = serializeAddress(address);
+        const eventQueue = new EventQueue(limit);
+        payloads.forEach((payload) => eventQueue.enqueue(payload));
+
+        this.eventMap.set(key, eventQueue);
+        this.addresses.set(key, address);
+        this.persisted.add(key);
+      });
+    } catch (error) {
+      console.warn("AssembleJS: Failed to restore persisted events", error);
+    }
+  }
+
+  /**
+   * Write every persisted queue to sessionStorage.
+   * @return {void}
+   */
+  private save(): void {
+    const queues: PersistedQueue[] = [...this.persisted].flatMap((key) => {
+      const address = this.addresses.get(key);
+      const eventQueue = this.eventMap.get(key);
+      return address && eventQueue
+        ? [
+            {
+              address,
+              limit: eventQueue.maxQueueLength,
+              payloads: eventQueue.queueStore,
+            },
+          ]
+        : [];
+    });
+
+    try {
+      this.getStorage()?.setItem(
+        CONSTANTS.eventingSessionStorageKey,
+        JSON.stringify(queues)
+      );
+    } catch (error) {
+      console.warn("AssembleJS: Failed to persist events", error);
+    }
   }
 
   /**
    * EventSink creation
-   * This constructor instantiates a new eventMap when initialized.
+   * This constructor instantiates a new eventMap when initialized, and restores any events persisted by a previous page.
    */
   constructor() {
     this.eventMap = new Map<string, IEventQueue>();
+    this.addresses = new Map<string, EventAddress>();
+    this.retentions = new Map();
+    this.persisted = new Set<string>();
+    this.restore();
   }
 }
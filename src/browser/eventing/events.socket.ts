@@ -0,0 +1,230 @@
+import type { BlueprintEvent } from "./blueprint.event";
+import { receiveServerEvent } from "./server.events";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * @module Events Socket
+ * @description Joins a room for each channel the page listens on over the events socket, relaying events published with 'broadcast'
+ * to other browsers, and receiving theirs (and those published with 'app.publish') on the same 'channel:topic' addresses as in-page events.
+ * @author Zachariah Ayers
+ * @internal
+ */
+
+// Channels the page has joined, which are re-joined after reconnecting
+const socketChannels = new Set<string>();
+// How many browsers are present on each joined channel
+const presence = new Map<string, number>();
+// Messages sent while disconnected, which are sent once connected
+const pendingMessages: string[] = [];
+const maxPendingMessages = 100;
+const maxReconnectDelay = 30000;
+
+let socket: WebSocket | undefined;
+let reconnectAttempts = 0;
+let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+/**
+ * Get the events socket URL announced by the server on the client bundle script.
+ * @return {string | undefined} - The URL, undefined when the events socket is not enabled.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function getEventsSocketUrl(): string | undefined {
+  if (typeof document === "undefined") {
+    return undefined;
+  }
+
+  const path = document
+    .querySelector(`script[${CONSTANTS.eventsSocketAttribute}]`)
+    ?.getAttribute(CONSTANTS.eventsSocketAttribute);
+
+  if (!path) {
+    return undefined;
+  }
+
+  const url = new URL(path, window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+}
+
+/**
+ * Get how many browsers are present on a channel the page has joined.
+ * @description Changes are also published to in-page listeners on the channel's 'assemblejs:presence' topic.
+ * @param {string} channel - The channel.
+ * @return {number} - The number of browsers, including this one. 0 until the channel has been joined.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @public
+ */
+export function getChannelPresence(channel: string): number {
+  return presence.get(channel) ?? 0;
+}
+
+/**
+ * Send a message, or hold on to it until connected.
+ * @param {object} message - The message.
+ * @return {void}
+ */
+function send(message: object): void {
+  const data = JSON.stringify(message);
+
+  if (socket?.readyState === WebSocket.OPEN) {
+    socket.send(data);
+    return;
+  }
+
+  if (pendingMessages.length >= maxPendingMessages) {
+    pendingMessages.shift();
+  }
+  pendingMessages.push(data);
+  connect();
+}
+
+/**
+ * Handle a message received over the events socket.
+ * @param {string} data - The message.
+ * @return {void}
+ */
+function receive(data: string): void {
+  const message = JSON.parse(data);
+
+  switch (message.type) {
+    case "event":
+      receiveServerEvent(message.event);
+      return;
+    case "presence":
+      presence.set(message.channel, message.count);
+      receiveServerEvent({
+        channel: message.channel,
+        topic: CONSTANTS.eventingPresenceTopic,
+        payload: message.count,
+      });
+      return;
+    case "denied":
+      // Forget the channel, so it is not joined again after reconnecting
+      socketChannels.delete(message.channel);
+      console.warn(
+        "AssembleJS: Not authorized to use the events socket on channel",
+        message.channel
+      );
+      return;
+  }
+}
+
+/**
+ * Connect to the events socket, unless connected or connecting.
+ * @description Rooms are re-joined, and held messages sent, once connected. Connections are retried with an increasing delay.
+ * @return {void}
+ */
+function connect(): void {
+  const url = getEventsSocketUrl();
+  if (!url || socket || reconnectTimer) {
+    return;
+  }
+
+  const current = new WebSocket(url);
+  socket = current;
+
+  current.onopen = () => {
+    reconnectAttempts = 0;
+    socketChannels.forEach((channel) =>
+      current.send(JSON.stringify({ type: "join", channel }))
+    );
+    pendingMessages.splice(0).forEach((data) => current.send(data));
+  };
+  current.onmessage = (message: MessageEvent<string>) => {
+    try {
+      receive(message.data);
+    } catch (error) {
+      console.error("AssembleJS: Failed to receive socket event", error);
+    }
+  };
+  current.onclose = () => {
+    if (socket !== current) {
+      return;
+    }
+
+    socket = undefined;
+    presence.clear();
+    const delay = Math.min(1000 * 2 ** reconnectAttempts++, maxReconnectDelay);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = undefined;
+      connect();
+    }, delay);
+  };
+}
+
+/**
+ * Join the room for a channel the page listens on.
+ * @param {string} channel - The channel to join.
+ * @return {boolean} - True when the events socket is enabled, and used for the channel.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function joinSocketChannel(channel: string): boolean {
+  if (!getEventsSocketUrl() || typeof WebSocket === "undefined") {
+    return false;
+  }
+
+  if (!socketChannels.has(channel)) {
+    socketChannels.add(channel);
+    // Channels are joined as soon as the connection opens
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: "join", channel }));
+    } else {
+      connect();
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Relay an event to other browsers listening on its channel.
+ * @description The channel is joined first, as only browsers in a room may broadcast to it.
+ * @param {BlueprintEvent<unknown>} event - The event to relay.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function broadcastEvent(event: BlueprintEvent<unknown>): void {
+  if (!joinSocketChannel(event.channel)) {
+    console.warn(
+      "AssembleJS: Broadcast events require the server to enable 'events.websocket'"
+    );
+    return;
+  }
+
+  send({
+    type: "event",
+    event: {
+      channel: event.channel,
+      topic: event.topic,
+      payload: event.payload,
+    },
+  });
+}
+
+/**
+ * Close the events socket, and forget every joined channel.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function disconnectEventsSocket(): void {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = undefined;
+  reconnectAttempts = 0;
+
+  const current = socket;
+  socket = undefined;
+  current?.close();
+
+  socketChannels.clear();
+  presence.clear();
+  pendingMessages.length = 0;
+}
@@ -0,0 +1,119 @@
+import type { BlueprintEvent } from "./blueprint.event";
+import { getEventManager } from "./event.manager";
+import { serializeEventAddress } from "./seralize.address";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+/**
+ * @module Server Events
+ * @description Subscribes to the channels the page listens on through the server events endpoint,
+ * so events published with 'app.publish' arrive on the same 'channel:topic' addresses as in-page events.
+ * @author Zachariah Ayers
+ * @internal
+ */
+
+// Channels the page listens on, which are requested from the server
+const serverChannels = new Set<string>();
+let eventSource: EventSource | undefined;
+let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+/**
+ * Get the server events endpoint announced by the server on the client bundle script.
+ * @return {string | undefined} - The endpoint, undefined when server events are not enabled.
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function getServerEventsUrl(): string | undefined {
+  if (typeof document === "undefined") {
+    return undefined;
+  }
+
+  return (
+    document
+      .querySelector(`script[${CONSTANTS.serverEventsAttribute}]`)
+      ?.getAttribute(CONSTANTS.serverEventsAttribute) ?? undefined
+  );
+}
+
+/**
+ * Deliver an event received from the server to in-page listeners.
+ * @description The event is emitted and queued exactly as an in-page publish would be, without being sent back to the server.
+ * @param {BlueprintEvent<unknown>} event - The event received from the server.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function receiveServerEvent(event: BlueprintEvent<unknown>): void {
+  const { eventEmitter, eventSink } = getEventManager();
+  eventEmitter.emit(serializeEventAddress(event), event);
+  eventSink.push(event);
+}
+
+/**
+ * Open a connection to the server events endpoint for every watched channel, replacing any previous connection.
+ * @param {string} url - The server events endpoint.
+ * @return {void}
+ */
+function connect(url: string): void {
+  eventSource?.close();
+
+  const query = new URLSearchParams();
+  serverChannels.forEach((channel) => query.append("channel", channel));
+
+  eventSource = new EventSource(`${url}?${query.toString()}`, {
+    withCredentials: true,
+  });
+  eventSource.onmessage = (message: MessageEvent<string>) => {
+    try {
+      receiveServerEvent(JSON.parse(message.data));
+    } catch (error) {
+      console.error("AssembleJS: Failed to receive server event", error);
+    }
+  };
+  eventSource.addEventListener("denied", (message) => {
+    console.warn(
+      "AssembleJS: Not authorized to receive server events on channels",
+      (message as MessageEvent<string>).data
+    );
+  });
+}
+
+/**
+ * Receive server events on a channel the page listens on.
+ * @description Does nothing unless the server has server events enabled. Channels watched in the same tick share a single reconnection.
+ * @param {string} channel - The channel to receive server events on.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function watchServerChannel(channel: string): void {
+  const url = getServerEventsUrl();
+
+  if (
+    !url ||
+    typeof EventSource === "undefined" ||
+    serverChannels.has(channel)
+  ) {
+    return;
+  }
+
+  serverChannels.add(channel);
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(() => connect(url), 0);
+}
+
+/**
+ * Close the connection to the server events endpoint, and forget every watched channel.
+ * @return {void}
+ * @category Eventing
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function disconnectServerEvents(): void {
+  clearTimeout(reconnectTimer);
+  eventSource?.close();
+  eventSource = undefined;
+  serverChannels.clear();
+}
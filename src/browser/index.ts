@@ -1,3 +1,6 @@
+import { getRouterRoutes, startRouter } from "./client/blueprint.router";
+import { BlueprintClient } from "./client/blueprint.client";
+
 export { Blueprint } from "./client/blueprint.view";
 export { BlueprintClient } from "./client/blueprint.client";
 export * from "./client/blueprint.http";
@@ -6,8 +9,44 @@ export * from "./client/blueprint.react";
 export * from "./client/blueprint.vue";
 export * from "./client/blueprint.svelte";
 export * from "./client/blueprint.webcomponent";
+export type { NavigateOptions, RouterOptions } from "./client/blueprint.router";
+export {
+  getRouterRoutes,
+  navigate,
+  prefetchRoute,
+  startRouter,
+  stopRouter,
+} from "./client/blueprint.router";
 
 // Eventing
 export * from "./eventing/blueprint.event";
 export * from "./eventing/event.bus";
 export * from "./eventing/event.address";
+export { getChannelPresence } from "./eventing/events.socket";
+export type { EventReplay, EventRetention } from "./eventing/event.sink";
+export type { CrossWindowOptions } from "./eventing/cross.window";
+export { propagateChannel } from "./eventing/cross.window";
+export * from "./eventing/event.catalog";
+export { Validation } from "../utils/validation.utils";
+export type {
+  ValidationRule,
+  ValidationSchema,
+} from "../utils/validation.utils";
+
+// Store
+export { createStore, getStore } from "./store/blueprint.store";
+export type {
+  Store,
+  StoreListener,
+  StoreUpdate,
+} from "./store/blueprint.store";
+
+// Navigate between Blueprints without full page reloads, when the server enables the router
+if (getRouterRoutes()) {
+  startRouter();
+}
+
+// Load the code-behind of islands once their hydration strategy is met
+if (typeof document !== "undefined") {
+  BlueprintClient.hydrateIslands();
+}
@@ -0,0 +1,233 @@
+import { getWindow } from "../common/get.window";
+
+/**
+ * @module Blueprint Store
+ * @description Shared, reactive state for the components of a page.
+ * @description Stores are registered by name on the global window, so independently bundled components share the same store.
+ * @author Zachariah Ayers
+ * @internal
+ */
+declare global {
+  interface Window {
+    ASSEMBLE_STORE_MANAGER: StoreManager;
+  }
+}
+
+/**
+ * Called with the selected state whenever it changes, and the state it changed from.
+ * @category Store
+ * @author Zachariah Ayers
+ * @public
+ */
+export type StoreListener<S> = (state: S, previous: S) => void;
+
+/**
+ * A change to a store: a function returning the next state, or properties to merge into an object state.
+ * @category Store
+ * @author Zachariah Ayers
+ * @public
+ */
+export type StoreUpdate<T> = ((state: T) => T) | Partial<T>;
+
+/**
+ * A named, shared store of state.
+ * @category Store
+ * @author Zachariah Ayers
+ * @public
+ */
+export interface Store<T> {
+  /**
+   * The name the store is registered with.
+   */
+  readonly name: string;
+
+  /**
+   * Get the current state.
+   */
+  get(): T;
+
+  /**
+   * Select a value from the current state.
+   */
+  select<S>(selector: (state: T) => S): S;
+
+  /**
+   * Change the state, notifying every listener whose selected value changed.
+   */
+  update(update: StoreUpdate<T>): T;
+
+  /**
+   * Listen for changes to the state, or to the value selected from it. Returns a function which stops listening.
+   */
+  subscribe<S = T>(
+    listener: StoreListener<S>,
+    selector?: (state: T) => S
+  ): () => void;
+
+  /**
+   * Set the state rendered by the server, unless the state has already changed in the browser.
+   * @description Components hydrating after another component has updated the store do not undo the update.
+   */
+  seed(state: T): void;
+}
+
+/**
+ * Store Manager - holds every store of the page on the global window.
+ * @category Store
+ * @author Zachariah Ayers
+ * @internal
+ */
+export interface StoreManager {
+  /**
+   * Stores, by name.
+   */
+  stores: Map<string, Store<any>>;
+}
+
+/**
+ * Get the Store Manager singleton from the global window. If one does not exist, create a new singleton.
+ * @return {StoreManager} The singleton Store Manager instance (stored on the window object)
+ * @category Store
+ * @author Zachariah Ayers
+ * @internal
+ */
+export function getStoreManager(): StoreManager {
+  const globalWindow = getWindow();
+
+  if (!globalWindow.ASSEMBLE_STORE_MANAGER) {
+    globalWindow.ASSEMBLE_STORE_MANAGER = { stores: new Map() };
+  }
+
+  return globalWindow.ASSEMBLE_STORE_MANAGER;
+}
+
+/**
+ * Check whether a value is a plain object, whose properties may be merged.
+ * @param {unknown} value - The value to check.
+ * @return {boolean} - True for plain objects.
+ */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Create a store.
+ * @param {string} name - The name of the store.
+ * @param {T} initial - The initial state.
+ * @return {Store<T>} - The store.
+ */
+function buildStore<T>(name: string, initial: T): Store<T> {
+  const listeners = new Set<(state: T, previous: T) => void>();
+  let state = initial;
+  let changed = false;
+
+  const setState = (next: T): void => {
+    if (Object.is(next, state)) {
+      return;
+    }
+
+    const previous = state;
+    state = next;
+    listeners.forEach((listener) => {
+      try {
+        listener(state, previous);
+      } catch (error) {
+        console.error(
+          `AssembleJS: A listener of the '${name}' store failed`,
+          error
+        );
+      }
+    });
+  };
+
+  return {
+    name,
+    get: () => state,
+    select: (selector) => selector(state),
+    update: (update) => {
+      const next =
+        typeof update === "function"
+          ? (update as (state: T) => T)(state)
+          : isPlainObject(state) && isPlainObject(update)
+          ? ({ ...state, ...update } as T)
+          : (update as T);
+
+      changed = true;
+      setState(next);
+      return state;
+    },
+    subscribe: <S>(
+      listener: StoreListener<S>,
+      selector: (state: T) => S = (current) => current as unknown as S
+    ) => {
+      const notify = (current: T, previous: T) => {
+        const selected = selector(current);
+        const previousSelected = selector(previous);
+        if (!Object.is(selected, previousSelected)) {
+          listener(selected, previousSelected);
+        }
+      };
+
+      listeners.add(notify);
+      return () => {
+        listeners.delete(notify);
+      };
+    },
+    seed: (seeded) => {
+      if (!changed) {
+        setState(seeded);
+      }
+    },
+  };
+}
+
+/**
+ * Create a store shared by every component on the page, or get it when it already exists.
+ * @description The initial state is only used when the store is created. Components rendered by the server may 'seed' the store
+ * with the state in their 'context.data' while they hydrate.
+ * @template T - The type of the state.
+ * @param {string} name - The name of the store, shared by every component using it.
+ * @param {T} initial - The initial state, when the store does not exist yet.
+ * @return {Store<T>} - The store.
+ * @category Store
+ * @author Zachariah Ayers
+ * @public
+ * @example
+ * ```typescript
+ * const cart = createStore('cart', { items: [] as CartItem[] });
+ *
+ * // Start from the cart rendered by the server
+ * cart.seed(this.context.data.cart);
+ *
+ * const stop = cart.subscribe((count) => badge.textContent = String(count), (state) => state.items.length);
+ * cart.update((state) => ({ items: [...state.items, item] }));
+ * ```
+ */
+export function createStore<T>(name: string, initial: T): Store<T> {
+  const { stores } = getStoreManager();
+
+  let store = stores.get(name) as Store<T> | undefined;
+  if (!store) {
+    store = buildStore(name, initial);
+    stores.set(name, store);
+  }
+
+  return store;
+}
+
+/**
+ * Get a store created with 'createStore'.
+ * @template T - The type of the state.
+ * @param {string} name - The name of the store.
+ * @return {Store<T> | undefined} - The store, undefined when it has not been created.
+ * @category Store
+ * @author Zachariah Ayers
+ * @public
+ */
+export function getStore<T>(name: string): Store<T> | undefined {
+  return getStoreManager().stores.get(name);
+}
@@ -19,10 +19,15 @@ import {
   createServerTransformPlugin,
 } from "./common/visual.utils";
 import { ensureDirectoryExistence } from "../utils/directory.utils";
+import { whenStaticExportComplete } from "../server/app/static/static.export";
+import { pathToFileURL } from "url";
 
 // Get the server root
 const serverRoot = getServerRoot();
 
+// Prerender the application into static files after building
+const exportStatic = process.argv.includes("--static");
+
 // Style processing functions from style.island.watcher.ts
 function buildCssScopeInjector(serverRoot: string, fullPath: string) {
   const scopeClass = CONSTANTS.componentClassIdentifier;
@@ -161,6 +166,33 @@ function emitFile(compileResult: {
   }
 }
 
+/**
+ * Boot the built server in-process and prerender it into static files
+ * @param serverRoot The server root directory path
+ * @returns Promise that resolves when the static site has been written
+ */
+async function exportStaticSite(serverRoot: string) {
+  logWithBadge("Exporting static site...", "info");
+
+  // The server exports the site instead of listening when this is set
+  process.env[CONSTANTS.env.staticExport.key] = "true";
+  process.env[CONSTANTS.env.environment.key] ??= "production";
+
+  await import(pathToFileURL(path.join(serverRoot, "dist", "server.js")).href);
+  const result = await whenStaticExportComplete();
+
+  result.failures.forEach((url) =>
+    logWithBadge(`Failed to export ${url}`, "warning")
+  );
+  logWithBadge(
+    `Exported ${result.files.length} files to ${path.relative(
+      serverRoot,
+      result.outDir
+    )}`,
+    result.failures.length > 0 ? "warning" : "success"
+  );
+}
+
 /**
  * Process all style files in parallel
  * @param serverRoot The server root directory path
@@ -409,6 +441,11 @@ async function buildBlueprint() {
       throw error;
     }
 
+    // 4. Export the static site
+    if (exportStatic) {
+      await exportStaticSite(serverRoot);
+    }
+
     // Calculate build time
     const endTime = Date.now();
     const buildTimeSeconds = ((endTime - startTime) / 1000).toFixed(2);
@@ -420,6 +457,11 @@ async function buildBlueprint() {
       `AssembleJS production build completed in ${buildTimeSeconds}s`,
       "success"
     );
+
+    // The exported server's timers would otherwise keep the build alive
+    if (exportStatic) {
+      process.exit(0);
+    }
   } catch (error: unknown) {
     printHeaderBox("Build Failed", chalk.red);
 
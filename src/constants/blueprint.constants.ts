@@ -51,6 +51,7 @@ export const CONSTANTS = {
       key: "ASSEMBLEJS_COOKIE_SECRET",
       value: "assemblejs-cookie-secret-key-change-in-production",
     },
+    staticExport: { key: "ASSEMBLEJS_STATIC_EXPORT", value: false },
   },
   buildOutputFolder: "dist",
   dataIdPrefix: "__ASSEMBLEJS_DATA__",
@@ -60,6 +61,13 @@ export const CONSTANTS = {
   eventingGlobalComponentChannel: "assemblejs:global:components",
   eventingGlobalBlueprintChannel: "assemblejs:global:blueprint",
   eventingGlobalTopic: "assemblejs:global:msg",
+  eventingGlobalChannelPattern: "assemblejs:global:*",
+  eventingPresenceTopic: "assemblejs:presence",
+  eventingRequestTimeout: 5000,
+  eventingQueueLength: 10,
+  eventingSessionStorageKey: "assemblejs:events",
+  eventingBroadcastChannelName: "assemblejs:events",
+  eventingCrossWindowMessageType: "assemblejs:event",
   componentClassIdentifier: "assemblejs-component",
   componentDataIdentifier: "data-component-target",
   componentIdHeader: "x-assemblejs-component-id",
@@ -68,9 +76,42 @@ export const CONSTANTS = {
   componentNestIdentifier: "data-component-nest-level",
   componentUrlIdentifier: "data-component-url",
   componentViewIdentifier: "data-component-view",
+  componentHydrateIdentifier: "data-component-hydrate",
+  componentLazySrcIdentifier: "data-component-src",
+  componentLazyTypeIdentifier: "data-component-type",
+  componentLazyScriptType: "text/assemblejs-lazy",
+  hydrationInteractionEvents: ["pointerover", "focusin", "touchstart"],
+  hydrationReplayEvents: ["click", "focus", "focusin"],
+  hydrationIdleTimeout: 2000,
   htmlWrapperTag: "section",
   blueprintIdHeader: "x-assemblejs-blueprint-id",
   nestLevelHeader: "x-assemblejs-nest-level",
+  revalidateHeader: "x-assemblejs-revalidate",
+  cacheTagsHeader: "x-assemblejs-cache-tags",
+  requestScopeHeader: "x-assemblejs-request-scope",
+  errorBoundaryHeader: "x-assemblejs-error-boundary",
+  fallbackHeader: "x-assemblejs-fallback",
+  lastKnownGoodVaryHeaders: ["authorization", "cookie"],
+
+  // Streaming
+  streamPlaceholderPrefix: "__asmbl_stream__",
+  streamPlaceholderIdentifier: "data-assemblejs-stream",
+  streamRuntimeGlobal: "__ASSEMBLEJS_STREAM__",
+
+  // Server events
+  serverEventsPath: "/__asmbl__/events",
+  serverEventsAttribute: "data-server-events",
+  eventsSocketPath: "/__asmbl__/events/socket",
+  eventsSocketAttribute: "data-events-socket",
+
+  // Client router
+  routerAttribute: "data-client-router",
+
+  // Static export
+  staticExportHost: "localhost",
+
+  // Component graph
+  componentGraphPath: "/__asmbl__/graph",
 
   // Developer tools
   developerToolsPath: "/__asmbl__",
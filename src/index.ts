@@ -65,10 +65,52 @@ export const hooks = {
 
 // Public Browser Interface
 export { BlueprintEvent } from "./browser/eventing/blueprint.event";
-export { EventBus, EventListener, events } from "./browser/eventing/event.bus";
+export {
+  EventBus,
+  EventListener,
+  EventRequestOptions,
+  EventResponder,
+  SubscribeOptions,
+  events,
+} from "./browser/eventing/event.bus";
 export { preact } from "./browser/client/blueprint.preact";
 export { http } from "./browser/client/blueprint.http";
 export { EventAddress } from "./browser/eventing/event.address";
+export { getChannelPresence } from "./browser/eventing/events.socket";
+export { EventReplay, EventRetention } from "./browser/eventing/event.sink";
+export {
+  EventCatalog,
+  EventCatalogJSON,
+  EventCatalogOptions,
+  EventContract,
+  EventContracts,
+  EventPayload,
+  defineEvents,
+} from "./browser/eventing/event.catalog";
+export {
+  Validation,
+  ValidationRule,
+  ValidationSchema,
+} from "./utils/validation.utils";
+export {
+  Store,
+  StoreListener,
+  StoreUpdate,
+  createStore,
+  getStore,
+} from "./browser/store/blueprint.store";
+export {
+  CrossWindowOptions,
+  propagateChannel,
+} from "./browser/eventing/cross.window";
+export {
+  NavigateOptions,
+  RouterOptions,
+  navigate,
+  prefetchRoute,
+  startRouter,
+  stopRouter,
+} from "./browser/client/blueprint.router";
 export { Blueprint } from "./browser/client/blueprint.view";
 export { BlueprintClient } from "./browser/client/blueprint.client";
 export { BlueprintClientRegistry } from "./browser/client/blueprint.client.registry";
@@ -77,7 +119,31 @@ export { ViewContext, PreactViewContext };
 // Public Server Interface
 export { BlueprintController } from "./server/abstract/blueprint.controller";
 export { Service } from "./server/abstract/service";
+export {
+  ServiceContainer,
+  ServiceClass,
+  ServiceLifetime,
+  ServiceRegistrationOptions,
+} from "./server/app/service-container";
 export { createBlueprintServer };
+export { ServerEventsConfig } from "./server/app/events/server.events";
+export { EventsSocketConfig } from "./server/app/events/events.socket";
+export {
+  ComponentGraph,
+  ComponentGraphConfig,
+} from "./server/app/graph/component.graph";
+export { registerRenderer } from "./server/renderers/rendering/get.renderer";
+export {
+  MarkdownConfig,
+  MarkdownPlugin,
+} from "./server/renderers/markdown.renderer";
+export {
+  ICache,
+  MemoryCache,
+  FileSystemCache,
+  RedisCache,
+  CacheFactory,
+} from "./utils/cache.utils";
 export type ComponentFactory = GenericComponentFactory<
   ComponentPublicData,
   ComponentParams
@@ -90,6 +156,11 @@ export type ServerContext = ComponentContext<
 // Types Interface
 export { BlueprintServerManifest } from "./types/blueprint.server.manifest";
 export { Component };
+export {
+  ComponentRenderer,
+  ComponentRendererName,
+  ComponentRendererRegistration,
+} from "./types/component.renderer";
 export {
   Assembly,
   BlueprintInstance,
@@ -7,20 +7,41 @@ import type {
 import type { AnyObject } from "../../types/object.any";
 import type { Assembly } from "../../types/blueprint.simple.types";
 import type { RawTemplate } from "../../types/component.simple.types";
-import type { ComponentView } from "../../types/component.view";
+import type {
+  ComponentView,
+  ViewErrorInfo,
+  ViewErrorTemplate,
+} from "../../types/component.view";
 import type { ComponentParams } from "../../types/component.params";
 import type { ComponentDevice } from "../../types/component.device";
 import type { Component } from "../../types/component";
 import { ComponentContext } from "../../types/component.context";
 import { BlueprintController } from "./blueprint.controller";
-import { HttpError } from "../../utils/http.utils";
+import { HttpError, HttpStatusCode } from "../../utils/http.utils";
 import { ASSEMBLEJS } from "../config/blueprint.config";
 import axios from "axios";
 import parser from "ua-parser-js";
-import { randomUUID } from "crypto";
+import { createHash, randomUUID } from "crypto";
 import { isValidHttpUrl } from "../../utils/http.utils";
-import { combine } from "../../utils/object.utils";
+import { combine, omitKey } from "../../utils/object.utils";
+import {
+  decodeCacheTags,
+  renderErrorTemplate,
+} from "../../utils/component.utils";
+import { getRequestScopeId } from "../app/request-scope";
 import { renderTemplate } from "../renderers/rendering/render.template";
+import type { ComponentAddress } from "../../types/component.address";
+import type { ComponentAddresses } from "../../types/component.simple.types";
+import {
+  createStreamPlaceholder,
+  StreamedComponent,
+} from "../app/streaming/streaming.utils";
+import { getMaxNestLevel } from "../app/graph/component.graph";
+import {
+  getCircuitBreaker,
+  withDeadline,
+  withRetry,
+} from "../app/resilience/resilience.utils";
 type BaseFactoryArray = Array<
   ComponentFactory<{}, { headers: {}; path: {}; query: {}; body: {} }>
 >;
@@ -167,6 +188,384 @@ export abstract class ComponentController extends BlueprintController {
     return rawTemplate;
   }
 
+  /**
+   * Gather the child components of a view which can be fetched.
+   * @param {BlueprintServerOptions} userOpts - The user-defined options.
+   * @param {Component} component - The component to serve.
+   * @param {ComponentView} view - The view to serve.
+   * @return {ComponentAddresses} - The fetchable child components.
+   * @protected
+   * @author Zach Ayers
+   */
+  protected getViewChildren(
+    userOpts: BlueprintServerOptions,
+    component: Component,
+    view: ComponentView
+  ): ComponentAddresses {
+    return [
+      ...(userOpts.manifest.shared?.components ?? []),
+      ...(component.shared?.components ?? []),
+      ...(view.components ?? []),
+    ].filter((child) => {
+      // Skip any child without a contentUrl (likely a nested component definition)
+      if (!child.contentUrl) {
+        this.log.warn(
+          `Skipping component without contentUrl: ${child.name || "unnamed"}`
+        );
+        return false;
+      }
+
+      // Check if the requested component is the same to prevent infinite loops
+      if (child.contentUrl.includes(`/${component.path}/${view.viewName}`)) {
+        this.log.warn(
+          `Preventing infinite loop: Component "${component.path}/${view.viewName}" trying to load itself`
+        );
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Report the failure of a view to the 'onViewError' hook of the server.
+   * @description Failures of the hook itself are logged, they never replace the original failure.
+   * @param {BlueprintServerOptions} userOpts - The user-defined options.
+   * @param {Error} error - The failure.
+   * @param {ViewErrorInfo} info - Where the view failed.
+   * @return {Promise<void>} - The promise to wait for.
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected async reportViewError(
+    userOpts: BlueprintServerOptions,
+    error: Error,
+    info: ViewErrorInfo
+  ): Promise<void> {
+    this.log.error(
+      `${info.componentName}/${info.viewName} failed in its ${info.phase}${
+        info.child ? ` "${info.child}"` : ""
+      }: ${error.message}`
+    );
+
+    try {
+      await userOpts.onViewError?.(error, info);
+    } catch (hookError) {
+      this.log.error(
+        `onViewError failed: ${
+          hookError instanceof Error ? hookError.message : String(hookError)
+        }`
+      );
+    }
+  }
+
+  /**
+   * Report the failure of a view, and render the error template in its place.
+   * @param {BlueprintServerOptions} userOpts - The user-defined options.
+   * @param {Error} error - The failure.
+   * @param {ViewErrorInfo} info - Where the view failed.
+   * @param {ViewErrorTemplate} template - The error template, the default error template is used without one.
+   * @return {Promise<string>} - The error HTML.
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected async renderViewError(
+    userOpts: BlueprintServerOptions,
+    error: Error,
+    info: ViewErrorInfo,
+    template?: ViewErrorTemplate
+  ): Promise<string> {
+    await this.reportViewError(userOpts, error, info);
+    return renderErrorTemplate(error, info, template);
+  }
+
+  /**
+   * Request the content of a single child component, once.
+   * @param {Assembly} app - The AssembleJS instance.
+   * @param {ComponentAddress} child - The child component to request.
+   * @param {any} params - The params to pass to the child.
+   * @param {Set<string>} cacheTags - Collects the cache tags reported by the child.
+   * @param {number} deadline - Epoch time (ms) the request must complete by.
+   * @param {Set<string>} fallbacks - Collects the child, when its content was rendered with fallback content of its own.
+   * @return {Promise<{content: Buffer, boundary: boolean}>} - The content of the child, and whether the child rendered its own error template.
+   * @protected
+   * @author Zach Ayers
+   */
+  protected async requestChildComponent(
+    app: Assembly,
+    child: ComponentAddress,
+    params: { headers: AnyObject; query: AnyObject },
+    cacheTags?: Set<string>,
+    deadline?: number,
+    fallbacks?: Set<string>
+  ): Promise<{ content: Buffer; boundary: boolean }> {
+    if (isValidHttpUrl(child.contentUrl)) {
+      const timeout = child.requestTimeout || 30000; // Default 30s timeout
+
+      // Axios - External Fetch with error handling
+      return axios
+        .get(child.contentUrl, {
+          timeout:
+            deadline === undefined
+              ? timeout
+              : Math.max(Math.min(timeout, deadline - Date.now()), 1),
+          // The request scope only exists on this server
+          headers: omitKey(params.headers, ASSEMBLEJS.requestScopeHeader),
+          params: params.query,
+        })
+        .then(
+          (response) => {
+            decodeCacheTags(
+              response.headers?.[ASSEMBLEJS.cacheTagsHeader]
+            ).forEach((tag) => cacheTags?.add(tag));
+            if (response.headers?.[ASSEMBLEJS.fallbackHeader]) {
+              fallbacks?.add(child.name);
+            }
+            return { content: Buffer.from(response.data), boundary: false };
+          },
+          (error) => {
+            // The child rendered its own error template
+            if (error?.response?.headers?.[ASSEMBLEJS.errorBoundaryHeader]) {
+              return {
+                content: Buffer.from(error.response.data),
+                boundary: true,
+              };
+            }
+            throw error;
+          }
+        );
+    }
+
+    // Fastify - Internal Fetch
+    const response = await app
+      .inject()
+      .headers(params.headers)
+      .query(params.query)
+      .get(child.contentUrl);
+    const boundary = Boolean(response.headers[ASSEMBLEJS.errorBoundaryHeader]);
+
+    // Check for error status codes, unless the child rendered its own error template
+    if (response.statusCode >= 400 && !boundary) {
+      throw new HttpError(
+        `Error fetching component: ${response.statusCode}`,
+        response.statusCode,
+        { url: child.contentUrl, body: response.body }
+      );
+    }
+
+    // The parent embeds the child's HTML, so it shares the child's cache tags
+    decodeCacheTags(response.headers[ASSEMBLEJS.cacheTagsHeader]).forEach(
+      (tag) => cacheTags?.add(tag)
+    );
+    if (response.headers[ASSEMBLEJS.fallbackHeader]) {
+      fallbacks?.add(child.name);
+    }
+
+    return { content: Buffer.from(response.rawPayload), boundary };
+  }
+
+  /**
+   * Fetch the content of a single child component.
+   * @description Failed requests are retried by the child's 'retry' policy, and remote origins which keep failing are cut short by their circuit breaker.
+   * Failures never reject: the last known good content of the child, its 'fallback' or the view's 'errorTemplate' is resolved in place of its content.
+   * A child which failed behind its own error boundary keeps the error template it rendered.
+   * @param {Assembly} app - The AssembleJS instance.
+   * @param {BlueprintServerOptions} userOpts - The user-defined options.
+   * @param {Component} component - The component embedding the child.
+   * @param {ComponentView} view - The view embedding the child.
+   * @param {ComponentAddress} child - The child component to fetch.
+   * @param {any} params - The params to pass to the child.
+   * @param {Set<string>} cacheTags - Collects the cache tags reported by the child.
+   * @param {number} deadline - Epoch time (ms) the child must load by, from the view's 'renderDeadline'.
+   * @param {Set<string>} fallbacks - Collects the child, when it is resolved with anything other than freshly rendered content.
+   * @return {Promise<Buffer>} - The content of the child component.
+   * @protected
+   * @author Zach Ayers
+   */
+  protected async fetchChildComponent(
+    app: Assembly,
+    userOpts: BlueprintServerOptions,
+    component: Component,
+    view: ComponentView,
+    child: ComponentAddress,
+    params: { headers: AnyObject; query: AnyObject },
+    cacheTags?: Set<string>,
+    deadline?: number,
+    fallbacks?: Set<string>
+  ): Promise<Buffer> {
+    const breaker =
+      child.circuitBreaker && isValidHttpUrl(child.contentUrl)
+        ? getCircuitBreaker(
+            new URL(child.contentUrl).origin,
+            child.circuitBreaker === true ? undefined : child.circuitBreaker
+          )
+        : undefined;
+    // Forwarded credentials change what the child renders, so its content is only served again for the same credentials
+    const credentials = createHash("sha256")
+      .update(
+        JSON.stringify(
+          ASSEMBLEJS.lastKnownGoodVaryHeaders.map(
+            (header) => params.headers[header] ?? null
+          )
+        )
+      )
+      .digest("hex");
+    const lastKnownGoodKey = `${child.contentUrl}:${JSON.stringify(
+      params.query
+    )}:${credentials}`;
+
+    try {
+      const fetchStart = Date.now();
+      const request = () =>
+        this.requestChildComponent(
+          app,
+          child,
+          params,
+          cacheTags,
+          deadline,
+          fallbacks
+        );
+      const result = await withDeadline(
+        withRetry(
+          () => (breaker ? breaker.execute(request) : request()),
+          child.retry,
+          deadline
+        ),
+        deadline
+      );
+
+      const fetchTime = Date.now() - fetchStart;
+      if (fetchTime > 1000) {
+        this.log.warn(
+          `Slow component fetch: "${child.name}" took ${fetchTime}ms`
+        );
+      }
+
+      if (result.boundary) {
+        fallbacks?.add(child.name);
+      } else {
+        // Never hold up the render on the cache, failures are logged
+        void this.storeLastKnownGood(
+          app,
+          child,
+          lastKnownGoodKey,
+          result.content
+        );
+      }
+
+      return result.content;
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      const info: ViewErrorInfo = {
+        phase: "component",
+        componentName: component.path,
+        viewName: view.viewName,
+        child: child.name,
+        statusCode: err instanceof HttpError ? err.statusCode : 500,
+      };
+
+      fallbacks?.add(child.name);
+      const lastKnownGood = await this.getLastKnownGood(
+        app,
+        child,
+        lastKnownGoodKey
+      );
+      if (lastKnownGood !== undefined) {
+        await this.reportViewError(userOpts, error, info);
+        this.log.warn(`Serving last known good content of "${child.name}"`);
+        return Buffer.from(lastKnownGood);
+      }
+
+      // Resolve with an error template instead of failing the entire render
+      return Buffer.from(
+        await this.renderViewError(
+          userOpts,
+          error,
+          info,
+          child.fallback ?? view.errorTemplate
+        )
+      );
+    }
+  }
+
+  /**
+   * Keep the content of a child component, to be served when it fails to load.
+   * @description Only kept for children with 'lastKnownGood' set, when the server caches are enabled.
+   * Failures are logged, as the cache store may be remote.
+   * @param {Assembly} app - The AssembleJS instance.
+   * @param {ComponentAddress} child - The child component.
+   * @param {string} key - The cache key of the child's content.
+   * @param {Buffer} content - The content of the child component.
+   * @return {Promise<void>} - The promise to wait for.
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected async storeLastKnownGood(
+    app: Assembly,
+    child: ComponentAddress,
+    key: string,
+    content: Buffer
+  ): Promise<void> {
+    if (!child.lastKnownGood || !app.caches) {
+      return;
+    }
+
+    try {
+      await app.caches.childComponent.set(key, content.toString(), {
+        maxAge: child.lastKnownGood === true ? 86400000 : child.lastKnownGood, // 24 hours default
+      });
+    } catch (error) {
+      this.log.error(
+        `Failed to keep the content of "${child.name}": ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  }
+
+  /**
+   * Get the last known good content of a child component.
+   * @param {Assembly} app - The AssembleJS instance.
+   * @param {ComponentAddress} child - The child component.
+   * @param {string} key - The cache key of the child's content.
+   * @return {Promise<string | undefined>} - The content, or undefined when there is none.
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected async getLastKnownGood(
+    app: Assembly,
+    child: ComponentAddress,
+    key: string
+  ): Promise<string | undefined> {
+    if (!child.lastKnownGood || !app.caches) {
+      return undefined;
+    }
+
+    try {
+      return await app.caches.childComponent.get(key);
+    } catch (error) {
+      this.log.error(
+        `Failed to read the content of "${child.name}": ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Resolve the deadline for loading the child components of a view.
+   * @param {ComponentView} view - The view embedding the children.
+   * @return {number | undefined} - Epoch time (ms) of the deadline, or undefined when the view has none.
+   * @protected
+   * @author Zachariah Ayers
+   */
+  protected getRenderDeadline(view: ComponentView): number | undefined {
+    return view.renderDeadline === undefined
+      ? undefined
+      : Date.now() + view.renderDeadline;
+  }
+
   /**
    * Fetch all child components of a view.
    * @param {Assembly} app - The AssembleJS instance.
@@ -174,6 +573,8 @@ export abstract class ComponentController extends BlueprintController {
    * @param {Component} component - The component to serve.
    * @param {ComponentView} view - The view to serve.
    * @param {any} params - The params to pass to the view.
+   * @param {Set<string>} cacheTags - Collects the cache tags reported by the children.
+   * @param {Set<string>} fallbacks - Collects the children resolved with fallback content.
    * @return {Promise<any>} - The promise to wait for.
    * @private
    * @author Zach Ayers
@@ -183,117 +584,116 @@ export abstract class ComponentController extends BlueprintController {
     userOpts: BlueprintServerOptions,
     component: Component,
     view: ComponentView,
-    params: { headers: AnyObject; query: AnyObject }
+    params: { headers: AnyObject; query: AnyObject },
+    cacheTags?: Set<string>,
+    fallbacks?: Set<string>
   ): Promise<Record<string, Buffer>> {
-    const childContentAsyncs: Promise<Record<string, Buffer>>[] = [];
-
-    /**
-     * Function used for pushing child fetches to the asyncs array
-     * @param { any[] } arr
-     */
-    const pushToAsyncArr = (arr: ComponentView["components"]) => {
-      (arr ?? []).forEach((child) => {
-        // Skip any child without a contentUrl (likely a nested component definition)
-        if (!child.contentUrl) {
-          this.log.warn(
-            `Skipping component without contentUrl: ${child.name || "unnamed"}`
-          );
-          return;
-        }
+    const deadline = this.getRenderDeadline(view);
+    const childResults = await Promise.all(
+      this.getViewChildren(userOpts, component, view).map(async (child) => ({
+        [child.name]: await this.fetchChildComponent(
+          app,
+          userOpts,
+          component,
+          view,
+          child,
+          params,
+          cacheTags,
+          deadline,
+          fallbacks
+        ),
+      }))
+    );
+    return combine(childResults);
+  }
 
-        // Check if the requested component is the same to prevent infinite loops
-        if (child.contentUrl.includes(`/${component.path}/${view.viewName}`)) {
-          this.log.warn(
-            `Preventing infinite loop: Component "${component.path}/${view.viewName}" trying to load itself`
-          );
-          return;
-        }
+  /**
+   * Start fetching all child components of a view without waiting on them.
+   * @description Each child is rendered as a placeholder, and its content is streamed in once its fetch resolves.
+   * @param {Assembly} app - The AssembleJS instance.
+   * @param {BlueprintServerOptions} userOpts - The user-defined options.
+   * @param {Component} component - The component to serve.
+   * @param {ComponentView} view - The view to serve.
+   * @param {any} params - The params to pass to the view.
+   * @param {Set<string>} cacheTags - Collects the cache tags reported by the children.
+   * @param {Set<string>} fallbacks - Collects the children resolved with fallback content.
+   * @return {{components: Record<string, Buffer>, streamed: StreamedComponent[]}} - The placeholders and the pending child content.
+   * @protected
+   * @author Zach Ayers
+   */
+  protected streamViewComponents(
+    app: Assembly,
+    userOpts: BlueprintServerOptions,
+    component: Component,
+    view: ComponentView,
+    params: { headers: AnyObject; query: AnyObject },
+    cacheTags?: Set<string>,
+    fallbacks?: Set<string>
+  ): { components: Record<string, Buffer>; streamed: StreamedComponent[] } {
+    const components: Record<string, Buffer> = {};
+    const streamed: StreamedComponent[] = [];
+    const deadline = this.getRenderDeadline(view);
 
-        childContentAsyncs.push(
-          new Promise(async (resolve, reject) => {
-            try {
-              const fetchStart = Date.now();
-              let result;
-
-              if (isValidHttpUrl(child.contentUrl)) {
-                // Axios - External Fetch with error handling
-                result = await axios
-                  .get(child.contentUrl, {
-                    timeout: child.requestTimeout || 30000, // Default 30s timeout
-                    headers: params.headers,
-                    params: params.query,
-                  })
-                  .then((response) => response.data);
-              } else {
-                // Fastify - Internal Fetch
-                const response = await app
-                  .inject()
-                  .headers(params.headers)
-                  .query(params.query)
-                  .get(child.contentUrl);
-
-                // Check for error status codes
-                if (response.statusCode >= 400) {
-                  throw new HttpError(
-                    `Error fetching component: ${response.statusCode}`,
-                    response.statusCode,
-                    { url: child.contentUrl, body: response.body }
-                  );
-                }
-
-                result = response.rawPayload;
-              }
-
-              const fetchTime = Date.now() - fetchStart;
-              if (fetchTime > 1000) {
-                this.log.warn(
-                  `Slow component fetch: "${child.name}" took ${fetchTime}ms`
-                );
-              }
-
-              resolve({
-                [child.name]: Buffer.from(result),
-              });
-            } catch (error) {
-              // Log the error but don't fail the entire render
-              this.log.error(
-                `Failed to fetch component "${child.name}" at "${
-                  child.contentUrl
-                }": ${error instanceof Error ? error.message : "Unknown error"}`
-              );
-
-              // Resolve with an error template instead of rejecting
-              resolve({
-                [child.name]: Buffer.from(`
-                  <div style="border: 1px solid #f44336; border-radius: 4px; padding: 12px; margin: 8px 0; font-family: sans-serif;">
-                    <p style="color: #f44336; margin: 0; font-weight: bold;">Failed to load component "${
-                      child.name
-                    }"</p>
-                    ${
-                      process.env.NODE_ENV === "development"
-                        ? `<p style="margin: 8px 0 0 0; font-size: 12px;">${
-                            error instanceof Error
-                              ? error.message
-                              : "Unknown error"
-                          }</p>`
-                        : ""
-                    }
-                  </div>
-                `),
-              });
-            }
-          })
-        );
+    this.getViewChildren(userOpts, component, view).forEach((child) => {
+      const placeholder = createStreamPlaceholder(child.name);
+      components[child.name] = Buffer.from(placeholder.html);
+      streamed.push({
+        name: child.name,
+        placeholderId: placeholder.id,
+        content: this.fetchChildComponent(
+          app,
+          userOpts,
+          component,
+          view,
+          child,
+          params,
+          cacheTags,
+          deadline,
+          fallbacks
+        ),
       });
-    };
+    });
 
-    // Push components to awaitable Array
-    pushToAsyncArr(userOpts.manifest.shared?.components);
-    pushToAsyncArr(component.shared?.components);
-    pushToAsyncArr(view.components);
+    return { components, streamed };
+  }
 
-    const childResults = await Promise.all(childContentAsyncs);
-    return combine(childResults);
+  /**
+   * Build the params passed along to child component requests.
+   * @param {FastifyRequest} request - The request of the parent component.
+   * @return {{headers: AnyObject, query: AnyObject}} - The child request params.
+   * @protected
+   * @author Zach Ayers
+   */
+  protected buildChildRequestParams(request: FastifyRequest): {
+    headers: AnyObject;
+    query: AnyObject;
+  } {
+    const blueprintIdHeader = ASSEMBLEJS.blueprintIdHeader;
+    const blueprintId = request.headers[blueprintIdHeader] as
+      | string
+      | undefined;
+    const nestLevel =
+      (request.headers[ASSEMBLEJS.nestLevelHeader] as string | undefined) ?? 0;
+    const requestScopeId = getRequestScopeId(request);
+
+    return {
+      headers: {
+        [ASSEMBLEJS.componentIdHeader]: randomUUID(),
+        [blueprintIdHeader]: blueprintId ?? randomUUID(),
+        [ASSEMBLEJS.nestLevelHeader]: +nestLevel + 1,
+        "user-agent": request.headers["user-agent"],
+        ...(request.headers["authorization"] && {
+          authorization: request.headers["authorization"],
+        }),
+        accept: "text/html",
+        host: request.headers.host,
+        // Child components share the services of this request
+        ...(requestScopeId && {
+          [ASSEMBLEJS.requestScopeHeader]: requestScopeId,
+        }),
+      },
+      query: { ...(request.query as AnyObject) },
+    };
   }
 
   /**
@@ -305,6 +705,9 @@ export abstract class ComponentController extends BlueprintController {
    * @param {FastifyRequest} request - The request to build the context for.
    * @param {FastifyReply} reply - The reply to build the context for.
    * @param {boolean} DATA_ONLY - Whether to only build the context for the data.
+   * @param {Record<string, Buffer>} components - Already resolved child components, skips fetching them.
+   * @param {Set<string>} cacheTags - The cache tags of the view, collects the tags of its children.
+   * @param {Set<string>} fallbacks - Collects the children resolved with fallback content.
    * @return {Promise<ComponentContext<AnyObject, ComponentParams>>} - The promise to wait for.
    * @todo refactor ugly optional object syntax to use the 'coalesce' method from object utils.
    * @protected
@@ -317,7 +720,10 @@ export abstract class ComponentController extends BlueprintController {
     component: Component,
     request: FastifyRequest,
     reply: FastifyReply,
-    DATA_ONLY = false
+    DATA_ONLY = false,
+    components?: Record<string, Buffer>,
+    cacheTags = new Set<string>(),
+    fallbacks = new Set<string>()
   ): Promise<ComponentContext<AnyObject, ComponentParams>> {
     const blueprintIdHeader = ASSEMBLEJS.blueprintIdHeader;
     const componentIdHeader = ASSEMBLEJS.componentIdHeader;
@@ -344,6 +750,15 @@ export abstract class ComponentController extends BlueprintController {
       );
     }
 
+    // Cycles through remote components only show at runtime, as ever deeper nesting
+    const maxNestLevel = getMaxNestLevel();
+    if (+nestLevel > maxNestLevel) {
+      throw new HttpError(
+        `${component.path}|${view.viewName}: nested ${nestLevel} levels deep, deeper than the max nest level of ${maxNestLevel}. Check for a cycle between remote components.`,
+        HttpStatusCode.LOOP_DETECTED
+      );
+    }
+
     return new ComponentContext({
       renderAsBlueprint,
       ...(view.template !== undefined &&
@@ -353,32 +768,25 @@ export abstract class ComponentController extends BlueprintController {
       ...(view.templateFile !== undefined && {
         templateFile: view.templateFile,
       }),
+      ...(view.renderer !== undefined && { renderer: view.renderer }),
       title: view.title ?? `${component.path} | ${view.viewName}`,
       serverUrl: request.protocol + "://" + request.hostname + request.url,
       nestLevel: Number(nestLevel),
       id: componentId !== undefined ? componentId : resolvedBlueprintId,
       components: DATA_ONLY
         ? {}
-        : await this.fetchViewComponents(
+        : components ??
+          (await this.fetchViewComponents(
             app as Assembly,
             userOpts,
             component,
             view,
-            {
-              headers: {
-                [componentIdHeader]: randomUUID(),
-                [blueprintIdHeader]: blueprintId ?? randomUUID(),
-                [nestLevelHeader]: +nestLevel + 1,
-                "user-agent": request.headers["user-agent"],
-                ...(request.headers["authorization"] && {
-                  authorization: request.headers["authorization"],
-                }),
-                accept: "text/html",
-                host: request.headers.host,
-              },
-              query: { ...(request.query as AnyObject) },
-            }
-          ),
+            this.buildChildRequestParams(request),
+            cacheTags,
+            fallbacks
+          )),
+      cacheTags,
+      services: request.services ?? (app as Assembly).serviceContainer,
       viewName: view.viewName,
       componentName: component.path,
       data: new Map(),
@@ -1,4 +1,5 @@
 import { Loggable } from "./loggable";
+import type { ServiceLifetime } from "../app/service-container";
 
 /**
  * Base Service class for AssembleJS services
@@ -7,11 +8,37 @@ import { Loggable } from "./loggable";
  * @author Zachariah Ayers
  * @category Server
  * @public
+ * @example
+ * ```typescript
+ * export class OrderService extends Service {
+ *   // Resolved from the container, and passed to the constructor in this order
+ *   static inject = ["userService", "cartService"];
+ *
+ *   constructor(private users: UserService, private cart: CartService) {
+ *     super();
+ *   }
+ * }
+ * ```
  */
 export abstract class Service extends Loggable {
+  /**
+   * Tokens of the services passed to the constructor, in order
+   * @public
+   */
+  public static inject?: string[];
+
+  /**
+   * How long an instance of the service lives
+   * @default "singleton"
+   * @public
+   */
+  public static lifetime?: ServiceLifetime;
+
   /**
    * Optional initialization method that will be called when the service is registered
    * @description Can be used for setup operations like connecting to databases, initializing clients, etc.
+   * Singletons are initialized during startup, after the services they depend on. 'request' and 'transient' services
+   * are initialized as they are resolved - resolve them with 'getAsync' to wait for it.
    * @return {Promise<void>} A promise that resolves when initialization is complete
    * @author Zachariah Ayers
    * @public
@@ -20,4 +47,17 @@ export abstract class Service extends Loggable {
     // Default implementation does nothing
     // Override in derived classes if needed
   }
+
+  /**
+   * Optional teardown method that will be called when the service's lifetime ends
+   * @description Can be used to release resources like database connections. Singletons are disposed when the server closes,
+   * before the services they depend on, and 'request' and 'transient' services once their request has been served.
+   * @return {Promise<void>} A promise that resolves when teardown is complete
+   * @author Zachariah Ayers
+   * @public
+   */
+  public async dispose(): Promise<void> {
+    // Default implementation does nothing
+    // Override in derived classes if needed
+  }
 }
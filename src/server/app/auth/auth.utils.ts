@@ -59,107 +59,116 @@ export function createAuthMiddleware(authConfig?: BlueprintServerAuth) {
       return;
     }
 
-    // Use custom authentication if provided
-    if (authConfig?.authenticate) {
-      try {
-        await new Promise<void>((resolve, reject) => {
-          authConfig.authenticate!(request, reply, (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
+    await authenticateRequest(request, reply, authConfig);
+  };
+}
+
+/**
+ * Authenticate a request with the configured authentication method
+ * @description Unlike the middleware, public routes and development mode are not exempt.
+ * @param {FastifyRequest} request - The request to authenticate
+ * @param {FastifyReply} reply - The reply to the request
+ * @param {BlueprintServerAuth} authConfig - The authentication configuration
+ * @return {Promise<void>} Resolves when authenticated
+ * @throws {HttpError} When the request is not authenticated
+ */
+export async function authenticateRequest(
+  request: FastifyRequest,
+  reply: FastifyReply,
+  authConfig?: BlueprintServerAuth
+): Promise<void> {
+  // Use custom authentication if provided
+  if (authConfig?.authenticate) {
+    try {
+      await new Promise<void>((resolve, reject) => {
+        authConfig.authenticate!(request, reply, (err) => {
+          if (err) reject(err);
+          else resolve();
         });
-        return;
-      } catch (error) {
-        throw new HttpError(
-          "Authentication failed",
-          HttpStatusCode.UNAUTHORIZED,
-          { message: error instanceof Error ? error.message : "Unknown error" }
-        );
-      }
+      });
+      return;
+    } catch (error) {
+      throw new HttpError(
+        "Authentication failed",
+        HttpStatusCode.UNAUTHORIZED,
+        { message: error instanceof Error ? error.message : "Unknown error" }
+      );
+    }
+  }
+
+  // Use basic auth if enabled
+  if (authConfig?.useBasicAuth === true) {
+    const authHeader = request.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Basic ")) {
+      throw new HttpError(
+        "Authentication required",
+        HttpStatusCode.UNAUTHORIZED
+      );
     }
 
-    // Use basic auth if enabled
-    if (authConfig?.useBasicAuth === true) {
-      const authHeader = request.headers.authorization;
+    try {
+      const base64Credentials = authHeader.split(" ")[1];
+      const credentials = Buffer.from(base64Credentials, "base64").toString(
+        "ascii"
+      );
+      const separatorIndex = credentials.indexOf(":");
 
-      if (!authHeader || !authHeader.startsWith("Basic ")) {
+      // Validate credentials format
+      if (separatorIndex === -1) {
         throw new HttpError(
-          "Authentication required",
-          HttpStatusCode.UNAUTHORIZED
+          "Invalid credentials format",
+          HttpStatusCode.BAD_REQUEST
         );
       }
 
-      try {
-        const base64Credentials = authHeader.split(" ")[1];
-        const credentials = Buffer.from(base64Credentials, "base64").toString(
-          "ascii"
-        );
-        const separatorIndex = credentials.indexOf(":");
-
-        // Validate credentials format
-        if (separatorIndex === -1) {
-          throw new HttpError(
-            "Invalid credentials format",
-            HttpStatusCode.BAD_REQUEST
-          );
-        }
+      const username = credentials.substring(0, separatorIndex);
+      const password = credentials.substring(separatorIndex + 1);
 
-        const username = credentials.substring(0, separatorIndex);
-        const password = credentials.substring(separatorIndex + 1);
-
-        const validUser = authConfig.basicAuthUser || ASSEMBLEJS.basicAuthUser;
-        const validPassword =
-          authConfig.basicAuthPassword || ASSEMBLEJS.basicAuthPassword;
-
-        // Use timing-safe comparison to prevent timing attacks
-        // This is a simple implementation; in production, use a dedicated crypto library
-        const validUserString = typeof validUser === "string" ? validUser : "";
-        const validPasswordString =
-          typeof validPassword === "string" ? validPassword : "";
-        let usernameMatch = username.length === validUserString.length;
-        let passwordMatch = password.length === validPasswordString.length;
-
-        // Only perform char-by-char comparison if lengths match to avoid leaking info
-        if (usernameMatch && passwordMatch) {
-          let result = 0;
-
-          // Username comparison
-          for (let i = 0; i < username.length; i++) {
-            result |= username.charCodeAt(i) ^ validUserString.charCodeAt(i);
-          }
-          usernameMatch = result === 0;
-
-          result = 0;
-          // Password comparison
-          for (let i = 0; i < password.length; i++) {
-            result |=
-              password.charCodeAt(i) ^ validPasswordString.charCodeAt(i);
-          }
-          passwordMatch = result === 0;
-        }
+      const validUser = authConfig.basicAuthUser || ASSEMBLEJS.basicAuthUser;
+      const validPassword =
+        authConfig.basicAuthPassword || ASSEMBLEJS.basicAuthPassword;
+
+      // Use timing-safe comparison to prevent timing attacks
+      // This is a simple implementation; in production, use a dedicated crypto library
+      const validUserString = typeof validUser === "string" ? validUser : "";
+      const validPasswordString =
+        typeof validPassword === "string" ? validPassword : "";
+      let usernameMatch = username.length === validUserString.length;
+      let passwordMatch = password.length === validPasswordString.length;
 
-        if (!(usernameMatch && passwordMatch)) {
-          throw new HttpError(
-            "Invalid credentials",
-            HttpStatusCode.UNAUTHORIZED
-          );
+      // Only perform char-by-char comparison if lengths match to avoid leaking info
+      if (usernameMatch && passwordMatch) {
+        let result = 0;
+
+        // Username comparison
+        for (let i = 0; i < username.length; i++) {
+          result |= username.charCodeAt(i) ^ validUserString.charCodeAt(i);
         }
+        usernameMatch = result === 0;
 
-        return;
-      } catch (error) {
-        if (error instanceof HttpError) {
-          throw error;
+        result = 0;
+        // Password comparison
+        for (let i = 0; i < password.length; i++) {
+          result |= password.charCodeAt(i) ^ validPasswordString.charCodeAt(i);
         }
-        // Prevent leaking internal errors to client
-        throw new HttpError(
-          "Authentication failed",
-          HttpStatusCode.UNAUTHORIZED
-        );
+        passwordMatch = result === 0;
       }
+
+      if (!(usernameMatch && passwordMatch)) {
+        throw new HttpError("Invalid credentials", HttpStatusCode.UNAUTHORIZED);
+      }
+
+      return;
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw error;
+      }
+      // Prevent leaking internal errors to client
+      throw new HttpError("Authentication failed", HttpStatusCode.UNAUTHORIZED);
     }
+  }
 
-    // If no authentication method is configured, allow the request
-    // This maintains backward compatibility
-    return;
-  };
+  // If no authentication method is configured, allow the request
+  // This maintains backward compatibility
 }
@@ -11,11 +11,13 @@ import { parse } from "node-html-parser";
 import { toBoolean } from "../../utils/boolean.utils";
 import { convertExtsToDistPointer } from "../../utils/html.utils";
 import { preRenderTemplate } from "../renderers/rendering/pre.render.template";
+import { getRenderer } from "../renderers/rendering/get.renderer";
+import { assertNoComponentCycles } from "./graph/component.graph";
 
 /**
  * Build all component views on the server side at startup and prep any cacheables.
  * @param {BlueprintServerOptions} userOpts - The user options to use.
- * @return {any} componentViews - The component views to use.
+ * @return {any} - The component views to use, and the component graph checked for cycles.
  * @author Zach Ayers
  */
 export async function buildComponentViews(userOpts: BlueprintServerOptions) {
@@ -24,10 +26,13 @@ export async function buildComponentViews(userOpts: BlueprintServerOptions) {
     !userOpts.manifest.components ||
     userOpts.manifest.components.length === 0
   ) {
-    return [];
+    return { components: [], graph: { nodes: [], edges: [] } };
   }
 
-  return Promise.all(
+  // Fail before any view is pre-rendered, as views embedding each other in a cycle would render forever
+  const graph = assertNoComponentCycles(userOpts);
+
+  const components = await Promise.all(
     userOpts.manifest.components.map(async (component) => {
       // Get Root Path and check if it exists
       const componentRootPath = "./components";
@@ -154,12 +159,21 @@ export async function buildComponentViews(userOpts: BlueprintServerOptions) {
               );
             }
 
+            // Vendor assets required by the view's renderer are loaded ahead of the view's own assets
+            const { vendorAssets = [] } = await getRenderer(view);
+            const vendorJs = vendorAssets.filter(
+              (asset): asset is JsAsset => "src" in asset
+            );
+            const vendorCss = vendorAssets.filter(
+              (asset): asset is CssAsset => "href" in asset
+            );
+
             // Parse HTML on Server Startup - pull out scripts and styles
             if (!rawTemplate) {
               console.error(
                 `Empty template returned for component: ${component.path}, view: ${view.viewName}`
               );
-              renderableContext.assets = { js: [], css: [] };
+              renderableContext.assets = { js: vendorJs, css: vendorCss };
               return renderableContext;
             }
 
@@ -184,74 +198,82 @@ export async function buildComponentViews(userOpts: BlueprintServerOptions) {
             const styles = parsedHtml.querySelectorAll("link");
 
             renderableContext.assets = {
-              js: scripts.map((el) => {
-                const attrs = el.attrs;
-                return {
-                  src: attrs["src"]
-                    ? `/${component.path}/${view.viewName}/${attrs["src"]}`.replace(
-                        ".ts",
-                        ".js"
-                      )
-                    : "",
-                  ...(attrs["async"] !== undefined && {
-                    async:
-                      attrs["async"].length === 0
-                        ? true
-                        : toBoolean(attrs["async"]),
-                  }),
-                  ...(attrs["crossorigin"] !== undefined && {
-                    crossorigin: attrs["crossorigin"] as JsAsset["crossorigin"],
-                  }),
-                  ...(attrs["defer"] !== undefined && {
-                    defer:
-                      attrs["defer"].length === 0
-                        ? true
-                        : toBoolean(attrs["defer"]),
-                  }),
-                  ...(attrs["integrity"] !== undefined && {
-                    integrity: attrs["integrity"],
-                  }),
-                  ...(attrs["nomodule"] !== undefined && {
-                    nomodule:
-                      attrs["nomodule"].length === 0
-                        ? true
-                        : toBoolean(attrs["nomodule"]),
-                  }),
-                  ...(attrs["referrerpolicy"] !== undefined && {
-                    referrerpolicy: attrs[
-                      "referrerpolicy"
-                    ] as JsAsset["referrerpolicy"],
-                  }),
-                  ...(attrs["type"] !== undefined && { type: attrs["type"] }),
-                };
-              }),
-              css: styles.map((el) => {
-                const attrs = el.attrs;
-                return {
-                  href: attrs["href"]
-                    ? `/${component.path}/${view.viewName}/${attrs["href"]}`
-                    : "",
-                  rel: (attrs["rel"] as CssAsset["rel"]) ?? "stylesheet",
-                  ...(attrs["crossorigin"] !== undefined && {
-                    crossorigin: attrs[
-                      "crossorigin"
-                    ] as CssAsset["crossorigin"],
-                  }),
-                  ...(attrs["disabled"] !== undefined && {
-                    disabled:
-                      attrs["disabled"].length === 0
-                        ? true
-                        : toBoolean(attrs["disabled"]),
-                  }),
-                  ...(attrs["hreflang"] !== undefined && {
-                    hreflang: attrs["hreflang"],
-                  }),
-                  ...(attrs["media"] !== undefined && {
-                    media: attrs["media"] as CssAsset["media"],
-                  }),
-                  ...(attrs["type"] !== undefined && { type: attrs["type"] }),
-                };
-              }),
+              js: [
+                ...vendorJs,
+                ...scripts.map((el) => {
+                  const attrs = el.attrs;
+                  return {
+                    src: attrs["src"]
+                      ? `/${component.path}/${view.viewName}/${attrs["src"]}`.replace(
+                          ".ts",
+                          ".js"
+                        )
+                      : "",
+                    ...(attrs["async"] !== undefined && {
+                      async:
+                        attrs["async"].length === 0
+                          ? true
+                          : toBoolean(attrs["async"]),
+                    }),
+                    ...(attrs["crossorigin"] !== undefined && {
+                      crossorigin: attrs[
+                        "crossorigin"
+                      ] as JsAsset["crossorigin"],
+                    }),
+                    ...(attrs["defer"] !== undefined && {
+                      defer:
+                        attrs["defer"].length === 0
+                          ? true
+                          : toBoolean(attrs["defer"]),
+                    }),
+                    ...(attrs["integrity"] !== undefined && {
+                      integrity: attrs["integrity"],
+                    }),
+                    ...(attrs["nomodule"] !== undefined && {
+                      nomodule:
+                        attrs["nomodule"].length === 0
+                          ? true
+                          : toBoolean(attrs["nomodule"]),
+                    }),
+                    ...(attrs["referrerpolicy"] !== undefined && {
+                      referrerpolicy: attrs[
+                        "referrerpolicy"
+                      ] as JsAsset["referrerpolicy"],
+                    }),
+                    ...(attrs["type"] !== undefined && { type: attrs["type"] }),
+                  };
+                }),
+              ],
+              css: [
+                ...vendorCss,
+                ...styles.map((el) => {
+                  const attrs = el.attrs;
+                  return {
+                    href: attrs["href"]
+                      ? `/${component.path}/${view.viewName}/${attrs["href"]}`
+                      : "",
+                    rel: (attrs["rel"] as CssAsset["rel"]) ?? "stylesheet",
+                    ...(attrs["crossorigin"] !== undefined && {
+                      crossorigin: attrs[
+                        "crossorigin"
+                      ] as CssAsset["crossorigin"],
+                    }),
+                    ...(attrs["disabled"] !== undefined && {
+                      disabled:
+                        attrs["disabled"].length === 0
+                          ? true
+                          : toBoolean(attrs["disabled"]),
+                    }),
+                    ...(attrs["hreflang"] !== undefined && {
+                      hreflang: attrs["hreflang"],
+                    }),
+                    ...(attrs["media"] !== undefined && {
+                      media: attrs["media"] as CssAsset["media"],
+                    }),
+                    ...(attrs["type"] !== undefined && { type: attrs["type"] }),
+                  };
+                }),
+              ],
             };
 
             return renderableContext;
@@ -260,4 +282,6 @@ export async function buildComponentViews(userOpts: BlueprintServerOptions) {
       };
     }) ?? []
   );
+
+  return { components, graph };
 }
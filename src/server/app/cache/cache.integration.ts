@@ -1,9 +1,18 @@
 import type { FastifyInstance } from "fastify";
+import type { IncomingHttpHeaders } from "http";
+import type {
+  BlueprintCaches,
+  CachedRenderedView,
+} from "../../../types/blueprint.simple.types";
+import { randomUUID } from "crypto";
 import { CONSTANTS } from "../../../constants/blueprint.constants";
 import {
+  FileSystemCache,
   createHttpCacheMiddleware,
   createNamespacedCache,
+  getGlobalCache,
 } from "../../../utils/cache.utils";
+import type { ICache } from "../../../utils/cache.utils";
 import { logger } from "../../../utils/logger.utils";
 import type { Component } from "../../../types/component";
 import type { BlueprintController } from "../../abstract/blueprint.controller";
@@ -15,6 +24,8 @@ const CACHE_NAMESPACES = {
   RENDERED_VIEW: "rendered_view",
   BLUEPRINT: "blueprint",
   API: "api",
+  CACHE_TAGS: "cache_tags",
+  CHILD_COMPONENT: "child_component",
 };
 
 // Logger for cache operations
@@ -51,6 +62,9 @@ export function setupServerCaching(
 
   log.info("Setting up caching system");
 
+  // Rendered views and API responses live in the configured store, so scaled nodes can share them
+  const store = resolveCacheStore(options);
+
   // Add HTTP response caching middleware if enabled
   if (enableHttpCache) {
     log.info("HTTP response caching enabled with TTL:", httpCacheTtl, "ms");
@@ -64,16 +78,26 @@ export function setupServerCaching(
   }
 
   // Create various cache instances
+  // Components and controllers are live instances, which only make sense in memory
   const componentCache = createNamespacedCache<Component>(
     CACHE_NAMESPACES.COMPONENT
   );
   const controllerCache = createNamespacedCache<BlueprintController>(
     CACHE_NAMESPACES.CONTROLLER
   );
-  const renderedViewCache = createNamespacedCache<string>(
-    CACHE_NAMESPACES.RENDERED_VIEW
+  const renderedViewCache = createNamespacedCache<CachedRenderedView>(
+    CACHE_NAMESPACES.RENDERED_VIEW,
+    store
+  );
+  const apiCache = createNamespacedCache<unknown>(CACHE_NAMESPACES.API, store);
+  const cacheTagsCache = createNamespacedCache<string>(
+    CACHE_NAMESPACES.CACHE_TAGS,
+    store
+  );
+  const childComponentCache = createNamespacedCache<string>(
+    CACHE_NAMESPACES.CHILD_COMPONENT,
+    store
   );
-  const apiCache = createNamespacedCache<unknown>(CACHE_NAMESPACES.API);
 
   // Add the caches to the server instance for use throughout the application
   server.decorate("caches", {
@@ -81,11 +105,22 @@ export function setupServerCaching(
     controller: controllerCache,
     renderedView: renderedViewCache,
     api: apiCache,
-    clearAll: () => {
-      componentCache.clear();
-      controllerCache.clear();
-      renderedViewCache.clear();
-      apiCache.clear();
+    cacheTags: cacheTagsCache,
+    childComponent: childComponentCache,
+    invalidateTags: (tags: string[]) =>
+      invalidateCacheTags(
+        { renderedView: renderedViewCache, cacheTags: cacheTagsCache },
+        tags
+      ),
+    clearAll: async () => {
+      await Promise.all([
+        componentCache.clear(),
+        controllerCache.clear(),
+        renderedViewCache.clear(),
+        apiCache.clear(),
+        cacheTagsCache.clear(),
+        childComponentCache.clear(),
+      ]);
       log.info("All caches cleared");
     },
   });
@@ -93,21 +128,151 @@ export function setupServerCaching(
   // Set up hooks to automatically clear caches when needed
   if (cacheComponents || cacheControllers || cacheRenderedViews) {
     // Clear relevant caches when server closes
-    server.addHook("onClose", (instance, done) => {
+    server.addHook("onClose", async (instance) => {
+      // A shared store outlives this server, so only release its resources
+      if (store !== getGlobalCache()) {
+        await store.dispose?.();
+        return;
+      }
+
       // Use type assertion to access the caches property
       const blueprintInstance = instance as unknown as {
-        caches?: { clearAll: () => void };
+        caches?: { clearAll: () => Promise<void> };
       };
       if (blueprintInstance.caches) {
-        blueprintInstance.caches.clearAll();
+        await blueprintInstance.caches.clearAll();
       }
-      done();
     });
   }
 
   log.info("Caching system setup complete");
 }
 
+/**
+ * Resolve the store backing the shared caches
+ * @param {CacheConfig} options Caching options
+ * @return {ICache<unknown>} The configured store, the global in-memory cache by default
+ */
+export function resolveCacheStore(options: CacheConfig): ICache<unknown> {
+  const store = options.store ?? "memory";
+
+  switch (store) {
+    case "memory":
+      return getGlobalCache();
+    case "filesystem":
+      return new FileSystemCache({ directory: options.cacheDirectory });
+    default:
+      return store;
+  }
+}
+
+/**
+ * Get the key of the tag index entry of a rendered view
+ * @description Each tag and rendered view pair gets its own entry, so concurrent renders never overwrite each other's entries.
+ * @param {string} tag The cache tag
+ * @param {string} cacheKey The key of the rendered view, omitted for the prefix shared by every entry of the tag
+ * @return {string} The tag index key
+ */
+export function getCacheTagIndexKey(tag: string, cacheKey = ""): string {
+  return `${encodeURIComponent(tag)}:${cacheKey}`;
+}
+
+/**
+ * Purge every rendered view tagged with any of the given tags
+ * @description Parents are tagged with the tags of every child they embed, so they are purged too.
+ * @param {BlueprintCaches} caches The rendered view cache and its tag index
+ * @param {Array<string>} tags The tags to invalidate
+ * @return {Promise<number>} The number of rendered views purged
+ */
+export async function invalidateCacheTags(
+  caches: Pick<BlueprintCaches, "renderedView" | "cacheTags">,
+  tags: string[]
+): Promise<number> {
+  const keys = new Set<string>();
+  const indexKeys = await caches.cacheTags.keys();
+
+  for (const tag of new Set(tags)) {
+    const prefix = getCacheTagIndexKey(tag);
+    for (const indexKey of indexKeys.filter((key) => key.startsWith(prefix))) {
+      keys.add(indexKey.slice(prefix.length));
+      await caches.cacheTags.delete(indexKey);
+    }
+  }
+
+  const purged = await Promise.all(
+    [...keys].map((key) => caches.renderedView.delete(key))
+  );
+  const count = purged.filter(Boolean).length;
+
+  log.info(
+    `Invalidated cache tags [${tags.join(", ")}], purged ${count} views`
+  );
+  return count;
+}
+
+// Proves a revalidation request came from this server, so clients can't force cache bypasses
+const REVALIDATE_TOKEN = randomUUID();
+
+// Revalidations currently in progress, keyed by URL
+const pendingRevalidations = new Map<string, Promise<boolean>>();
+
+/**
+ * Check whether a request is a revalidation issued by this server.
+ * @param {IncomingHttpHeaders} headers - The request headers.
+ * @return {boolean} True when the request should bypass the rendered view cache
+ */
+export function isRevalidationRequest(headers: IncomingHttpHeaders): boolean {
+  return headers[CONSTANTS.revalidateHeader] === REVALIDATE_TOKEN;
+}
+
+/**
+ * Re-render a view, bypassing (and replacing) its cached content
+ * @description Concurrent revalidations of the same URL share a single render.
+ * @param {FastifyInstance} server Fastify server instance
+ * @param {string} url The URL of the view to re-render
+ * @param {IncomingHttpHeaders} headers Headers to forward to the render
+ * @return {Promise<boolean>} True when the view re-rendered successfully
+ */
+export function revalidateView(
+  server: FastifyInstance,
+  url: string,
+  headers: IncomingHttpHeaders = {}
+): Promise<boolean> {
+  const pending = pendingRevalidations.get(url);
+  if (pending) {
+    return pending;
+  }
+
+  const revalidation = server
+    .inject({
+      method: "GET",
+      url,
+      headers: {
+        ...headers,
+        [CONSTANTS.revalidateHeader]: REVALIDATE_TOKEN,
+      },
+    })
+    .then((response) => {
+      const success = response.statusCode === 200;
+      if (success) {
+        log.debug(`Revalidated: ${url}`);
+      } else {
+        log.warn(
+          `Revalidation of ${url} responded with ${response.statusCode}`
+        );
+      }
+      return success;
+    })
+    .catch((error) => {
+      log.error(`Revalidation of ${url} failed:`, error);
+      return false;
+    })
+    .finally(() => pendingRevalidations.delete(url));
+
+  pendingRevalidations.set(url, revalidation);
+  return revalidation;
+}
+
 /**
  * The cache configuration type for server options
  */
@@ -136,6 +301,20 @@ export interface CacheConfig {
    * Whether to cache rendered views
    */
   cacheRenderedViews?: boolean;
+
+  /**
+   * The store backing the rendered view and API caches
+   * @description 'memory' (default), 'filesystem', or any ICache implementation -
+   * i.e. a RedisCache, so horizontally scaled nodes share rendered views.
+   * Stores may be asynchronous.
+   */
+  store?: "memory" | "filesystem" | ICache<unknown>;
+
+  /**
+   * Directory used by the 'filesystem' store
+   * @default ".asmbl-cache"
+   */
+  cacheDirectory?: string;
 }
 
 // Export the namespaces for use elsewhere
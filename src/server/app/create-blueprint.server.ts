@@ -5,6 +5,7 @@ import { fastify } from "fastify";
 import { ASSEMBLEJS } from "../config/blueprint.config";
 import { assertNoDuplicateComponents } from "./assert-no-duplicate.components";
 import { buildComponentViews } from "./build-component.views";
+import { setupComponentGraph } from "./graph/component.graph";
 import { buildBlueprintControllers } from "./build.blueprint-controllers";
 import { logLocalInformation } from "./log.local-information";
 import { fileURLToPath } from "url";
@@ -17,13 +18,19 @@ import fastifyBasicAuth from "@fastify/basic-auth";
 import fastifyStatic from "@fastify/static";
 import fastifyCookie from "@fastify/cookie";
 import { createAuthMiddleware } from "./auth/auth.utils";
-import { setupServerCaching } from "./cache/cache.integration";
+import { revalidateView, setupServerCaching } from "./cache/cache.integration";
 import path from "path";
 import fs from "fs";
 import viteDevServer from "vavite/vite-dev-server";
 import vaviteHttpServer from "vavite/http-dev-server";
 import { AuthController } from "./auth/auth.controller";
 import { ServiceContainer } from "./service-container";
+import { setupRequestScopes } from "./request-scope";
+import { setupServerEvents } from "./events/server.events";
+import { setupClientRouter } from "./router/client.router";
+import { registerRenderer } from "../renderers/rendering/get.renderer";
+import { MARKDOWN } from "../renderers/markdown.renderer";
+import { isStaticExport, runStaticExport } from "./static/static.export";
 
 /**
  * Creates a new AssembleJS server instance with the specified configuration.
@@ -116,6 +123,8 @@ export async function createBlueprintServer(
     },
     disableRequestLogging: !ASSEMBLEJS.enableRequestLogging,
     ignoreTrailingSlash: false,
+    // Long-lived connections, such as server events, would otherwise keep the server from closing
+    forceCloseConnections: true,
     serverFactory: httpServer
       ? (handler) => {
           httpServer!.on("request", handler);
@@ -140,32 +149,30 @@ export async function createBlueprintServer(
   if (userOpts.manifest.services) {
     blueprintApp.log.info("Registering services...");
 
-    for (const [token, ServiceClass] of Object.entries(
+    for (const [token, registration] of Object.entries(
       userOpts.manifest.services
     )) {
-      try {
-        // Create a new instance of the service
-        const service = new ServiceClass();
-
-        // Register the service in the container
-        serviceContainer.register(token, service);
-
-        // Initialize the service if it has an initialize method
-        if (typeof service.initialize === "function") {
-          await service.initialize();
-        }
-
-        blueprintApp.log.debug(`Service registered: ${token}`);
-      } catch (error) {
-        blueprintApp.log.error(
-          `Failed to register service ${token}: ${
-            error instanceof Error ? error.message : String(error)
-          }`
-        );
+      // Services are constructed once their dependencies are, so only register the class here
+      if (typeof registration === "function") {
+        serviceContainer.register(token, registration);
+      } else {
+        const { service, ...options } = registration;
+        serviceContainer.register(token, service, options);
       }
+
+      blueprintApp.log.debug(`Service registered: ${token}`);
     }
   }
 
+  // Construct and initialize the singletons in dependency order, a failure here is fatal
+  await serviceContainer.initialize();
+
+  // Release the services when the server closes
+  blueprintApp.addHook("onClose", () => serviceContainer.dispose());
+
+  // Give every request its own scope for 'request' services
+  setupRequestScopes(blueprintApp);
+
   // Append Custom Hooks
   userOpts.hooks?.forEach((hook) => {
     // Hooks are tuples with a string key and a function
@@ -245,6 +252,11 @@ export async function createBlueprintServer(
     setupServerCaching(blueprintApp, userOpts.cache);
   }
 
+  // On-demand revalidation of cached views
+  blueprintApp.decorate("revalidate", (url: string) =>
+    revalidateView(blueprintApp, url)
+  );
+
   // Register authentication if configured
   if (userOpts.auth?.useBasicAuth === true) {
     // Basic Auth
@@ -278,11 +290,25 @@ export async function createBlueprintServer(
     blueprintApp.addHook("onRequest", authMiddleware);
   }
 
+  // Bridge events published on the server to the browser EventBus
+  setupServerEvents(blueprintApp, userOpts);
+
+  // Let the client bundle navigate between Blueprints
+  setupClientRouter(userOpts);
+
+  // Register custom renderers before any views are rendered
+  userOpts.renderers?.forEach((renderer) => registerRenderer(renderer));
+  MARKDOWN.configure(userOpts.markdown);
+
   // Ensure no duplicate Components or views were used
   assertNoDuplicateComponents(userOpts);
 
   // Prepare Components
-  userOpts.manifest.components = await buildComponentViews(userOpts);
+  const { components, graph } = await buildComponentViews(userOpts);
+  userOpts.manifest.components = components;
+
+  // Limit nesting at runtime, and serve the component graph to tooling
+  setupComponentGraph(blueprintApp, userOpts, graph);
 
   // Register the authentication controller if authentication is enabled
   if (userOpts.auth) {
@@ -471,6 +497,12 @@ export async function createBlueprintServer(
       .send("<h1>Server Error</h1><p>An unexpected error occurred.</p>");
   });
 
+  // When the build requests a static export, render the site in-process instead of listening
+  if (isStaticExport()) {
+    await runStaticExport(blueprintApp, userOpts);
+    return blueprintApp;
+  }
+
   // Turn off logging to ignore the first Fastify "Server Listening" message
   const defaultLogLevel = blueprintApp.log.level;
   blueprintApp.log.level = "silent";
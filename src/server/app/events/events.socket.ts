@@ -0,0 +1,331 @@
+import type { FastifyReply, FastifyRequest } from "fastify";
+import fastifyWebsocket, { SocketStream } from "@fastify/websocket";
+import { Server } from "http";
+import type { Assembly } from "../../../types/blueprint.simple.types";
+import type { BlueprintEvent } from "../../../browser/eventing/blueprint.event";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import { isWildcardMatch } from "../../../utils/pattern.utils";
+import { logger } from "../../../utils/logger.utils";
+
+// Logger for events socket operations
+const log = logger(`${CONSTANTS.defaultLoggerClassName}:events-socket`);
+
+/**
+ * Events socket configuration options
+ * @author Zach Ayers
+ */
+export interface EventsSocketConfig {
+  /**
+   * The largest message a browser may send, in bytes
+   * @default 65536 (64 KiB)
+   */
+  maxPayload?: number;
+
+  /**
+   * Other origins whose pages may connect, besides the server's own
+   * @description Browsers do not apply CORS to WebSockets, so connections from pages on any other origin are refused,
+   * as they would otherwise connect with the user's cookies. Supports the same wildcards as 'auth.publicRoutes'.
+   * @example ["https://shop.example.com", "https://*.example.com"]
+   */
+  allowedOrigins?: string[];
+}
+
+/**
+ * Check whether the connected request may join a channel
+ */
+export type ChannelAuthorizer = (channel: string) => Promise<boolean>;
+
+/**
+ * A way of delivering server published events to browsers
+ */
+export interface ServerEventsTransport {
+  /** Deliver an event to every browser on its channel, returning how many received it */
+  deliver(event: BlueprintEvent<unknown>): number;
+  /** Disconnect every browser */
+  close(): void;
+}
+
+/**
+ * Messages browsers send over the events socket
+ */
+type EventsSocketMessage =
+  | { type: "join"; channel: string }
+  | { type: "leave"; channel: string }
+  | { type: "event"; event: BlueprintEvent<unknown> };
+
+/**
+ * A connected events socket client
+ */
+interface EventsSocketClient {
+  socket: SocketStream["socket"];
+  channels: Set<string>;
+  authorize: ChannelAuthorizer;
+  alive: boolean;
+  // Messages are handled in order, as joining a channel waits on authorization
+  pending: Promise<void>;
+}
+
+/**
+ * Parse a message sent over the events socket.
+ * @param {string} data - The received message.
+ * @return {EventsSocketMessage | undefined} - The message, undefined when it is not a valid events socket message.
+ * @author Zach Ayers
+ */
+export function parseEventsSocketMessage(
+  data: string
+): EventsSocketMessage | undefined {
+  let message: Record<string, unknown>;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+
+  if (!message || typeof message !== "object") {
+    return undefined;
+  }
+
+  switch (message.type) {
+    case "join":
+    case "leave":
+      return typeof message.channel === "string"
+        ? { type: message.type, channel: message.channel }
+        : undefined;
+    case "event": {
+      const event = message.event as Partial<BlueprintEvent<unknown>>;
+      // Only the address and payload are relayed, anything else the browser sent is dropped
+      return event &&
+        typeof event.channel === "string" &&
+        typeof event.topic === "string"
+        ? {
+            type: "event",
+            event: {
+              channel: event.channel,
+              topic: event.topic,
+              payload: event.payload,
+            },
+          }
+        : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Check whether a page may connect to the events socket, by the origin the browser reported for it.
+ * @param {FastifyRequest} request - The upgrade request.
+ * @param {string[]} allowedOrigins - Other origins whose pages may connect.
+ * @return {boolean} - True for the server's own origin, allowed origins, and clients which are not browsers and send no origin.
+ * @author Zach Ayers
+ */
+export function isAllowedSocketOrigin(
+  request: FastifyRequest,
+  allowedOrigins: string[] = []
+): boolean {
+  const origin = request.headers.origin;
+  if (origin === undefined) {
+    return true;
+  }
+
+  let host: string;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    return false;
+  }
+
+  return (
+    host === request.headers.host ||
+    allowedOrigins.some((pattern) => isWildcardMatch(origin, pattern))
+  );
+}
+
+/**
+ * Set up the events socket, relaying events between browsers over WebSockets.
+ * @description Browsers join a room for each channel they listen on. Events they publish with 'broadcast' are relayed to every
+ * other browser in the room, and each room is told how many browsers are present whenever that changes.
+ * Upgrades are handled by '@fastify/websocket', which routes them through the application, so its hooks (authentication, request scopes, etc.)
+ * apply as with any other request.
+ * @param {Assembly} app - The application to set up the events socket on.
+ * @param {EventsSocketConfig} config - The events socket configuration.
+ * @param {number} heartbeatInterval - How often to check each browser is still connected.
+ * @param {Function} createAuthorizer - Creates the check of which channels a request may join.
+ * @return {ServerEventsTransport} - Delivers server published events over the events socket.
+ * @author Zach Ayers
+ */
+export function setupEventsSocket(
+  app: Assembly,
+  config: EventsSocketConfig,
+  heartbeatInterval: number,
+  createAuthorizer: (
+    request: FastifyRequest,
+    reply: FastifyReply
+  ) => ChannelAuthorizer
+): ServerEventsTransport {
+  const maxPayload = config.maxPayload ?? 65536;
+  const authorizers = new WeakMap<FastifyRequest, ChannelAuthorizer>();
+  const clients = new Set<EventsSocketClient>();
+  const rooms = new Map<string, Set<EventsSocketClient>>();
+
+  const send = (client: EventsSocketClient, message: object) =>
+    client.socket.send(JSON.stringify(message));
+
+  const announcePresence = (channel: string) => {
+    const room = rooms.get(channel);
+    room?.forEach((client) =>
+      send(client, { type: "presence", channel, count: room.size })
+    );
+  };
+
+  const join = async (client: EventsSocketClient, channel: string) => {
+    if (client.channels.has(channel)) {
+      return true;
+    }
+
+    if (!(await client.authorize(channel))) {
+      send(client, { type: "denied", channel });
+      return false;
+    }
+
+    if (client.socket.readyState !== client.socket.OPEN) {
+      return false;
+    }
+
+    client.channels.add(channel);
+    const room = rooms.get(channel) ?? new Set();
+    rooms.set(channel, room.add(client));
+    announcePresence(channel);
+    return true;
+  };
+
+  const leave = (client: EventsSocketClient, channel: string) => {
+    if (!client.channels.delete(channel)) {
+      return;
+    }
+
+    const room = rooms.get(channel);
+    room?.delete(client);
+    if (room?.size === 0) {
+      rooms.delete(channel);
+    }
+    announcePresence(channel);
+  };
+
+  const handleMessage = async (client: EventsSocketClient, data: string) => {
+    const message = parseEventsSocketMessage(data);
+
+    switch (message?.type) {
+      case "join":
+        await join(client, message.channel);
+        return;
+      case "leave":
+        leave(client, message.channel);
+        return;
+      case "event":
+        // Only browsers in the room may broadcast to it
+        if (!client.channels.has(message.event.channel)) {
+          send(client, { type: "denied", channel: message.event.channel });
+          return;
+        }
+        rooms.get(message.event.channel)?.forEach((other) => {
+          if (other !== client) {
+            send(other, { type: "event", event: message.event });
+          }
+        });
+        return;
+      default:
+        log.warn("Ignored an invalid events socket message");
+    }
+  };
+
+  // Only upgrades to the events socket are handed to the WebSocket plugin,
+  // others are left to any other upgrade listener, such as a development server
+  const upgrades = new Server();
+  app.server.on("upgrade", (request, socket, head) => {
+    if (request.url?.split("?")[0] === CONSTANTS.eventsSocketPath) {
+      upgrades.emit("upgrade", request, socket, head);
+    } else if (app.server.listenerCount("upgrade") === 1) {
+      socket.destroy();
+    }
+  });
+
+  // The plugin routes upgrades through the application, so it must be loaded before the route is added
+  app.register(fastifyWebsocket, { options: { maxPayload, server: upgrades } });
+  app.register(async (instance) => {
+    instance.route({
+      method: "GET",
+      url: CONSTANTS.eventsSocketPath,
+      // Authorization may need the reply, which is taken over once the upgrade is accepted
+      preHandler: async (request, reply) => {
+        if (!isAllowedSocketOrigin(request, config.allowedOrigins)) {
+          log.warn(
+            `Refused an events socket from origin ${request.headers.origin}`
+          );
+          reply.code(403).send("Forbidden");
+          return;
+        }
+        authorizers.set(request, createAuthorizer(request, reply));
+      },
+      handler: async (request, reply) => {
+        reply.code(426).header("upgrade", "websocket").send("Upgrade Required");
+      },
+      wsHandler: (connection, request) => {
+        const client: EventsSocketClient = {
+          socket: connection.socket,
+          channels: new Set(),
+          // Deny every channel, should authorization not have been set up
+          authorize: authorizers.get(request) ?? (async () => false),
+          alive: true,
+          pending: Promise.resolve(),
+        };
+        clients.add(client);
+
+        // The socket is already failed and closed, such as on a protocol error
+        connection.on("error", (error) =>
+          log.warn("Closed an events socket after an error", error)
+        );
+        client.socket.on("message", (data) => {
+          client.pending = client.pending
+            .then(() => handleMessage(client, data.toString()))
+            .catch((error) =>
+              log.error("Failed to handle an events socket message", error)
+            );
+        });
+        client.socket.on("pong", () => (client.alive = true));
+        client.socket.once("close", () => {
+          clients.delete(client);
+          [...client.channels].forEach((channel) => leave(client, channel));
+        });
+      },
+    });
+  });
+
+  // Browsers which miss a heartbeat are disconnected, so they stop counting towards presence
+  const heartbeat = setInterval(() => {
+    clients.forEach((client) => {
+      if (!client.alive) {
+        client.socket.terminate();
+        return;
+      }
+      client.alive = false;
+      client.socket.ping();
+    });
+  }, heartbeatInterval);
+  heartbeat.unref?.();
+
+  return {
+    deliver: (event) => {
+      const room = rooms.get(event.channel);
+      room?.forEach((client) => send(client, { type: "event", event }));
+      return room?.size ?? 0;
+    },
+    close: () => {
+      clearInterval(heartbeat);
+      // 1001 is 'going away'
+      clients.forEach((client) => client.socket.close(1001));
+      clients.clear();
+      rooms.clear();
+    },
+  };
+}
@@ -0,0 +1,278 @@
+import type { FastifyReply, FastifyRequest } from "fastify";
+import type { Assembly } from "../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../types/blueprint.server.options";
+import type { BlueprintEvent } from "../../../browser/eventing/blueprint.event";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import { ASSEMBLEJS } from "../../config/blueprint.config";
+import { authenticateRequest } from "../auth/auth.utils";
+import { isWildcardMatch } from "../../../utils/pattern.utils";
+import { logger } from "../../../utils/logger.utils";
+import {
+  ChannelAuthorizer,
+  EventsSocketConfig,
+  ServerEventsTransport,
+  setupEventsSocket,
+} from "./events.socket";
+
+// Logger for server event operations
+const log = logger(`${CONSTANTS.defaultLoggerClassName}:server-events`);
+
+/**
+ * Server events configuration options
+ * @author Zach Ayers
+ */
+export interface ServerEventsConfig {
+  /**
+   * Channels any client may subscribe to, when authentication is configured
+   * @description Supports the same wildcards as 'auth.publicRoutes'. Every other channel requires the request to pass the configured authentication.
+   * @example ["news", "prices:*"]
+   */
+  publicChannels?: string[];
+
+  /**
+   * Further restrict who may subscribe to a channel, after authentication
+   * @param channel - The channel being subscribed to
+   * @param request - The request subscribing to the channel
+   */
+  authorize?: (
+    channel: string,
+    request: FastifyRequest
+  ) => boolean | Promise<boolean>;
+
+  /**
+   * How often to send a heartbeat, keeping idle connections open through proxies
+   * @default 30000 (30 seconds)
+   */
+  heartbeatInterval?: number;
+
+  /**
+   * Also accept WebSocket connections, which relay events browsers publish with 'broadcast' to other browsers on the channel
+   * @description Browsers connected over the WebSocket also receive server published events over it, rather than Server-Sent Events.
+   * Joining a channel, and broadcasting on it, is authorized in the same way as subscribing to it.
+   * @default false
+   */
+  websocket?: boolean | EventsSocketConfig;
+}
+
+/**
+ * A connected server events client
+ */
+interface ServerEventsClient {
+  channels: Set<string>;
+  reply: FastifyReply;
+}
+
+// The paths of the server events endpoint and events socket, when enabled
+let serverEventsPath: string | undefined;
+let eventsSocketPath: string | undefined;
+
+/**
+ * Get the path the client bundle subscribes to server events on.
+ * @return {string | undefined} - The path, undefined when server events are not enabled.
+ * @author Zach Ayers
+ */
+export function getServerEventsPath(): string | undefined {
+  return serverEventsPath;
+}
+
+/**
+ * Get the path the client bundle connects to the events socket on.
+ * @return {string | undefined} - The path, undefined when the events socket is not enabled.
+ * @author Zach Ayers
+ */
+export function getEventsSocketPath(): string | undefined {
+  return eventsSocketPath;
+}
+
+/**
+ * Format an event as a Server-Sent Events message.
+ * @param {string} event - The SSE event name, 'message' events are dispatched to 'onmessage'.
+ * @param {unknown} data - The data of the message, sent as JSON.
+ * @return {string} - The message.
+ * @author Zach Ayers
+ */
+export function formatServerEvent(event: string, data: unknown): string {
+  // JSON never contains raw newlines, so the data always fits on a single line
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Check whether a request may subscribe to a channel.
+ * @param {string} channel - The channel being subscribed to.
+ * @param {FastifyRequest} request - The request subscribing to the channel.
+ * @param {Function} isAuthenticated - Whether the request passes the configured authentication.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {Promise<boolean>} - True when the request may subscribe.
+ * @author Zach Ayers
+ */
+export async function isChannelAuthorized(
+  channel: string,
+  request: FastifyRequest,
+  isAuthenticated: () => Promise<boolean>,
+  userOpts: BlueprintServerOptions
+): Promise<boolean> {
+  const config = userOpts.events ?? {};
+  const isPublic = (config.publicChannels ?? []).some((pattern) =>
+    isWildcardMatch(channel, pattern)
+  );
+
+  if (!isPublic && !(await isAuthenticated())) {
+    return false;
+  }
+
+  return (await config.authorize?.(channel, request)) ?? true;
+}
+
+/**
+ * Set up server events, bridging server published events on to the browser EventBus.
+ * @description Decorates the app with 'publish'. When enabled with the 'events' option, browsers subscribe to the channels they listen on
+ * through a Server-Sent Events endpoint, or the events socket when enabled, and receive events on the same 'channel:topic' addresses as in-page events.
+ * @param {Assembly} app - The application to set up server events on.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {void}
+ * @author Zach Ayers
+ */
+export function setupServerEvents(
+  app: Assembly,
+  userOpts: BlueprintServerOptions
+): void {
+  const clients = new Set<ServerEventsClient>();
+  const transports: ServerEventsTransport[] = [];
+
+  app.decorate(
+    "publish",
+    <P>(channel: string, topic: string, payload: P): number => {
+      const event: BlueprintEvent<P> = { channel, topic, payload };
+      const delivered = transports.reduce(
+        (total, transport) => total + transport.deliver(event),
+        0
+      );
+
+      log.debug(`Published ${channel}:${topic} to ${delivered} clients`);
+      return delivered;
+    }
+  );
+
+  serverEventsPath = undefined;
+  eventsSocketPath = undefined;
+  if (!userOpts.events) {
+    return;
+  }
+
+  const config = userOpts.events;
+  const heartbeatInterval = config.heartbeatInterval ?? 30000;
+
+  // Mirrors the authentication middleware, which is skipped locally unless enabled in development
+  const requiresAuthentication =
+    userOpts.auth !== undefined &&
+    !(ASSEMBLEJS.isLocal() && userOpts.auth.enableInDevelopment !== true);
+
+  const createAuthorizer = (
+    request: FastifyRequest,
+    reply: FastifyReply
+  ): ChannelAuthorizer => {
+    // Authenticate at most once, and only when a private channel is requested
+    let authenticated: Promise<boolean> | undefined;
+    const isAuthenticated = () => {
+      if (!authenticated) {
+        authenticated = requiresAuthentication
+          ? authenticateRequest(request, reply, userOpts.auth).then(
+              () => true,
+              () => false
+            )
+          : Promise.resolve(true);
+      }
+      return authenticated;
+    };
+
+    return (channel) =>
+      isChannelAuthorized(channel, request, isAuthenticated, userOpts);
+  };
+
+  serverEventsPath = CONSTANTS.serverEventsPath;
+  transports.push({
+    deliver: (event) => {
+      const message = formatServerEvent("message", event);
+      let delivered = 0;
+
+      clients.forEach((client) => {
+        if (client.channels.has(event.channel)) {
+          client.reply.raw.write(message);
+          delivered++;
+        }
+      });
+
+      return delivered;
+    },
+    close: () => {
+      clients.forEach((client) => client.reply.raw.end());
+      clients.clear();
+    },
+  });
+
+  app.get<{ Querystring: { channel?: string | string[] } }>(
+    CONSTANTS.serverEventsPath,
+    // The connection stays open, so it must never be buffered for compression
+    { compress: false },
+    async (request, reply) => {
+      const requested = [request.query.channel ?? []].flat();
+      const authorize = createAuthorizer(request, reply);
+
+      const channels = new Set<string>();
+      const denied: string[] = [];
+      for (const channel of new Set(requested)) {
+        if (await authorize(channel)) {
+          channels.add(channel);
+        } else {
+          denied.push(channel);
+        }
+      }
+
+      // Take over the response, it stays open until the client disconnects
+      reply.hijack();
+      reply.raw.writeHead(200, {
+        "content-type": "text/event-stream",
+        "cache-control": "no-cache",
+        connection: "keep-alive",
+        "x-accel-buffering": "no",
+      });
+      reply.raw.write(`retry: 3000\n\n`);
+
+      if (denied.length > 0) {
+        reply.raw.write(formatServerEvent("denied", denied));
+      }
+
+      const client: ServerEventsClient = { channels, reply };
+      clients.add(client);
+
+      const heartbeat = setInterval(
+        () => reply.raw.write(`: heartbeat\n\n`),
+        heartbeatInterval
+      );
+      heartbeat.unref?.();
+
+      reply.raw.once("close", () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    }
+  );
+
+  if (config.websocket) {
+    eventsSocketPath = CONSTANTS.eventsSocketPath;
+    transports.push(
+      setupEventsSocket(
+        app,
+        config.websocket === true ? {} : config.websocket,
+        heartbeatInterval,
+        createAuthorizer
+      )
+    );
+  }
+
+  // Stop the heartbeats and forget every client once the application closes
+  app.addHook("onClose", (_, done) => {
+    transports.forEach((transport) => transport.close());
+    done();
+  });
+}
@@ -0,0 +1,260 @@
+import type { Assembly } from "../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../types/blueprint.server.options";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import { ASSEMBLEJS } from "../../config/blueprint.config";
+import { isValidHttpUrl } from "../../../utils/http.utils";
+
+/**
+ * Component graph configuration options
+ * @author Zachariah Ayers
+ */
+export interface ComponentGraphConfig {
+  /**
+   * Serve the component graph as JSON, for tooling
+   * @default true when running locally, otherwise false
+   */
+  expose?: boolean;
+
+  /**
+   * How deeply components may be nested in a single render, read from the nest level header of each request
+   * @description Cycles between the views of this server fail startup, this catches cycles through remote components.
+   * @default 10
+   */
+  maxNestLevel?: number;
+}
+
+/**
+ * A view of this server, or a remote component embedded by one.
+ * @author Zachariah Ayers
+ */
+export interface ComponentGraphNode {
+  /** 'component/view' for the views of this server, the content URL otherwise */
+  id: string;
+  /** The URL the content of the node is served at */
+  contentUrl: string;
+  /** Whether the node is a view of this server */
+  local: boolean;
+  /** The path of the component, for the views of this server */
+  component?: string;
+  /** The name of the view, for the views of this server */
+  view?: string;
+  /** Whether the view is exposed as a Blueprint, for the views of this server */
+  blueprint?: boolean;
+}
+
+/**
+ * A view embedding a child component.
+ * @author Zachariah Ayers
+ */
+export interface ComponentGraphEdge {
+  /** The ID of the embedding view */
+  from: string;
+  /** The ID of the child component */
+  to: string;
+  /** The name of the child component - doubles as the templating variable */
+  name: string;
+}
+
+/**
+ * The child components embedded by every view of the server.
+ * @author Zachariah Ayers
+ */
+export interface ComponentGraph {
+  nodes: ComponentGraphNode[];
+  edges: ComponentGraphEdge[];
+}
+
+// The component graph of the server, and the deepest nest level a request may reach
+let componentGraph: ComponentGraph = { nodes: [], edges: [] };
+let maxNestLevel = 10;
+
+/**
+ * Get the component graph of the server.
+ * @return {ComponentGraph} - The component graph, empty until the server is set up.
+ * @author Zachariah Ayers
+ */
+export function getComponentGraph(): ComponentGraph {
+  return componentGraph;
+}
+
+/**
+ * Get how deeply components may be nested in a single render.
+ * @return {number} - The max nest level.
+ * @author Zachariah Ayers
+ */
+export function getMaxNestLevel(): number {
+  return maxNestLevel;
+}
+
+/**
+ * Reduce a local content URL to the route of the view serving it.
+ * @param {string} contentUrl - The content URL.
+ * @return {string} - The route, with a leading and trailing slash.
+ */
+function toRoute(contentUrl: string): string {
+  const route = contentUrl.split(/[?#]/)[0].replace(/^\/*|\/*$/g, "");
+  return `/${route}/`;
+}
+
+/**
+ * Build the graph of the child components embedded by every view in the manifest.
+ * @description Children served by this server are resolved to their view. Children on other servers are kept as remote nodes, as their own children are unknown.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {ComponentGraph} - The component graph.
+ * @author Zachariah Ayers
+ */
+export function buildComponentGraph(
+  userOpts: BlueprintServerOptions
+): ComponentGraph {
+  const components = userOpts.manifest.components ?? [];
+  const nodes = new Map<string, ComponentGraphNode>();
+  const routes = new Map<string, string>();
+  const edges: ComponentGraphEdge[] = [];
+
+  components.forEach((component) => {
+    component.views.forEach((view) => {
+      const id = `${component.path}/${view.viewName}`;
+      const contentUrl = `/${component.path}/${view.viewName}/`;
+      nodes.set(id, {
+        id,
+        contentUrl,
+        local: true,
+        component: component.path,
+        view: view.viewName,
+        blueprint: Boolean(view.exposeAsBlueprint),
+      });
+      routes.set(contentUrl, id);
+    });
+  });
+
+  components.forEach((component) => {
+    component.views.forEach((view) => {
+      [
+        ...(userOpts.manifest.shared?.components ?? []),
+        ...(component.shared?.components ?? []),
+        ...(view.components ?? []),
+      ]
+        // Mirrors the children a view renders, which skips itself
+        .filter(
+          (child) =>
+            child.contentUrl &&
+            !child.contentUrl.includes(`/${component.path}/${view.viewName}`)
+        )
+        .forEach((child) => {
+          const remote = isValidHttpUrl(child.contentUrl);
+          const to =
+            (!remote && routes.get(toRoute(child.contentUrl))) ||
+            child.contentUrl;
+
+          if (!nodes.has(to)) {
+            nodes.set(to, {
+              id: to,
+              contentUrl: child.contentUrl,
+              local: false,
+            });
+          }
+          edges.push({
+            from: `${component.path}/${view.viewName}`,
+            to,
+            name: child.name,
+          });
+        });
+    });
+  });
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Find a cycle between the views of a component graph.
+ * @param {ComponentGraph} graph - The component graph.
+ * @return {string[] | undefined} - The IDs of the views in the cycle, starting and ending with the same view, or undefined without a cycle.
+ * @author Zachariah Ayers
+ */
+export function findComponentCycle(
+  graph: ComponentGraph
+): string[] | undefined {
+  const children = new Map<string, string[]>();
+  graph.edges.forEach(({ from, to }) => {
+    children.set(from, [...(children.get(from) ?? []), to]);
+  });
+
+  const visited = new Set<string>();
+  const path: string[] = [];
+
+  // Depth first, a child already on the path closes a cycle
+  const visit = (id: string): string[] | undefined => {
+    const index = path.indexOf(id);
+    if (index !== -1) {
+      return [...path.slice(index), id];
+    }
+    if (visited.has(id)) {
+      return undefined;
+    }
+
+    visited.add(id);
+    path.push(id);
+    for (const child of children.get(id) ?? []) {
+      const cycle = visit(child);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    path.pop();
+    return undefined;
+  };
+
+  for (const node of graph.nodes) {
+    const cycle = visit(node.id);
+    if (cycle) {
+      return cycle;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Assert the views in the manifest do not embed each other in a cycle, which would render forever.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {ComponentGraph} - The component graph.
+ * @throws {Error} When views embed each other in a cycle, naming the views in it.
+ * @author Zachariah Ayers
+ */
+export function assertNoComponentCycles(
+  userOpts: BlueprintServerOptions
+): ComponentGraph {
+  const graph = buildComponentGraph(userOpts);
+  const cycle = findComponentCycle(graph);
+
+  if (cycle) {
+    throw new Error(
+      `Component cycle detected in component manifest: [ ${cycle.join(
+        " -> "
+      )} ]`
+    );
+  }
+  return graph;
+}
+
+/**
+ * Set up the component graph of the server, and serve it as JSON when exposed.
+ * @param {Assembly} app - The AssembleJS instance.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @param {ComponentGraph} graph - The component graph, as checked for cycles when building the views.
+ * @return {void}
+ * @author Zachariah Ayers
+ */
+export function setupComponentGraph(
+  app: Assembly,
+  userOpts: BlueprintServerOptions,
+  graph: ComponentGraph
+): void {
+  componentGraph = graph;
+  maxNestLevel = userOpts.graph?.maxNestLevel ?? 10;
+
+  if (userOpts.graph?.expose ?? ASSEMBLEJS.isLocal()) {
+    app.get(CONSTANTS.componentGraphPath, (request, reply) =>
+      reply.type("application/json").send(componentGraph)
+    );
+  }
+}
@@ -0,0 +1,93 @@
+import type { FastifyRequest } from "fastify";
+import type { Assembly } from "../../types/blueprint.simple.types";
+import type { ServiceContainer } from "./service-container";
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+
+// The request scopes currently in use, keyed by their ID
+const activeScopes = new Map<string, ServiceContainer>();
+
+// The signed ID of the scope each request uses
+const scopeIds = new WeakMap<FastifyRequest, string>();
+
+// Signs the scope IDs passed to child component renders, so only this server can join the scope of a request
+const SCOPE_SECRET = randomBytes(32);
+
+/**
+ * Sign a scope ID.
+ * @param {string} id - The scope ID.
+ * @return {string} - The signature of the ID.
+ */
+function signScopeId(id: string): string {
+  return createHmac("sha256", SCOPE_SECRET).update(id).digest("base64url");
+}
+
+/**
+ * Verify a request scope header was signed by this server.
+ * @param {unknown} header - The value of the request scope header.
+ * @return {string | undefined} - The scope ID, undefined when the header is missing or was not signed by this server.
+ */
+function verifyScopeHeader(header: unknown): string | undefined {
+  if (typeof header !== "string") {
+    return undefined;
+  }
+
+  const [id, signature = ""] = header.split(".");
+  const expected = Buffer.from(signScopeId(id));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+    ? id
+    : undefined;
+}
+
+/**
+ * Give every request its own service container
+ * @description Each request gets a scope of the server's container, holding its 'request' services, which is disposed once the reply has been sent.
+ * Child components rendered internally for a request share its scope, so nested components see the same request services.
+ * The scope is only shared with requests carrying its ID signed by this server, any other request gets a new scope.
+ * @param {Assembly} app - The application to add the request scopes to.
+ * @return {void}
+ * @author Zach Ayers
+ */
+export function setupRequestScopes(app: Assembly): void {
+  app.decorateRequest("services", null);
+
+  app.addHook("onRequest", (request, reply, done) => {
+    const sharedId = verifyScopeHeader(
+      request.headers[CONSTANTS.requestScopeHeader]
+    );
+    const sharedScope = sharedId ? activeScopes.get(sharedId) : undefined;
+
+    // Child component renders share the scope of the request rendering them
+    if (sharedId && sharedScope) {
+      scopeIds.set(request, `${sharedId}.${signScopeId(sharedId)}`);
+      request.services = sharedScope;
+      return done();
+    }
+
+    const id = randomUUID();
+    const scope = app.serviceContainer.createScope();
+    activeScopes.set(id, scope);
+    scopeIds.set(request, `${id}.${signScopeId(id)}`);
+    request.services = scope;
+
+    // 'close' is emitted whether the reply finished or the client went away
+    reply.raw.once("close", () => {
+      activeScopes.delete(id);
+      void scope.dispose();
+    });
+
+    done();
+  });
+}
+
+/**
+ * Get the signed ID child component renders use to share the scope of a request
+ * @param {FastifyRequest} request - The request rendering the child components.
+ * @return {string | undefined} - The signed scope ID, undefined when request scopes are not set up.
+ * @author Zach Ayers
+ */
+export function getRequestScopeId(request: FastifyRequest): string | undefined {
+  return scopeIds.get(request);
+}
@@ -0,0 +1,231 @@
+import type {
+  ComponentCircuitBreakerPolicy,
+  ComponentRetryPolicy,
+} from "../../../types/component.address";
+import { HttpError, HttpStatusCode } from "../../../utils/http.utils";
+
+/**
+ * Thrown in place of a request to an origin whose circuit is open.
+ * @author Zachariah Ayers
+ */
+export class CircuitOpenError extends HttpError {
+  /**
+   * Create the error of an open circuit.
+   * @param {string} origin - The origin the request was not sent to.
+   */
+  constructor(origin: string) {
+    super(`Circuit open for ${origin}`, HttpStatusCode.SERVICE_UNAVAILABLE, {
+      origin,
+    });
+    this.name = "CircuitOpenError";
+  }
+}
+
+/**
+ * Counts the failed requests to a remote origin, and cuts its requests short while it keeps failing.
+ * @description The circuit opens after 'failureThreshold' failures in a row. Once 'resetTimeout' has passed,
+ * a single trial request is let through: its success closes the circuit, its failure opens it again.
+ * @author Zachariah Ayers
+ */
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt: number | undefined;
+  private trialPending = false;
+  private readonly failureThreshold: number;
+  private readonly resetTimeout: number;
+
+  /**
+   * Create a closed circuit breaker.
+   * @param {string} origin - The origin guarded by the circuit breaker.
+   * @param {ComponentCircuitBreakerPolicy} policy - When the circuit opens, and for how long.
+   */
+  constructor(
+    public readonly origin: string,
+    policy: ComponentCircuitBreakerPolicy = {}
+  ) {
+    this.failureThreshold = policy.failureThreshold ?? 5;
+    this.resetTimeout = policy.resetTimeout ?? 30000;
+  }
+
+  /**
+   * The state of the circuit.
+   * @return {string} - 'closed' while requests are sent, 'open' while they are cut short, and 'half-open' once a trial request may be sent.
+   */
+  public get state(): "closed" | "open" | "half-open" {
+    if (this.openedAt === undefined) {
+      return "closed";
+    }
+    return Date.now() - this.openedAt >= this.resetTimeout
+      ? "half-open"
+      : "open";
+  }
+
+  /**
+   * Send a request through the circuit.
+   * @param {Function} request - Sends the request.
+   * @return {Promise<T>} - The result of the request.
+   * @throws {CircuitOpenError} When the circuit is open, without sending the request.
+   */
+  public async execute<T>(request: () => Promise<T>): Promise<T> {
+    const state = this.state;
+    if (state === "open" || (state === "half-open" && this.trialPending)) {
+      throw new CircuitOpenError(this.origin);
+    }
+
+    const isTrial = state === "half-open";
+    this.trialPending = isTrial;
+    try {
+      const result = await request();
+      this.failures = 0;
+      this.openedAt = undefined;
+      return result;
+    } catch (error) {
+      // Requests the origin rejected on their own merits say nothing about its health
+      if (isRetryableError(error)) {
+        this.failures++;
+        if (isTrial || this.failures >= this.failureThreshold) {
+          this.openedAt = Date.now();
+        }
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialPending = false;
+      }
+    }
+  }
+}
+
+// One circuit breaker per remote origin, shared by every child component it serves
+const circuitBreakers = new Map<string, CircuitBreaker>();
+
+/**
+ * Get the circuit breaker of a remote origin, creating it on first use.
+ * @param {string} origin - The origin, such as 'https://my-components.com'.
+ * @param {ComponentCircuitBreakerPolicy} policy - The policy of a new circuit breaker, ignored once it exists.
+ * @return {CircuitBreaker} - The circuit breaker of the origin.
+ * @author Zachariah Ayers
+ */
+export function getCircuitBreaker(
+  origin: string,
+  policy?: ComponentCircuitBreakerPolicy
+): CircuitBreaker {
+  let breaker = circuitBreakers.get(origin);
+  if (!breaker) {
+    breaker = new CircuitBreaker(origin, policy);
+    circuitBreakers.set(origin, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Forget every circuit breaker, closing all circuits.
+ * @author Zachariah Ayers
+ */
+export function resetCircuitBreakers(): void {
+  circuitBreakers.clear();
+}
+
+/**
+ * Whether a failed request may succeed when sent again.
+ * @description Timeouts, network errors and 408, 429 and 5xx responses may. An open circuit, a component nested too deeply (508)
+ * and any other response may not.
+ * @param {unknown} error - The failure of the request, an HttpError or an axios error.
+ * @return {boolean} - Whether to retry the request.
+ * @author Zachariah Ayers
+ */
+export function isRetryableError(error: unknown): boolean {
+  if (error instanceof CircuitOpenError) {
+    return false;
+  }
+
+  const failure = error as {
+    statusCode?: number;
+    response?: { status?: number };
+  };
+  const status =
+    error instanceof HttpError ? failure.statusCode : failure?.response?.status;
+
+  // No response at all: a timeout or network error
+  if (status === undefined) {
+    return true;
+  }
+
+  return (
+    status === HttpStatusCode.REQUEST_TIMEOUT ||
+    status === HttpStatusCode.TOO_MANY_REQUESTS ||
+    (status >= 500 && status !== HttpStatusCode.LOOP_DETECTED)
+  );
+}
+
+/**
+ * Send a request, retrying it with exponential backoff while it fails.
+ * @param {Function} request - Sends the request, receives the number of the attempt starting at 0.
+ * @param {number | ComponentRetryPolicy} policy - A number of retries, or a retry policy. No retries without one.
+ * @param {number} deadline - Epoch time (ms) after which no retry is started.
+ * @return {Promise<T>} - The result of the first successful attempt.
+ * @throws The failure of the last attempt.
+ * @author Zachariah Ayers
+ */
+export async function withRetry<T>(
+  request: (attempt: number) => Promise<T>,
+  policy?: number | ComponentRetryPolicy,
+  deadline?: number
+): Promise<T> {
+  const {
+    retries,
+    backoff = 100,
+    maxBackoff = 2000,
+  } = typeof policy === "number"
+    ? { retries: policy }
+    : policy ?? { retries: 0 };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      const delay = Math.min(backoff * 2 ** attempt, maxBackoff);
+      if (
+        attempt >= retries ||
+        !isRetryableError(error) ||
+        (deadline !== undefined && Date.now() + delay >= deadline)
+      ) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Fail a request which has not settled by a deadline.
+ * @param {Promise<T>} request - The pending request.
+ * @param {number} deadline - Epoch time (ms) the request must settle by. Without one, the request is returned as it is.
+ * @return {Promise<T>} - The result of the request.
+ * @throws {HttpError} A 504 error once the deadline is reached.
+ * @author Zachariah Ayers
+ */
+export function withDeadline<T>(
+  request: Promise<T>,
+  deadline?: number
+): Promise<T> {
+  if (deadline === undefined) {
+    return request;
+  }
+
+  let timer: NodeJS.Timeout | undefined;
+  const expired = new Promise<never>((_resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new HttpError(
+            "Render deadline reached",
+            HttpStatusCode.GATEWAY_TIMEOUT
+          )
+        ),
+      Math.max(deadline - Date.now(), 0)
+    );
+  });
+
+  return Promise.race([request, expired]).finally(() => clearTimeout(timer));
+}
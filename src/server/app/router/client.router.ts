@@ -0,0 +1,34 @@
+import type { BlueprintServerOptions } from "../../../types/blueprint.server.options";
+
+// The routes of every exposed Blueprint, when the client router is enabled
+let clientRouterRoutes: string[] | undefined;
+
+/**
+ * Get the Blueprint routes the client router navigates between without full page reloads.
+ * @return {string[] | undefined} - The routes, undefined when the client router is not enabled.
+ * @author Zach Ayers
+ */
+export function getClientRouterRoutes(): string[] | undefined {
+  return clientRouterRoutes;
+}
+
+/**
+ * Set up the client router, when enabled with the 'router' option.
+ * @description Collects the route of every exposed Blueprint view, which are announced to the client bundle on each Blueprint page.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {void}
+ * @author Zach Ayers
+ */
+export function setupClientRouter(userOpts: BlueprintServerOptions): void {
+  clientRouterRoutes = undefined;
+  if (!userOpts.router) {
+    return;
+  }
+
+  clientRouterRoutes = (userOpts.manifest.components ?? []).flatMap(
+    (component) =>
+      component.views
+        .filter((view) => view.exposeAsBlueprint)
+        .map((view) => `/${component.path}/${view.viewName}/`)
+  );
+}
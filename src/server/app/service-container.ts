@@ -1,18 +1,85 @@
 import type { Service } from "../abstract/service";
+import { CONSTANTS } from "../../constants/blueprint.constants";
+import { logger } from "../../utils/logger.utils";
+
+// Logger for service container operations
+const log = logger(`${CONSTANTS.defaultLoggerClassName}:services`);
+
+/**
+ * How long an instance of a service lives
+ * @description 'singleton' services are shared by the whole server, 'request' services are shared within a single request,
+ * and 'transient' services are constructed every time they are resolved.
+ * @author Zach Ayers
+ * @public
+ */
+export type ServiceLifetime = "singleton" | "request" | "transient";
+
+/**
+ * A service class which can be constructed by the container
+ * @author Zach Ayers
+ * @public
+ */
+export type ServiceClass<T extends Service = Service> = {
+  new (...args: any[]): T;
+  inject?: string[];
+  lifetime?: ServiceLifetime;
+};
 
 /**
- * Service Container - Simple dependency injection container for AssembleJS
- * @description A lightweight container that maintains singleton services that can be injected into controllers
+ * Options for registering a service class, overriding the static options declared on the class
  * @author Zach Ayers
+ * @public
+ */
+export interface ServiceRegistrationOptions {
+  /** How long an instance of the service lives */
+  lifetime?: ServiceLifetime;
+  /** Tokens of the services passed to the constructor, in order */
+  inject?: string[];
+}
+
+/**
+ * How the container provides a single service
+ */
+interface ServiceProvider {
+  lifetime: ServiceLifetime;
+  inject: string[];
+  ServiceClass?: ServiceClass;
+  instance?: Service;
+}
+
+/**
+ * Service Container - Dependency injection container for AssembleJS
+ * @description Services are registered as instances, or as classes which are constructed with the services they depend on.
+ * Request scopes are child containers, created with 'createScope', which hold the instances of 'request' services.
+ * 'request' and 'transient' services are initialized as they are resolved, and disposed along with the container that resolved them.
+ * @author Zach Ayers
+ * @example
+ * ```typescript
+ * const container = ServiceContainer.getInstance();
+ * container.register("userService", UserService);
+ * container.register("cartService", CartService, { lifetime: "request" });
+ * await container.initialize();
+ *
+ * const scope = container.createScope();
+ * const cart = scope.get<CartService>("cartService");
+ * await scope.dispose();
+ * ```
  */
 export class ServiceContainer {
   private static instance: ServiceContainer;
-  private services: Map<string, Service> = new Map();
+  private services: Map<string, ServiceProvider> = new Map();
+  private instances: Map<string, Service> = new Map();
+  // Services owned by this container, in the order they were created
+  private owned: Service[] = [];
+  private initialized: Set<Service> = new Set();
+  // Initialization of the 'request' and 'transient' services, started when they are resolved
+  private initializing: Map<Service, Promise<void>> = new Map();
 
   /**
    * Private constructor to enforce singleton pattern
+   * @param {ServiceContainer} parent - The container this scope was created from
    */
-  private constructor() {}
+  private constructor(private readonly parent?: ServiceContainer) {}
 
   /**
    * Get the singleton instance of the service container
@@ -31,21 +98,72 @@ export class ServiceContainer {
    * @param {T} service - The service instance (must extend Service base class)
    * @return {void}
    */
-  public register<T extends Service>(token: string, service: T): void {
-    this.services.set(token, service);
+  public register<T extends Service>(token: string, service: T): void;
+  /**
+   * Register a service class with the container, which is constructed when first resolved
+   * @param {string} token - The identifier for the service
+   * @param {ServiceClass<T>} service - The service class (must extend Service base class)
+   * @param {ServiceRegistrationOptions} options - Overrides for the lifetime and dependencies declared on the class
+   * @return {void}
+   */
+  public register<T extends Service>(
+    token: string,
+    service: ServiceClass<T>,
+    options?: ServiceRegistrationOptions
+  ): void;
+  /**
+   * Register a service instance or class with the container
+   * @param {string} token - The identifier for the service
+   * @param {T | ServiceClass<T>} service - The service instance or class
+   * @param {ServiceRegistrationOptions} options - Overrides for the lifetime and dependencies declared on a class
+   * @return {void}
+   */
+  public register<T extends Service>(
+    token: string,
+    service: T | ServiceClass<T>,
+    options: ServiceRegistrationOptions = {}
+  ): void {
+    this.instances.delete(token);
+
+    if (typeof service === "function") {
+      this.services.set(token, {
+        lifetime: options.lifetime ?? service.lifetime ?? "singleton",
+        inject: options.inject ?? service.inject ?? [],
+        ServiceClass: service,
+      });
+      return;
+    }
+
+    this.services.set(token, {
+      lifetime: "singleton",
+      inject: [],
+      instance: service,
+    });
+    this.owned.push(service);
   }
 
   /**
    * Get a service from the container
    * @param {string} token - The identifier for the service
    * @return {T} The service instance
-   * @throws Error if the service is not registered
+   * @throws Error if the service is not registered, its dependencies are circular,
+   * or it is a 'request' service resolved outside a request scope
    */
   public get<T extends Service>(token: string): T {
-    if (!this.services.has(token)) {
-      throw new Error(`Service with token '${token}' not registered`);
-    }
-    return this.services.get(token) as T;
+    return this.resolve(token, []) as T;
+  }
+
+  /**
+   * Get a service from the container, once it has been initialized
+   * @description 'request' and 'transient' services start initializing when they are resolved, this waits for it to finish.
+   * @param {string} token - The identifier for the service
+   * @return {Promise<T>} The initialized service instance
+   * @throws Error if the service can not be resolved, or fails to initialize
+   */
+  public async getAsync<T extends Service>(token: string): Promise<T> {
+    const service = this.get<T>(token);
+    await this.initializing.get(service);
+    return service;
   }
 
   /**
@@ -54,7 +172,77 @@ export class ServiceContainer {
    * @return {boolean} True if the service is registered, false otherwise
    */
   public has(token: string): boolean {
-    return this.services.has(token);
+    return this.getProvider(token) !== undefined;
+  }
+
+  /**
+   * Create a request scope
+   * @description The scope resolves singletons from this container, and holds its own instance of each 'request' service.
+   * Services registered on the scope are only visible within it.
+   * @return {ServiceContainer} The request scope
+   */
+  public createScope(): ServiceContainer {
+    return new ServiceContainer(this);
+  }
+
+  /**
+   * Construct and initialize every singleton service
+   * @description Services are initialized after the services they depend on, and any failure is thrown.
+   * @return {Promise<void>} A promise that resolves when every singleton has been initialized
+   * @throws Error if a dependency is missing or circular, or a service fails to initialize
+   */
+  public async initialize(): Promise<void> {
+    for (const token of this.getInitializationOrder()) {
+      if (this.services.get(token)?.lifetime !== "singleton") {
+        continue;
+      }
+
+      const service = this.get(token);
+      if (this.initialized.has(service)) {
+        continue;
+      }
+
+      try {
+        await service.initialize?.();
+      } catch (error) {
+        throw new Error(
+          `Failed to initialize service '${token}': ${
+            error instanceof Error ? error.message : String(error)
+          }`
+        );
+      }
+
+      this.initialized.add(service);
+      log.debug(`Service initialized: ${token}`);
+    }
+  }
+
+  /**
+   * Dispose every service owned by this container
+   * @description Services are disposed in the reverse order they were created, so dependents are disposed first.
+   * Failures are logged, so every service is given the chance to dispose.
+   * @return {Promise<void>} A promise that resolves when every service has been disposed
+   */
+  public async dispose(): Promise<void> {
+    // Never dispose a service while it is still initializing
+    await Promise.allSettled(this.initializing.values());
+
+    const owned = this.owned.reverse();
+    this.owned = [];
+    this.instances.clear();
+    this.initialized.clear();
+    this.initializing.clear();
+
+    for (const service of owned) {
+      try {
+        await service.dispose?.();
+      } catch (error) {
+        log.error(
+          `Failed to dispose service ${service.constructor.name}`,
+          error
+        );
+      }
+    }
   }
 
   /**
@@ -63,5 +251,192 @@ export class ServiceContainer {
    */
   public clear(): void {
     this.services.clear();
+    this.instances.clear();
+    this.owned = [];
+    this.initialized.clear();
+    this.initializing.clear();
+  }
+
+  /**
+   * Get the order services are initialized in, dependencies first
+   * @return {Array<string>} The service tokens
+   * @throws Error if a dependency is missing or circular
+   */
+  private getInitializationOrder(): string[] {
+    const order: string[] = [];
+    const visited = new Set<string>();
+
+    const visit = (token: string, path: string[]) => {
+      if (path.includes(token)) {
+        throw new Error(
+          `Circular service dependency: ${[...path, token].join(" -> ")}`
+        );
+      }
+      if (visited.has(token)) {
+        return;
+      }
+
+      const provider = this.getProvider(token);
+      if (!provider) {
+        throw new Error(
+          `Service '${
+            path[path.length - 1]
+          }' depends on '${token}', which is not registered`
+        );
+      }
+
+      provider.inject.forEach((dependency) =>
+        visit(dependency, [...path, token])
+      );
+      visited.add(token);
+      order.push(token);
+    };
+
+    this.services.forEach((_, token) => visit(token, []));
+    return order;
+  }
+
+  /**
+   * Find the provider of a service, in this container or the container it was created from
+   * @param {string} token - The identifier for the service
+   * @return {ServiceProvider | undefined} The provider, if registered
+   */
+  private getProvider(token: string): ServiceProvider | undefined {
+    return this.services.get(token) ?? this.parent?.getProvider(token);
+  }
+
+  /**
+   * Resolve a service, and the services it depends on
+   * @param {string} token - The identifier for the service
+   * @param {Array<string>} path - The tokens of the services currently being resolved
+   * @return {Service} The service instance
+   */
+  private resolve(token: string, path: string[]): Service {
+    if (path.includes(token)) {
+      throw new Error(
+        `Circular service dependency: ${[...path, token].join(" -> ")}`
+      );
+    }
+
+    const provider = this.getProvider(token);
+    if (!provider) {
+      throw new Error(`Service with token '${token}' not registered`);
+    }
+
+    if (provider.instance) {
+      return provider.instance;
+    }
+
+    switch (provider.lifetime) {
+      case "request":
+        if (!this.parent) {
+          throw new Error(
+            `Service '${token}' is request-scoped, and can only be resolved within a request${
+              path.length > 0 ? ` (required by ${path.join(" -> ")})` : ""
+            }`
+          );
+        }
+        return this.own(token, provider, path);
+      case "transient": {
+        // Owned by the resolving container, so it is disposed along with the scope
+        const service = this.construct(token, provider, path);
+        this.owned.push(service);
+        return service;
+      }
+      default:
+        // Singletons are shared, so they are always owned by the root container
+        return this.getRoot().own(token, provider, path);
+    }
+  }
+
+  /**
+   * Get the instance of a service owned by this container, constructing it the first time
+   * @param {string} token - The identifier for the service
+   * @param {ServiceProvider} provider - The provider of the service
+   * @param {Array<string>} path - The tokens of the services currently being resolved
+   * @return {Service} The service instance
+   */
+  private own(
+    token: string,
+    provider: ServiceProvider,
+    path: string[]
+  ): Service {
+    const existing = this.instances.get(token);
+    if (existing) {
+      return existing;
+    }
+
+    const service = this.construct(token, provider, path);
+    this.instances.set(token, service);
+    this.owned.push(service);
+    return service;
+  }
+
+  /**
+   * Start initializing a 'request' or 'transient' service as it is resolved, once the services it depends on are initialized
+   * @description Failures are logged, and thrown to anyone waiting on the service with 'getAsync'.
+   * @param {string} token - The identifier for the service
+   * @param {Service} service - The service instance
+   * @param {Array<Service>} dependencies - The services passed to its constructor
+   * @return {void}
+   */
+  private start(
+    token: string,
+    service: Service,
+    dependencies: Service[]
+  ): void {
+    const initializing = Promise.all(
+      dependencies.map((dependency) => this.initializing.get(dependency))
+    )
+      .then(() => service.initialize?.())
+      .then(
+        () => {
+          this.initialized.add(service);
+          log.debug(`Service initialized: ${token}`);
+        },
+        (error) => {
+          throw new Error(
+            `Failed to initialize service '${token}': ${
+              error instanceof Error ? error.message : String(error)
+            }`
+          );
+        }
+      );
+
+    initializing.catch((error) => log.error(error.message));
+    this.initializing.set(service, initializing);
+  }
+
+  /**
+   * Construct a service with the services it depends on
+   * @param {string} token - The identifier for the service
+   * @param {ServiceProvider} provider - The provider of the service
+   * @param {Array<string>} path - The tokens of the services currently being resolved
+   * @return {Service} The service instance
+   */
+  private construct(
+    token: string,
+    provider: ServiceProvider,
+    path: string[]
+  ): Service {
+    const dependencies = provider.inject.map((dependency) =>
+      this.resolve(dependency, [...path, token])
+    );
+    const ServiceClass = provider.ServiceClass as ServiceClass;
+    const service = new ServiceClass(...dependencies);
+
+    // Singletons are initialized in dependency order by 'initialize'
+    if (provider.lifetime !== "singleton") {
+      this.start(token, service, dependencies);
+    }
+    return service;
+  }
+
+  /**
+   * Get the container every scope was created from
+   * @return {ServiceContainer} The root container
+   */
+  private getRoot(): ServiceContainer {
+    return this.parent ? this.parent.getRoot() : this;
   }
 }
@@ -0,0 +1,357 @@
+import type { Assembly } from "../../../types/blueprint.simple.types";
+import type { BlueprintServerOptions } from "../../../types/blueprint.server.options";
+import path from "path";
+import fs from "fs";
+import { parse } from "node-html-parser";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import {
+  ensureDirectoryExistence,
+  getServerRoot,
+} from "../../../utils/directory.utils";
+import { logger } from "../../../utils/logger.utils";
+import { getEnv } from "../../../utils/env.utils";
+import { toBoolean } from "../../../utils/boolean.utils";
+
+// Logger for static export operations
+const log = logger(`${CONSTANTS.defaultLoggerClassName}:static-export`);
+
+/**
+ * A single page to prerender during a static export.
+ * @author Zach Ayers
+ */
+export interface StaticExportRoute {
+  /** The URL to request from the server, including any query string */
+  url: string;
+  /** The URL of the page's hydration data, written alongside the page as JSON */
+  dataUrl?: string;
+  /**
+   * The directory, relative to the output directory, the page is written to as 'index.html'.
+   * Defaults to the URL path, followed by a segment for each query parameter.
+   */
+  output?: string;
+}
+
+/**
+ * Static export configuration for a Component view.
+ * @description Set to 'false' to opt a view that needs request-time data out of the static export,
+ * or declare the query parameter permutations that should each be prerendered.
+ * @author Zach Ayers
+ */
+export type StaticViewConfig =
+  | boolean
+  | {
+      /** Query parameter permutations to prerender, one page is written per permutation */
+      permutations: Array<Record<string, string>>;
+    };
+
+/**
+ * Static export configuration options
+ * @author Zach Ayers
+ */
+export interface StaticExportConfig {
+  /**
+   * The directory the static site is written to, relative to the server root
+   * @default "static"
+   */
+  outDir?: string;
+  /** Additional pages to prerender, alongside every exposed Blueprint view */
+  routes?: Array<string | StaticExportRoute>;
+}
+
+/**
+ * The outcome of a static export.
+ * @author Zach Ayers
+ */
+export interface StaticExportResult {
+  /** The directory the static site was written to */
+  outDir: string;
+  /** The files written, relative to the output directory */
+  files: string[];
+  /** The URLs which failed to render */
+  failures: string[];
+}
+
+// Settled once the in-process static export has finished
+let resolveStaticExport: (result: StaticExportResult) => void;
+let rejectStaticExport: (error: unknown) => void;
+const staticExportComplete = new Promise<StaticExportResult>(
+  (resolve, reject) => {
+    resolveStaticExport = resolve;
+    rejectStaticExport = reject;
+  }
+);
+
+// The promise is only awaited by the build, never leave it unhandled when nobody is listening
+staticExportComplete.catch(() => undefined);
+
+/**
+ * Check whether the build requested a static export.
+ * @return {boolean} - True when the server should export the static site instead of listening.
+ * @author Zach Ayers
+ */
+export function isStaticExport(): boolean {
+  return toBoolean(getEnv(CONSTANTS.env.staticExport.key) as string);
+}
+
+/**
+ * Wait for the in-process static export to finish.
+ * @return {Promise<StaticExportResult>} - The outcome of the static export.
+ * @author Zach Ayers
+ */
+export function whenStaticExportComplete(): Promise<StaticExportResult> {
+  return staticExportComplete;
+}
+
+/**
+ * Convert a request URL into the directory its page is written to.
+ * @param {string} url - The request URL, including any query string.
+ * @return {string} - The output directory, relative to the static export root.
+ * @author Zach Ayers
+ */
+export function getStaticOutputDir(url: string): string {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  const querySegments = [...searchParams.entries()].map(([key, value]) =>
+    `${key}-${value}`.replace(/[^\w.-]+/g, "_")
+  );
+
+  return path.join(
+    ...pathname.split("/").filter((segment) => segment.length > 0),
+    ...querySegments
+  );
+}
+
+/**
+ * Collect every page that should be prerendered.
+ * @description Every exposed Blueprint view is included unless it opts out,
+ * followed by any additional routes provided by the user.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {StaticExportRoute[]} - The pages to prerender.
+ * @author Zach Ayers
+ */
+export function getStaticExportRoutes(
+  userOpts: BlueprintServerOptions
+): StaticExportRoute[] {
+  const routes: StaticExportRoute[] = [];
+
+  userOpts.manifest.components?.forEach((component) => {
+    component.views.forEach((view) => {
+      if (!view.exposeAsBlueprint || view.static === false) {
+        return;
+      }
+
+      const viewUrl = `/${component.path}/${view.viewName}/`;
+      const permutations =
+        typeof view.static === "object" ? view.static.permutations : [{}];
+
+      permutations.forEach((query) => {
+        const search = new URLSearchParams(query).toString();
+        const dataSearch = new URLSearchParams({
+          ...query,
+          DATA_ONLY: "true",
+        }).toString();
+
+        routes.push({
+          url: search ? `${viewUrl}?${search}` : viewUrl,
+          dataUrl: `${viewUrl}?${dataSearch}`,
+        });
+      });
+    });
+  });
+
+  userOpts.static?.routes?.forEach((route) => {
+    routes.push(typeof route === "string" ? { url: route } : route);
+  });
+
+  return routes;
+}
+
+/**
+ * Point the assets of a rendered page, written against the server's own origin, at the root of the static site.
+ * @description The server writes bundle and asset URLs as absolute URLs, which would keep the exported page loading them from the server.
+ * @param {string} html - The rendered page.
+ * @param {string} origin - The origin the page was rendered for, such as 'http://localhost'.
+ * @return {string} - The page, with every asset of the origin referenced by a root-relative URL.
+ * @author Zach Ayers
+ */
+export function toRootRelativeAssets(html: string, origin: string): string {
+  const document = parse(html);
+  const assets: Array<[string, string]> = [
+    ["script[src]", "src"],
+    [
+      `script[${CONSTANTS.componentLazySrcIdentifier}]`,
+      CONSTANTS.componentLazySrcIdentifier,
+    ],
+    ["link[href]", "href"],
+    ["img[src]", "src"],
+  ];
+
+  assets.forEach(([selector, attribute]) => {
+    document.querySelectorAll(selector).forEach((el) => {
+      const url = el.getAttribute(attribute);
+      if (url === undefined || !/^https?:\/\//i.test(url)) {
+        return;
+      }
+
+      const { origin: assetOrigin, pathname, search, hash } = new URL(url);
+      if (assetOrigin === origin) {
+        el.setAttribute(attribute, `${pathname}${search}${hash}`);
+      }
+    });
+  });
+
+  return document.toString();
+}
+
+/**
+ * Collect the local assets referenced by a rendered page.
+ * @param {string} html - The rendered page.
+ * @return {string[]} - The asset URLs, excluding anything served from another origin.
+ * @author Zach Ayers
+ */
+export function getLocalAssetUrls(html: string): string[] {
+  const document = parse(html);
+  const urls = [
+    ...document.querySelectorAll("script[src]").map((el) => el.attrs["src"]),
+    // The scripts of islands, loaded once their hydration strategy is met
+    ...document
+      .querySelectorAll(`script[${CONSTANTS.componentLazySrcIdentifier}]`)
+      .map((el) => el.attrs[CONSTANTS.componentLazySrcIdentifier]),
+    ...document.querySelectorAll("link[href]").map((el) => el.attrs["href"]),
+    ...document.querySelectorAll("img[src]").map((el) => el.attrs["src"]),
+  ];
+
+  return urls.filter(
+    (url) => url !== undefined && url.startsWith("/") && !url.startsWith("//")
+  );
+}
+
+/**
+ * Write a file into the static export.
+ * @param {string} outDir - The static export root.
+ * @param {string} relativePath - The path of the file, relative to the static export root.
+ * @param {string | Buffer} contents - The contents of the file.
+ * @return {string} - The relative path that was written.
+ */
+function writeStaticFile(
+  outDir: string,
+  relativePath: string,
+  contents: string | Buffer
+): string {
+  const filePath = path.join(outDir, relativePath);
+  ensureDirectoryExistence(filePath);
+  fs.writeFileSync(filePath, contents);
+  return relativePath;
+}
+
+/**
+ * Prerender the application into a directory that can be served by any static host.
+ * @description Each page is rendered through the server itself, so the output matches what the server would send.
+ * Pages are written as 'index.html', hydration data as 'data/index.json', and every local asset a page references is copied alongside.
+ * @param {Assembly} app - The (ready, but not listening) application to render with.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @param {string} outDir - The directory to write the static site to.
+ * @return {Promise<StaticExportResult>} - The outcome of the static export.
+ * @author Zach Ayers
+ */
+export async function exportStaticSite(
+  app: Assembly,
+  userOpts: BlueprintServerOptions,
+  outDir: string
+): Promise<StaticExportResult> {
+  const result: StaticExportResult = { outDir, files: [], failures: [] };
+  const assetUrls = new Set<string>();
+  // Every request is made for a known host, so the absolute URLs the server writes can be made root-relative
+  const host = CONSTANTS.staticExportHost;
+  const origin = `http://${host}`;
+  const request = (url: string) => app.inject().headers({ host }).get(url);
+
+  for (const route of getStaticExportRoutes(userOpts)) {
+    const pageDir = route.output ?? getStaticOutputDir(route.url);
+    const page = await request(route.url);
+
+    if (page.statusCode !== 200) {
+      log.warn(
+        `Skipping static page ${route.url}, the server responded with ${page.statusCode}`
+      );
+      result.failures.push(route.url);
+      continue;
+    }
+
+    const html = toRootRelativeAssets(page.payload, origin);
+    result.files.push(
+      writeStaticFile(outDir, path.join(pageDir, "index.html"), html)
+    );
+    getLocalAssetUrls(html).forEach((url) => assetUrls.add(url));
+
+    if (route.dataUrl !== undefined) {
+      const data = await request(route.dataUrl);
+
+      if (data.statusCode === 200) {
+        result.files.push(
+          writeStaticFile(
+            outDir,
+            path.join(pageDir, "data", "index.json"),
+            data.payload
+          )
+        );
+      } else {
+        log.warn(
+          `Skipping static data ${route.dataUrl}, the server responded with ${data.statusCode}`
+        );
+        result.failures.push(route.dataUrl);
+      }
+    }
+  }
+
+  for (const url of assetUrls) {
+    const assetPath = new URL(url, "http://localhost").pathname;
+
+    // Links to pages (i.e. a canonical link) are not assets
+    if (assetPath.endsWith("/")) {
+      continue;
+    }
+
+    const asset = await request(url);
+
+    if (asset.statusCode !== 200) {
+      log.warn(
+        `Skipping static asset ${url}, the server responded with ${asset.statusCode}`
+      );
+      result.failures.push(url);
+      continue;
+    }
+
+    result.files.push(writeStaticFile(outDir, assetPath, asset.rawPayload));
+  }
+
+  return result;
+}
+
+/**
+ * Run the in-process static export for a server started by the build.
+ * @description The output directory is cleared first. Settles the promise returned by 'whenStaticExportComplete',
+ * and closes the server once done.
+ * @param {Assembly} app - The application to render with.
+ * @param {BlueprintServerOptions} userOpts - The user options to use.
+ * @return {Promise<void>} - Resolves once the server has closed.
+ * @author Zach Ayers
+ */
+export async function runStaticExport(
+  app: Assembly,
+  userOpts: BlueprintServerOptions
+): Promise<void> {
+  const outDir = path.resolve(
+    getServerRoot(),
+    userOpts.static?.outDir ?? "static"
+  );
+
+  try {
+    await app.ready();
+    fs.rmSync(outDir, { recursive: true, force: true });
+    resolveStaticExport(await exportStaticSite(app, userOpts, outDir));
+  } catch (error) {
+    rejectStaticExport(error);
+  } finally {
+    await app.close();
+  }
+}
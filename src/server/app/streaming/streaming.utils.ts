@@ -0,0 +1,133 @@
+import { PassThrough } from "stream";
+import type { Readable } from "stream";
+import { randomUUID } from "crypto";
+import { CONSTANTS } from "../../../constants/blueprint.constants";
+import { encodeHtml } from "../../../utils/html.utils";
+
+/**
+ * A child component that is streamed in after the Blueprint shell.
+ * @author Zach Ayers
+ */
+export interface StreamedComponent {
+  /** The name of the child component - doubles as the templating variable */
+  name: string;
+  /** The ID of the placeholder element in the Blueprint shell */
+  placeholderId: string;
+  /** The rendered child component, resolved once its content request completes */
+  content: Promise<Buffer>;
+}
+
+/**
+ * Build the placeholder element that is rendered in place of a streamed child component.
+ * @param {string} name - The name of the child component.
+ * @return {object} - The placeholder ID and its HTML.
+ * @author Zach Ayers
+ */
+export function createStreamPlaceholder(name: string): {
+  id: string;
+  html: string;
+} {
+  const id = randomUUID();
+
+  return {
+    id,
+    html: `<div id="${CONSTANTS.streamPlaceholderPrefix}${id}" ${
+      CONSTANTS.streamPlaceholderIdentifier
+    }="${encodeHtml(name)}"></div>`,
+  };
+}
+
+/**
+ * Build the inline runtime which swaps streamed child components into their placeholders.
+ * @description Scripts inside a streamed component are re-created so they execute,
+ * but only once the document has loaded so the deferred client bundle is available to them.
+ * @return {string} - The runtime script tag.
+ * @author Zach Ayers
+ */
+export function buildStreamRuntime(): string {
+  const prefix = CONSTANTS.streamPlaceholderPrefix;
+  const global = CONSTANTS.streamRuntimeGlobal;
+
+  return `<script>(function(w,d){if(w.${global})return;var q=[];function x(s){var n=d.createElement("script"),y=s.getAttribute("data-assemblejs-type");for(var i=0;i<s.attributes.length;i++){var a=s.attributes[i];if(a.name!=="type"&&a.name!=="data-assemblejs-type")n.setAttribute(a.name,a.value)}if(y)n.setAttribute("type",y);n.async=false;n.text=s.text;s.parentNode.replaceChild(n,s)}function r(){q.splice(0).forEach(x)}d.addEventListener("DOMContentLoaded",r);w.${global}=function(id){var p=d.getElementById("${prefix}"+id),t=d.getElementById("${prefix}"+id+":content");if(!p||!t)return;var f=t.content.cloneNode(true);[].slice.call(f.querySelectorAll("script")).forEach(function(s){var y=s.getAttribute("type");if(y&&y!=="module"&&y.indexOf("javascript")<0)return;if(y)s.setAttribute("data-assemblejs-type",y);s.setAttribute("type","text/assemblejs-deferred");q.push(s)});p.parentNode.replaceChild(f,p);t.parentNode.removeChild(t);if(d.readyState!=="loading")r()}})(window,document)</script>`;
+}
+
+/**
+ * Build the chunk that streams a child component into the Blueprint.
+ * @param {string} placeholderId - The ID of the placeholder to replace.
+ * @param {string} html - The rendered child component.
+ * @return {string} - The chunk to write to the stream.
+ * @author Zach Ayers
+ */
+export function buildStreamChunk(placeholderId: string, html: string): string {
+  const prefix = CONSTANTS.streamPlaceholderPrefix;
+
+  return `<template id="${prefix}${placeholderId}:content">${html}</template><script>window.${CONSTANTS.streamRuntimeGlobal}("${placeholderId}")</script>`;
+}
+
+/**
+ * Split a rendered Blueprint shell at its closing body tag.
+ * @description Streamed components are written between the two halves so they land inside the body.
+ * @param {string} html - The rendered Blueprint shell.
+ * @return {Array<string>} - The shell up to (and the remainder from) the closing body tag.
+ * @author Zach Ayers
+ */
+export function splitBlueprintShell(html: string): [string, string] {
+  const bodyClose = html.lastIndexOf("</body>");
+
+  if (bodyClose === -1) {
+    return [html, ""];
+  }
+
+  return [html.slice(0, bodyClose), html.slice(bodyClose)];
+}
+
+/**
+ * Create the stream of a Blueprint response.
+ * @description The shell is written immediately, each child component is written in the order its content resolves,
+ * and the stream ends with the remainder of the shell.
+ * @param {string} shell - The rendered Blueprint shell, including placeholders.
+ * @param {StreamedComponent[]} components - The child components to stream in.
+ * @param {Function} transform - Transformation applied to each child component before it is written.
+ * @param {Function} onComplete - Called with the full streamed document once the stream ends.
+ * @return {Readable} - The Blueprint response stream.
+ * @author Zach Ayers
+ */
+export function createBlueprintStream(
+  shell: string,
+  components: StreamedComponent[],
+  transform: (html: string) => string = (html) => html,
+  onComplete?: (html: string) => void
+): Readable {
+  const stream = new PassThrough();
+  const [head, tail] = splitBlueprintShell(shell);
+  const written: string[] = [];
+
+  const write = (chunk: string) => {
+    written.push(chunk);
+    stream.write(chunk);
+  };
+
+  write(head);
+  write(buildStreamRuntime());
+
+  Promise.all(
+    components.map((component) =>
+      component.content.then((content) => {
+        write(
+          buildStreamChunk(
+            component.placeholderId,
+            transform(content.toString())
+          )
+        );
+      })
+    )
+  )
+    .then(() => {
+      write(tail);
+      stream.end();
+      onComplete?.(written.join(""));
+    })
+    .catch((error) => stream.destroy(error));
+
+  return stream;
+}
@@ -155,5 +155,7 @@ export const ASSEMBLEJS = {
     "/assets/*",
     "/public/*",
     "/static/*",
+    // Channels are authorized individually by the server events endpoint
+    "/__asmbl__/events*",
   ],
 };
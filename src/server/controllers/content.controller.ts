@@ -4,7 +4,11 @@ import type {
   BlueprintDevServer,
   BlueprintServerOptions,
 } from "../../types/blueprint.server.options";
-import type { ComponentView } from "../../types/component.view";
+import type {
+  ComponentView,
+  ViewErrorInfo,
+  ViewErrorPhase,
+} from "../../types/component.view";
 import type { ComponentFactory } from "../../types/component.factory";
 import type { ComponentParams } from "../../types/component.params";
 import type { Component } from "../../types/component";
@@ -13,13 +17,21 @@ import type { FastifyReply } from "fastify";
 import { ASSEMBLEJS } from "../config/blueprint.config";
 import { combine } from "../../utils/object.utils";
 import { encodeHtml } from "../../utils/html.utils";
+import { HttpError } from "../../utils/http.utils";
 import { encodeJson } from "../../utils/json.utils";
 import { getSafeContext } from "../../utils/context.utils";
 import {
   cacheRenderedComponent,
+  encodeCacheTags,
   getCachedRenderedComponent,
   isStaticAsset,
+  mutateStreamedComponent,
 } from "../../utils/component.utils";
+import { createBlueprintStream } from "../app/streaming/streaming.utils";
+import {
+  isRevalidationRequest,
+  revalidateView,
+} from "../app/cache/cache.integration";
 import type { AnyObject } from "../../types/object.any";
 
 /**
@@ -72,6 +84,8 @@ export class ContentController extends ComponentController {
         // TODO, finalize auth patterns. There is basic auth when deployed for now.
         ...(!view.exposeAsBlueprint &&
           !ASSEMBLEJS.isLocal() && { preHandler: app.auth([app.basicAuth]) }),
+        // Compressing a streamed Blueprint would buffer it until the last component resolves
+        ...(view.streaming && { compress: false }),
         ...userOpts.manifest.shared?.routeOpts,
         ...component.shared?.routeOpts,
         ...view.routeOpts,
@@ -88,20 +102,72 @@ export class ContentController extends ComponentController {
         // Generate a cache key based on the URL and query parameters
         const cacheKey = `${component.path}:${view.viewName}:${requestUrl}`;
 
+        // Child components report their cache tags to the parent embedding them
+        const IS_CHILD = Boolean(request.headers[ASSEMBLEJS.blueprintIdHeader]);
+        const reportCacheTags = (tags: Iterable<string>) => {
+          const header = encodeCacheTags(tags);
+          if (IS_CHILD && header) {
+            reply.header(ASSEMBLEJS.cacheTagsHeader, header);
+          }
+        };
+
         // Check if we have a cached version and caching is enabled
-        if (app.caches && !DATA_ONLY && !ASSEMBLEJS.isLocal()) {
-          const cachedContent = getCachedRenderedComponent(app, cacheKey);
+        // Revalidations always re-render, replacing the cached version
+        if (
+          app.caches &&
+          !DATA_ONLY &&
+          !ASSEMBLEJS.isLocal() &&
+          !isRevalidationRequest(request.headers)
+        ) {
+          const cachedContent = await getCachedRenderedComponent(app, cacheKey);
 
           if (cachedContent) {
-            // Add cache hit header
-            reply.header("X-Cache", "HIT");
-            return reply.type("text/html").send(Buffer.from(cachedContent));
+            // Serve stale content immediately, and re-render it in the background
+            if (cachedContent.stale) {
+              reply.header("X-Cache", "STALE");
+              void revalidateView(app, requestUrl, {
+                "user-agent": request.headers["user-agent"],
+                authorization: request.headers.authorization,
+                accept: request.headers.accept,
+              });
+            } else {
+              // Add cache hit header
+              reply.header("X-Cache", "HIT");
+            }
+
+            reportCacheTags(cachedContent.tags);
+
+            return reply
+              .type("text/html")
+              .send(Buffer.from(cachedContent.content));
           }
 
           // Mark as cache miss
           reply.header("X-Cache", "MISS");
         }
 
+        // Streaming only applies to the top level Blueprint, child components are always rendered whole
+        const STREAM = view.streaming === true && !DATA_ONLY && !IS_CHILD;
+
+        // Tagged by the factories, and collects the tags of every child component
+        const cacheTags = new Set<string>();
+
+        // Collects the children resolved with fallback content, which must never be cached in place of the real content
+        const fallbacks = new Set<string>();
+
+        // When streaming, start the child fetches and render placeholders in their place
+        const streamedComponents = STREAM
+          ? this.streamViewComponents(
+              app,
+              userOpts,
+              component,
+              view,
+              this.buildChildRequestParams(request),
+              cacheTags,
+              fallbacks
+            )
+          : undefined;
+
         // Build the Node Context
         const context = await this.buildComponentContext(
           view,
@@ -110,15 +176,55 @@ export class ContentController extends ComponentController {
           component,
           request,
           reply,
-          DATA_ONLY
+          DATA_ONLY,
+          streamedComponents?.components,
+          cacheTags,
+          fallbacks
         );
 
+        // Failures of the factories or the template are replaced by the errorTemplate of the view, when it has one
+        const handleViewError = async (err: unknown, phase: ViewErrorPhase) => {
+          const error = err instanceof Error ? err : new Error(String(err));
+          const info: ViewErrorInfo = {
+            phase,
+            componentName: component.path,
+            viewName: view.viewName,
+            statusCode:
+              view.errorStatusCode ??
+              (err instanceof HttpError ? err.statusCode : 500),
+            context,
+          };
+
+          // Data requests expect JSON, never an error template
+          if (!view.errorTemplate || DATA_ONLY) {
+            await this.reportViewError(userOpts, error, info);
+            throw err;
+          }
+
+          // Never cached, so the next request renders the view again
+          const html = await this.renderViewError(
+            userOpts,
+            error,
+            info,
+            view.errorTemplate
+          );
+          return reply
+            .code(info.statusCode)
+            .header(ASSEMBLEJS.errorBoundaryHeader, "true")
+            .type("text/html")
+            .send(html);
+        };
+
         // Run Factories
-        await this.runFactories(context, {
-          global: globalFactories,
-          component: componentFactories,
-          view: viewFactories,
-        });
+        try {
+          await this.runFactories(context, {
+            global: globalFactories,
+            component: componentFactories,
+            view: viewFactories,
+          });
+        } catch (error) {
+          return handleViewError(error, "factory");
+        }
 
         // If requesting data only, send back the public data.
         if (DATA_ONLY) {
@@ -148,7 +254,12 @@ export class ContentController extends ComponentController {
         }
 
         // Finally, render the UI component
-        let html: string | Buffer = await this.render(context);
+        let html: string | Buffer;
+        try {
+          html = await this.render(context);
+        } catch (error) {
+          return handleViewError(error, "render");
+        }
 
         // Check if we need to inject the dev panel after rendering
         // This is for Preact components where the panel needs to be injected into the rendered HTML
@@ -196,6 +307,13 @@ export class ContentController extends ComponentController {
           view.htmlContainerAttributes
             ?.map((className) => encodeHtml(className))
             .join(" ") ?? [];
+        // Islands hydrated on load need no marker
+        const hydrateAttr =
+          view.hydrate && view.hydrate !== "load"
+            ? `${ASSEMBLEJS.componentHydrateIdentifier}="${encodeHtml(
+                view.hydrate
+              )}" `
+            : "";
 
         // Build the data loader
         html = `${html}<script id="${
@@ -206,7 +324,7 @@ export class ContentController extends ComponentController {
 
         // If rendering as a component, include the encapsulation HTML & serialized context DTO
         if (!context.renderAsBlueprint) {
-          html = `<${ASSEMBLEJS.htmlWrapperTag} ${ASSEMBLEJS.componentUrlIdentifier}="${context.serverUrl}" ${ASSEMBLEJS.componentIdIdentifier}="${encodedId}" ${ASSEMBLEJS.componentNameIdentifier}="${encodedNodeName}" ${ASSEMBLEJS.componentViewIdentifier}="${encodedViewName}" ${ASSEMBLEJS.componentNestIdentifier}="${context.nestLevel}" ${ASSEMBLEJS.componentDataIdentifier}="${encodedId}" class="${ASSEMBLEJS.componentClassIdentifier} ${encodedNodeName} ${encodedViewName} ${encodedClassNames}" ${encodedAttrs}>${html}</${ASSEMBLEJS.htmlWrapperTag}>`;
+          html = `<${ASSEMBLEJS.htmlWrapperTag} ${ASSEMBLEJS.componentUrlIdentifier}="${context.serverUrl}" ${ASSEMBLEJS.componentIdIdentifier}="${encodedId}" ${ASSEMBLEJS.componentNameIdentifier}="${encodedNodeName}" ${ASSEMBLEJS.componentViewIdentifier}="${encodedViewName}" ${ASSEMBLEJS.componentNestIdentifier}="${context.nestLevel}" ${ASSEMBLEJS.componentDataIdentifier}="${encodedId}" ${hydrateAttr}class="${ASSEMBLEJS.componentClassIdentifier} ${encodedNodeName} ${encodedViewName} ${encodedClassNames}" ${encodedAttrs}>${html}</${ASSEMBLEJS.htmlWrapperTag}>`;
         }
 
         // Vite HMR Injection
@@ -222,11 +340,44 @@ export class ContentController extends ComponentController {
         }
 
         // Cache the rendered content if caching is enabled and not in development mode
-        if (app.caches && !ASSEMBLEJS.isLocal()) {
-          // Cache the rendered HTML with a default TTL of 5 minutes
-          // Views can override this by setting their own TTL in the view configuration
-          const cacheTtl = view.cacheTtl || 300000; // 5 minutes default
-          cacheRenderedComponent(app, cacheKey, html.toString(), cacheTtl);
+        const cacheHtml = (renderedHtml: string) => {
+          if (app.caches && !ASSEMBLEJS.isLocal() && fallbacks.size === 0) {
+            // Cache the rendered HTML with a default TTL of 5 minutes
+            // Views can override this by setting their own TTL in the view configuration
+            const cacheTtl = view.cacheTtl || 300000; // 5 minutes default
+            // Once stale, keep serving it while it re-renders only when the view opts in
+            const staleTtl = view.staleWhileRevalidate ?? 0;
+            void cacheRenderedComponent(
+              app,
+              cacheKey,
+              renderedHtml,
+              cacheTtl,
+              staleTtl,
+              [...cacheTags]
+            );
+          }
+        };
+
+        // Flush the shell now, and stream each child component in as it resolves
+        if (streamedComponents) {
+          return reply
+            .type("text/html")
+            .send(
+              createBlueprintStream(
+                html.toString(),
+                streamedComponents.streamed,
+                mutateStreamedComponent,
+                cacheHtml
+              )
+            );
+        }
+
+        cacheHtml(html.toString());
+        reportCacheTags(cacheTags);
+
+        // The parent embedding this child must not cache the fallback content either
+        if (IS_CHILD && fallbacks.size > 0) {
+          reply.header(ASSEMBLEJS.fallbackHeader, "true");
         }
 
         return reply.type("text/html").send(Buffer.from(html));
@@ -50,70 +50,51 @@ export class HandlebarsRenderer extends Loggable implements ComponentRenderer {
   public render(
     context: ComponentContext<ComponentPublicData, ComponentParams>
   ): string | Promise<string> | Buffer | Promise<Buffer> {
-    try {
-      // Convert component buffers to strings for the template
-      const stringComponents: Record<string, string> = {};
-      Object.entries(context.components).forEach(([key, value]) => {
-        if (Buffer.isBuffer(value)) {
-          stringComponents[key] = value.toString();
-        }
-      });
-
-      // Prepare the template context by merging context and components
-      const templateContext = {
-        ...context,
-        components: stringComponents,
-        stringComponents,
-      };
-
-      // Register any helper functions from the context
-      if (context.helpers) {
-        Object.entries(context.helpers).forEach(([name, helper]) => {
-          this.handlebars.registerHelper(name, helper);
-        });
+    // Convert component buffers to strings for the template
+    const stringComponents: Record<string, string> = {};
+    Object.entries(context.components).forEach(([key, value]) => {
+      if (Buffer.isBuffer(value)) {
+        stringComponents[key] = value.toString();
       }
+    });
 
-      // Handle template string or file template
-      let template: Handlebars.TemplateDelegate;
-      if (context.template && typeof context.template === "string") {
-        // Compile string template
-        template = this.handlebars.compile(context.template as string);
-      } else if (context.templateFile) {
-        // Compile file template
-        const templateFile = context.templateFile;
-        const templatePath = path.isAbsolute(templateFile)
-          ? templateFile
-          : path.join(process.cwd(), templateFile);
+    // Prepare the template context by merging context and components
+    const templateContext = {
+      ...context,
+      components: stringComponents,
+      stringComponents,
+    };
 
-        try {
-          const templateContent = readFileSync(templatePath, "utf8");
-          template = this.handlebars.compile(templateContent);
-        } catch (error) {
-          console.error(
-            `Error reading Handlebars template file: ${templatePath}`,
-            error
-          );
-          return `<div>Error reading Handlebars template file: ${
-            error instanceof Error ? error.message : "Unknown error"
-          }</div>`;
-        }
-      } else {
-        console.error(
-          "No template or templateFile provided for Handlebars rendering"
-        );
-        return "<div>Error: No template or templateFile provided</div>";
-      }
+    // Register any helper functions from the context
+    if (context.helpers) {
+      Object.entries(context.helpers).forEach(([name, helper]) => {
+        this.handlebars.registerHelper(name, helper);
+      });
+    }
+
+    // Handle template string or file template
+    let template: Handlebars.TemplateDelegate;
+    if (context.template && typeof context.template === "string") {
+      // Compile string template
+      template = this.handlebars.compile(context.template as string);
+    } else if (context.templateFile) {
+      // Compile file template
+      const templateFile = context.templateFile;
+      const templatePath = path.isAbsolute(templateFile)
+        ? templateFile
+        : path.join(process.cwd(), templateFile);
 
-      // Render the template with the context
-      const result = template(templateContext);
-      return convertExtsToDistPointer(result);
-    } catch (err) {
-      const error = err as Error;
-      console.error("Error rendering Handlebars template:", error);
-      return `<div>Error rendering Handlebars template: ${
-        error instanceof Error ? error.message : "Unknown error"
-      }</div>`;
+      const templateContent = readFileSync(templatePath, "utf8");
+      template = this.handlebars.compile(templateContent);
+    } else {
+      throw new Error(
+        "No template or templateFile provided for Handlebars rendering"
+      );
     }
+
+    // Render the template with the context
+    const result = template(templateContext);
+    return convertExtsToDistPointer(result);
   }
 }
 
@@ -5,21 +5,293 @@ import type {
 import type { ComponentRenderer } from "../../types/component.renderer";
 import type { ComponentContext } from "../../types/component.context";
 import type { ComponentParams } from "../../types/component.params";
+import type { AnyObject } from "../../types/object.any";
+import type StateBlock from "markdown-it/lib/rules_block/state_block";
+import type StateCore from "markdown-it/lib/rules_core/state_core";
+import type StateInline from "markdown-it/lib/rules_inline/state_inline";
+import type Token from "markdown-it/lib/token";
 import { Loggable } from "../abstract/loggable";
+import { parseFrontmatter } from "../../utils/frontmatter.utils";
 import MarkdownIt from "markdown-it";
 import hljs from "highlight.js";
 
+/**
+ * A markdown-it plugin, or a plugin with its options.
+ * @category Renderers
+ * @public
+ */
+export type MarkdownPlugin =
+  | MarkdownIt.PluginWithParams
+  | [MarkdownIt.PluginWithParams, ...Array<unknown>];
+
+/**
+ * Markdown configuration
+ * @description Configures the parser shared by every Markdown view.
+ * @category Renderers
+ * @public
+ */
+export interface MarkdownConfig {
+  /**
+   * markdown-it options, merged over the defaults
+   * @default { html: true, linkify: true, typographer: true }
+   */
+  options?: MarkdownIt.Options;
+
+  /**
+   * markdown-it plugins to use, in order
+   */
+  plugins?: Array<MarkdownPlugin>;
+
+  /**
+   * Add an id to every heading, so it can be linked to
+   * @default true
+   */
+  anchors?: boolean;
+
+  /**
+   * Heading levels listed by a '[[toc]]' line
+   * @default [2, 3]
+   */
+  tocLevels?: Array<number>;
+}
+
+/** A heading listed in the table of contents. */
+interface MarkdownHeading {
+  level: number;
+  id: string;
+  text: string;
+}
+
+/** State of a single render, passed through markdown-it as its 'env'. */
+interface MarkdownEnv {
+  context: ComponentContext<ComponentPublicData, ComponentParams>;
+  /** The values interpolations may read */
+  scope: AnyObject;
+  headings: Array<MarkdownHeading>;
+}
+
+/**
+ * Read a value from the scope of an interpolation.
+ * @description Arguments are quoted strings, numbers, or dotted paths like 'data.cart.items'.
+ * @param {string} argument - The argument.
+ * @param {AnyObject} scope - The values interpolations may read.
+ * @return {unknown} - The value.
+ */
+function resolveArgument(argument: string, scope: AnyObject): unknown {
+  if (/^(["']).*\1$/.test(argument)) {
+    return argument.slice(1, -1);
+  } else if (/^-?\d+(\.\d+)?$/.test(argument)) {
+    return Number(argument);
+  }
+
+  return argument.split(".").reduce<any>((value, key) => value?.[key], scope);
+}
+
+/**
+ * Evaluate an interpolation: a path, or the name of a helper followed by its arguments.
+ * @param {string} expression - The expression between '{{' and '}}'.
+ * @param {MarkdownEnv} env - The state of the render.
+ * @return {string} - The text of the value, empty for null and undefined.
+ */
+function evaluate(expression: string, env: MarkdownEnv): string {
+  const [name, ...args] = expression.match(/"[^"]*"|'[^']*'|\S+/g) ?? [];
+  if (!name) {
+    return "";
+  }
+
+  const helper = args.length ? env.context.helpers?.[name] : undefined;
+  if (args.length && !helper) {
+    throw new Error(`Markdown helper '${name}' is not defined`);
+  }
+
+  const value = helper
+    ? helper(...args.map((arg) => resolveArgument(arg, env.scope)))
+    : resolveArgument(name, env.scope);
+  return value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Make the id of a heading from its text.
+ * @param {string} text - The text of the heading.
+ * @return {string} - The id.
+ */
+function slugify(text: string): string {
+  return (
+    text
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, "")
+      .replace(/\s+/g, "-") || "section"
+  );
+}
+
+/**
+ * Inline rule - read '{{ expression }}' interpolations.
+ * @param {StateInline} state - The inline parser state.
+ * @param {boolean} silent - Only check whether the rule matches.
+ * @return {boolean} - True when an interpolation was read.
+ */
+function interpolationRule(state: StateInline, silent: boolean): boolean {
+  if (!state.src.startsWith("{{", state.pos)) {
+    return false;
+  }
+
+  const end = state.src.indexOf("}}", state.pos + 2);
+  if (end < 0 || end > state.posMax) {
+    return false;
+  }
+
+  if (!silent) {
+    const token = state.push("interpolation", "", 0);
+    token.content = state.src.slice(state.pos + 2, end).trim();
+  }
+  state.pos = end + 2;
+  return true;
+}
+
+/**
+ * Create a block rule reading a line of its own, like ':::component cart' or '[[toc]]'.
+ * @param {string} type - The type of token to create.
+ * @param {RegExp} pattern - Matches the line, capturing the content of the token.
+ * @return {Function} - The block rule.
+ */
+function lineRule(type: string, pattern: RegExp) {
+  return (
+    state: StateBlock,
+    startLine: number,
+    endLine: number,
+    silent: boolean
+  ): boolean => {
+    // Indented lines are code blocks
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+      return false;
+    }
+
+    const line = state.src.slice(
+      state.bMarks[startLine] + state.tShift[startLine],
+      state.eMarks[startLine]
+    );
+    const match = pattern.exec(line);
+    if (!match) {
+      return false;
+    } else if (silent) {
+      return true;
+    }
+
+    const token = state.push(type, "", 0);
+    token.block = true;
+    token.content = match[1] ?? "";
+    token.map = [startLine, startLine + 1];
+    state.line = startLine + 1;
+    return true;
+  };
+}
+
+/**
+ * Core rule - add ids to headings, and collect the headings listed in the table of contents.
+ * @param {Array<number>} tocLevels - The heading levels listed in the table of contents.
+ * @return {Function} - The core rule.
+ */
+function anchorRule(tocLevels: Array<number>) {
+  return (state: StateCore): void => {
+    const env = state.env as MarkdownEnv;
+    const ids = new Set<string>();
+
+    state.tokens.forEach((token, index) => {
+      if (token.type !== "heading_open") {
+        return;
+      }
+
+      const text = (state.tokens[index + 1].children ?? [])
+        .map((child: Token) =>
+          child.type === "interpolation"
+            ? evaluate(child.content, env)
+            : child.type === "text" || child.type === "code_inline"
+            ? child.content
+            : ""
+        )
+        .join("");
+
+      let id = token.attrGet("id") ?? slugify(text);
+      for (let count = 2; ids.has(id); count++) {
+        id = `${slugify(text)}-${count}`;
+      }
+      ids.add(id);
+      token.attrSet("id", id);
+
+      const level = Number(token.tag.slice(1));
+      if (tocLevels.includes(level)) {
+        env.headings.push({ level, id, text });
+      }
+    });
+  };
+}
+
+/**
+ * Render the table of contents as nested lists.
+ * @param {Array<MarkdownHeading>} headings - The headings to list.
+ * @param {Array<number>} tocLevels - The heading levels listed in the table of contents.
+ * @param {Function} escapeHtml - Escapes the text of a heading.
+ * @return {string} - The HTML of the table of contents.
+ */
+function renderToc(
+  headings: Array<MarkdownHeading>,
+  tocLevels: Array<number>,
+  escapeHtml: (text: string) => string
+): string {
+  const base = Math.min(...tocLevels);
+  let html = "";
+  let open = 0;
+
+  headings.forEach(({ level, id, text }) => {
+    const depth = level - base + 1;
+    if (depth > open) {
+      html += "<ul><li>".repeat(depth - open);
+    } else {
+      html += `</li>${"</ul></li>".repeat(open - depth)}<li>`;
+    }
+    open = depth;
+    html += `<a href="#${escapeHtml(id)}">${escapeHtml(text)}</a>`;
+  });
+
+  html += "</li></ul>".repeat(open);
+  return `<nav class="table-of-contents">${html}</nav>`;
+}
+
 /**
  * Markdown Renderer
+ * @description Renders Markdown views with one parser, shared by every render. Documents may start with frontmatter,
+ * setting the 'title', 'meta' tags and public data of the view. Text may interpolate the context with '{{ data.name }}'
+ * or a helper with '{{ helper data.name }}', place a child component with a ':::component name' line,
+ * and list its headings with a '[[toc]]' line.
  * @author Zach Ayers
  */
 export class MarkdownRenderer extends Loggable implements ComponentRenderer {
   public vendorAssets: Array<NodeAsset> = [];
+  private config: MarkdownConfig = {};
+  private parser: MarkdownIt | undefined;
 
-  /** @inheritDoc */
-  public render(
-    context: ComponentContext<ComponentPublicData, ComponentParams>
-  ): string | Promise<string> | Buffer | Promise<Buffer> {
+  /**
+   * Configure the parser used by every Markdown view.
+   * @param {MarkdownConfig} config - The Markdown configuration.
+   * @author Zachariah Ayers
+   */
+  public configure(config: MarkdownConfig = {}): void {
+    this.config = config;
+    this.parser = undefined;
+  }
+
+  /**
+   * Get the parser, creating it on the first render.
+   * @return {MarkdownIt} - The parser.
+   */
+  private getParser(): MarkdownIt {
+    if (this.parser) {
+      return this.parser;
+    }
+
+    const { options, plugins = [], anchors = true } = this.config;
+    const tocLevels = this.config.tocLevels ?? [2, 3];
     const markdown: MarkdownIt = MarkdownIt({
       html: true,
       linkify: true,
@@ -44,10 +316,110 @@ export class MarkdownRenderer extends Loggable implements ComponentRenderer {
           "</code></pre>"
         );
       },
+      ...options,
     });
 
     markdown.linkify.set({ fuzzyEmail: false });
-    return markdown.render(context.template as string);
+
+    markdown.inline.ruler.push("interpolation", interpolationRule);
+    markdown.block.ruler.before(
+      "paragraph",
+      "component_directive",
+      lineRule("component_directive", /^:::component\s+(\S+)\s*$/),
+      { alt: ["paragraph"] }
+    );
+    markdown.block.ruler.before(
+      "paragraph",
+      "toc",
+      lineRule("toc", /^\[\[toc\]\]\s*$/i),
+      { alt: ["paragraph"] }
+    );
+    if (anchors) {
+      markdown.core.ruler.push("anchors", anchorRule(tocLevels));
+    }
+
+    markdown.renderer.rules.interpolation = (tokens, index, _, env) =>
+      markdown.utils.escapeHtml(
+        evaluate(tokens[index].content, env as MarkdownEnv)
+      );
+    markdown.renderer.rules.component_directive = (tokens, index, _, env) => {
+      const name = tokens[index].content;
+      const component = (env as MarkdownEnv).context.components?.[name];
+      if (!component) {
+        this.log.warn(`Markdown component '${name}' not found in context`);
+        return "";
+      }
+      return `${component.toString()}\n`;
+    };
+    markdown.renderer.rules.toc = (_, __, ___, env) =>
+      `${renderToc(
+        (env as MarkdownEnv).headings,
+        tocLevels,
+        markdown.utils.escapeHtml
+      )}\n`;
+
+    plugins.forEach((plugin) =>
+      Array.isArray(plugin)
+        ? markdown.use(plugin[0], ...plugin.slice(1))
+        : markdown.use(plugin)
+    );
+
+    this.parser = markdown;
+    return markdown;
+  }
+
+  /** @inheritDoc */
+  public render(
+    context: ComponentContext<ComponentPublicData, ComponentParams>
+  ): string | Promise<string> | Buffer | Promise<Buffer> {
+    const markdown = this.getParser();
+    const { attributes, body } = parseFrontmatter(
+      String(context.template ?? "")
+    );
+    const { title, meta, ...data } = attributes;
+
+    if (typeof title === "string") {
+      context.title = title;
+    }
+    // Data set by the factories of the view takes precedence over the frontmatter
+    if (Object.keys(data).length) {
+      context.data = { ...data, ...context.data };
+    }
+
+    const env: MarkdownEnv = {
+      context,
+      scope: {
+        data: context.data,
+        params: context.params,
+        title: context.title,
+        id: context.id,
+        componentName: context.componentName,
+        viewName: context.viewName,
+        deviceType: context.deviceType,
+      },
+      headings: [],
+    };
+    const html = markdown.render(body, env);
+
+    // 'mutateBlueprint' gives Blueprints without a head one with only their title, so Blueprints with meta tags render their own
+    if (!meta || typeof meta !== "object" || !context.renderAsBlueprint) {
+      return html;
+    }
+
+    const escapeHtml = markdown.utils.escapeHtml;
+    const metaTags = Object.entries(meta)
+      .map(
+        ([name, content]) =>
+          `<meta ${name.startsWith("og:") ? "property" : "name"}="${escapeHtml(
+            name
+          )}" content="${escapeHtml(String(content ?? ""))}">`
+      )
+      .join("");
+    return `<html lang="en"><head><title>${escapeHtml(
+      context.title ?? ""
+    )}</title>${metaTags}</head><body id="${escapeHtml(
+      context.id
+    )}">${html}</body></html>`;
   }
 }
 
@@ -41,64 +41,45 @@ export class NunjucksRenderer extends Loggable implements ComponentRenderer {
   public render(
     context: ComponentContext<ComponentPublicData, ComponentParams>
   ): string | Promise<string> | Buffer | Promise<Buffer> {
-    try {
-      // Convert component buffers to strings for the template
-      const stringComponents: Record<string, string> = {};
-      Object.entries(context.components).forEach(([key, value]) => {
-        if (Buffer.isBuffer(value)) {
-          stringComponents[key] = value.toString();
-        }
-      });
-
-      // Prepare the template context by merging context and components
-      const templateContext = {
-        ...context,
-        components: stringComponents,
-        stringComponents,
-      };
+    // Convert component buffers to strings for the template
+    const stringComponents: Record<string, string> = {};
+    Object.entries(context.components).forEach(([key, value]) => {
+      if (Buffer.isBuffer(value)) {
+        stringComponents[key] = value.toString();
+      }
+    });
 
-      // Handle template string or file template
-      let result: string;
-      if (context.template && typeof context.template === "string") {
-        // Render from string template
-        result = this.env.renderString(
-          context.template as string,
-          templateContext
-        );
-      } else if (context.templateFile) {
-        // Render from file template
-        const templateFile = context.templateFile;
-        const templatePath = path.isAbsolute(templateFile)
-          ? templateFile
-          : path.join(process.cwd(), templateFile);
+    // Prepare the template context by merging context and components
+    const templateContext = {
+      ...context,
+      components: stringComponents,
+      stringComponents,
+    };
 
-        try {
-          const templateContent = readFileSync(templatePath, "utf8");
-          result = this.env.renderString(templateContent, templateContext);
-        } catch (error) {
-          console.error(
-            `Error reading Nunjucks template file: ${templatePath}`,
-            error
-          );
-          return `<div>Error reading Nunjucks template file: ${
-            error instanceof Error ? error.message : "Unknown error"
-          }</div>`;
-        }
-      } else {
-        console.error(
-          "No template or templateFile provided for Nunjucks rendering"
-        );
-        return "<div>Error: No template or templateFile provided</div>";
-      }
+    // Handle template string or file template
+    let result: string;
+    if (context.template && typeof context.template === "string") {
+      // Render from string template
+      result = this.env.renderString(
+        context.template as string,
+        templateContext
+      );
+    } else if (context.templateFile) {
+      // Render from file template
+      const templateFile = context.templateFile;
+      const templatePath = path.isAbsolute(templateFile)
+        ? templateFile
+        : path.join(process.cwd(), templateFile);
 
-      return convertExtsToDistPointer(result);
-    } catch (err) {
-      const error = err as Error;
-      console.error("Error rendering Nunjucks template:", error);
-      return `<div>Error rendering Nunjucks template: ${
-        error instanceof Error ? error.message : "Unknown error"
-      }</div>`;
+      const templateContent = readFileSync(templatePath, "utf8");
+      result = this.env.renderString(templateContent, templateContext);
+    } else {
+      throw new Error(
+        "No template or templateFile provided for Nunjucks rendering"
+      );
     }
+
+    return convertExtsToDistPointer(result);
   }
 }
 
@@ -34,33 +34,26 @@ export class PreactRenderer extends Loggable implements ComponentRenderer {
       }
     });
 
-    try {
-      // Ensure template is a function before calling it with h()
-      if (typeof context.template !== "function") {
-        console.error("Template is not a function:", typeof context.template);
-        return "<div>Error: Invalid template type</div>";
-      }
-
-      const component = h(context.template as VNodeFn<any>, {
-        ...context,
-        ...stringComponents, // Add component strings directly as props
-        components: stringComponents, // Replace buffer components with string components
-      });
+    // Ensure template is a function before calling it with h()
+    if (typeof context.template !== "function") {
+      throw new Error(
+        `Preact template is not a function: ${typeof context.template}`
+      );
+    }
 
-      const html = render(component);
-      if (!html) {
-        console.error("Preact render returned empty result");
-        return "<div>Error: Empty render result</div>";
-      }
+    const component = h(context.template as VNodeFn<any>, {
+      ...context,
+      ...stringComponents, // Add component strings directly as props
+      components: stringComponents, // Replace buffer components with string components
+    });
 
-      return convertExtsToDistPointer(html);
-    } catch (err) {
-      const error = err as Error;
-      console.error("Error rendering Preact component:", error);
-      return `<div>Error rendering component: ${
-        error?.message || "Unknown error"
-      }</div>`;
+    const html = render(component);
+    if (!html) {
+      console.error("Preact render returned empty result");
+      return "<div>Error: Empty render result</div>";
     }
+
+    return convertExtsToDistPointer(html);
   }
 }
 
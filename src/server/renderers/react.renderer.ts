@@ -28,35 +28,28 @@ export class ReactRenderer extends Loggable implements ComponentRenderer {
       }
     });
 
-    try {
-      // Ensure template is a function before calling it
-      if (typeof context.template !== "function") {
-        console.error("Template is not a function:", typeof context.template);
-        return "<div>Error: Invalid template type</div>";
-      }
-
-      // Create React element with context as props
-      const element = context.template({
-        ...context,
-        ...stringComponents, // Add component strings directly as props
-        components: stringComponents as unknown as Record<string, Buffer>, // Type assertion to satisfy the interface
-        children: null, // Add missing children property for PreactViewContext
-      });
+    // Ensure template is a function before calling it
+    if (typeof context.template !== "function") {
+      throw new Error(
+        `React template is not a function: ${typeof context.template}`
+      );
+    }
 
-      const html = renderToString(element);
-      if (!html) {
-        console.error("React render returned empty result");
-        return "<div>Error: Empty render result</div>";
-      }
+    // Create React element with context as props
+    const element = context.template({
+      ...context,
+      ...stringComponents, // Add component strings directly as props
+      components: stringComponents as unknown as Record<string, Buffer>, // Type assertion to satisfy the interface
+      children: null, // Add missing children property for PreactViewContext
+    });
 
-      return convertExtsToDistPointer(html);
-    } catch (err) {
-      const error = err as Error;
-      console.error("Error rendering React component:", error);
-      return `<div>Error rendering component: ${
-        error?.message || "Unknown error"
-      }</div>`;
+    const html = renderToString(element);
+    if (!html) {
+      console.error("React render returned empty result");
+      return "<div>Error: Empty render result</div>";
     }
+
+    return convertExtsToDistPointer(html);
   }
 }
 
@@ -1,7 +1,11 @@
 import type { ComponentContext } from "../../../types/component.context";
 import type { AnyObject } from "../../../types/object.any";
 import type { ComponentParams } from "../../../types/component.params";
-import type { ComponentRenderer } from "../../../types/component.renderer";
+import type {
+  ComponentRenderer,
+  ComponentRendererName,
+  ComponentRendererRegistration,
+} from "../../../types/component.renderer";
 import path from "path";
 
 // Core renderers that are used commonly and should be loaded eagerly
@@ -19,6 +23,73 @@ const rendererCache: Record<string, ComponentRenderer> = {
   MARKDOWN,
 };
 
+// Renderers registered at runtime, keyed by name
+const registeredRenderers: Record<string, ComponentRenderer> = {};
+
+// File extensions claimed by registered renderers, mapped to the renderer name
+const registeredExtensions: Record<string, string> = {};
+
+/**
+ * Normalize a file extension so it can be used as a registry key.
+ * @param {string} ext - The file extension, with or without the leading '.'
+ * @return {string} The lower-cased file extension, with a leading '.'
+ */
+function normalizeExtension(ext: string): string {
+  const lowered = ext.trim().toLowerCase();
+  return lowered.startsWith(".") ? lowered : `.${lowered}`;
+}
+
+/**
+ * Register a custom renderer, allowing new template engines to be used without modifying AssembleJS.
+ * @description Registered renderers are resolved by name, or by the file extension of a view's 'templateFile'.
+ * Registering a renderer under an existing name or extension replaces the previous registration.
+ * @param {ComponentRendererRegistration} registration - The renderer to register.
+ * @return {ComponentRenderer} The registered renderer.
+ * @author Zach Ayers
+ */
+export function registerRenderer(
+  registration: ComponentRendererRegistration
+): ComponentRenderer {
+  if (!registration.name) {
+    throw new Error(`A renderer must be registered with a name.`);
+  }
+
+  if (typeof registration.render !== "function") {
+    throw new Error(
+      `Renderer '${registration.name}' must provide a 'render' function.`
+    );
+  }
+
+  registeredRenderers[registration.name] = registration;
+  registration.extensions?.forEach((ext) => {
+    registeredExtensions[normalizeExtension(ext)] = registration.name;
+  });
+
+  return registration;
+}
+
+/**
+ * Get a registered renderer by name.
+ * @param {string} rendererName - The name the renderer was registered with.
+ * @return {ComponentRenderer | undefined} The registered renderer, if any.
+ * @author Zach Ayers
+ */
+export function getRegisteredRenderer(
+  rendererName: string
+): ComponentRenderer | undefined {
+  return registeredRenderers[rendererName];
+}
+
+/**
+ * Get the name of the registered renderer for a file extension.
+ * @param {string} ext - The file extension to look up.
+ * @return {string | undefined} The name of the registered renderer, if any.
+ * @author Zach Ayers
+ */
+export function getRegisteredRendererName(ext: string): string | undefined {
+  return registeredExtensions[normalizeExtension(ext)];
+}
+
 /**
  * Lazily load a renderer by name to avoid initializing unused renderers
  * @param {string} rendererName - The name of the renderer to load
@@ -27,6 +98,10 @@ const rendererCache: Record<string, ComponentRenderer> = {
 async function lazyLoadRenderer(
   rendererName: string
 ): Promise<ComponentRenderer> {
+  if (registeredRenderers[rendererName]) {
+    return registeredRenderers[rendererName];
+  }
+
   if (rendererCache[rendererName]) {
     return rendererCache[rendererName];
   }
@@ -79,69 +154,63 @@ async function lazyLoadRenderer(
 }
 
 /**
- * Get the required renderer based on the 'template' or 'templatePath' variables.
- * Here we can make assumptions about the file-type and set the renderer accordingly.
- * Uses lazy loading to only load renderers when needed.
+ * Get the name of the required renderer based on the 'template' or 'templatePath' variables.
+ * Here we can make assumptions about the file-type and resolve the renderer accordingly.
+ * The context is left untouched, callers decide whether to keep the resolved name.
  *
  * @param {Partial<Pick<ComponentContext<AnyObject, ComponentParams>, "template" | "templateFile" | "renderer">>} context
- * @return {Promise<ComponentRenderer>} The appropriate renderer for the given template
+ * @return {ComponentRendererName} The name of the renderer for the given template
  * @author Zach Ayers
  */
-export async function getRenderer(
+export function getRendererName(
   context: Partial<
     Pick<
       ComponentContext<AnyObject, ComponentParams>,
       "template" | "templateFile" | "renderer"
     >
   >
-): Promise<ComponentRenderer> {
+): ComponentRendererName {
   // Check if we are using a file loader
   // This section is where we can import templates from file paths.
   // i.e. (html files, ejs files, etc.)
   if (context.templateFile !== undefined) {
     const ext = path.extname(context.templateFile);
+
+    // Registered renderers take precedence over the built-in file types
+    const registeredName = getRegisteredRendererName(ext);
+    if (registeredName !== undefined) {
+      return registeredName;
+    }
+
     switch (ext) {
       case ".ejs":
-        context.renderer = "EJS";
-        return rendererCache.EJS;
+        return "EJS";
       case ".html":
-        context.renderer = "HTML";
-        return rendererCache.HTML;
+        return "HTML";
       case ".md":
-        context.renderer = "MARKDOWN";
-        return rendererCache.MARKDOWN;
+        return "MARKDOWN";
       case ".jsx":
       case ".tsx":
         // Check the renderer preference in the context
-        if (context.renderer === "REACT") {
-          return await lazyLoadRenderer("REACT");
-        }
         // Default to Preact for backwards compatibility
-        context.renderer = "PREACT";
-        return rendererCache.PREACT;
+        return context.renderer === "REACT" ? "REACT" : "PREACT";
       case ".vue":
-        context.renderer = "VUE";
-        return await lazyLoadRenderer("VUE");
+        return "VUE";
       case ".svelte":
-        context.renderer = "SVELTE";
-        return await lazyLoadRenderer("SVELTE");
+        return "SVELTE";
       case ".njk":
       case ".nunjucks":
-        context.renderer = "NUNJUCKS";
-        return await lazyLoadRenderer("NUNJUCKS");
+        return "NUNJUCKS";
       case ".hbs":
       case ".handlebars":
-        context.renderer = "HANDLEBARS";
-        return await lazyLoadRenderer("HANDLEBARS");
+        return "HANDLEBARS";
       case ".pug":
       case ".jade": // Legacy extension for Pug
-        context.renderer = "PUG";
-        return await lazyLoadRenderer("PUG");
+        return "PUG";
       case ".wc":
       case ".web-component":
       case ".webcomponent":
-        context.renderer = "WEBCOMPONENT";
-        return await lazyLoadRenderer("WEBCOMPONENT");
+        return "WEBCOMPONENT";
     }
 
     throw new Error(`No renderer found for file type: '${ext}'`);
@@ -149,54 +218,40 @@ export async function getRenderer(
     // Else, use the raw template loader
     // This section is where we can import templates directly via code.
     // i.e. (template strings, jsx elements, etc.)
+
+    // An explicitly requested registered renderer handles any template type
+    if (context.renderer && registeredRenderers[context.renderer]) {
+      return context.renderer;
+    }
+
     switch (typeof context.template) {
       case "string":
         // Check if an explicit renderer is specified
-        if (context.renderer) {
-          switch (context.renderer) {
-            case "NUNJUCKS":
-              return await lazyLoadRenderer("NUNJUCKS");
-            case "HANDLEBARS":
-              return await lazyLoadRenderer("HANDLEBARS");
-            case "PUG":
-              return await lazyLoadRenderer("PUG");
-            case "EJS":
-              return rendererCache.EJS;
-            case "MARKDOWN":
-              return rendererCache.MARKDOWN;
-            case "WEBCOMPONENT":
-              return await lazyLoadRenderer("WEBCOMPONENT");
-          }
+        switch (context.renderer) {
+          case "NUNJUCKS":
+          case "HANDLEBARS":
+          case "PUG":
+          case "EJS":
+          case "MARKDOWN":
+          case "WEBCOMPONENT":
+            return context.renderer;
         }
         // Default string renderer
-        context.renderer = "STRING";
-        return rendererCache.STRING;
+        return "STRING";
       case "function":
         // Check the renderer preference in the context
-        if (context.renderer === "REACT") {
-          return await lazyLoadRenderer("REACT");
-        }
         // Default to Preact for backwards compatibility
-        context.renderer = "PREACT";
-        return rendererCache.PREACT;
+        return context.renderer === "REACT" ? "REACT" : "PREACT";
       case "object":
         // Determine if it's a Vue or Svelte component
-        if (context.renderer === "VUE") {
-          return await lazyLoadRenderer("VUE");
-        } else if (context.renderer === "SVELTE") {
-          return await lazyLoadRenderer("SVELTE");
+        if (context.renderer === "VUE" || context.renderer === "SVELTE") {
+          return context.renderer;
         }
         // Try to auto-detect component type
-        if (
-          (context.template as any).render &&
+        return (context.template as any).render &&
           typeof (context.template as any).render === "function"
-        ) {
-          context.renderer = "SVELTE";
-          return await lazyLoadRenderer("SVELTE");
-        } else {
-          context.renderer = "VUE";
-          return await lazyLoadRenderer("VUE");
-        }
+          ? "SVELTE"
+          : "VUE";
     }
 
     throw new Error(
@@ -208,3 +263,22 @@ export async function getRenderer(
     `No render-able template or templateFile was provided to the rendering engine.`
   );
 }
+
+/**
+ * Get the required renderer based on the 'template' or 'templatePath' variables.
+ * Uses lazy loading to only load renderers when needed.
+ *
+ * @param {Partial<Pick<ComponentContext<AnyObject, ComponentParams>, "template" | "templateFile" | "renderer">>} context
+ * @return {Promise<ComponentRenderer>} The appropriate renderer for the given template
+ * @author Zach Ayers
+ */
+export async function getRenderer(
+  context: Partial<
+    Pick<
+      ComponentContext<AnyObject, ComponentParams>,
+      "template" | "templateFile" | "renderer"
+    >
+  >
+): Promise<ComponentRenderer> {
+  return lazyLoadRenderer(getRendererName(context));
+}
@@ -46,6 +46,7 @@ export async function preRenderTemplate(
           template: view.getTemplate() as string,
           templateFile: view.templateFile,
         }),
+      ...(view.renderer !== undefined && { renderer: view.renderer }),
       nestLevel: 0,
       serverUrl: "http://localhost:3000",
       id: randomUUID(),
@@ -3,7 +3,7 @@ import type { AnyObject } from "../../../types/object.any";
 import type { ComponentParams } from "../../../types/component.params";
 import type { FastifyReply, FastifyRequest } from "fastify";
 import type { ComponentRenderer } from "../../../types/component.renderer";
-import { getRenderer } from "./get.renderer";
+import { getRenderer, getRendererName } from "./get.renderer";
 import { mutateBlueprint } from "../../../utils/component.utils";
 
 /**
@@ -18,6 +18,8 @@ export async function renderTemplate(
   context.request = {} as FastifyRequest;
   context.reply = {} as FastifyReply;
   const renderer: ComponentRenderer = await getRenderer(context);
+  // Keep the resolved renderer on the request context, the browser reads it back
+  context.renderer = getRendererName(context);
   // Render the template and clean it up
   const template = await renderer.render(context);
   return context.renderAsBlueprint
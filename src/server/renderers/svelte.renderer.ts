@@ -5,6 +5,7 @@ import type {
   NodeAsset,
   ComponentPublicData,
 } from "../../types/component.simple.types";
+import { getSafeContext, getViewProps } from "../../utils/context.utils";
 import { convertExtsToDistPointer } from "../../utils/html.utils";
 import { Loggable } from "../abstract/loggable";
 
@@ -18,61 +19,42 @@ export class SvelteRenderer extends Loggable implements ComponentRenderer {
   public render(
     context: ComponentContext<ComponentPublicData, ComponentParams>
   ): string | Promise<string> | Buffer | Promise<Buffer> {
-    // Convert component buffers to strings for Svelte props
-    const stringComponents: Record<string, string> = {};
-    Object.entries(context.components).forEach(([key, value]) => {
-      if (Buffer.isBuffer(value)) {
-        stringComponents[key] = value.toString();
-      }
-    });
-
-    try {
-      // Ensure template is a valid Svelte component
-      // Svelte components are compiled to an object with render method
-      if (
-        typeof context.template !== "object" ||
-        typeof (context.template as any).render !== "function"
-      ) {
-        console.error(
-          "Template is not a valid Svelte component:",
-          typeof context.template
-        );
-        return "<div>Error: Invalid template type</div>";
-      }
-
-      // For SSR, Svelte components have a render method that returns { html, css, head }
-      const rendered = (context.template as any).render({
-        ...context,
-        ...stringComponents, // Add component strings directly as props
-        components: stringComponents, // Replace buffer components with string components
-      });
+    // Ensure template is a valid Svelte component
+    // Svelte components are compiled to an object with render method
+    if (
+      typeof context.template !== "object" ||
+      typeof (context.template as any).render !== "function"
+    ) {
+      throw new Error(
+        `Template is not a valid Svelte component: ${typeof context.template}`
+      );
+    }
 
-      if (!rendered.html) {
-        console.error("Svelte render returned empty result");
-        return "<div>Error: Empty render result</div>";
-      }
+    // For SSR, Svelte components have a render method that returns { html, css, head }
+    // Render with the same props the browser hydrates with
+    const rendered = (context.template as any).render(
+      getViewProps(getSafeContext(context), context.helpers)
+    );
 
-      // Combine the rendered HTML with any styles
-      let html = rendered.html;
+    if (!rendered.html) {
+      console.error("Svelte render returned empty result");
+      return "<div>Error: Empty render result</div>";
+    }
 
-      // If there's CSS from the component, add it inline
-      if (rendered.css && rendered.css.code) {
-        html = `<style>${rendered.css.code}</style>${html}`;
-      }
+    // Combine the rendered HTML with any styles
+    let html = rendered.html;
 
-      // Add any head elements
-      if (rendered.head) {
-        html = `${rendered.head}${html}`;
-      }
+    // If there's CSS from the component, add it inline
+    if (rendered.css && rendered.css.code) {
+      html = `<style>${rendered.css.code}</style>${html}`;
+    }
 
-      return convertExtsToDistPointer(html);
-    } catch (err) {
-      const error = err as Error;
-      console.error("Error rendering Svelte component:", error);
-      return `<div>Error rendering component: ${
-        error?.message || "Unknown error"
-      }</div>`;
+    // Add any head elements
+    if (rendered.head) {
+      html = `${rendered.head}${html}`;
     }
+
+    return convertExtsToDistPointer(html);
   }
 }
 
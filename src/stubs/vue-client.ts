@@ -6,10 +6,11 @@
 /**
  * Creates a Vue application instance
  * @param {any} component - The root component
+ * @param {Object} rootProps - The props of the root component
  * @returnss {Object} The Vue application instance
  */
 // Vue 3 signature
-export function createApp(component: any): any {
+export function createApp(component: any, rootProps?: any): any {
   return {
     mount: (container: string | Element) => {},
     component: (name: string, component: any) => {},
@@ -29,6 +30,13 @@ export function h(type: any, props?: any, children?: any): any {
   return {};
 }
 
+/**
+ * Vue Reactive Reference type
+ */
+export interface Ref<T> {
+  value: T;
+}
+
 /**
  * Vue Application type
  */
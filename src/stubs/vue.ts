@@ -6,11 +6,13 @@
 /**
  * Creates a Vue application for server-side rendering
  * @param {any} component - The root component
+ * @param {Object} rootProps - The props of the root component
  * @returnss {Object} The Vue application instance
  */
-export function createSSRApp(component: any): any {
+export function createSSRApp(component: any, rootProps?: any): any {
   return {
     // Basic stub implementation
     component,
+    rootProps,
   };
 }
@@ -2,7 +2,10 @@
 import type { FastifyStaticOptions } from "@fastify/static";
 import type { Component, ComponentManifest } from "./component";
 import type { BlueprintController } from "../server/abstract/blueprint.controller";
-import type { Service } from "../server/abstract/service";
+import type {
+  ServiceClass,
+  ServiceRegistrationOptions,
+} from "../server/app/service-container";
 
 type PathLikeEntry = { path: string };
 type PathLikeArray<Opts> = Array<PathLikeEntry & { opts?: Opts }>;
@@ -39,9 +42,13 @@ export interface BlueprintServerManifest {
   /**
    * Services to be registered with the dependency injection container
    * Key is the service token that will be used to retrieve the service
-   * Value is the service class constructor that extends the Service base class
+   * Value is the service class constructor that extends the Service base class,
+   * or the class alongside overrides for the lifetime and dependencies declared on it
    */
-  readonly services?: Record<string, { new (...args: any[]): Service }>;
+  readonly services?: Record<
+    string,
+    ServiceClass | ({ service: ServiceClass } & ServiceRegistrationOptions)
+  >;
   readonly shared?: Component["shared"];
 }
 
@@ -10,6 +10,12 @@ import type { ViteDevServer } from "vite";
 // Using Node's http.Server instead of vavite's HttpServer
 import type { Server as HttpServer } from "http";
 import type { CacheConfig } from "../server/app/cache/cache.integration";
+import type { ComponentRendererRegistration } from "./component.renderer";
+import type { StaticExportConfig } from "../server/app/static/static.export";
+import type { ServerEventsConfig } from "../server/app/events/server.events";
+import type { MarkdownConfig } from "../server/renderers/markdown.renderer";
+import type { ComponentGraphConfig } from "../server/app/graph/component.graph";
+import type { ViewErrorInfo } from "./component.view";
 
 /**
  * BlueprintServer Authentication Configuration
@@ -165,4 +171,52 @@ export interface BlueprintServerOptions {
    * @description Configure caching behavior for the server
    */
   cache?: CacheConfig;
+
+  /**
+   * Custom renderers to register
+   * @description Adds template engines beyond the built-in renderers.
+   * Views use them by 'renderer' name or by 'templateFile' extension.
+   */
+  renderers?: ComponentRendererRegistration[];
+
+  /**
+   * Markdown configuration
+   * @description Plugins and options of the parser shared by every Markdown view.
+   */
+  markdown?: MarkdownConfig;
+
+  /**
+   * Static export configuration
+   * @description Used by 'asm-build --static' to prerender the application into static files
+   */
+  static?: StaticExportConfig;
+
+  /**
+   * Server events configuration
+   * @description Enables the endpoint browsers receive events published with 'app.publish' on.
+   * Channels require the configured authentication unless they are public.
+   */
+  events?: ServerEventsConfig;
+
+  /**
+   * Navigate between exposed Blueprints in the browser without full page reloads
+   * @description Links to other Blueprints are followed by the client bundle, which swaps the page body
+   * and keeps the components shared by both pages mounted.
+   * @default false
+   */
+  router?: boolean;
+
+  /**
+   * Report the failures of views, such as to an error tracking service
+   * @description Called for every failed factory, template render and child component load,
+   * whether or not an errorTemplate replaced the failed content.
+   */
+  onViewError?: (error: Error, info: ViewErrorInfo) => void | Promise<void>;
+
+  /**
+   * Component graph configuration
+   * @description The graph of the child components embedded by every view, checked for cycles at startup.
+   * Once exposed, it is served as JSON at '/__asmbl__/graph'.
+   */
+  graph?: ComponentGraphConfig;
 }
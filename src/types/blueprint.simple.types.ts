@@ -12,6 +12,29 @@ import type { BlueprintController } from "../server/abstract/blueprint.controlle
 import type { ServiceContainer } from "../server/app/service-container";
 import type { BlueprintServerManifest } from "./blueprint.server.manifest";
 
+declare module "fastify" {
+  interface FastifyRequest {
+    /**
+     * The service container of the current request, holding its 'request' services.
+     * Child components rendered for the request share it.
+     */
+    services: ServiceContainer;
+  }
+}
+
+/**
+ * A rendered view held in the rendered view cache.
+ * @author Zach Ayers
+ */
+export interface CachedRenderedView {
+  /** The rendered HTML */
+  content: string;
+  /** Epoch time (ms) after which the content is stale, and is re-rendered in the background when served */
+  staleAt: number;
+  /** The cache tags of the view and every child component it embeds */
+  tags?: string[];
+}
+
 /**
  * AssembleJS Cache Interface
  * @description Interface for server-side caching
@@ -25,13 +48,28 @@ export interface BlueprintCaches {
   controller: ICache<BlueprintController>;
 
   /** Rendered view cache */
-  renderedView: ICache<string>;
+  renderedView: ICache<CachedRenderedView>;
 
   /** API response cache */
   api: ICache<unknown>;
 
+  /** Cache tag index, one entry per tag and rendered view key that used it */
+  cacheTags: ICache<string>;
+
+  /** Last known good content of child components, served when they fail to load */
+  childComponent: ICache<string>;
+
+  /**
+   * Purge every rendered view, and every parent embedding it, tagged with any of the given tags
+   * @example
+   * ```typescript
+   * await app.caches.invalidateTags(["product:42"]);
+   * ```
+   */
+  invalidateTags: (tags: string[]) => Promise<number>;
+
   /** Clear all caches */
-  clearAll: () => void;
+  clearAll: () => Promise<void>;
 }
 
 /**
@@ -49,6 +87,24 @@ export interface Assembly extends FastifyInstance {
 
   /** Server manifest containing registered components, blueprints, controllers, etc. */
   manifest?: BlueprintServerManifest;
+
+  /**
+   * Re-render a view on demand, replacing its cached content.
+   * @description Call after the data behind a view changes, i.e. `app.revalidate('/home/desktop/')`.
+   * Resolves to true when the view re-rendered successfully.
+   */
+  revalidate: (url: string) => Promise<boolean>;
+
+  /**
+   * Publish an event to the browsers subscribed to its channel.
+   * @description Events arrive on the same 'channel:topic' address in-page events use, i.e. `Blueprint.onMessage` and `events.subscribe`.
+   * Returns the number of connected clients the event was sent to.
+   * @example
+   * ```typescript
+   * app.publish("orders", "shipped", { orderId: 42 });
+   * ```
+   */
+  publish: <P>(channel: string, topic: string, payload: P) => number;
 }
 
 // Keeping BlueprintInstance as an alias for backward compatibility
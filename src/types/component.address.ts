@@ -1,3 +1,48 @@
+import type { ViewErrorTemplate } from "./component.view";
+
+/**
+ * How a child Component request which failed is retried.
+ * @description Only timeouts, network errors and 408, 429 and 5xx responses are retried.
+ * @public
+ * @category (Component)
+ * @author Zachariah Ayers
+ */
+export interface ComponentRetryPolicy {
+  /** How many times the request is retried after its first attempt */
+  readonly retries: number;
+  /**
+   * Delay (in milliseconds) before the first retry, doubled before each following retry
+   * @default 100
+   */
+  readonly backoff?: number;
+  /**
+   * Longest delay (in milliseconds) between two retries
+   * @default 2000
+   */
+  readonly maxBackoff?: number;
+}
+
+/**
+ * When the requests to the server of a remote child Component are cut short.
+ * @description One circuit breaker is shared by every child Component served from the same origin,
+ * configured by the first of them to be requested.
+ * @public
+ * @category (Component)
+ * @author Zachariah Ayers
+ */
+export interface ComponentCircuitBreakerPolicy {
+  /**
+   * Failed requests in a row after which the circuit opens, and requests to the origin fail without being sent
+   * @default 5
+   */
+  readonly failureThreshold?: number;
+  /**
+   * Time (in milliseconds) the circuit stays open, before a single trial request may close it again
+   * @default 30000
+   */
+  readonly resetTimeout?: number;
+}
+
 /**
  * Address where a Component may request content from another component
  * @public
@@ -10,9 +55,10 @@
  *     contentUrl: "https://my-components.com/v1/common-components/calculator",
  *     manifestUrl:
  *       "https://my-components.com/v1/common-components/calculator/manifest.json",
- *     renderTimeout: 3000,
- *     requestRetries: 2,
  *     requestTimeout: 4000,
+ *     retry: { retries: 2, backoff: 200 },
+ *     circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 },
+ *     lastKnownGood: true,
  *   }
  * ```
  */
@@ -27,4 +73,18 @@ export interface ComponentAddress {
    * Once a request timeout is reached, any defined fallbacks will be used in order.
    * */
   readonly requestTimeout?: number;
+  /** Rendered in place of the child Component when it fails to load, instead of the errorTemplate of the parent view */
+  readonly fallback?: ViewErrorTemplate;
+  /** Retry failed requests, a number of retries or a retry policy */
+  readonly retry?: number | ComponentRetryPolicy;
+  /** Stop requesting a remote origin which keeps failing. Only applies to HTTP(S) content URLs. */
+  readonly circuitBreaker?: boolean | ComponentCircuitBreakerPolicy;
+  /**
+   * Serve the last content the child Component loaded with, when it fails to load.
+   * @description Either 'true', or how long (in milliseconds) the content may be served for. Requires the server caches.
+   * Content is kept per query and forwarded credentials, so it is only served again to requests with the same credentials.
+   * Takes precedence over the 'fallback'.
+   * @default false
+   */
+  readonly lastKnownGood?: boolean | number;
 }
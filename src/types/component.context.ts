@@ -10,8 +10,11 @@ import type {
   ComponentTemplate,
 } from "./component.simple.types";
 import type { ComponentView } from "./component.view";
+import type { ComponentRendererName } from "./component.renderer";
 import type { AnyObject } from "./object.any";
 import type { ComponentChildren } from "preact";
+import type { Service } from "../server/abstract/service";
+import type { ServiceContainer } from "../server/app/service-container";
 // We're using 'any' for React types to avoid dependencies
 // import type * as React from "react";
 import { CONSTANTS } from "../constants/blueprint.constants";
@@ -89,19 +92,14 @@ export interface INodeContext<
   /** The name of the component */
   readonly componentName: string;
   /** The renderer to use */
-  renderer?:
-    | "EJS"
-    | "PREACT"
-    | "REACT"
-    | "VUE"
-    | "SVELTE"
-    | "HTML"
-    | "STRING"
-    | "MARKDOWN"
-    | "NUNJUCKS"
-    | "HANDLEBARS"
-    | "PUG"
-    | "WEBCOMPONENT";
+  renderer?: ComponentRendererName;
+  /**
+   * Tags describing the data this Component rendered, used to invalidate its cached output.
+   * Tags of child components are added to their parents, so a parent is purged alongside its children.
+   */
+  readonly cacheTags?: Set<string>;
+  /** The service container of the current request */
+  readonly services?: ServiceContainer;
 }
 
 /**
@@ -287,6 +285,20 @@ export interface NodeContextMutations<
    */
   overrideView(viewName: ComponentView["viewName"]): void;
 
+  /**
+   * Get a service from the service container of the current request.
+   * @param {string} token The identifier the service was registered with.
+   * @returns {T} The service instance, 'request' services are shared for the rest of the request.
+   * @throws Error if the service is not registered
+   * @example
+   * ```typescript
+   * // Load the product from a service inside a factory
+   * const products = context.getService<ProductService>('productService');
+   * context.setPublicDataKey('product', await products.get(context.params.path.id));
+   * ```
+   */
+  getService<T extends Service>(token: string): T;
+
   /**
    * Throw an error using the context object.
    * @param {Error} error The error to throw.
@@ -331,6 +343,8 @@ export class ComponentContext<
   public title: string;
   public readonly serverUrl: string;
   public renderer: INodeContext<Public, Params>["renderer"];
+  public readonly cacheTags: Set<string>;
+  public readonly services: ServiceContainer | undefined;
 
   /**
    * Context builder
@@ -354,6 +368,8 @@ export class ComponentContext<
     this.title = context.title ?? CONSTANTS.defaultHTMLTitle;
     this.serverUrl = context.serverUrl;
     this.renderer = context.renderer;
+    this.cacheTags = context.cacheTags ?? new Set();
+    this.services = context.services;
   }
 
   /** @inheritDoc */
@@ -476,6 +492,16 @@ export class ComponentContext<
     this.viewName = viewName;
   }
 
+  /** @inheritDoc */
+  public getService<T extends Service>(token: string): T {
+    if (!this.services) {
+      throw new Error(
+        `${this.componentName}|${this.viewName}: No service container is available to resolve '${token}'`
+      );
+    }
+    return this.services.get<T>(token);
+  }
+
   /** @inheritDoc */
   public throw(error: Error): void {
     throw error;
@@ -514,19 +540,7 @@ export interface BaseViewContext<
   /** Page title */
   title: string;
   /** Renderer used */
-  renderer?:
-    | "EJS"
-    | "PREACT"
-    | "REACT"
-    | "VUE"
-    | "SVELTE"
-    | "HTML"
-    | "STRING"
-    | "MARKDOWN"
-    | "NUNJUCKS"
-    | "HANDLEBARS"
-    | "PUG"
-    | "WEBCOMPONENT";
+  renderer?: ComponentRendererName;
 }
 
 /**
@@ -562,6 +576,21 @@ export interface ReactViewContext<
   children: any; // Using 'any' as a temporary fix for React.ReactNode
 }
 
+/**
+ * Props of views rendered by Vue and Svelte, on the server and while hydrating in the browser.
+ * @description Child components are HTML strings, also passed by name as props, for 'v-html' and '{@html}'.
+ * @author Zachariah Ayers
+ */
+export interface ViewProps<
+  Public extends ComponentPublicData = ComponentPublicData,
+  Params extends ComponentParams = ComponentParams
+> extends Omit<BaseViewContext<Public, Params>, "components"> {
+  /** HTML of child components, by name */
+  components: Record<string, string>;
+  /** Template helpers. Helpers run on the server only, so the map is empty in the browser. */
+  helpers: ComponentHelperMap;
+}
+
 /**
  * View context for Vue components.
  * @author Zach Ayers
@@ -569,9 +598,9 @@ export interface ReactViewContext<
 export interface VueViewContext<
   Public extends ComponentPublicData = ComponentPublicData,
   Params extends ComponentParams = ComponentParams
-> extends BaseViewContext<Public, Params> {
-  /** Vue slots */
-  slots: Record<string, any>;
+> extends ViewProps<Public, Params> {
+  /** Vue slots, the HTML of child components by name */
+  slots: Record<string, string>;
 }
 
 /**
@@ -581,9 +610,9 @@ export interface VueViewContext<
 export interface SvelteViewContext<
   Public extends ComponentPublicData = ComponentPublicData,
   Params extends ComponentParams = ComponentParams
-> extends BaseViewContext<Public, Params> {
-  /** Svelte slots */
-  slots: Record<string, any>;
+> extends ViewProps<Public, Params> {
+  /** Svelte slots, the HTML of child components by name */
+  slots: Record<string, string>;
 }
 
 /**
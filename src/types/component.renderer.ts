@@ -38,3 +38,49 @@ export type ComponentRenderer = {
     context: ComponentContext<ComponentPublicData, ComponentParams>
   ): string | Promise<string> | Buffer | Promise<Buffer>;
 };
+
+/**
+ * Name of a renderer - either one of the built-in renderers or the name of a registered renderer.
+ * @category (Component)
+ * @author Zach Ayers
+ * @public
+ */
+export type ComponentRendererName =
+  | "EJS"
+  | "PREACT"
+  | "REACT"
+  | "VUE"
+  | "SVELTE"
+  | "HTML"
+  | "STRING"
+  | "MARKDOWN"
+  | "NUNJUCKS"
+  | "HANDLEBARS"
+  | "PUG"
+  | "WEBCOMPONENT"
+  | (string & Record<never, never>);
+
+/**
+ * Registration of a custom renderer.
+ * @description Registered renderers are resolved by name (via the view or context 'renderer' value),
+ * or by the file extension of a view 'templateFile'.
+ * @category (Component)
+ * @author Zach Ayers
+ * @public
+ * @example
+ * ```typescript
+ * registerRenderer({
+ *   name: "LIQUID",
+ *   extensions: [".liquid"],
+ *   render(context) {
+ *     return engine.parseAndRenderSync(context.template as string, context);
+ *   },
+ * });
+ * ```
+ */
+export type ComponentRendererRegistration = ComponentRenderer & {
+  /** The unique name of the renderer */
+  name: string;
+  /** File extensions which should be rendered by this renderer, i.e. ['.liquid'] */
+  extensions?: Array<string>;
+};
@@ -12,6 +12,72 @@ import type {
 import type { RouteShorthandOptions } from "fastify";
 import type { JsAsset } from "./js.asset.js";
 import type { CssAsset } from "./css.asset";
+import type { ComponentRendererName } from "./component.renderer";
+import type { StaticViewConfig } from "../server/app/static/static.export";
+import type { ComponentContext } from "./component.context";
+
+/**
+ * When the browser code of a Component view is hydrated.
+ * @description 'load' hydrates as soon as its script runs, 'idle' once the browser is idle, 'visible' once it scrolls into view,
+ * 'interaction' once it is hovered, focused or touched, 'media(<query>)' once the media query matches, and 'never' leaves it static.
+ * The scripts of the view are only loaded once its strategy is met, and clicks or focus received by an 'interaction' island while
+ * it loads are replayed once it is mounted.
+ * @public
+ * @category (Component)
+ * @author Zach Ayers
+ */
+export type HydrationStrategy =
+  | "load"
+  | "idle"
+  | "visible"
+  | "interaction"
+  | `media(${string})`
+  | "never";
+
+/**
+ * Where the render of a Component view failed: in its factories, its template, or while loading a child component.
+ * @public
+ * @category (Component)
+ * @author Zach Ayers
+ */
+export type ViewErrorPhase = "factory" | "render" | "component";
+
+/**
+ * Describes a failure caught by the error boundary of a Component view.
+ * @public
+ * @category (Component)
+ * @author Zach Ayers
+ */
+export interface ViewErrorInfo {
+  /** Where the render failed */
+  phase: ViewErrorPhase;
+  /** The path of the failed Component */
+  componentName: string;
+  /** The name of the failed view */
+  viewName: string;
+  /** The name of the child component which failed to load, for 'component' failures */
+  child?: string;
+  /** The status code of the response */
+  statusCode: number;
+  /** The context of the view, once it has been built. Child components are loaded while it is built. */
+  context?: ComponentContext<any, any>;
+}
+
+/**
+ * Rendered in place of a failed Component view or child component.
+ * @description HTML, or a function receiving the error and the failure, returning HTML.
+ * @public
+ * @category (Component)
+ * @author Zach Ayers
+ * @example
+ * ```typescript
+ * const errorTemplate: ViewErrorTemplate = (error, { context }) =>
+ *   `<p>${context?.title ?? "This section"} is unavailable right now.</p>`;
+ * ```
+ */
+export type ViewErrorTemplate =
+  | string
+  | ((error: Error, info: ViewErrorInfo) => string | Promise<string>);
 
 /**
  * Declaration of a Component 'view' object.
@@ -44,6 +110,11 @@ export interface ComponentView<
    * Method for re-reading the template after server startup.
    */
   getTemplate?: () => string | ComponentTemplate;
+  /**
+   * The renderer to use for this view.
+   * @description When omitted, the renderer is resolved from the template file extension or the template type.
+   */
+  readonly renderer?: ComponentRendererName;
   /** Root node for this view */
   readonly root?: string;
   /** The ext of the template file used */
@@ -63,6 +134,13 @@ export interface ComponentView<
   readonly exposeAsBlueprint?: boolean;
   /** Expected request parameters for a Component content request */
   readonly paramsSchema?: ComponentParamsSchema;
+  /**
+   * Static export behaviour of an exposed Blueprint view.
+   * @description Set to 'false' when the view needs request-time data,
+   * or declare the query parameter permutations to prerender.
+   * @default true
+   */
+  readonly static?: StaticViewConfig;
   /** When ASSEMBLEJS is NOT 'production', and this Component is NOT being requested from another Component, apply these developmentOptions tools */
   readonly developmentOptions?: {
     /** Wrap the ComponentTemplate in content, simulating another Component rendering this Component */
@@ -84,4 +162,49 @@ export interface ComponentView<
    * @default 300000 (5 minutes)
    */
   readonly cacheTtl?: number;
+
+  /**
+   * Stale-while-revalidate window in milliseconds
+   * @description Once the cacheTtl has passed, the stale output is still served (with 'X-Cache: STALE')
+   * for this long while the view is re-rendered in the background. Disabled unless set.
+   * @default 0
+   */
+  readonly staleWhileRevalidate?: number;
+
+  /**
+   * Stream this view when it is rendered as a Blueprint.
+   * @description The Blueprint shell is flushed as soon as it renders, and each child component
+   * is streamed in as its content request resolves - replacing a placeholder in the shell.
+   * Only applies to the top level Blueprint, nested components are always rendered whole.
+   * @default false
+   */
+  readonly streaming?: boolean;
+
+  /**
+   * When the browser code of this view is hydrated, when it is rendered as a child component.
+   * @description Delays loading and mounting islands which are not needed right away, such as widgets below the fold.
+   * @example 'visible'
+   * @example 'media((min-width: 768px))'
+   * @default 'load'
+   */
+  readonly hydrate?: HydrationStrategy;
+
+  /**
+   * Error boundary of this view.
+   * @description Rendered in place of the view when its factories or template fail, and in place of a child component
+   * which fails to load and has no 'fallback' of its own. Without one, failures of the view are sent to the server error handler.
+   */
+  readonly errorTemplate?: ViewErrorTemplate;
+
+  /**
+   * Deadline (in milliseconds) for loading the child components of this view.
+   * @description Once reached, child components which have not loaded are rendered with their fallbacks, and none are retried.
+   */
+  readonly renderDeadline?: number;
+
+  /**
+   * Status code of the response when the errorTemplate replaces this view.
+   * @default The status code of a thrown HttpError, otherwise 500
+   */
+  readonly errorStatusCode?: number;
 }
@@ -2,6 +2,10 @@
 /* eslint-disable require-jsdoc */
 import { CONSTANTS } from "../constants/blueprint.constants";
 import { logger } from "./logger.utils";
+import { createHash, randomUUID } from "crypto";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
 
 interface CacheOptions {
   /**
@@ -28,14 +32,42 @@ interface CacheItem<T> {
   expires: number;
 }
 
+/**
+ * A value, or a promise of the value
+ * @category (Utils)
+ * @public
+ */
+export type MaybePromise<T> = T | Promise<T>;
+
+/**
+ * A cache store - implementations may be synchronous (i.e. in memory) or asynchronous (i.e. remote)
+ * @author Zachariah Ayers
+ * @category (Utils)
+ * @public
+ */
 export interface ICache<T> {
-  get(key: string): T | undefined;
-  set(key: string, value: T, options?: { maxAge?: number }): void;
-  has(key: string): boolean;
-  delete(key: string): boolean;
-  clear(): void;
-  size(): number;
-  keys(): string[];
+  get(key: string): MaybePromise<T | undefined>;
+  set(key: string, value: T, options?: { maxAge?: number }): MaybePromise<void>;
+  has(key: string): MaybePromise<boolean>;
+  delete(key: string): MaybePromise<boolean>;
+  clear(): MaybePromise<void>;
+  size(): MaybePromise<number>;
+  keys(): MaybePromise<string[]>;
+  /** Optional - release any resources (timers, connections) held by the store */
+  dispose?(): MaybePromise<void>;
+}
+
+/**
+ * Apply a function to a value which may be a promise, staying synchronous when the value is
+ * @param {MaybePromise<T>} value - The value, or a promise of the value
+ * @param {Function} fn - The function to apply
+ * @returns {MaybePromise<R>} The result, or a promise of the result
+ */
+function whenResolved<T, R>(
+  value: MaybePromise<T>,
+  fn: (resolved: T) => MaybePromise<R>
+): MaybePromise<R> {
+  return value instanceof Promise ? value.then(fn) : fn(value);
 }
 
 /**
@@ -228,8 +260,670 @@ export class MemoryCache<T> implements ICache<T> {
   }
 }
 
-// Redis cache adapter implementation would go here
-// export class RedisCache<T> implements ICache<T> { ... }
+/**
+ * File system cache options
+ */
+export interface FileSystemCacheOptions {
+  /**
+   * Directory the cache files are written to
+   * Default: '.asmbl-cache' in the current working directory
+   */
+  directory?: string;
+
+  /**
+   * Maximum age of cached items in milliseconds
+   * Default: 5 minutes (300000ms)
+   */
+  maxAge?: number;
+}
+
+/**
+ * File-backed cache implementation with expiration
+ * @description Each item is stored as a JSON file, so values must be JSON serializable.
+ * Nodes sharing the cache directory (i.e. a mounted volume) share the cached items.
+ * @author Zachariah Ayers
+ * @category (Utils)
+ * @public
+ */
+export class FileSystemCache<T> implements ICache<T> {
+  private readonly directory: string;
+  private readonly maxAge: number;
+  private readonly log = logger(`${CONSTANTS.defaultLoggerClassName}:cache`);
+
+  constructor(options: FileSystemCacheOptions = {}) {
+    this.directory = path.resolve(options.directory ?? ".asmbl-cache");
+    this.maxAge = options.maxAge ?? 300000; // 5 minutes default
+  }
+
+  /**
+   * Get a value from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<T | undefined>} The cached value or undefined if not found or expired
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async get(key: string): Promise<T | undefined> {
+    return (await this.read(this.filePath(key)))?.value;
+  }
+
+  /**
+   * Set a value in the cache
+   * @param {string} key - Cache key
+   * @param {T} value - Value to cache
+   * @param {object} [options] - Optional cache options for this item
+   * @param {number} [options.maxAge] - Custom TTL for this item in milliseconds
+   * @returns {Promise<void>}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async set(
+    key: string,
+    value: T,
+    options?: { maxAge?: number }
+  ): Promise<void> {
+    const filePath = this.filePath(key);
+    const expires = Date.now() + (options?.maxAge ?? this.maxAge);
+    // Unique per write, so concurrent writes of the same key never share a temp file
+    const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+
+    // Write then rename, so readers never see a partially written item
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      await fs.writeFile(tempPath, JSON.stringify({ key, value, expires }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a key exists in the cache and is not expired
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key exists and is not expired
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async has(key: string): Promise<boolean> {
+    return (await this.read(this.filePath(key))) !== undefined;
+  }
+
+  /**
+   * Delete a key from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key was deleted, false if it didn't exist
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async delete(key: string): Promise<boolean> {
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Clear all items from the cache
+   * @returns {Promise<void>}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async clear(): Promise<void> {
+    const files = await this.files();
+    await Promise.all(files.map((file) => fs.rm(file, { force: true })));
+  }
+
+  /**
+   * Get the number of items in the cache
+   * @returns {Promise<number>} Number of items in the cache
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async size(): Promise<number> {
+    return (await this.keys()).length;
+  }
+
+  /**
+   * Get all keys in the cache
+   * @returns {Promise<string[]>} Array of cache keys
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async keys(): Promise<string[]> {
+    const items = await Promise.all(
+      (await this.files()).map((file) => this.read(file))
+    );
+
+    return items
+      .filter((item): item is { key: string; value: T; expires: number } =>
+        Boolean(item)
+      )
+      .map((item) => item.key);
+  }
+
+  /**
+   * Get the file path for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} The path of the file holding the item
+   * @private
+   */
+  private filePath(key: string): string {
+    const hash = createHash("sha256").update(key).digest("hex");
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Get the paths of every item file in the cache directory
+   * @returns {Promise<string[]>} The item file paths
+   * @private
+   */
+  private async files(): Promise<string[]> {
+    try {
+      const entries = await fs.readdir(this.directory);
+      return entries
+        .filter((entry) => entry.endsWith(".json"))
+        .map((entry) => path.join(this.directory, entry));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Read an item file, removing it if it has expired
+   * @param {string} filePath - The item file path
+   * @returns {Promise<object | undefined>} The item, or undefined if not found or expired
+   * @private
+   */
+  private async read(
+    filePath: string
+  ): Promise<{ key: string; value: T; expires: number } | undefined> {
+    let item: { key: string; value: T; expires: number };
+
+    try {
+      item = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        this.log.warn(`Failed to read cache file ${filePath}:`, error);
+      }
+      return undefined;
+    }
+
+    if (Date.now() > item.expires) {
+      await fs.rm(filePath, { force: true });
+      return undefined;
+    }
+
+    return item;
+  }
+}
+
+/**
+ * Redis cache options
+ */
+export interface RedisCacheOptions {
+  /**
+   * Redis host
+   * Default: 127.0.0.1
+   */
+  host?: string;
+
+  /**
+   * Redis port
+   * Default: 6379
+   */
+  port?: number;
+
+  /** Password sent with AUTH once connected */
+  password?: string;
+
+  /** Database selected with SELECT once connected */
+  db?: number;
+
+  /**
+   * Prefix applied to every key, so several applications can share a server
+   * Default: 'asmbl:'
+   */
+  keyPrefix?: string;
+
+  /**
+   * Maximum age of cached items in milliseconds
+   * Default: 5 minutes (300000ms)
+   */
+  maxAge?: number;
+
+  /**
+   * How long to wait for the connection to open, in milliseconds
+   * Default: 5000
+   */
+  connectTimeout?: number;
+
+  /**
+   * How long to wait for the reply to a command, in milliseconds. The connection is dropped when it passes.
+   * Default: 2000
+   */
+  commandTimeout?: number;
+}
+
+/** A decoded Redis (RESP) reply */
+type RedisReply = string | number | null | Error | RedisReply[];
+
+/**
+ * Decode a single Redis (RESP) reply from a buffer
+ * @param {Buffer} buffer - The received data
+ * @param {number} offset - The offset the reply starts at
+ * @returns {object | undefined} The reply and the offset after it, or undefined if the reply is incomplete
+ */
+function parseRedisReply(
+  buffer: Buffer,
+  offset: number
+): { reply: RedisReply; offset: number } | undefined {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) {
+    return undefined;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { reply: line, offset: next };
+    case "-":
+      return { reply: new Error(line), offset: next };
+    case ":":
+      return { reply: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) {
+        return { reply: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return undefined;
+      }
+      return {
+        reply: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) {
+        return { reply: null, offset: next };
+      }
+      const items: RedisReply[] = [];
+      let itemOffset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, itemOffset);
+        if (!item) {
+          return undefined;
+        }
+        items.push(item.reply);
+        itemOffset = item.offset;
+      }
+      return { reply: items, offset: itemOffset };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+/**
+ * A connection to a Redis server, with the commands waiting on its replies
+ */
+interface RedisConnection {
+  socket: net.Socket;
+  buffer: Buffer;
+  pending: Array<{
+    resolve: (reply: RedisReply) => void;
+    reject: (error: Error) => void;
+  }>;
+}
+
+/**
+ * Redis cache adapter
+ * @description Speaks the Redis protocol (RESP) directly, so it works with Redis and any compatible server
+ * (KeyDB, Dragonfly, Valkey, etc.) without extra dependencies. Values must be JSON serializable.
+ * @author Zachariah Ayers
+ * @category (Utils)
+ * @public
+ */
+export class RedisCache<T> implements ICache<T> {
+  private readonly options: Required<
+    Omit<RedisCacheOptions, "password" | "db">
+  > &
+    Pick<RedisCacheOptions, "password" | "db">;
+  private readonly log = logger(`${CONSTANTS.defaultLoggerClassName}:cache`);
+  private connection: RedisConnection | null = null;
+
+  constructor(options: RedisCacheOptions = {}) {
+    this.options = {
+      host: options.host ?? "127.0.0.1",
+      port: options.port ?? 6379,
+      keyPrefix: options.keyPrefix ?? "asmbl:",
+      maxAge: options.maxAge ?? 300000, // 5 minutes default
+      connectTimeout: options.connectTimeout ?? 5000,
+      commandTimeout: options.commandTimeout ?? 2000,
+      password: options.password,
+      db: options.db,
+    };
+  }
+
+  /**
+   * Get a value from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<T | undefined>} The cached value or undefined if not found or expired
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async get(key: string): Promise<T | undefined> {
+    const reply = await this.command("GET", this.prefixed(key));
+    if (typeof reply !== "string") {
+      return undefined;
+    }
+
+    // A corrupt value is a cache miss, not a failed request
+    try {
+      return JSON.parse(reply) as T;
+    } catch (error) {
+      this.log.warn(`Failed to parse cached value for ${key}:`, error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Set a value in the cache
+   * @param {string} key - Cache key
+   * @param {T} value - Value to cache
+   * @param {object} [options] - Optional cache options for this item
+   * @param {number} [options.maxAge] - Custom TTL for this item in milliseconds
+   * @returns {Promise<void>}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async set(
+    key: string,
+    value: T,
+    options?: { maxAge?: number }
+  ): Promise<void> {
+    const maxAge = Math.max(
+      1,
+      Math.ceil(options?.maxAge ?? this.options.maxAge)
+    );
+
+    // Redis only accepts finite expiry times
+    if (Number.isFinite(maxAge)) {
+      await this.command(
+        "SET",
+        this.prefixed(key),
+        JSON.stringify(value),
+        "PX",
+        maxAge
+      );
+    } else {
+      await this.command("SET", this.prefixed(key), JSON.stringify(value));
+    }
+  }
+
+  /**
+   * Check if a key exists in the cache and is not expired
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key exists and is not expired
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async has(key: string): Promise<boolean> {
+    return (await this.command("EXISTS", this.prefixed(key))) === 1;
+  }
+
+  /**
+   * Delete a key from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if the key was deleted, false if it didn't exist
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async delete(key: string): Promise<boolean> {
+    return ((await this.command("DEL", this.prefixed(key))) as number) > 0;
+  }
+
+  /**
+   * Clear all items with this cache's key prefix
+   * @returns {Promise<void>}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async clear(): Promise<void> {
+    const keys = await this.scan();
+
+    if (keys.length > 0) {
+      await this.command("DEL", ...keys);
+    }
+  }
+
+  /**
+   * Get the number of items in the cache
+   * @returns {Promise<number>} Number of items in the cache
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async size(): Promise<number> {
+    return (await this.keys()).length;
+  }
+
+  /**
+   * Get all keys in the cache
+   * @returns {Promise<string[]>} Array of cache keys
+   * @public
+   * @author Zachariah Ayers
+   */
+  public async keys(): Promise<string[]> {
+    const keys = await this.scan();
+    return keys.map((key) => key.slice(this.options.keyPrefix.length));
+  }
+
+  /**
+   * Close the connection to the server
+   * @returns {void}
+   * @public
+   * @author Zachariah Ayers
+   */
+  public dispose(): void {
+    this.connection?.socket.end();
+    this.connection = null;
+  }
+
+  /**
+   * Send a command to the server
+   * @param {...(string | number)} args - The command and its arguments
+   * @returns {Promise<RedisReply>} The server's reply
+   * @public
+   * @author Zachariah Ayers
+   */
+  public command(...args: Array<string | number>): Promise<RedisReply> {
+    const connection = this.connect();
+
+    return new Promise((resolve, reject) => {
+      // Replies are matched to commands in order, so a missing reply drops the connection rather than the command
+      const timer = setTimeout(
+        () =>
+          connection.socket.destroy(
+            new Error(
+              `Redis command timed out after ${this.options.commandTimeout}ms: ${args[0]}`
+            )
+          ),
+        this.options.commandTimeout
+      );
+
+      connection.pending.push({
+        resolve: (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      connection.socket.write(RedisCache.encode(args));
+    });
+  }
+
+  /**
+   * Collect every key with this cache's prefix
+   * @description Iterates with SCAN, which unlike KEYS does not block the server while it walks the keyspace.
+   * @returns {Promise<string[]>} The prefixed keys
+   * @private
+   */
+  private async scan(): Promise<string[]> {
+    const keys = new Set<string>();
+    let cursor = "0";
+
+    do {
+      const [next, batch] = (await this.command(
+        "SCAN",
+        cursor,
+        "MATCH",
+        `${this.options.keyPrefix}*`,
+        "COUNT",
+        100
+      )) as [string, string[]];
+
+      // SCAN may return a key more than once
+      batch.forEach((key) => keys.add(key));
+      cursor = next;
+    } while (cursor !== "0");
+
+    return [...keys];
+  }
+
+  /**
+   * Apply the key prefix to a cache key
+   * @param {string} key - Cache key
+   * @returns {string} The key stored on the server
+   * @private
+   */
+  private prefixed(key: string): string {
+    return `${this.options.keyPrefix}${key}`;
+  }
+
+  /**
+   * Get the open connection, connecting (and authenticating) if needed
+   * @returns {RedisConnection} The connection - commands written before it opens are buffered
+   * @private
+   */
+  private connect(): RedisConnection {
+    if (this.connection) {
+      return this.connection;
+    }
+
+    const socket = net.createConnection({
+      host: this.options.host,
+      port: this.options.port,
+    });
+    // Each connection answers only its own commands, so a closing connection never settles those of the next
+    const connection: RedisConnection = {
+      socket,
+      buffer: Buffer.alloc(0),
+      pending: [],
+    };
+    this.connection = connection;
+
+    // An unreachable server fails the connection instead of holding every command
+    const connectTimer = setTimeout(
+      () =>
+        socket.destroy(
+          new Error(
+            `Redis connection to ${this.options.host}:${this.options.port} timed out after ${this.options.connectTimeout}ms`
+          )
+        ),
+      this.options.connectTimeout
+    );
+    socket.once("connect", () => clearTimeout(connectTimer));
+    socket.once("close", () => clearTimeout(connectTimer));
+
+    socket.on("data", (data) => this.receive(connection, data));
+    socket.on("error", (error) => this.fail(connection, error));
+    socket.on("close", () =>
+      this.fail(connection, new Error("Redis connection closed"))
+    );
+
+    // Queued ahead of any other command, so it runs first
+    if (this.options.password !== undefined) {
+      void this.command("AUTH", this.options.password).catch(() => undefined);
+    }
+    if (this.options.db !== undefined) {
+      void this.command("SELECT", this.options.db).catch(() => undefined);
+    }
+
+    return connection;
+  }
+
+  /**
+   * Handle data received from the server, settling the pending commands of the connection in order
+   * @description A reply which can not be read fails the connection, as the replies after it can no longer be matched to their commands.
+   * @param {RedisConnection} connection - The connection the data was received on
+   * @param {Buffer} data - The received data
+   * @returns {void}
+   * @private
+   */
+  private receive(connection: RedisConnection, data: Buffer): void {
+    connection.buffer = Buffer.concat([connection.buffer, data]);
+
+    try {
+      let parsed = parseRedisReply(connection.buffer, 0);
+      while (parsed) {
+        connection.buffer = connection.buffer.subarray(parsed.offset);
+
+        const pending = connection.pending.shift();
+        if (parsed.reply instanceof Error) {
+          pending?.reject(parsed.reply);
+        } else {
+          pending?.resolve(parsed.reply);
+        }
+
+        parsed =
+          connection.buffer.length > 0
+            ? parseRedisReply(connection.buffer, 0)
+            : undefined;
+      }
+    } catch (error) {
+      connection.socket.destroy(
+        error instanceof Error ? error : new Error(String(error))
+      );
+    }
+  }
+
+  /**
+   * Reject every pending command of a connection after it fails - the next command reconnects
+   * @param {RedisConnection} connection - The failed connection
+   * @param {Error} error - The failure
+   * @returns {void}
+   * @private
+   */
+  private fail(connection: RedisConnection, error: Error): void {
+    if (this.connection === connection) {
+      this.connection = null;
+    }
+
+    connection.pending.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * Encode a command as a RESP array of bulk strings
+   * @param {Array<string | number>} args - The command and its arguments
+   * @returns {string} The encoded command
+   * @private
+   */
+  private static encode(args: Array<string | number>): string {
+    return args.reduce<string>((encoded, arg) => {
+      const value = String(arg);
+      return `${encoded}$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }, `*${args.length}\r\n`);
+  }
+}
 
 /**
  * Factory for creating cache instances
@@ -251,8 +945,33 @@ export class CacheFactory {
     return new MemoryCache<T>(options);
   }
 
-  // Factory method for Redis cache would go here
-  // public static createRedisCache<T>(options?: RedisCacheOptions): ICache<T> { ... }
+  /**
+   * Create a file-backed cache
+   * @template T - The type of values stored in the cache
+   * @param {FileSystemCacheOptions} [options] - Cache options
+   * @returns {ICache<T>} A new file system cache instance
+   * @static
+   * @public
+   * @author Zachariah Ayers
+   */
+  public static createFileSystemCache<T>(
+    options?: FileSystemCacheOptions
+  ): ICache<T> {
+    return new FileSystemCache<T>(options);
+  }
+
+  /**
+   * Create a Redis cache
+   * @template T - The type of values stored in the cache
+   * @param {RedisCacheOptions} [options] - Cache options
+   * @returns {ICache<T>} A new Redis cache instance
+   * @static
+   * @public
+   * @author Zachariah Ayers
+   */
+  public static createRedisCache<T>(options?: RedisCacheOptions): ICache<T> {
+    return new RedisCache<T>(options);
+  }
 }
 
 // Global cache singleton for application-wide caching
@@ -271,54 +990,60 @@ export function getGlobalCache<T>(): ICache<T> {
 }
 
 /**
- * Create a namespace-specific cache instance from the global cache
+ * Create a namespace-specific cache instance from the global cache, or the given store
  * This allows for better organization and prevents key collisions
  * @template T - The type of values to be stored in the cache
  * @param {string} namespace - The namespace for this cache
+ * @param {ICache<unknown>} [store] - The store to namespace, defaults to the global cache
  * @returns {ICache<T>} A namespaced cache API
  * @author Zachariah Ayers
  * @category (Utils)
  * @public
  */
-export function createNamespacedCache<T>(namespace: string): ICache<T> {
+export function createNamespacedCache<T>(
+  namespace: string,
+  store: ICache<unknown> = globalCache
+): ICache<T> {
+  const namespacePrefix = `${namespace}:`;
+  const namespacedKeys = () =>
+    whenResolved(store.keys(), (allKeys) =>
+      allKeys.filter((key) => key.startsWith(namespacePrefix))
+    );
+
   return {
-    get(key: string): T | undefined {
-      const value = globalCache.get(`${namespace}:${key}`);
-      return value as T | undefined;
+    get(key: string): MaybePromise<T | undefined> {
+      return store.get(`${namespacePrefix}${key}`) as MaybePromise<
+        T | undefined
+      >;
     },
-    set(key: string, value: T, options?: { maxAge?: number }): void {
-      globalCache.set(`${namespace}:${key}`, value, options);
+    set(key: string, value: T, options?: { maxAge?: number }) {
+      return store.set(`${namespacePrefix}${key}`, value, options);
     },
-    has(key: string): boolean {
-      return globalCache.has(`${namespace}:${key}`);
+    has(key: string) {
+      return store.has(`${namespacePrefix}${key}`);
     },
-    delete(key: string): boolean {
-      return globalCache.delete(`${namespace}:${key}`);
+    delete(key: string) {
+      return store.delete(`${namespacePrefix}${key}`);
     },
-    clear(): void {
+    clear() {
       // Only clear keys in our namespace
-      const allKeys = globalCache.keys();
-      const namespacePrefix = `${namespace}:`;
+      return whenResolved(namespacedKeys(), (keys) => {
+        const deletions = keys.map((key) => store.delete(key));
 
-      for (const key of allKeys) {
-        if (key.startsWith(namespacePrefix)) {
-          globalCache.delete(key);
+        if (deletions.some((deletion) => deletion instanceof Promise)) {
+          return Promise.all(deletions).then(() => undefined);
         }
-      }
-    },
-    size(): number {
-      const allKeys = globalCache.keys();
-      const namespacePrefix = `${namespace}:`;
 
-      return allKeys.filter((key) => key.startsWith(namespacePrefix)).length;
+        return undefined;
+      });
     },
-    keys(): string[] {
-      const allKeys = globalCache.keys();
-      const namespacePrefix = `${namespace}:`;
-
-      return allKeys
-        .filter((key) => key.startsWith(namespacePrefix))
-        .map((key) => key.slice(namespacePrefix.length));
+    size() {
+      return whenResolved(namespacedKeys(), (keys) => keys.length);
+    },
+    keys() {
+      return whenResolved(namespacedKeys(), (keys) =>
+        keys.map((key) => key.slice(namespacePrefix.length))
+      );
     },
   };
 }
@@ -365,22 +1090,25 @@ export function Cached(
         ? keyGenerator(...args)
         : `${propertyKey}:${JSON.stringify(args)}`;
 
-      if (cache.has(key)) {
-        return cache.get(key);
-      }
+      // Stays synchronous for synchronous stores
+      return whenResolved(cache.has(key), (hit) => {
+        if (hit) {
+          return cache.get(key);
+        }
 
-      const result = originalMethod.apply(this, args);
+        const result = originalMethod.apply(this, args);
 
-      // Handle promises
-      if (result instanceof Promise) {
-        return result.then((value) => {
-          cache.set(key, value, options);
-          return value;
-        });
-      }
+        // Handle promises
+        if (result instanceof Promise) {
+          return result.then((value) => {
+            cache.set(key, value, options);
+            return value;
+          });
+        }
 
-      cache.set(key, result, options);
-      return result;
+        cache.set(key, result, options);
+        return result;
+      });
     };
 
     return descriptor;
@@ -397,7 +1125,7 @@ export function Cached(
  * @public
  */
 export function createHttpCacheMiddleware(options?: CacheOptions) {
-  const cache = CacheFactory.createMemoryCache<{
+  const cache = new MemoryCache<{
     statusCode: number;
     body: unknown;
     headers: Record<string, string>;
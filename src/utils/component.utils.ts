@@ -2,7 +2,11 @@
 import type { ComponentParams } from "../types/component.params";
 import type { AnyObject } from "../types/object.any";
 import type { ComponentContext } from "../types/component.context";
-import type { BlueprintInstance } from "../types/blueprint.simple.types";
+import type { ViewErrorInfo, ViewErrorTemplate } from "../types/component.view";
+import type {
+  BlueprintInstance,
+  CachedRenderedView,
+} from "../types/blueprint.simple.types";
 import { parse } from "node-html-parser";
 import { ASSEMBLEJS } from "../server/config/blueprint.config";
 import assert from "assert";
@@ -11,11 +15,18 @@ import { HttpError } from "./http.utils";
 import { createNamespacedCache } from "./cache.utils";
 import { CONSTANTS } from "../constants/blueprint.constants";
 import { logger } from "./logger.utils";
+import {
+  getEventsSocketPath,
+  getServerEventsPath,
+} from "../server/app/events/server.events";
+import { getClientRouterRoutes } from "../server/app/router/client.router";
+import { getCacheTagIndexKey } from "../server/app/cache/cache.integration";
+import { encodeHtml } from "./html.utils";
 
 /**
  * Resolve the closest parent component container from the given DOM context.
  * @param {unknown} element - The DOM context.
- * @return {{enclosingComponentView: string, enclosingComponentName: string, pathInjector: string}} - The closest component container.
+ * @return {{enclosingComponentView: string, enclosingComponentName: string, enclosingComponentHydrate: string, pathInjector: string}} - The closest component container.
  * @author Zach Ayers
  */
 function getEnclosingComponentInfo(element: unknown) {
@@ -38,15 +49,79 @@ function getEnclosingComponentInfo(element: unknown) {
     (<unknown>parentComponentContainer)
   ))?.getAttribute(ASSEMBLEJS.componentUrlIdentifier);
 
+  const enclosingComponentHydrate = (<HTMLElement>(
+    (<unknown>parentComponentContainer)
+  ))?.getAttribute(ASSEMBLEJS.componentHydrateIdentifier);
+
   return {
     enclosingComponentName,
     enclosingComponentView,
+    enclosingComponentHydrate,
     pathInjector:
       enclosingComponentUrl ??
       `/${enclosingComponentName}/${enclosingComponentView}/`,
   };
 }
 
+/**
+ * Point the scripts and links of a single component container at the server that owns them.
+ * @param {HTMLElement} component - The parsed component container.
+ * @param {string} elementId - The ID of the component container.
+ * @author Zach Ayers
+ */
+function mutateComponentAssets(
+  component: ReturnType<typeof parse>,
+  elementId: string
+) {
+  // Main Component Element Selectors
+  const componentScripts = component.querySelectorAll("script");
+  const componentLinks = component.querySelectorAll("link");
+
+  // Update Component Script attributes
+  componentScripts.forEach((script) => {
+    const { pathInjector, enclosingComponentHydrate } =
+      getEnclosingComponentInfo(script);
+    const currentSrc = script?.getAttribute("src");
+
+    // If a src exists, we have a fetchable script, if not, it is inline
+    if (currentSrc !== undefined && !currentSrc?.includes(pathInjector)) {
+      // Set defer so the script loads in the background and fires once the dom is loaded
+      script?.setAttribute("defer", "");
+      // Update the path to point to the corresponding component
+      script?.setAttribute("src", `${pathInjector}${currentSrc}`);
+    }
+
+    // Islands only load their scripts once their hydration strategy is met, the client bundle swaps the placeholder for the script
+    const src = script?.getAttribute("src");
+    if (src !== undefined && enclosingComponentHydrate !== undefined) {
+      const type = script.getAttribute("type");
+      if (type !== undefined) {
+        script.setAttribute(CONSTANTS.componentLazyTypeIdentifier, type);
+      }
+      script.setAttribute("type", CONSTANTS.componentLazyScriptType);
+      script.setAttribute(CONSTANTS.componentLazySrcIdentifier, src);
+      script.removeAttribute("src");
+      script.removeAttribute("defer");
+    }
+    // Add the association pointer
+    script?.setAttribute(ASSEMBLEJS.componentDataIdentifier, elementId);
+  });
+
+  // Update Link attributes
+  componentLinks.forEach((link) => {
+    const { pathInjector } = getEnclosingComponentInfo(link);
+    const currentHref = link?.getAttribute("href");
+
+    // Add the association pointer
+    link?.setAttribute(ASSEMBLEJS.componentDataIdentifier, elementId);
+
+    // Update the path to point to the corresponding component
+    if (currentHref !== undefined && !currentHref?.includes(pathInjector)) {
+      link?.setAttribute("href", `${pathInjector}${link.getAttribute("href")}`);
+    }
+  });
+}
+
 /**
  * At a Blueprint level, apply AssembleJS specific HTML mutations before sending to the client.
  * @param {string | Buffer} template - The template to be mutated.
@@ -139,6 +214,54 @@ export async function safeFetch<T>(
   }
 }
 
+/**
+ * Render the error template of a failed Component view or child component.
+ * @description Without a template, or when the template itself fails, a default error box is rendered.
+ * The error message is only shown in development.
+ * @param error - The error that was caught
+ * @param info - Where the render failed
+ * @param template - The errorTemplate of the view, or the fallback of the child component
+ * @return Promise resolving to the error HTML
+ * @author Zachariah Ayers
+ */
+export async function renderErrorTemplate(
+  error: Error,
+  info: ViewErrorInfo,
+  template?: ViewErrorTemplate
+): Promise<string> {
+  if (typeof template === "string") {
+    return template;
+  }
+
+  if (typeof template === "function") {
+    try {
+      return await template(error, info);
+    } catch (templateError) {
+      log.error(
+        `Error template failed for ${info.componentName}/${info.viewName}`,
+        templateError
+      );
+    }
+  }
+
+  const title =
+    info.phase === "component"
+      ? `Failed to load component "${info.child}"`
+      : `Failed to render ${info.componentName}/${info.viewName}`;
+
+  return `<div data-assemblejs-error="${
+    info.phase
+  }" style="border: 1px solid #f44336; border-radius: 4px; padding: 12px; margin: 8px 0; font-family: sans-serif;"><p style="color: #f44336; margin: 0; font-weight: bold;">${encodeHtml(
+    title
+  )}</p>${
+    process.env.NODE_ENV === "development"
+      ? `<p style="margin: 8px 0 0 0; font-size: 12px;">${encodeHtml(
+          error.message || "Unknown error"
+        )}</p>`
+      : ""
+  }</div>`;
+}
+
 /**
  * Renders a component with comprehensive error handling
  * @param renderFunction - The async function that performs the render operation
@@ -151,43 +274,28 @@ export async function safeRender<T>(
     context: ComponentContext<AnyObject, ComponentParams>
   ) => Promise<T>,
   context: ComponentContext<AnyObject, ComponentParams>,
-  fallbackTemplate?: string
+  fallbackTemplate?: ViewErrorTemplate
 ): Promise<T | string> {
   try {
     return await renderFunction(context);
   } catch (err) {
-    // Type guard for Error
-    const error = err as Error;
+    const error = err instanceof Error ? err : new Error(String(err));
 
-    // Log the error
-    console.error(
-      `Render error for ${context.componentName}/${context.viewName}:`,
+    log.error(
+      `Render error for ${context.componentName}/${context.viewName}`,
       error
     );
 
-    // If we're in development mode, return detailed error information
-    if (process.env.NODE_ENV === "development") {
-      return `
-        <div style="border: 2px solid #ff5757; background: #fff0f0; padding: 20px; margin: 20px 0; border-radius: 4px; font-family: sans-serif;">
-          <h2 style="color: #d32f2f; margin-top: 0;">Rendering Error in ${
-            context.componentName
-          }/${context.viewName}</h2>
-          <p style="font-weight: bold;">${error.message || "Unknown error"}</p>
-          <pre style="background: #f5f5f5; padding: 15px; overflow: auto; border-radius: 4px;">${
-            error.stack || ""
-          }</pre>
-        </div>
-      `;
-    }
-
-    // For production, return a minimal error or fallback
-    return (
-      fallbackTemplate ||
-      `
-      <div data-assemblejs-error="true" style="padding: 10px;">
-        <p>Error rendering component</p>
-      </div>
-    `
+    return renderErrorTemplate(
+      error,
+      {
+        phase: "render",
+        componentName: context.componentName,
+        viewName: context.viewName,
+        statusCode: err instanceof HttpError ? err.statusCode : 500,
+        context,
+      },
+      fallbackTemplate
     );
   }
 }
@@ -212,7 +320,24 @@ export function mutateBlueprint(
     "/bundles/asmbl.client.bundle.js";
   let skipComponentLevelManipulation = false;
 
-  const clientBundleScript = `<script src="${clientBundleSrc}" defer></script>`;
+  // Tell the client bundle where to subscribe to server events, and connect to the events socket, when they are enabled
+  const serverEventsPath = getServerEventsPath();
+  const eventsSocketPath = getEventsSocketPath();
+  // Tell the client bundle which routes it may navigate to without a full page reload, when the router is enabled
+  const routerRoutes = getClientRouterRoutes();
+  const clientBundleScript = `<script src="${clientBundleSrc}" defer${
+    serverEventsPath
+      ? ` ${CONSTANTS.serverEventsAttribute}="${serverEventsPath}"`
+      : ""
+  }${
+    eventsSocketPath
+      ? ` ${CONSTANTS.eventsSocketAttribute}="${eventsSocketPath}"`
+      : ""
+  }${
+    routerRoutes
+      ? ` ${CONSTANTS.routerAttribute}="${encodeHtml(routerRoutes.join(" "))}"`
+      : ""
+  }></script>`;
 
   // Look at the HTML, re-generate any duplicate IDs
   // TODO: Speed up the performance below / reduce time complexity
@@ -254,45 +379,8 @@ export function mutateBlueprint(
       foundComponentIds.add(elementId);
     }
 
-    // Main Component Element Selectors
-    const componentScripts = component.querySelectorAll("script");
-    const componentLinks = component.querySelectorAll("link");
-
-    // Update Component Script attributes
-    componentScripts.forEach((script) => {
-      const { pathInjector } = getEnclosingComponentInfo(script);
-      const currentSrc = script?.getAttribute("src");
-
-      // If a src exists, we have a fetchable script, if not, it is inline
-      if (currentSrc !== undefined && !currentSrc?.includes(pathInjector)) {
-        // Set defer so the script loads in the background and fires once the dom is loaded
-        script?.setAttribute("defer", "");
-        // Update the path to point to the corresponding component
-        script?.setAttribute("src", `${pathInjector}${currentSrc}`);
-      }
-      // Add the association pointer
-      script?.setAttribute(
-        ASSEMBLEJS.componentDataIdentifier,
-        <string>elementId
-      );
-    });
-
-    // Update Link attributes
-    componentLinks.forEach((link) => {
-      const { pathInjector } = getEnclosingComponentInfo(link);
-      const currentHref = link?.getAttribute("href");
-
-      // Add the association pointer
-      link?.setAttribute(ASSEMBLEJS.componentDataIdentifier, <string>elementId);
-
-      // Update the path to point to the corresponding component
-      if (currentHref !== undefined && !currentHref?.includes(pathInjector)) {
-        link?.setAttribute(
-          "href",
-          `${pathInjector}${link.getAttribute("href")}`
-        );
-      }
-    });
+    // Point the component scripts and links at the component server
+    mutateComponentAssets(component, elementId);
   });
 
   // Update component IDs where needed
@@ -401,6 +489,33 @@ export function mutateBlueprint(
   return parsedTemplate.toString();
 }
 
+/**
+ * Apply the component level Blueprint mutations to a child component that is streamed in after the Blueprint shell.
+ * @description Streamed components never pass through `mutateBlueprint`, so their scripts and links are pointed at their server here.
+ * Scripts are left in place - the streaming runtime executes them once the client bundle is ready.
+ * @param {string | Buffer} template - The rendered child component.
+ * @return {string} - The mutated child component HTML.
+ * @author Zach Ayers
+ */
+export function mutateStreamedComponent(template: string | Buffer): string {
+  const parsedTemplate = parse(template.toString());
+
+  parsedTemplate
+    .querySelectorAll(`[class^=${ASSEMBLEJS.componentClassIdentifier}]`)
+    .forEach((component) => {
+      const elementId = component.getAttribute(
+        ASSEMBLEJS.componentIdIdentifier
+      );
+
+      // Error templates and other raw content carry no component container
+      if (elementId) {
+        mutateComponentAssets(component, elementId);
+      }
+    });
+
+  return parsedTemplate.toString();
+}
+
 // Logger for cache operations
 const log = logger(`${CONSTANTS.defaultLoggerClassName}:component-utils`);
 
@@ -415,50 +530,116 @@ export function getComponentCache<T = any>(componentId: string) {
 
 /**
  * Cache a rendered component
+ * @description Failures are logged rather than thrown, as the cache store may be remote.
  * @param server The server instance
  * @param componentId The component ID
  * @param content The rendered content
- * @param ttl Optional time-to-live in milliseconds
+ * @param ttl Optional time-to-live in milliseconds, after which the content is stale
+ * @param staleTtl Optional time in milliseconds the stale content may still be served while it is re-rendered
+ * @param tags Optional cache tags, used to invalidate the content with 'caches.invalidateTags'
  */
-export function cacheRenderedComponent(
+export async function cacheRenderedComponent(
   server: BlueprintInstance,
   componentId: string,
   content: string,
-  ttl?: number
-): void {
+  ttl = 300000,
+  staleTtl = 0,
+  tags: string[] = []
+): Promise<void> {
   if (!server.caches) {
     // Caching not enabled
     return;
   }
 
   const cacheKey = `component:${componentId}`;
-  server.caches.renderedView.set(cacheKey, content, { maxAge: ttl });
-  log.debug(`Cached rendered component: ${componentId}`);
+  const maxAge = ttl + staleTtl;
+
+  try {
+    await server.caches.renderedView.set(
+      cacheKey,
+      { content, staleAt: Date.now() + ttl, ...(tags.length > 0 && { tags }) },
+      { maxAge }
+    );
+
+    // Index the key under each of its tags, so it can be found when a tag is invalidated
+    // Every entry is written on its own, refreshing its max age along with the view's
+    const tagCache = server.caches.cacheTags;
+    await Promise.all(
+      tags.map((tag) =>
+        tagCache.set(getCacheTagIndexKey(tag, cacheKey), cacheKey, { maxAge })
+      )
+    );
+    log.debug(`Cached rendered component: ${componentId}`);
+  } catch (error) {
+    log.error(`Failed to cache rendered component: ${componentId}`, error);
+  }
 }
 
 /**
  * Get a cached rendered component
+ * @description Failures are logged and treated as a cache miss, as the cache store may be remote.
  * @param server The server instance
  * @param componentId The component ID
- * @return The cached content or undefined if not found
+ * @return The cached content, whether it is stale, and its cache tags, or undefined if not found
  */
-export function getCachedRenderedComponent(
+export async function getCachedRenderedComponent(
   server: BlueprintInstance,
   componentId: string
-): string | undefined {
+): Promise<{ content: string; stale: boolean; tags: string[] } | undefined> {
   if (!server.caches) {
     // Caching not enabled
     return undefined;
   }
 
   const cacheKey = `component:${componentId}`;
-  const cached = server.caches.renderedView.get(cacheKey);
+  let cached: CachedRenderedView | undefined;
+
+  try {
+    cached = await server.caches.renderedView.get(cacheKey);
+  } catch (error) {
+    log.error(`Failed to read cached component: ${componentId}`, error);
+    return undefined;
+  }
+
+  if (!cached) {
+    return undefined;
+  }
+
+  const stale = Date.now() > cached.staleAt;
+  log.debug(
+    `Cache ${
+      stale ? "stale hit" : "hit"
+    } for rendered component: ${componentId}`
+  );
+
+  return { content: cached.content, stale, tags: cached.tags ?? [] };
+}
+
+/**
+ * Encode cache tags into the header a child component reports them to its parent with
+ * @param tags The cache tags
+ * @return The header value
+ */
+export function encodeCacheTags(tags: Iterable<string>): string {
+  return [...tags].map((tag) => encodeURIComponent(tag)).join(",");
+}
+
+/**
+ * Decode the cache tags reported by a child component
+ * @param header The header value, if any
+ * @return The cache tags
+ */
+export function decodeCacheTags(header: unknown): string[] {
+  const value = Array.isArray(header) ? header.join(",") : header;
 
-  if (cached) {
-    log.debug(`Cache hit for rendered component: ${componentId}`);
+  if (typeof value !== "string" || value.length === 0) {
+    return [];
   }
 
-  return cached;
+  return value
+    .split(",")
+    .filter((tag) => tag.length > 0)
+    .map((tag) => decodeURIComponent(tag));
 }
 
 /**
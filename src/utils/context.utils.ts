@@ -1,5 +1,12 @@
-import type { ComponentContext, ViewContext } from "../types/component.context";
-import type { ComponentPublicData } from "../types/component.simple.types";
+import type {
+  ComponentContext,
+  ViewContext,
+  VueViewContext,
+} from "../types/component.context";
+import type {
+  ComponentHelperMap,
+  ComponentPublicData,
+} from "../types/component.simple.types";
 import type { ComponentParams } from "../types/component.params";
 
 /**
@@ -26,3 +33,47 @@ export function getSafeContext(
     renderer: context.renderer || "HTML",
   };
 }
+
+/**
+ * Read the HTML of a child component: a Buffer on the server, or a Buffer serialized to JSON in the browser.
+ * @param {unknown} content - The child component content.
+ * @return {string} - The HTML of the child component.
+ */
+function getComponentHtml(content: unknown): string {
+  if (typeof content === "string") {
+    return content;
+  } else if (content instanceof Uint8Array) {
+    return new TextDecoder().decode(content);
+  } else if (Array.isArray((content as { data?: unknown })?.data)) {
+    return new TextDecoder().decode(
+      new Uint8Array((content as { data: number[] }).data)
+    );
+  }
+  return "";
+}
+
+/**
+ * Create the props of a Vue or Svelte view from its context.
+ * @description The server renders with, and the browser hydrates with, the props of the same sanitized context, so both render the same state.
+ * @param {ViewContext} context - The sanitized context, from 'getSafeContext' or the hydration data.
+ * @param {ComponentHelperMap} helpers - The template helpers, on the server.
+ * @return {VueViewContext} - The props of the view.
+ * @author Zachariah Ayers
+ */
+export function getViewProps(
+  context: ViewContext,
+  helpers: ComponentHelperMap = {}
+): VueViewContext {
+  const components: Record<string, string> = {};
+  Object.entries(context.components ?? {}).forEach(([name, content]) => {
+    components[name] = getComponentHtml(content);
+  });
+
+  return {
+    ...components, // Child components are also props, by name
+    ...context,
+    components,
+    slots: components,
+    helpers,
+  };
+}
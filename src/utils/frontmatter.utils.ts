@@ -0,0 +1,69 @@
+/**
+ * Frontmatter utility functions
+ * @description Reads the YAML frontmatter block at the top of a document.
+ * @author Zachariah Ayers
+ * @category Utils
+ * @public
+ */
+import type { AnyObject } from "../types/object.any";
+import { CORE_SCHEMA, YAMLException, load } from "js-yaml";
+
+/**
+ * A document split into its frontmatter attributes and its body.
+ * @category Utils
+ * @public
+ */
+export interface Frontmatter {
+  /** The attributes of the frontmatter, empty without frontmatter */
+  attributes: AnyObject;
+  /** The document, without its frontmatter */
+  body: string;
+}
+
+const PATTERN_FRONTMATTER =
+  /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split the frontmatter from the top of a document.
+ * @description Frontmatter is only read when the document starts with a '---' line, and ends at the next '---' line.
+ * It is read with the YAML core schema, so dates are kept as they are written rather than read as Date objects.
+ * @param {string} source - The document.
+ * @return {Frontmatter} - The attributes of the frontmatter, and the rest of the document.
+ * @throws {Error} When the frontmatter is not valid YAML, or not a map of attributes.
+ * @author Zachariah Ayers
+ * @category Utils
+ * @public
+ * @example
+ * ```typescript
+ * const { attributes, body } = parseFrontmatter("---\ntitle: Cart\ntags: [shop, cart]\n---\n# Cart");
+ * // attributes: { title: "Cart", tags: ["shop", "cart"] }, body: "# Cart"
+ * ```
+ */
+export function parseFrontmatter(source: string): Frontmatter {
+  const match = PATTERN_FRONTMATTER.exec(source);
+  if (!match) {
+    return { attributes: {}, body: source };
+  }
+
+  let attributes: unknown;
+  try {
+    attributes = load(match[1] ?? "", { schema: CORE_SCHEMA });
+  } catch (error) {
+    if (error instanceof YAMLException) {
+      // The frontmatter starts on the line after the opening '---'
+      throw new Error(
+        `Invalid frontmatter on line ${error.mark.line + 2}: ${error.reason}`
+      );
+    }
+    throw error;
+  }
+
+  const body = source.slice(match[0].length);
+  if (attributes === undefined || attributes === null) {
+    return { attributes: {}, body };
+  } else if (typeof attributes !== "object" || Array.isArray(attributes)) {
+    throw new Error("Frontmatter must be a map of attributes");
+  }
+
+  return { attributes: attributes as AnyObject, body };
+}
@@ -45,6 +45,7 @@ export enum HttpStatusCode {
   BAD_GATEWAY = 502,
   SERVICE_UNAVAILABLE = 503,
   GATEWAY_TIMEOUT = 504,
+  LOOP_DETECTED = 508,
 }
 
 /**
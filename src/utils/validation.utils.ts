@@ -30,6 +30,11 @@ export interface ValidationResult {
  */
 export interface ValidationRule<T = any> {
   validate(value: T, path: string): ValidationError | null;
+
+  /**
+   * Describe the rule, so a schema may be shared as JSON
+   */
+  toJSON?(): Record<string, unknown>;
 }
 
 /**
@@ -67,6 +72,14 @@ export class StringRule implements ValidationRule<string> {
     this.options = options;
   }
 
+  toJSON(): Record<string, unknown> {
+    return {
+      type: "string",
+      ...this.options,
+      pattern: this.options.pattern?.source,
+    };
+  }
+
   validate(value: string, path: string): ValidationError | null {
     // Check if value is required
     if (
@@ -185,6 +198,10 @@ export class NumberRule implements ValidationRule<number> {
     this.options = options;
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "number", ...this.options };
+  }
+
   validate(value: number, path: string): ValidationError | null {
     // Check if value is required
     if (this.options.required && (value === undefined || value === null)) {
@@ -269,6 +286,10 @@ export class BooleanRule implements ValidationRule<boolean> {
     this.options = options;
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "boolean", ...this.options };
+  }
+
   validate(value: boolean, path: string): ValidationError | null {
     // Check if value is required
     if (this.options.required && (value === undefined || value === null)) {
@@ -321,6 +342,10 @@ export class DateRule implements ValidationRule<Date | string> {
     this.options = options;
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "date", ...this.options };
+  }
+
   validate(value: Date | string, path: string): ValidationError | null {
     // Check if value is required
     if (this.options.required && (value === undefined || value === null)) {
@@ -417,6 +442,10 @@ export class ArrayRule<T extends Record<string, any> = Record<string, any>>
     this.options = options;
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "array", ...this.options };
+  }
+
   validate(value: T[], path: string): ValidationError | null {
     // Check if value is required
     if (this.options.required && (value === undefined || value === null)) {
@@ -524,6 +553,10 @@ export class ObjectRule<T extends Record<string, any> = Record<string, any>>
     };
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "object", ...this.options };
+  }
+
   validate(value: T, path: string): ValidationError | null {
     // Check if value is required
     if (this.options.required && (value === undefined || value === null)) {
@@ -590,6 +623,11 @@ export class CustomRule<T = any> implements ValidationRule<T> {
     this.validator = validator;
   }
 
+  // Custom validators are functions, which can not be described
+  toJSON(): Record<string, unknown> {
+    return { type: "custom" };
+  }
+
   validate(value: T, path: string): ValidationError | null {
     return this.validator(value, path);
   }
@@ -607,6 +645,10 @@ export class OneOfRule<T = any> implements ValidationRule<T> {
     this.message = message;
   }
 
+  toJSON(): Record<string, unknown> {
+    return { type: "oneOf", rules: this.rules, message: this.message };
+  }
+
   validate(value: T, path: string): ValidationError | null {
     const errors: ValidationError[] = [];
 
@@ -650,6 +692,15 @@ export class ConditionalRule<T = any> implements ValidationRule<T> {
     this.elseRule = elseRule;
   }
 
+  // Conditions are functions, so only the rules are described
+  toJSON(): Record<string, unknown> {
+    return {
+      type: "conditional",
+      thenRule: this.thenRule,
+      elseRule: this.elseRule,
+    };
+  }
+
   validate(value: T, path: string): ValidationError | null {
     if (this.condition(value)) {
       return this.thenRule.validate(value, path);
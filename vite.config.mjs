@@ -2,6 +2,10 @@ import path from 'path';
 import { defineConfig } from 'vite';
 
 export default defineConfig((env) => ({
+  // Library builds keep 'process.env', which is undefined in browsers
+  define: {
+    'process.env.NODE_ENV': JSON.stringify(env.mode === 'production' ? 'production' : 'development'),
+  },
   build: {
     outDir: "lib/bundles",
     sourcemap: true,